@@ -25,7 +25,7 @@ BEGIN;
 
 -- Static Analysis
 INSERT INTO practices (id, name, type, category, description, requirements, benefits) VALUES
-  ('static-analysis', 'Static Analysis', 'practice', 'tooling',
+  ('static-analysis', 'Static Analysis', 'practice', 'automation',
    'Automated analysis of code without executing it to find bugs, security issues, and code quality problems.',
    '["Static analysis tools (ESLint, SonarQube)","Code quality rules configuration","CI integration","Quality gates and thresholds","Security vulnerability scanning"]'::jsonb,
    '["Early bug detection before runtime","Enforces coding standards consistently","Improves security posture","Reduces technical debt","Faster code reviews"]'::jsonb),
@@ -37,13 +37,13 @@ INSERT INTO practices (id, name, type, category, description, requirements, bene
    '["Improved transparency across team","Better collaboration and alignment","Reduced silos and handoffs","Shared understanding of priorities","Faster decision making"]'::jsonb),
 
 -- Versioned Database
-  ('versioned-database', 'Versioned Database', 'practice', 'practice',
+  ('versioned-database', 'Versioned Database', 'practice', 'behavior-enabled-automation',
    'Database schemas are version controlled and changes are tracked over time with full history.',
    '["Version control system for schema","Migration scripts in source control","Change tracking and audit trail","Schema documentation","Rollback capability"]'::jsonb,
    '["Reproducible database state","Better team collaboration","Clear change history and audit trail","Simplified rollbacks and recovery","Environment parity"]'::jsonb),
 
 -- Evolutionary Database
-  ('evolutionary-database', 'Evolutionary Database', 'practice', 'practice',
+  ('evolutionary-database', 'Evolutionary Database', 'practice', 'behavior-enabled-automation',
    'Database design evolves incrementally through small, reversible, backward-compatible changes.',
    '["Backward compatible schema changes","Incremental migration strategy","Automated migration testing","Refactoring support tooling","Parallel change pattern"]'::jsonb,
    '["Lower risk database changes","Continuous database improvement","Better adaptability to change","Reduced downtime during migrations","Safer deployments"]'::jsonb);
@@ -107,7 +107,7 @@ INSERT INTO practices (id, name, type, category, description, requirements, bene
    '["Prevents broken commits to trunk","Faster feedback during development","Higher code quality at integration","Reduced CI pipeline load","Encourages test-first development"]'::jsonb),
 
 -- Continuous Testing
-  ('continuous-testing', 'Continuous Testing', 'practice', 'practice',
+  ('continuous-testing', 'Continuous Testing', 'practice', 'behavior-enabled-automation',
    'Testing throughout the development lifecycle with automated feedback at every stage of the pipeline.',
    '["Test automation framework and tooling","CI/CD pipeline integration","Test data management strategy","Test environment infrastructure","Multiple test levels (unit, integration, E2E)"]'::jsonb,
    '["Early defect detection in pipeline","Faster feedback cycles for developers","Higher confidence in changes and releases","Reduced manual testing effort","Living documentation of system behavior"]'::jsonb),
@@ -131,19 +131,19 @@ INSERT INTO practices (id, name, type, category, description, requirements, bene
    '["Immediate feedback on code changes","Prevents broken builds in trunk","Enforces quality gates automatically","Maintains always-green build status","Reduces integration issues"]'::jsonb),
 
 -- API Management
-  ('api-management', 'API Management', 'practice', 'tooling',
+  ('api-management', 'API Management', 'practice', 'automation',
    'Governance and lifecycle management of APIs including versioning, documentation, security, and monitoring.',
    '["API gateway infrastructure","API documentation tools (OpenAPI, Swagger)","Versioning strategy (semantic versioning)","Security controls (authentication, authorization)","API analytics and monitoring"]'::jsonb,
    '["Consistent API experience for consumers","Better API discoverability and documentation","Controlled access and security","Version management and deprecation","Usage analytics and insights"]'::jsonb),
 
 -- Modular System
-  ('modular-system', 'Modular System', 'practice', 'practice',
+  ('modular-system', 'Modular System', 'practice', 'behavior-enabled-automation',
    'System architecture based on loosely coupled, independently deployable modules with clear boundaries.',
    '["Clear module boundaries and interfaces","Well-defined contracts between modules","Dependency management and isolation","Service contracts and APIs","Independent deployment capability"]'::jsonb,
    '["Independent module deployment","Better system scalability","Easier maintenance and evolution","Team autonomy and ownership","Parallel development capability"]'::jsonb),
 
 -- Component Ownership
-  ('component-ownership', 'Component Ownership', 'practice', 'culture',
+  ('component-ownership', 'Component Ownership', 'practice', 'behavior',
    'Clear accountability for each component with a designated team responsible for its entire lifecycle.',
    '["Ownership registry and documentation","Clear team responsibilities and boundaries","Team structure aligned with components","Communication channels for each component","On-call rotation for owned components"]'::jsonb,
    '["Clear accountability and ownership","Faster decision making on changes","Better code and system quality","Reduced cross-team dependencies and handoffs","Stronger team autonomy"]'::jsonb);
@@ -154,37 +154,37 @@ INSERT INTO practices (id, name, type, category, description, requirements, bene
 
 -- Automated Artifact Versioning
 INSERT INTO practices (id, name, type, category, description, requirements, benefits) VALUES
-  ('automated-artifact-versioning', 'Automated Artifact Versioning', 'practice', 'tooling',
+  ('automated-artifact-versioning', 'Automated Artifact Versioning', 'practice', 'automation',
    'Automatically generating and managing semantic version numbers for build artifacts based on commits.',
    '["Versioning scheme (semantic versioning)","Automated version increment from CI","Artifact repository with version support","Version tagging in VCS (git tags)","Changelog generation from commits"]'::jsonb,
    '["Clear artifact tracking and traceability","Reproducible builds at any point","Better dependency management","Simplified rollbacks to known versions","Automated release notes"]'::jsonb),
 
 -- Automated Environment Provisioning
-  ('automated-environment-provisioning', 'Automated Environment Provisioning', 'practice', 'tooling',
+  ('automated-environment-provisioning', 'Automated Environment Provisioning', 'practice', 'automation',
    'Infrastructure and environments created automatically through code (IaC) on-demand.',
    '["Infrastructure as Code tools (Terraform, Pulumi)","Configuration management (Ansible, Chef)","Cloud provider APIs and automation","Environment templates and blueprints","Automated testing of infrastructure"]'::jsonb,
    '["Consistent environments across SDLC","Faster environment provisioning","Reduced configuration drift issues","Better disaster recovery capability","Cost optimization through automation"]'::jsonb),
 
 -- Automated DB Changes
-  ('automated-db-changes', 'Automated DB Changes', 'practice', 'practice',
+  ('automated-db-changes', 'Automated DB Changes', 'practice', 'behavior-enabled-automation',
    'Database schema and data changes are automated and applied through CI/CD pipeline with version control.',
    '["Database migration tools (Flyway, Liquibase)","Version control for schema changes","Automated testing of migrations","Rollback procedures for each migration","Database change validation in pipeline"]'::jsonb,
    '["Consistent database state across environments","Reduced deployment errors and risks","Faster deployments and releases","Better audit trail of changes","Simplified database versioning"]'::jsonb),
 
 -- Developer Driven Support
-  ('developer-driven-support', 'Developer Driven Support', 'practice', 'culture',
+  ('developer-driven-support', 'Developer Driven Support', 'practice', 'behavior',
    'Development teams take ownership of supporting their services in production with on-call rotations.',
    '["On-call rotation schedule for developers","Access to production monitoring and logs","Incident response training and runbooks","Post-incident review process","Runbook documentation for services"]'::jsonb,
    '["Faster issue resolution and MTTR","Better understanding of production behavior","Improved system design from operational feedback","Stronger ownership mindset in teams","Reduced reliance on separate operations team"]'::jsonb),
 
 -- Monitoring and Alerting
-  ('monitoring-and-alerting', 'Monitoring and Alerting', 'practice', 'tooling',
+  ('monitoring-and-alerting', 'Monitoring and Alerting', 'practice', 'automation',
    'Comprehensive observability of system behavior with proactive alerting on anomalies and SLA violations.',
    '["Metrics collection infrastructure (Prometheus, DataDog)","Log aggregation and analysis (ELK, Splunk)","Distributed tracing (Jaeger, Zipkin)","Alert management system (PagerDuty, OpsGenie)","Real-time dashboards and visualization"]'::jsonb,
    '["Early problem detection before user impact","Reduced MTTR with better diagnostics","Better system understanding and insights","Data-driven operational decisions","Proactive issue resolution"]'::jsonb),
 
 -- Self Healing Services
-  ('self-healing-services', 'Self-Healing Services', 'practice', 'practice',
+  ('self-healing-services', 'Self-Healing Services', 'practice', 'behavior-enabled-automation',
    'Services that automatically detect and recover from failures without human intervention.',
    '["Robust health checks and monitoring","Automated recovery procedures and scripts","Circuit breakers and bulkheads","Auto-scaling and self-recovery mechanisms","Chaos engineering validation"]'::jsonb,
    '["Reduced downtime and service interruptions","Improved system reliability and availability","Lower operational overhead and toil","Faster incident recovery without human intervention","Better resilience to transient failures"]'::jsonb);
@@ -195,7 +195,7 @@ INSERT INTO practices (id, name, type, category, description, requirements, bene
 
 -- Automated Build (distinct from build-automation - this is about CI/CD pipelines)
 INSERT INTO practices (id, name, type, category, description, requirements, benefits) VALUES
-  ('automated-build', 'Automated Build', 'practice', 'tooling',
+  ('automated-build', 'Automated Build', 'practice', 'automation',
    'Comprehensive automated build process in CI/CD pipeline that compiles, packages, tests, and validates code.',
    '["CI/CD build pipeline configuration","One-command build from any commit","Repeatable builds with same inputs","Fast execution with caching strategies","Fail fast on errors with clear messages","Parallel build stages where possible"]'::jsonb,
    '["Consistency across all builds","Reduced human error in build process","Fast feedback to developers","Easy onboarding for new team members","Build reproducibility and traceability"]'::jsonb);
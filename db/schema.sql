@@ -0,0 +1,50 @@
+-- ============================================================================
+-- SCHEMA: CD Practice Catalog
+-- File: schema.sql
+-- Description: Tables backing PostgresPracticeRepository
+--
+-- Mirrors the structure of src/lib/data/cd-practices.json:
+-- - practices:             one row per practice
+-- - practice_dependencies: practice_id depends on depends_on_id
+-- - metadata:              key/value catalog metadata (version, changelog, ...)
+--
+-- Loaded automatically by docker-compose on first start.
+-- Populate with: DATABASE_URL=... npm run db:seed
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS practices (
+  id VARCHAR(100) PRIMARY KEY,
+  name VARCHAR(200) NOT NULL,
+  type VARCHAR(20) NOT NULL DEFAULT 'practice',
+  category VARCHAR(50) NOT NULL,
+  description TEXT NOT NULL,
+  requirements JSONB NOT NULL DEFAULT '[]'::jsonb,
+  benefits JSONB NOT NULL DEFAULT '[]'::jsonb,
+  maturity_level SMALLINT,
+  quick_start_guide TEXT,
+  anti_patterns JSONB,
+  migration_guide_url TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT practices_maturity_level_range CHECK (maturity_level BETWEEN 0 AND 3)
+);
+
+CREATE TABLE IF NOT EXISTS practice_dependencies (
+  practice_id VARCHAR(100) NOT NULL REFERENCES practices(id) ON DELETE CASCADE,
+  depends_on_id VARCHAR(100) NOT NULL REFERENCES practices(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (practice_id, depends_on_id),
+  CONSTRAINT practice_dependencies_no_self_reference CHECK (practice_id <> depends_on_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_practice_dependencies_depends_on
+  ON practice_dependencies (depends_on_id);
+
+CREATE INDEX IF NOT EXISTS idx_practices_category
+  ON practices (category);
+
+CREATE TABLE IF NOT EXISTS metadata (
+  key VARCHAR(100) PRIMARY KEY,
+  value JSONB NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
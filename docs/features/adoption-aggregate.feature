@@ -0,0 +1,36 @@
+Feature: Organisation Adoption Aggregate
+  As a platform group supporting many teams
+  I want to combine the adoption files of every team
+  So that I can see which practices are widely adopted and where teams need help
+
+  Background:
+    Given I am on the organisation page
+
+  Scenario: Loading many team files at once
+    When I load 30 .cdpa files
+    Then 30 teams should be listed
+    And every profile in a multi-profile file should be listed as its own team
+    And unknown practice IDs should be reported per team
+
+  Scenario: Adoption heatmap
+    Given I have loaded several team files
+    Then I should see a row for every practice, foundations first
+    And a cell for every team coloured by its adoption state
+    And each practice's adoption rate across teams
+
+  Scenario: Commonly missing foundations
+    Given fewer than half of the teams have adopted "Version Control"
+    Then "Version Control" should be listed under commonly missing foundations
+    And I should see how many teams have adopted it
+
+  Scenario: Exporting the aggregate
+    Given I have loaded several team files
+    When I export the aggregate as JSON
+    Then I should download a JSON file with every team's state per practice
+    When I export the aggregate as CSV
+    Then I should download a CSV file with one row per practice and one column per team
+
+  Scenario: Removing teams
+    Given I have loaded several team files
+    When I remove a team
+    Then the heatmap and rates should no longer include it
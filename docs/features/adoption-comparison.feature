@@ -0,0 +1,38 @@
+Feature: Adoption Comparison
+  As a coach working with several teams
+  I want to compare two adoption states side by side
+  So that I can see where teams differ and what they can learn from each other
+
+  Background:
+    Given I am on the compare page
+
+  Scenario: Comparing two team profiles
+    Given I have team profiles "Payments" and "Platform"
+    When I choose "Payments" as A and "Platform" as B
+    Then I should see the overall adoption percentage of each
+    And I should see the practices adopted only by "Payments"
+    And I should see the practices adopted only by "Platform"
+
+  Scenario: Comparing two exported files
+    When I load two .cdpa files
+    Then they should be selected as A and B
+    And every profile in a multi-profile file should be available to choose
+
+  Scenario: Percentages by category and maturity level
+    Given I am comparing two adoption states
+    Then I should see each side's percentage for every category
+    And I should see each side's percentage for every maturity level
+    And I should see the difference between them
+
+  Scenario: Comparison overlay on the practice graph
+    Given I am comparing two adoption states
+    When I choose to show the comparison on the practice graph
+    Then practices adopted by both should be outlined green
+    And practices adopted only by A should be outlined blue
+    And practices adopted only by B should be outlined purple
+
+  @edge-case
+  Scenario: Loading an invalid file
+    When I load a file that is not a valid .cdpa file
+    Then I should see an error naming the file
+    And the files loaded before should still be available
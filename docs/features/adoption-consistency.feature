@@ -0,0 +1,41 @@
+Feature: Adoption Consistency
+  As a team tracking its continuous delivery adoption
+  I want to be warned when a practice is adopted before its prerequisites
+  So that our adoption state reflects what we can actually rely on
+
+  Scenario: Warning on a practice adopted before its prerequisites
+    Given "Continuous Integration" depends on "Version Control"
+    And "Continuous Integration" is adopted but "Version Control" is not
+    When I view the practice graph
+    Then the "Continuous Integration" card should warn that 1 prerequisite is not adopted
+    And the warning should name "Version Control"
+
+  Scenario: Indirect prerequisites count too
+    Given "Continuous Delivery" depends on "Continuous Integration" which depends on "Version Control"
+    And "Continuous Delivery" and "Continuous Integration" are adopted but "Version Control" is not
+    When I view the practice graph
+    Then both cards should warn about "Version Control"
+
+  Scenario: Practices in a partial state are not checked
+    Given "Continuous Integration" is in progress and "Version Control" is not started
+    When I view the practice graph
+    Then no card should show a consistency warning
+    And the inconsistency panel should not be shown
+
+  Scenario: List all inconsistencies
+    Given two adopted practices have prerequisites that are not adopted
+    When I open the inconsistent adoption panel
+    Then both practices should be listed with their missing prerequisites
+    And selecting one should navigate to it in the graph
+
+  Scenario: Adopt all prerequisites
+    Given adopted practices have prerequisites that are not adopted
+    When I click "Adopt all prerequisites" in the inconsistent adoption panel
+    Then every missing prerequisite should be adopted
+    And the change should be recorded in the adoption history
+
+  Scenario: Unmark dependents
+    Given adopted practices have prerequisites that are not adopted
+    When I click "Unmark dependents" in the inconsistent adoption panel
+    Then those practices should be not started instead of adopted
+    And they should no longer count toward the maturity scores
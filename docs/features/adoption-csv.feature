@@ -0,0 +1,35 @@
+Feature: CSV Import and Export of Adoption
+  As a team that keeps its assessment in a spreadsheet
+  I want to import and export my adoption as CSV
+  So that I can move between the spreadsheet and the app
+
+  Scenario: Exporting adoption as CSV
+    Given I have adopted "Version Control"
+    When I click "Export CSV" in the menu
+    Then I should download a CSV file with columns id, name, status, notes and date
+    And it should have a row for every practice with its adoption state
+
+  Scenario: Importing a CSV file with a header
+    Given a CSV file with the columns "Practice", "State" and "Comments"
+    When I import the file
+    Then practices should be matched by name
+    And "yes", "done" and "Adopted" should all mean adopted
+
+  Scenario: Importing a CSV file without a header
+    Given a CSV file whose rows are in the order id, name, status, notes, date
+    When I import the file
+    Then the rows should be read in that order
+
+  Scenario: Rows that cannot be imported
+    Given a CSV file with a practice that is not in the catalog
+    And a row with the status "maybe"
+    When I import the file
+    Then the preview should list both rows as skipped, with their row number
+
+  Scenario: Previewing an import before it replaces my adoption
+    Given I have adopted "Version Control"
+    When I import a file where "Version Control" is in progress
+    Then I should see that "Version Control" changes from Adopted to In progress
+    And my adoption should not change until I confirm the import
+    When I cancel the import
+    Then "Version Control" should still be adopted
@@ -0,0 +1,34 @@
+Feature: Adoption History
+  As a team tracking its continuous delivery journey
+  I want every adoption change recorded with its time
+  So that I can see our progress and go back to an earlier state
+
+  Scenario: Recording adoption changes
+    Given I have not adopted "Version Control"
+    When I mark "Version Control" as adopted
+    Then the change should be recorded with the current time
+    And the history should be kept after reloading the page
+
+  Scenario: Timeline per category
+    Given I have changed adoption on several days
+    When I open the history page
+    Then I should see the overall adoption percentage over time
+    And I should see the adoption percentage over time for every category
+
+  Scenario: Restoring a snapshot
+    Given I have changed adoption on several days
+    When I restore the snapshot from the first day
+    Then my adoption should match the first day
+    And the restore should be recorded as a new snapshot
+
+  Scenario: History in exported files
+    Given I have a recorded adoption history
+    When I export my adoption
+    Then the file should include the history
+    When I import that file
+    Then the history should be restored
+
+  Scenario: Separate history per team profile
+    Given I have team profiles "Payments" and "Platform"
+    When I change adoption for "Payments"
+    Then the history of "Platform" should be unchanged
@@ -0,0 +1,34 @@
+Feature: Adoption Report
+  As an engineering lead
+  I want a readable report of my team's adoption
+  So that I can share progress and next steps with leadership
+
+  Background:
+    Given I am on the report page
+    And I have adopted some practices
+
+  Scenario: Reviewing the report
+    Then I should see overall progress and progress per category
+    And the adopted practices with their descriptions
+    And the outstanding practices with their adoption state
+    And the recommended next steps from the guided walkthrough
+    And the anti-patterns of outstanding practices, most widespread first
+
+  Scenario: Exporting the report as HTML
+    When I export the report as HTML
+    Then I should download a single HTML file with its styles included
+    And it should open without network access
+
+  Scenario: Exporting the report as Markdown
+    When I export the report as Markdown
+    Then I should download a Markdown file with the same sections
+
+  Scenario: Saving the report as PDF
+    When I print the report
+    Then only the report should be printed, without the application menu
+    And anti-pattern links should show their URL
+    And I can choose "Save as PDF" in the browser's print dialog
+
+  Scenario: Reporting on a team profile
+    Given the "Payments" team profile is active
+    Then the report should be titled for the "Payments" team
@@ -0,0 +1,55 @@
+Feature: Cascading Adoption
+  As a team tracking its continuous delivery adoption
+  I want toggling a practice to offer to change its prerequisites or dependents too
+  So that our adoption stays consistent without marking each practice by hand
+
+  Background:
+    Given "Continuous Integration" depends on "Trunk-based Development" which depends on "Version Control"
+    And I have turned on "Cascade adoption" in the practice graph
+
+  Scenario: Adopting a practice offers to adopt its prerequisites
+    Given none of these practices is adopted
+    When I check "Continuous Integration"
+    Then a dialog should list "Trunk-based Development" and "Version Control" as changing to adopted
+    When I confirm
+    Then all three practices should be adopted as one change in the adoption history
+
+  Scenario: Unadopting a foundational practice offers to unadopt its dependents
+    Given all three practices are adopted
+    When I uncheck "Version Control"
+    Then a dialog should list "Continuous Integration" and "Trunk-based Development" as changing to not started
+    When I confirm
+    Then none of the three practices should be adopted
+
+  Scenario: Toggle only the practice
+    Given none of these practices is adopted
+    When I check "Continuous Integration"
+    And I choose "Only Continuous Integration" in the dialog
+    Then only "Continuous Integration" should be adopted
+
+  Scenario: Cancel a cascading toggle
+    When I check "Continuous Integration"
+    And I cancel the dialog
+    Then no practice should change
+
+  Scenario: No dialog when nothing else would change
+    Given "Trunk-based Development" and "Version Control" are adopted
+    When I check "Continuous Integration"
+    Then it should be adopted without a dialog
+
+  Scenario: Undo a cascading toggle
+    Given I have adopted "Continuous Integration" with its prerequisites
+    When I click "Undo" in the notice
+    Then the three practices should be back in their previous states, including requirement progress
+
+  Scenario: Undo is only offered for the last change
+    Given I have adopted "Continuous Integration" with its prerequisites
+    When I change another practice
+    Then the undo notice should disappear
+
+  Scenario: The mode is off by default and remembered
+    Given I have never turned on "Cascade adoption"
+    When I check a practice
+    Then it should be adopted without a dialog
+    When I turn on "Cascade adoption" and reload the page
+    Then "Cascade adoption" should still be on
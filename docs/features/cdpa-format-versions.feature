@@ -0,0 +1,29 @@
+Feature: Versioned .cdpa File Format
+  As a team keeping exported adoption files
+  I want files from older app versions to keep importing
+  So that the file format can evolve without losing our records
+
+  Scenario: Exporting the current format
+    When I export my adoption
+    Then the file should have version "2.0.0"
+    And its "$schema" should link to the published JSON Schema
+    And every started practice should have a record with its state
+
+  Scenario: Importing a 1.x file
+    Given a file exported with format version "1.1.0"
+    When I import that file
+    Then the file should be upgraded to version "2.0.0" before importing
+    And the adopted practices, partial states, requirements and history should be imported
+    And the import message should say the file was upgraded from version "1.1.0"
+
+  Scenario: Detailed validation errors
+    Given a version "2.0.0" file where "continuous-integration" has state "done"
+    When I import that file
+    Then the import should fail
+    And the error should name "practices.continuous-integration.state" and the allowed states
+
+  Scenario: File from a newer app version
+    Given a file with format version "3.0.0"
+    When I import that file
+    Then the import should fail with "Incompatible file version: 3.0.0"
+    And my adoption should be unchanged
@@ -23,6 +23,26 @@ Feature: Guided Walkthrough
     When I click "View Practice"
     Then the graph should navigate to show that practice
 
+  Scenario: Show ranked recommendations with reasons
+    Given the walkthrough recommends a practice
+    When I open the top recommendations
+    Then I should see up to 3 practices that are ready to adopt
+    And each recommendation should explain why it is recommended
+    # e.g. "Unblocks 2 practices", "Tier 1 critical path", "Finishes the Foundation phase"
+    # A practice is unblocked once every practice it depends on is adopted
+
+  Scenario: Switch recommendation strategy
+    Given the top recommendations are open
+    When I rank by "Unblock the most"
+    Then the practices that unblock the most unadopted practices should be listed first
+    And the strategy should be remembered on my next visit
+
+  Scenario: Balance the DevOps trilogy capabilities
+    Given the top recommendations are open
+    When I rank by "Balance capabilities"
+    Then practices of the least adopted DevOps trilogy capability should be listed first
+    And each should say how much of its capability is adopted
+
   Scenario: Dismiss walkthrough panel
     Given the walkthrough panel is visible
     When I click the dismiss button
@@ -0,0 +1,35 @@
+Feature: Maturity Dashboard
+  As a team tracking its continuous delivery adoption
+  I want to see our maturity per level and per category
+  So that we know which level we have reached and where we lag behind
+
+  Scenario: Scores per maturity level
+    Given I have adopted every practice at maturity level 0
+    When I open the maturity dashboard
+    Then level 0 should score 100%
+    And the achieved maturity should be "Level 0 - Repeatable"
+
+  Scenario: Partial adoption counts partly
+    Given "Version Control" is in progress and nothing else is adopted
+    When I open the maturity dashboard
+    Then "Version Control" should count as half adopted in its level and category
+
+  Scenario: A level is achieved only on top of the levels below
+    Given I have adopted every practice at level 1 but few at level 0
+    When I open the maturity dashboard
+    Then no maturity level should be achieved
+
+  Scenario: Radar chart per category
+    When I open the maturity dashboard
+    Then the radar chart should have one axis per category
+    And one shape per maturity level, plus one for all levels
+
+  Scenario: Stacked bars of adoption states
+    Given some practices are exploring, in progress, adopted or regressed
+    When I open the maturity dashboard
+    Then each maturity level and each category should show a bar split by adoption state
+
+  Scenario: Dashboard follows the active team profile
+    Given the "Payments" profile has adopted more practices than "Platform"
+    When I switch from "Platform" to "Payments"
+    Then the scores should go up
@@ -79,6 +79,26 @@ Feature: Practice Adoption Tracking
     When I adopt another dependency of "Continuous Integration"
     Then the "Continuous Integration" card should update to show "40% adopted"
 
+  Scenario: Marking a practice as in progress
+    Given I have selected "Continuous Integration"
+    When I choose "In progress" from its adoption state picker
+    Then its adoption checkbox should show a partial indicator
+    And the state should be saved in localStorage and the URL
+
+  Scenario: Partial states count towards dependency adoption percentage
+    Given "Continuous Integration" has 4 dependencies
+    And 1 of those dependencies is adopted and 1 is in progress
+    When I view the "Continuous Integration" practice card
+    Then the dependency progress should count the in-progress practice as half adopted
+
+  Scenario: Ticking off requirements of a practice
+    Given I have selected "Continuous Integration" which has 4 requirements
+    When I tick 2 of its requirements
+    Then it should be marked as in progress
+    When I tick the remaining requirements
+    Then it should be marked as adopted
+    And the ticked requirements should be kept in localStorage, the URL and exported files
+
   Scenario: Viewing Continuous Delivery adoption percentage
     Given I am viewing the "Continuous Delivery" practice
     And there are 20 total practices in the system
@@ -213,3 +233,33 @@ Feature: Practice Adoption Tracking
     And it should include a timestamp
     And it should list all adopted practice IDs in an array
     And it should be human-readable and well-formatted
+
+  Scenario: Tracking adoption for several teams
+    Given I have adopted "Version Control"
+    When I create a team profile named "Platform"
+    Then "Platform" should be the active profile
+    And no practices should be marked as adopted
+    When I switch to the "My team" profile
+    Then "Version Control" should be marked as adopted
+
+  Scenario: Existing adoption becomes the default profile
+    Given I tracked adoption before team profiles existed
+    When I open the application
+    Then my adoption should belong to the "My team" profile
+
+  Scenario: Managing team profiles
+    Given I have team profiles "My team" and "Platform"
+    When I duplicate "Platform"
+    Then a "Platform copy" profile should have the same adoption as "Platform"
+    When I rename "Platform copy" to "Payments"
+    And I delete "Payments" and confirm
+    Then only "My team" and "Platform" should remain
+    And I should not be able to delete the last remaining profile
+
+  Scenario: Exporting and importing all team profiles
+    Given I have team profiles "My team" and "Platform"
+    When I export all profiles
+    And I import the file in another browser
+    Then "My team" and "Platform" should be added as team profiles with their adoption
+    And the active profile should not change
+
@@ -0,0 +1,32 @@
+Feature: Renamed and Removed Practices
+  As a team with adoption saved against an older practice catalog
+  I want renamed, merged and removed practices handled on import
+  So that catalog changes do not silently lose our progress
+
+  Background:
+    Given the catalog lists "ci" as a former ID of "continuous-integration"
+    And the catalog lists "unit-tests" and "integration-tests" as former IDs of "automated-testing"
+    And the catalog lists "manual-gates" as removed
+
+  Scenario: Importing a file with renamed practices
+    Given a file where "ci" is adopted
+    When I import that file
+    Then "Continuous Integration" should be adopted
+    And the import report should list "ci" as remapped to "Continuous Integration"
+
+  Scenario: Importing a file with merged practices
+    Given a file where "unit-tests" is adopted and "integration-tests" is exploring
+    When I import that file
+    Then "Automated Testing" should be adopted
+    And the import report should list both former IDs as merged into "Automated Testing"
+
+  Scenario: Importing a file with removed practices
+    Given a file where "manual-gates" is adopted
+    When I import that file
+    Then the import report should list "manual-gates" as dropped
+
+  Scenario: Opening a link from an older catalog
+    Given a shared link where "ci" is adopted
+    When I open the link
+    Then "Continuous Integration" should be adopted
+    And the link should be updated to the current practice IDs
@@ -0,0 +1,40 @@
+Feature: Practice Notes, Evidence and Owners
+  As a team assessing its continuous delivery practices
+  I want to record why we consider a practice adopted, who owns it and when it is due
+  So that our assessment can be checked and followed up
+
+  Scenario: Annotating a practice
+    Given I open the details of "Continuous Integration"
+    When I add notes, an evidence link, an owner and a target date under "Notes & evidence"
+    And I save them
+    Then the details should show the notes, the owner and the target date
+    And the evidence link should open in a new tab
+    And the annotation should be kept after reloading the page
+
+  Scenario: Evidence must be a web link
+    Given I am editing the annotation of "Continuous Integration"
+    When I enter "wiki page" as an evidence link
+    Then I should be told it will be left out
+    And only http and https links should be saved
+
+  Scenario: Seeing annotated practices in the full tree
+    Given "Version Control" has notes
+    When I expand the full tree
+    Then "Version Control" should show a "Notes" badge
+    And practices without annotations should show no badge
+
+  Scenario: Overdue target date
+    Given "Continuous Integration" has a target date in the past
+    When I open its details
+    Then the target date should be marked as overdue
+
+  Scenario: Annotations in exports
+    Given "Version Control" has an owner and an evidence link
+    When I export my adoption
+    Then the file's record for "Version Control" should include its owner and evidence
+    And importing the file should restore them
+
+  Scenario: Annotations per team profile
+    Given the "Payments" profile has annotated "Version Control"
+    When I switch to the "Platform" profile
+    Then "Version Control" should have no annotation
@@ -0,0 +1,42 @@
+Feature: Self-Assessment Questionnaire
+  As a team that does not know where it stands
+  I want to answer simple questions about the evidence we have for each practice
+  So that our adoption states are based on evidence rather than guesses
+
+  Scenario: Questions start with the foundations
+    Given I open the self-assessment
+    Then I should be asked about a practice without prerequisites first
+    And each question should ask for evidence of one of its requirements
+    And I should answer it with "Yes", "Partly" or "No"
+
+  Scenario: Getting a suggested state
+    Given I am assessing "Continuous Integration"
+    When I answer "Yes" to every question
+    Then "Adopted" should be suggested
+    When I change one answer to "No"
+    Then "In progress" should be suggested
+
+  Scenario: No suggestion before every question is answered
+    Given I am assessing "Continuous Integration"
+    When I leave a question unanswered
+    Then no state should be suggested
+    And I should not be able to accept a suggestion
+
+  Scenario: Accepting a suggestion
+    Given "Adopted" is suggested for "Version Control"
+    When I accept the suggestion
+    Then "Version Control" should be adopted
+    And the requirements answered with "Yes" should be ticked off
+    And the change should be recorded in the adoption history
+
+  Scenario: Resuming the assessment
+    Given I answered the questions of the first practices
+    When I open the self-assessment again
+    Then I should continue at the first practice with unanswered questions
+    And the progress should show how many questions are answered
+
+  Scenario: Answers in exports
+    Given I answered questions about "Version Control"
+    When I export my adoption
+    Then the file's record for "Version Control" should include the answers
+    And importing the file should restore them
@@ -68,6 +68,22 @@ const formatOutput = result => {
 	}
 }
 
+// Pure function: Format warnings for console (warnings never change the exit code)
+const formatWarnings = (warnings = []) =>
+	warnings.length === 0
+		? null
+		: `\n⚠ ${warnings.length} warning(s)\n\n${warnings
+				.map((warning, index) => {
+					const parts = [`  ${index + 1}. ${warning.message}`]
+					if (warning.practice_id) parts.push(`     Practice: ${warning.practice_id}`)
+					if (warning.tier) parts.push(`     Tier: ${warning.tier}`)
+					if (warning.stated !== undefined) {
+						parts.push(`     Stated: ${warning.stated}, actual: ${warning.actual ?? 'n/a'}`)
+					}
+					return parts.join('\n')
+				})
+				.join('\n\n')}\n`
+
 // Main execution
 try {
 	const dataPath = join(projectRoot, 'src/lib/data/cd-practices.json')
@@ -94,6 +110,9 @@ try {
 	// Validate
 	const validationResult = validateCdPractices(schemaResult.data)(dataResult.data)
 	const output = formatOutput(validationResult)
+	const warningText = formatWarnings(validationResult.warnings)
+
+	if (warningText) console.log('\x1b[33m%s\x1b[0m', warningText) // Yellow
 
 	console.log(`${output.color}%s\x1b[0m`, output.text)
 	process.exit(output.exitCode)
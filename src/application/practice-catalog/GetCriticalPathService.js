@@ -0,0 +1,71 @@
+/**
+ * GetCriticalPathService - Application Service (Functional)
+ *
+ * Use case: Get the critical path (high fan-in practices) computed from the
+ * dependency list, with any drift from the hand-maintained metadata counts.
+ *
+ * Usage:
+ *   const service = createGetCriticalPathService(repository)
+ *   const result = await service.execute()
+ */
+import {
+	calculateCriticalPath,
+	findCriticalPathDrift
+} from '$lib/domain/practice-graph/critical-path.js'
+
+/**
+ * Create a GetCriticalPathService instance
+ * @param {Object} practiceRepository - The practice repository
+ * @returns {Object} Service with execute method
+ */
+export const createGetCriticalPathService = practiceRepository => {
+	// Validate dependency
+	if (!practiceRepository) {
+		throw new Error('PracticeRepository is required')
+	}
+
+	return Object.freeze({
+		/**
+		 * Execute the use case
+		 * @returns {Promise<Object>} Result object with success flag and critical path data
+		 */
+		execute: async () => {
+			try {
+				const [snapshot, patterns] = await Promise.all([
+					practiceRepository.getCatalogSnapshot(),
+					practiceRepository.getPatterns()
+				])
+
+				const criticalPath = calculateCriticalPath(snapshot.practices, snapshot.dependencies)
+				const metadata = patterns.criticalPath
+
+				return {
+					success: true,
+					data: {
+						...criticalPath,
+						description: metadata?.description || '',
+						implementationStrategy: metadata?.implementationStrategy || '',
+						drift: findCriticalPathDrift(
+							metadata,
+							snapshot.practices.map(p => p.id),
+							snapshot.dependencies
+						)
+					},
+					metadata: {
+						timestamp: new Date().toISOString()
+					}
+				}
+			} catch (error) {
+				console.error('GetCriticalPathService error:', error)
+
+				return {
+					success: false,
+					error: error.message,
+					metadata: {
+						timestamp: new Date().toISOString()
+					}
+				}
+			}
+		}
+	})
+}
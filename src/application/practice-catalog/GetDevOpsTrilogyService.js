@@ -0,0 +1,73 @@
+/**
+ * GetDevOpsTrilogyService - Application Service (Functional)
+ *
+ * Use case: Get the DevOps Trilogy (three interdependent capabilities) with
+ * each capability's core and enabler practices resolved from the catalog.
+ *
+ * Usage:
+ *   const service = createGetDevOpsTrilogyService(repository)
+ *   const result = await service.execute()
+ */
+import { buildTrilogy } from '$lib/domain/devops-trilogy/trilogy.js'
+
+/**
+ * Create a GetDevOpsTrilogyService instance
+ * @param {Object} practiceRepository - The practice repository
+ * @returns {Object} Service with execute method
+ */
+export const createGetDevOpsTrilogyService = practiceRepository => {
+	// Validate dependency
+	if (!practiceRepository) {
+		throw new Error('PracticeRepository is required')
+	}
+
+	return Object.freeze({
+		/**
+		 * Execute the use case
+		 * @returns {Promise<Object>} Result object with success flag and trilogy data
+		 */
+		execute: async () => {
+			try {
+				const [patterns, practices] = await Promise.all([
+					practiceRepository.getPatterns(),
+					practiceRepository.findAll()
+				])
+
+				if (!patterns.devopsTrilogy) {
+					return {
+						success: false,
+						error: 'DevOps Trilogy is not defined in the catalog metadata',
+						metadata: {
+							timestamp: new Date().toISOString()
+						}
+					}
+				}
+
+				const practiceSummaries = practices.map(practice => ({
+					id: practice.id.toString(),
+					name: practice.name,
+					category: practice.category.toString(),
+					maturityLevel: practice.maturityLevel
+				}))
+
+				return {
+					success: true,
+					data: buildTrilogy(patterns.devopsTrilogy, practiceSummaries),
+					metadata: {
+						timestamp: new Date().toISOString()
+					}
+				}
+			} catch (error) {
+				console.error('GetDevOpsTrilogyService error:', error)
+
+				return {
+					success: false,
+					error: error.message,
+					metadata: {
+						timestamp: new Date().toISOString()
+					}
+				}
+			}
+		}
+	})
+}
@@ -0,0 +1,70 @@
+/**
+ * GetImplementationRoadmapService - Application Service (Functional)
+ *
+ * Use case: Get the phased implementation roadmap with each phase's practices
+ * resolved from the catalog and prerequisites scheduled in later phases flagged.
+ *
+ * Usage:
+ *   const service = createGetImplementationRoadmapService(repository)
+ *   const result = await service.execute()
+ */
+import { buildRoadmap } from '$lib/domain/roadmap/roadmap.js'
+
+/**
+ * Create a GetImplementationRoadmapService instance
+ * @param {Object} practiceRepository - The practice repository
+ * @returns {Object} Service with execute method
+ */
+export const createGetImplementationRoadmapService = practiceRepository => {
+	// Validate dependency
+	if (!practiceRepository) {
+		throw new Error('PracticeRepository is required')
+	}
+
+	return Object.freeze({
+		/**
+		 * Execute the use case
+		 * @returns {Promise<Object>} Result object with success flag and roadmap data
+		 */
+		execute: async () => {
+			try {
+				const [patterns, snapshot] = await Promise.all([
+					practiceRepository.getPatterns(),
+					practiceRepository.getCatalogSnapshot()
+				])
+
+				if (!patterns.implementationTimeline) {
+					return {
+						success: false,
+						error: 'Implementation timeline is not defined in the catalog metadata',
+						metadata: {
+							timestamp: new Date().toISOString()
+						}
+					}
+				}
+
+				return {
+					success: true,
+					data: buildRoadmap(
+						patterns.implementationTimeline,
+						snapshot.practices,
+						snapshot.dependencies
+					),
+					metadata: {
+						timestamp: new Date().toISOString()
+					}
+				}
+			} catch (error) {
+				console.error('GetImplementationRoadmapService error:', error)
+
+				return {
+					success: false,
+					error: error.message,
+					metadata: {
+						timestamp: new Date().toISOString()
+					}
+				}
+			}
+		}
+	})
+}
@@ -0,0 +1,221 @@
+/**
+ * ManagePracticeCatalogService - Application Service (Functional)
+ *
+ * Use cases: create, update and delete practices and dependency edges.
+ * Every change is applied to a snapshot of the catalog first and validated
+ * (practice fields, dependency references, self-dependencies, cycles).
+ * The repository is only written to when the resulting catalog is valid.
+ *
+ * Usage:
+ *   const service = createManagePracticeCatalogService(repository)
+ *   const result = await service.addDependency('continuous-delivery', 'feature-toggles')
+ *   if (!result.success) console.log(result.errors)
+ */
+import { createCDPracticeFromRecord } from '$domain/practice-catalog/entities/CDPractice.js'
+import { PracticeId } from '$domain/practice-catalog/value-objects/PracticeId.js'
+import { describeCatalogError } from '$lib/domain/practice-catalog/catalog-format.js'
+import {
+	validateDependencyReferences,
+	validateNoCycles,
+	validateNoSelfDependencies
+} from '$lib/validators/cd-practices-validator.js'
+import { validatePractice } from '$lib/validators/practice-validator.js'
+
+/**
+ * Error raised when a command cannot be applied (unknown practice, duplicate, invalid result)
+ * Carries the list of individual validation messages.
+ * @private
+ */
+const commandError = (message, errors = [message]) =>
+	Object.assign(new Error(message), { errors, isCommandError: true })
+
+/**
+ * Create a ManagePracticeCatalogService instance
+ * @param {Object} practiceRepository - A writable practice repository
+ * @returns {Object} Service with command methods
+ */
+export const createManagePracticeCatalogService = practiceRepository => {
+	// Validate dependency
+	if (!practiceRepository) {
+		throw new Error('PracticeRepository is required')
+	}
+
+	// Private helper: Validate a candidate catalog (and optionally one changed practice)
+	const validateCandidate = (catalog, changedPractice = null) => {
+		const errors = []
+
+		if (changedPractice) {
+			const practiceValidation = validatePractice(changedPractice)
+			if (!practiceValidation.isValid) {
+				errors.push(...Object.values(practiceValidation.errors))
+			}
+		}
+
+		const catalogValidations = [
+			validateDependencyReferences(catalog),
+			validateNoSelfDependencies(catalog),
+			validateNoCycles(catalog)
+		]
+		catalogValidations.forEach(result => {
+			errors.push(...result.errors.map(error => describeCatalogError(error, catalog)))
+		})
+
+		if (errors.length > 0) {
+			throw commandError('Validation failed', errors)
+		}
+	}
+
+	// Private helper: Look up a practice record in a snapshot
+	const findRecord = (catalog, practiceId) => catalog.practices.find(p => p.id === practiceId)
+
+	const requireRecord = (catalog, practiceId) => {
+		const record = findRecord(catalog, practiceId)
+		if (!record) {
+			throw commandError(`Practice not found: ${practiceId}`)
+		}
+		return record
+	}
+
+	const hasEdge = (catalog, practiceId, dependsOnId) =>
+		catalog.dependencies.some(d => d.practice_id === practiceId && d.depends_on_id === dependsOnId)
+
+	// Private helper: Run a command and wrap the outcome in a result object
+	const run = async command => {
+		try {
+			const data = await command(await practiceRepository.getCatalogSnapshot())
+
+			return {
+				success: true,
+				data,
+				metadata: {
+					timestamp: new Date().toISOString()
+				}
+			}
+		} catch (error) {
+			if (!error.isCommandError) {
+				console.error('ManagePracticeCatalogService error:', error)
+			}
+
+			return {
+				success: false,
+				error: error.message,
+				errors: error.errors || [error.message],
+				metadata: {
+					timestamp: new Date().toISOString()
+				}
+			}
+		}
+	}
+
+	// Return frozen service object with public API
+	return Object.freeze({
+		/**
+		 * Create a new practice
+		 * @param {Object} practiceData - Practice in cd-practices.json shape (type defaults to 'practice')
+		 * @returns {Promise<Object>} Result with the created practice record
+		 */
+		createPractice: practiceData =>
+			run(async catalog => {
+				const record = { type: 'practice', ...practiceData }
+
+				if (record.id && findRecord(catalog, record.id)) {
+					throw commandError(`Practice already exists: ${record.id}`)
+				}
+
+				validateCandidate({ ...catalog, practices: [...catalog.practices, record] }, record)
+
+				await practiceRepository.save(createCDPracticeFromRecord(record))
+				return record
+			}),
+
+		/**
+		 * Update fields of an existing practice (the ID cannot change)
+		 * @param {string} practiceId
+		 * @param {Object} changes - Fields to overwrite
+		 * @returns {Promise<Object>} Result with the updated practice record
+		 */
+		updatePractice: (practiceId, changes) =>
+			run(async catalog => {
+				const existing = requireRecord(catalog, practiceId)
+
+				if (changes.id !== undefined && changes.id !== practiceId) {
+					throw commandError('Practice ID cannot be changed')
+				}
+
+				const record = { ...existing, ...changes, id: practiceId }
+				const practices = catalog.practices.map(p => (p.id === practiceId ? record : p))
+
+				validateCandidate({ ...catalog, practices }, record)
+
+				await practiceRepository.save(createCDPracticeFromRecord(record))
+				return record
+			}),
+
+		/**
+		 * Delete a practice together with every dependency edge referencing it
+		 * @param {string} practiceId
+		 * @returns {Promise<Object>} Result with the removed edges
+		 */
+		deletePractice: practiceId =>
+			run(async catalog => {
+				const existing = requireRecord(catalog, practiceId)
+
+				if (existing.type === 'root') {
+					throw commandError(`Root practice cannot be deleted: ${practiceId}`)
+				}
+
+				const touchesPractice = d => d.practice_id === practiceId || d.depends_on_id === practiceId
+				const removedDependencies = catalog.dependencies.filter(touchesPractice)
+
+				validateCandidate({
+					...catalog,
+					practices: catalog.practices.filter(p => p.id !== practiceId),
+					dependencies: catalog.dependencies.filter(d => !touchesPractice(d))
+				})
+
+				await practiceRepository.delete(PracticeId.from(practiceId))
+				return { id: practiceId, removedDependencies }
+			}),
+
+		/**
+		 * Add a dependency edge: practiceId depends on dependsOnId
+		 * @param {string} practiceId
+		 * @param {string} dependsOnId
+		 * @returns {Promise<Object>} Result with the new edge
+		 */
+		addDependency: (practiceId, dependsOnId) =>
+			run(async catalog => {
+				if (hasEdge(catalog, practiceId, dependsOnId)) {
+					throw commandError(`Dependency already exists: ${practiceId} -> ${dependsOnId}`)
+				}
+
+				const edge = { practice_id: practiceId, depends_on_id: dependsOnId }
+				validateCandidate({ ...catalog, dependencies: [...catalog.dependencies, edge] })
+
+				await practiceRepository.addDependency(
+					PracticeId.from(practiceId),
+					PracticeId.from(dependsOnId)
+				)
+				return edge
+			}),
+
+		/**
+		 * Remove a dependency edge
+		 * @param {string} practiceId
+		 * @param {string} dependsOnId
+		 * @returns {Promise<Object>} Result with the removed edge
+		 */
+		removeDependency: (practiceId, dependsOnId) =>
+			run(async catalog => {
+				if (!hasEdge(catalog, practiceId, dependsOnId)) {
+					throw commandError(`Dependency not found: ${practiceId} -> ${dependsOnId}`)
+				}
+
+				await practiceRepository.removeDependency(
+					PracticeId.from(practiceId),
+					PracticeId.from(dependsOnId)
+				)
+				return { practice_id: practiceId, depends_on_id: dependsOnId }
+			})
+	})
+}
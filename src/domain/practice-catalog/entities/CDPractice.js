@@ -9,6 +9,8 @@
  *   const withReq = withRequirement(practice, "Must have CI/CD pipeline")
  *   const withBenefit = withBenefit(withReq, "Faster feedback")
  */
+import { PracticeCategory } from '$domain/practice-catalog/value-objects/PracticeCategory.js'
+import { PracticeId } from '$domain/practice-catalog/value-objects/PracticeId.js'
 
 // ============================================================================
 // Validation (Pure Functions)
@@ -36,7 +38,8 @@ const validateNonEmptyString = (value, fieldName) => {
  * @param {string} name
  * @param {PracticeCategory} category
  * @param {string} description
- * @param {Object} options - Optional arrays for prerequisites, requirements, benefits
+ * @param {Object} options - Optional arrays for prerequisites, requirements, benefits,
+ *   plus quickStartGuide, maturityLevel, antiPatterns and migrationGuideUrl
  * @returns {Object} Frozen practice object
  */
 export const createCDPractice = (id, name, category, description, options = {}) => {
@@ -57,10 +60,35 @@ export const createCDPractice = (id, name, category, description, options = {})
 		requirements: Object.freeze([...(options.requirements || [])]),
 		benefits: Object.freeze([...(options.benefits || [])]),
 		quickStartGuide: options.quickStartGuide,
-		maturityLevel: options.maturityLevel
+		maturityLevel: options.maturityLevel,
+		antiPatterns: options.antiPatterns
+			? Object.freeze(options.antiPatterns.map(ap => Object.freeze({ ...ap })))
+			: undefined,
+		migrationGuideUrl: options.migrationGuideUrl
 	})
 }
 
+/**
+ * Create a CDPractice from a catalog record (the cd-practices.json practice shape)
+ * @param {Object} record - Practice record with string id and category
+ * @returns {Object} Frozen practice object
+ */
+export const createCDPracticeFromRecord = record =>
+	createCDPractice(
+		PracticeId.from(record.id),
+		record.name,
+		PracticeCategory.from(record.category),
+		record.description,
+		{
+			requirements: record.requirements || [],
+			benefits: record.benefits || [],
+			quickStartGuide: record.quickStartGuide,
+			maturityLevel: record.maturityLevel,
+			antiPatterns: record.antiPatterns,
+			migrationGuideUrl: record.migrationGuideUrl
+		}
+	)
+
 // ============================================================================
 // Transformations (Pure Functions - Return New Practices)
 // ============================================================================
@@ -71,6 +71,40 @@ export const createPracticeRepository = () => ({
 		throw new Error('Not implemented - override in subclass')
 	},
 
+	/**
+	 * Get all categories found in a practice's transitive dependencies
+	 * @param {PracticeId} _practiceId
+	 * @returns {Promise<string[]>}
+	 */
+	getTransitiveCategories: async _practiceId => {
+		throw new Error('Not implemented - override in subclass')
+	},
+
+	/**
+	 * Count total dependencies for a practice (direct + transitive)
+	 * @param {PracticeId} _practiceId
+	 * @returns {Promise<number>}
+	 */
+	countTotalDependencies: async _practiceId => {
+		throw new Error('Not implemented - override in subclass')
+	},
+
+	/**
+	 * Get the catalog's pattern metadata (devopsTrilogy, criticalPath, implementationTimeline)
+	 * @returns {Promise<Object>} Patterns keyed by name, empty object if none
+	 */
+	getPatterns: async () => {
+		throw new Error('Not implemented - override in subclass')
+	},
+
+	/**
+	 * Get the catalog's practice ID aliases (former ID to current ID, or null when removed)
+	 * @returns {Promise<Object<string, string|null>>} Aliases keyed by former ID, empty object if none
+	 */
+	getAliases: async () => {
+		throw new Error('Not implemented - override in subclass')
+	},
+
 	/**
 	 * Save a practice
 	 * @param {CDPractice} _practice
@@ -78,5 +112,42 @@ export const createPracticeRepository = () => ({
 	 */
 	save: async _practice => {
 		throw new Error('Not implemented - override in subclass')
+	},
+
+	/**
+	 * Delete a practice and every dependency edge that references it
+	 * @param {PracticeId} _practiceId
+	 * @returns {Promise<void>}
+	 */
+	delete: async _practiceId => {
+		throw new Error('Not implemented - override in subclass')
+	},
+
+	/**
+	 * Add a dependency edge: practice depends on dependsOn
+	 * @param {PracticeId} _practiceId
+	 * @param {PracticeId} _dependsOnId
+	 * @returns {Promise<void>}
+	 */
+	addDependency: async (_practiceId, _dependsOnId) => {
+		throw new Error('Not implemented - override in subclass')
+	},
+
+	/**
+	 * Remove a dependency edge
+	 * @param {PracticeId} _practiceId
+	 * @param {PracticeId} _dependsOnId
+	 * @returns {Promise<void>}
+	 */
+	removeDependency: async (_practiceId, _dependsOnId) => {
+		throw new Error('Not implemented - override in subclass')
+	},
+
+	/**
+	 * Get the raw catalog in cd-practices.json shape, used to validate writes
+	 * @returns {Promise<{practices: Object[], dependencies: Object[]}>}
+	 */
+	getCatalogSnapshot: async () => {
+		throw new Error('Not implemented - override in subclass')
 	}
 })
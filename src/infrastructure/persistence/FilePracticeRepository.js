@@ -9,230 +9,320 @@
  * - No database hosting costs
  * - Version controlled data
  * - Perfect for SSG/CDN deployment
+ *
+ * Read-only by default (bundled cd-practices.json). Pass a catalog store
+ * (see JsonFileCatalogStore / InMemoryCatalogStore) to enable writes.
+ * Pass an overlay (see catalogOverlay.js) to merge organisation-specific
+ * practices into the bundled catalog at load time.
  */
-import { createCDPractice } from '$domain/practice-catalog/entities/CDPractice.js'
-import { PracticeId } from '$domain/practice-catalog/value-objects/PracticeId.js'
-import { PracticeCategory } from '$domain/practice-catalog/value-objects/PracticeCategory.js'
+import { createCDPracticeFromRecord } from '$domain/practice-catalog/entities/CDPractice.js'
 import data from '$lib/data/cd-practices.json'
+import {
+	describeCatalogError,
+	sortCatalog,
+	toPracticeRecord
+} from '$lib/domain/practice-catalog/catalog-format.js'
+import { applyCatalogOverlay } from '$infrastructure/persistence/catalogOverlay.js'
+import {
+	buildTreeWithDependencies,
+	collectTransitiveCategories,
+	getReachablePractices
+} from '$infrastructure/persistence/practiceTree.js'
 
 /**
- * Convert JSON object to domain model
- * @private
- */
-const toDomainModel = practiceData => {
-	const practice = createCDPractice(
-		PracticeId.from(practiceData.id),
-		practiceData.name,
-		PracticeCategory.from(practiceData.category),
-		practiceData.description,
-		{
-			requirements: practiceData.requirements || [],
-			benefits: practiceData.benefits || [],
-			quickStartGuide: practiceData.quickStartGuide,
-			maturityLevel: practiceData.maturityLevel
-		}
-	)
-
-	return practice
-}
-
-/**
- * Build tree structure from flat practices and dependencies
+ * Convert domain model to JSON object, keeping fields the entity does not model (e.g. type)
  * @private
  */
-const buildTreeWithDependencies = (practices, dependencies, rootId) => {
-	if (practices.length === 0) return null
-
-	// Create a map of all practices
-	const practiceMap = new Map()
-	practices.forEach(practice => {
-		practiceMap.set(practice.id, {
-			id: practice.id,
-			name: practice.name,
-			category: practice.category,
-			description: practice.description,
-			requirements: practice.requirements || [],
-			benefits: practice.benefits || [],
-			quickStartGuide: practice.quickStartGuide, // Preserve quickStartGuide
-			maturityLevel: practice.maturityLevel, // Preserve maturityLevel
-			level: practice.level || 0,
-			dependencies: []
-		})
+const toRecord = (practice, existing = {}) =>
+	toPracticeRecord({
+		benefits: [...practice.benefits],
+		category: practice.category.toString(),
+		description: practice.description,
+		id: practice.id.toString(),
+		maturityLevel: practice.maturityLevel,
+		name: practice.name,
+		quickStartGuide: practice.quickStartGuide,
+		requirements: [...practice.requirements],
+		type: existing.type || 'practice',
+		antiPatterns: practice.antiPatterns?.map(ap => ({ ...ap })),
+		migrationGuideUrl: practice.migrationGuideUrl
 	})
 
-	// Build dependency relationships
-	dependencies.forEach(dep => {
-		const parent = practiceMap.get(dep.practice_id)
-		const child = practiceMap.get(dep.depends_on_id)
-
-		// Only add if both practices are in our tree
-		if (parent && child) {
-			parent.dependencies.push(child)
-		}
-	})
-
-	// Return root practice
-	return practiceMap.get(rootId) || null
-}
-
 /**
- * Get all practices reachable from a root practice (recursive)
+ * Merge an overlay into the bundled catalog, failing loudly if the result is invalid
  * @private
  */
-const getReachablePractices = (rootId, dependencies, visited = new Set()) => {
-	if (visited.has(rootId)) return []
-	visited.add(rootId)
-
-	const reachable = [rootId]
-	const deps = dependencies.filter(d => d.practice_id === rootId)
+const mergeOverlay = overlay => {
+	const result = applyCatalogOverlay(data, overlay)
 
-	for (const dep of deps) {
-		const childReachable = getReachablePractices(dep.depends_on_id, dependencies, visited)
-		reachable.push(...childReachable)
+	if (!result.success) {
+		const details = result.errors.map(error => describeCatalogError(error))
+		throw new Error(`Invalid catalog overlay:\n  - ${details.join('\n  - ')}`)
 	}
 
-	return reachable
+	return result.catalog
 }
 
 /**
  * Create a file-based practice repository
  *
+ * @param {Object} options
+ * @param {Object} [options.store] - Catalog store with read() and write(catalog); enables writes
+ * @param {Object} [options.overlay] - Catalog overlay merged into the bundled catalog (read-only)
  * @returns {Object} Repository object with implemented methods
+ * @throws {Error} if both a store and an overlay are given, or the overlay is invalid
  */
-export const createFilePracticeRepository = () => ({
-	/**
-	 * Find a practice by its ID
-	 * @param {PracticeId} practiceId
-	 * @returns {Promise<CDPractice|null>}
-	 */
-	findById: async practiceId => {
-		const practice = data.practices.find(p => p.id === practiceId.toString())
-
-		if (!practice) {
-			return null
+export const createFilePracticeRepository = (options = {}) => {
+	const { store = null, overlay = null } = options
+
+	if (store && overlay) {
+		throw new Error('A catalog overlay cannot be combined with a writable catalog store')
+	}
+
+	// Catalog cached after the first read from the store (or the overlay merge)
+	let cachedCatalog = overlay ? mergeOverlay(overlay) : null
+
+	const getCatalog = async () => {
+		if (cachedCatalog) return cachedCatalog
+		if (!store) return data
+		cachedCatalog = await store.read()
+		return cachedCatalog
+	}
+
+	// Private helper: Apply a change to the catalog and persist it through the store
+	const writeCatalog = async transform => {
+		if (!store) {
+			throw new Error(
+				'Save not supported in file-based repository without a catalog store. Edit src/lib/data/cd-practices.json'
+			)
 		}
 
-		return toDomainModel(practice)
-	},
-
-	/**
-	 * Find all practices
-	 * @returns {Promise<CDPractice[]>}
-	 */
-	findAll: async () => {
-		return data.practices.map(practice => toDomainModel(practice))
-	},
-
-	/**
-	 * Find practices by category
-	 * @param {PracticeCategory} category
-	 * @returns {Promise<CDPractice[]>}
-	 */
-	findByCategory: async category => {
-		const practices = data.practices.filter(p => p.category === category.toString())
-		return practices.map(practice => toDomainModel(practice))
-	},
-
-	/**
-	 * Find practice prerequisites for a given practice
-	 * @param {PracticeId} practiceId
-	 * @returns {Promise<Array>}
-	 */
-	findPracticePrerequisites: async practiceId => {
-		const practiceIdStr = practiceId.toString()
-		const deps = data.dependencies.filter(d => d.practice_id === practiceIdStr)
-
-		const prerequisites = deps
-			.map(dep => {
-				const practice = data.practices.find(p => p.id === dep.depends_on_id)
-				if (!practice) return null
+		const nextCatalog = sortCatalog(transform(await getCatalog()))
+		await store.write(nextCatalog)
+		cachedCatalog = nextCatalog
+	}
+
+	return {
+		/**
+		 * Find a practice by its ID
+		 * @param {PracticeId} practiceId
+		 * @returns {Promise<CDPractice|null>}
+		 */
+		findById: async practiceId => {
+			const catalog = await getCatalog()
+			const practice = catalog.practices.find(p => p.id === practiceId.toString())
+
+			if (!practice) {
+				return null
+			}
+
+			return createCDPracticeFromRecord(practice)
+		},
+
+		/**
+		 * Find all practices
+		 * @returns {Promise<CDPractice[]>}
+		 */
+		findAll: async () => {
+			const catalog = await getCatalog()
+			return catalog.practices.map(practice => createCDPracticeFromRecord(practice))
+		},
+
+		/**
+		 * Find practices by category
+		 * @param {PracticeCategory} category
+		 * @returns {Promise<CDPractice[]>}
+		 */
+		findByCategory: async category => {
+			const catalog = await getCatalog()
+			const practices = catalog.practices.filter(p => p.category === category.toString())
+			return practices.map(practice => createCDPracticeFromRecord(practice))
+		},
+
+		/**
+		 * Find practice prerequisites for a given practice
+		 * @param {PracticeId} practiceId
+		 * @returns {Promise<Array>}
+		 */
+		findPracticePrerequisites: async practiceId => {
+			const catalog = await getCatalog()
+			const practiceIdStr = practiceId.toString()
+			const deps = catalog.dependencies.filter(d => d.practice_id === practiceIdStr)
+
+			const prerequisites = deps
+				.map(dep => {
+					const practice = catalog.practices.find(p => p.id === dep.depends_on_id)
+					if (!practice) return null
+
+					return {
+						practice: createCDPracticeFromRecord(practice),
+						rationale: ''
+					}
+				})
+				.filter(p => p !== null)
+
+			return prerequisites
+		},
+
+		/**
+		 * Find capability prerequisites for a given practice
+		 * @param {PracticeId} _practiceId
+		 * @returns {Promise<Array>}
+		 */
+		findCapabilityPrerequisites: async _practiceId => {
+			// Not supported in file-based repository
+			return []
+		},
+
+		/**
+		 * Get the complete practice tree
+		 * @param {PracticeId} rootId
+		 * @returns {Promise<Object>}
+		 */
+		getPracticeTree: async rootId => {
+			const catalog = await getCatalog()
+			const rootIdStr = rootId.toString()
+
+			// Get all reachable practices from root
+			const reachableIds = getReachablePractices(rootIdStr, catalog.dependencies)
+			const reachablePractices = catalog.practices.filter(p => reachableIds.includes(p.id))
+
+			if (reachablePractices.length === 0) {
+				return null
+			}
+
+			// Build tree structure with dependencies
+			return buildTreeWithDependencies(reachablePractices, catalog.dependencies, rootIdStr)
+		},
+
+		/**
+		 * Get transitive categories for a practice (all categories in dependency tree)
+		 * @param {PracticeId} practiceId
+		 * @returns {Promise<string[]>}
+		 */
+		getTransitiveCategories: async practiceId => {
+			const catalog = await getCatalog()
+			return collectTransitiveCategories(
+				practiceId.toString(),
+				catalog.practices,
+				catalog.dependencies
+			)
+		},
+
+		/**
+		 * Count total dependencies for a practice (direct + indirect/transitive)
+		 * @param {PracticeId} practiceId
+		 * @returns {Promise<number>}
+		 */
+		countTotalDependencies: async practiceId => {
+			const catalog = await getCatalog()
+			const practiceIdStr = practiceId.toString()
+			const reachableIds = getReachablePractices(practiceIdStr, catalog.dependencies)
+			// Subtract 1 to exclude the practice itself
+			return reachableIds.length - 1
+		},
+
+		/**
+		 * Get the catalog's pattern metadata
+		 * @returns {Promise<Object>}
+		 */
+		getPatterns: async () => {
+			const catalog = await getCatalog()
+			return catalog.metadata?.patterns ?? {}
+		},
+
+		/**
+		 * Get the catalog's practice ID aliases
+		 * @returns {Promise<Object<string, string|null>>}
+		 */
+		getAliases: async () => {
+			const catalog = await getCatalog()
+			return { ...catalog.metadata?.aliases }
+		},
+
+		/**
+		 * Get the raw catalog (practices + dependency edges) for validation
+		 * @returns {Promise<{practices: Object[], dependencies: Object[]}>}
+		 */
+		getCatalogSnapshot: async () => {
+			const catalog = await getCatalog()
+			return {
+				practices: catalog.practices.map(p => ({ ...p })),
+				dependencies: catalog.dependencies.map(d => ({ ...d }))
+			}
+		},
+
+		/**
+		 * Save a practice (insert or update by ID)
+		 * @param {CDPractice} practice
+		 * @returns {Promise<void>}
+		 */
+		save: async practice => {
+			const id = practice.id.toString()
+
+			await writeCatalog(catalog => {
+				const existing = catalog.practices.find(p => p.id === id)
+				const record = toRecord(practice, existing)
 
 				return {
-					practice: toDomainModel(practice),
-					rationale: ''
+					...catalog,
+					practices: existing
+						? catalog.practices.map(p => (p.id === id ? record : p))
+						: [...catalog.practices, record]
 				}
 			})
-			.filter(p => p !== null)
-
-		return prerequisites
-	},
-
-	/**
-	 * Find capability prerequisites for a given practice
-	 * @param {PracticeId} _practiceId
-	 * @returns {Promise<Array>}
-	 */
-	findCapabilityPrerequisites: async _practiceId => {
-		// Not supported in file-based repository
-		return []
-	},
-
-	/**
-	 * Get the complete practice tree
-	 * @param {PracticeId} rootId
-	 * @returns {Promise<Object>}
-	 */
-	getPracticeTree: async rootId => {
-		const rootIdStr = rootId.toString()
-
-		// Get all reachable practices from root
-		const reachableIds = getReachablePractices(rootIdStr, data.dependencies)
-		const reachablePractices = data.practices.filter(p => reachableIds.includes(p.id))
-
-		if (reachablePractices.length === 0) {
-			return null
-		}
-
-		// Build tree structure with dependencies
-		return buildTreeWithDependencies(reachablePractices, data.dependencies, rootIdStr)
-	},
-
-	/**
-	 * Get transitive categories for a practice (all categories in dependency tree)
-	 * @param {PracticeId} practiceId
-	 * @returns {Promise<string[]>}
-	 */
-	getTransitiveCategories: async practiceId => {
-		const visited = new Set()
-		const categories = new Set()
-
-		const collectCategories = practiceIdStr => {
-			if (visited.has(practiceIdStr)) return
-			visited.add(practiceIdStr)
-
-			const deps = data.dependencies.filter(d => d.practice_id === practiceIdStr)
-
-			for (const dep of deps) {
-				const practice = data.practices.find(p => p.id === dep.depends_on_id)
-				if (practice) {
-					categories.add(practice.category)
-					collectCategories(dep.depends_on_id)
-				}
-			}
+		},
+
+		/**
+		 * Delete a practice and every dependency edge that references it
+		 * @param {PracticeId} practiceId
+		 * @returns {Promise<void>}
+		 */
+		delete: async practiceId => {
+			const id = practiceId.toString()
+
+			await writeCatalog(catalog => ({
+				...catalog,
+				practices: catalog.practices.filter(p => p.id !== id),
+				dependencies: catalog.dependencies.filter(
+					d => d.practice_id !== id && d.depends_on_id !== id
+				)
+			}))
+		},
+
+		/**
+		 * Add a dependency edge (no-op if it already exists)
+		 * @param {PracticeId} practiceId - The dependent practice
+		 * @param {PracticeId} dependsOnId - The prerequisite practice
+		 * @returns {Promise<void>}
+		 */
+		addDependency: async (practiceId, dependsOnId) => {
+			const edge = { depends_on_id: dependsOnId.toString(), practice_id: practiceId.toString() }
+
+			await writeCatalog(catalog => {
+				const exists = catalog.dependencies.some(
+					d => d.practice_id === edge.practice_id && d.depends_on_id === edge.depends_on_id
+				)
+				return exists ? catalog : { ...catalog, dependencies: [...catalog.dependencies, edge] }
+			})
+		},
+
+		/**
+		 * Remove a dependency edge
+		 * @param {PracticeId} practiceId - The dependent practice
+		 * @param {PracticeId} dependsOnId - The prerequisite practice
+		 * @returns {Promise<void>}
+		 */
+		removeDependency: async (practiceId, dependsOnId) => {
+			const practiceIdStr = practiceId.toString()
+			const dependsOnIdStr = dependsOnId.toString()
+
+			await writeCatalog(catalog => ({
+				...catalog,
+				dependencies: catalog.dependencies.filter(
+					d => !(d.practice_id === practiceIdStr && d.depends_on_id === dependsOnIdStr)
+				)
+			}))
 		}
-
-		collectCategories(practiceId.toString())
-		return Array.from(categories).sort()
-	},
-
-	/**
-	 * Count total dependencies for a practice (direct + indirect/transitive)
-	 * @param {PracticeId} practiceId
-	 * @returns {Promise<number>}
-	 */
-	countTotalDependencies: async practiceId => {
-		const practiceIdStr = practiceId.toString()
-		const reachableIds = getReachablePractices(practiceIdStr, data.dependencies)
-		// Subtract 1 to exclude the practice itself
-		return reachableIds.length - 1
-	},
-
-	/**
-	 * Save a practice
-	 * @param {CDPractice} _practice
-	 * @returns {Promise<void>}
-	 */
-	save: async _practice => {
-		throw new Error('Save not supported in file-based repository. Edit src/data/cd-practices.json')
 	}
-})
+}
@@ -0,0 +1,28 @@
+/**
+ * InMemoryCatalogStore - Catalog store that keeps the catalog in memory
+ *
+ * Useful for tests and previews where writes must not touch the file system.
+ * Reads and writes deep-copy the catalog so callers can never mutate stored state.
+ *
+ * Usage:
+ *   const store = createInMemoryCatalogStore(data)
+ *   const repository = createFilePracticeRepository({ store })
+ */
+
+const copy = catalog => JSON.parse(JSON.stringify(catalog))
+
+/**
+ * Create an in-memory catalog store
+ * @param {Object} initialCatalog - Catalog data ({ practices, dependencies, metadata })
+ * @returns {Object} Store with read() and write(catalog)
+ */
+export const createInMemoryCatalogStore = initialCatalog => {
+	let catalog = copy(initialCatalog)
+
+	return Object.freeze({
+		read: async () => copy(catalog),
+		write: async nextCatalog => {
+			catalog = copy(nextCatalog)
+		}
+	})
+}
@@ -0,0 +1,56 @@
+/**
+ * JsonFileCatalogStore - Catalog store backed by a JSON file on disk
+ *
+ * Intended for local development: lets FilePracticeRepository write changes
+ * back to src/lib/data/cd-practices.json.
+ *
+ * Writes are atomic: the catalog is written to a temporary file in the same
+ * directory and then renamed over the original, so a crash mid-write never
+ * leaves a truncated file behind.
+ *
+ * Usage:
+ *   const store = createJsonFileCatalogStore('src/lib/data/cd-practices.json')
+ *   const repository = createFilePracticeRepository({ store })
+ */
+import { readFile, rename, unlink, writeFile } from 'node:fs/promises'
+import { basename, dirname, join } from 'node:path'
+import { serializeCatalog } from '$lib/domain/practice-catalog/catalog-format.js'
+
+/**
+ * Create a catalog store for a JSON file
+ * @param {string} filePath - Path to the catalog JSON file
+ * @returns {Object} Store with read() and write(catalog)
+ */
+export const createJsonFileCatalogStore = filePath => {
+	if (!filePath) {
+		throw new Error('Catalog file path is required')
+	}
+
+	return Object.freeze({
+		/**
+		 * Read and parse the catalog file
+		 * @returns {Promise<Object>}
+		 */
+		read: async () => JSON.parse(await readFile(filePath, 'utf-8')),
+
+		/**
+		 * Atomically replace the catalog file
+		 * @param {Object} catalog
+		 * @returns {Promise<void>}
+		 */
+		write: async catalog => {
+			const tempPath = join(
+				dirname(filePath),
+				`.${basename(filePath)}.${process.pid}.${Date.now()}.tmp`
+			)
+
+			try {
+				await writeFile(tempPath, serializeCatalog(catalog), 'utf-8')
+				await rename(tempPath, filePath)
+			} catch (error) {
+				await unlink(tempPath).catch(() => {})
+				throw error
+			}
+		}
+	})
+}
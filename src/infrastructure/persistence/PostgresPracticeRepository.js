@@ -0,0 +1,284 @@
+/**
+ * PostgresPracticeRepository - PostgreSQL Repository Implementation
+ *
+ * Reads practice data from the tables defined in db/schema.sql.
+ * Lets a team maintain a private practice catalog in a database
+ * instead of src/lib/data/cd-practices.json.
+ *
+ * Works with any client exposing the node-postgres `query(text, params)`
+ * interface (pg.Pool, pg.Client, or pg-mem's adapter in tests).
+ *
+ * Usage:
+ *   const repository = createPostgresPracticeRepository(pool)
+ *   const practice = await repository.findById(PracticeId.from('version-control'))
+ */
+import { createCDPracticeFromRecord } from '$domain/practice-catalog/entities/CDPractice.js'
+import {
+	buildTreeWithDependencies,
+	collectTransitiveCategories,
+	getReachablePractices
+} from '$infrastructure/persistence/practiceTree.js'
+
+const PRACTICE_COLUMNS = `id, name, type, category, description, requirements, benefits,
+	maturity_level, quick_start_guide, anti_patterns, migration_guide_url`
+
+/**
+ * Convert a database row to the flat catalog record shape (same as cd-practices.json)
+ * @private
+ */
+const toRecord = row => ({
+	id: row.id,
+	name: row.name,
+	type: row.type,
+	category: row.category,
+	description: row.description,
+	requirements: row.requirements || [],
+	benefits: row.benefits || [],
+	maturityLevel: row.maturity_level ?? undefined,
+	quickStartGuide: row.quick_start_guide ?? undefined,
+	antiPatterns: row.anti_patterns ?? undefined,
+	migrationGuideUrl: row.migration_guide_url ?? undefined
+})
+
+/**
+ * Create a PostgreSQL-backed practice repository
+ *
+ * @param {Object} dbClient - node-postgres compatible client with query(text, params)
+ * @returns {Object} Repository object with implemented methods
+ */
+export const createPostgresPracticeRepository = dbClient => {
+	if (!dbClient || typeof dbClient.query !== 'function') {
+		throw new Error('A database client with a query() method is required')
+	}
+
+	const query = async (text, params = []) => {
+		const result = await dbClient.query(text, params)
+		return result.rows
+	}
+
+	// Private helper: Load the full catalog (practices + edges) in two queries.
+	// Graph traversal happens in memory, the catalog is small (tens of practices)
+	const loadCatalog = async () => {
+		const [practiceRows, dependencies] = await Promise.all([
+			query(`SELECT ${PRACTICE_COLUMNS} FROM practices ORDER BY id`),
+			query(
+				'SELECT practice_id, depends_on_id FROM practice_dependencies ORDER BY practice_id, depends_on_id'
+			)
+		])
+
+		return { practices: practiceRows.map(toRecord), dependencies }
+	}
+
+	return Object.freeze({
+		/**
+		 * Find a practice by its ID
+		 * @param {PracticeId} practiceId
+		 * @returns {Promise<CDPractice|null>}
+		 */
+		findById: async practiceId => {
+			const rows = await query(`SELECT ${PRACTICE_COLUMNS} FROM practices WHERE id = $1`, [
+				practiceId.toString()
+			])
+
+			return rows.length > 0 ? createCDPracticeFromRecord(toRecord(rows[0])) : null
+		},
+
+		/**
+		 * Find all practices
+		 * @returns {Promise<CDPractice[]>}
+		 */
+		findAll: async () => {
+			const rows = await query(`SELECT ${PRACTICE_COLUMNS} FROM practices ORDER BY id`)
+			return rows.map(row => createCDPracticeFromRecord(toRecord(row)))
+		},
+
+		/**
+		 * Find practices by category
+		 * @param {PracticeCategory} category
+		 * @returns {Promise<CDPractice[]>}
+		 */
+		findByCategory: async category => {
+			const rows = await query(
+				`SELECT ${PRACTICE_COLUMNS} FROM practices WHERE category = $1 ORDER BY id`,
+				[category.toString()]
+			)
+			return rows.map(row => createCDPracticeFromRecord(toRecord(row)))
+		},
+
+		/**
+		 * Find practice prerequisites for a given practice
+		 * @param {PracticeId} practiceId
+		 * @returns {Promise<Array>}
+		 */
+		findPracticePrerequisites: async practiceId => {
+			const rows = await query(
+				`SELECT p.id, p.name, p.type, p.category, p.description, p.requirements, p.benefits,
+					p.maturity_level, p.quick_start_guide, p.anti_patterns, p.migration_guide_url
+				FROM practice_dependencies d
+				JOIN practices p ON p.id = d.depends_on_id
+				WHERE d.practice_id = $1
+				ORDER BY p.id`,
+				[practiceId.toString()]
+			)
+
+			return rows.map(row => ({
+				practice: createCDPracticeFromRecord(toRecord(row)),
+				rationale: ''
+			}))
+		},
+
+		/**
+		 * Find capability prerequisites for a given practice
+		 * @param {PracticeId} _practiceId
+		 * @returns {Promise<Array>}
+		 */
+		findCapabilityPrerequisites: async _practiceId => {
+			// Capabilities are not part of the schema
+			return []
+		},
+
+		/**
+		 * Get the complete practice tree
+		 * @param {PracticeId} rootId
+		 * @returns {Promise<Object>}
+		 */
+		getPracticeTree: async rootId => {
+			const rootIdStr = rootId.toString()
+			const { practices, dependencies } = await loadCatalog()
+
+			const reachableIds = new Set(getReachablePractices(rootIdStr, dependencies))
+			const reachablePractices = practices.filter(p => reachableIds.has(p.id))
+
+			if (!reachablePractices.some(p => p.id === rootIdStr)) {
+				return null
+			}
+
+			return buildTreeWithDependencies(reachablePractices, dependencies, rootIdStr)
+		},
+
+		/**
+		 * Get transitive categories for a practice (all categories in dependency tree)
+		 * @param {PracticeId} practiceId
+		 * @returns {Promise<string[]>}
+		 */
+		getTransitiveCategories: async practiceId => {
+			const { practices, dependencies } = await loadCatalog()
+			return collectTransitiveCategories(practiceId.toString(), practices, dependencies)
+		},
+
+		/**
+		 * Count total dependencies for a practice (direct + indirect/transitive)
+		 * @param {PracticeId} practiceId
+		 * @returns {Promise<number>}
+		 */
+		countTotalDependencies: async practiceId => {
+			const dependencies = await query(
+				'SELECT practice_id, depends_on_id FROM practice_dependencies'
+			)
+			// Subtract 1 to exclude the practice itself
+			return getReachablePractices(practiceId.toString(), dependencies).length - 1
+		},
+
+		/**
+		 * Get the catalog's pattern metadata (stored under the 'patterns' metadata key)
+		 * @returns {Promise<Object>}
+		 */
+		getPatterns: async () => {
+			const rows = await query("SELECT value FROM metadata WHERE key = 'patterns'")
+			return rows[0]?.value ?? {}
+		},
+
+		/**
+		 * Get the catalog's practice ID aliases (stored under the 'aliases' metadata key)
+		 * @returns {Promise<Object<string, string|null>>}
+		 */
+		getAliases: async () => {
+			const rows = await query("SELECT value FROM metadata WHERE key = 'aliases'")
+			return rows[0]?.value ?? {}
+		},
+
+		/**
+		 * Get the raw catalog (practices + dependency edges) for validation
+		 * @returns {Promise<{practices: Object[], dependencies: Object[]}>}
+		 */
+		getCatalogSnapshot: async () => loadCatalog(),
+
+		/**
+		 * Save a practice (insert or update by ID)
+		 * New practices get type 'practice'; an existing practice keeps its type
+		 * (like FilePracticeRepository). Dependency edges are not touched - use
+		 * addDependency/removeDependency.
+		 * @param {CDPractice} practice
+		 * @returns {Promise<void>}
+		 */
+		save: async practice => {
+			await query(
+				`INSERT INTO practices
+					(id, name, type, category, description, requirements, benefits, maturity_level,
+					quick_start_guide, anti_patterns, migration_guide_url)
+				VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+				ON CONFLICT (id) DO UPDATE SET
+					name = EXCLUDED.name,
+					category = EXCLUDED.category,
+					description = EXCLUDED.description,
+					requirements = EXCLUDED.requirements,
+					benefits = EXCLUDED.benefits,
+					maturity_level = EXCLUDED.maturity_level,
+					quick_start_guide = EXCLUDED.quick_start_guide,
+					anti_patterns = EXCLUDED.anti_patterns,
+					migration_guide_url = EXCLUDED.migration_guide_url,
+					updated_at = CURRENT_TIMESTAMP`,
+				[
+					practice.id.toString(),
+					practice.name,
+					'practice',
+					practice.category.toString(),
+					practice.description,
+					JSON.stringify(practice.requirements),
+					JSON.stringify(practice.benefits),
+					practice.maturityLevel ?? null,
+					practice.quickStartGuide ?? null,
+					practice.antiPatterns ? JSON.stringify(practice.antiPatterns) : null,
+					practice.migrationGuideUrl ?? null
+				]
+			)
+		},
+
+		/**
+		 * Delete a practice and every dependency edge that references it
+		 * (edges go with it through the ON DELETE CASCADE foreign keys in db/schema.sql)
+		 * @param {PracticeId} practiceId
+		 * @returns {Promise<void>}
+		 */
+		delete: async practiceId => {
+			await query('DELETE FROM practices WHERE id = $1', [practiceId.toString()])
+		},
+
+		/**
+		 * Add a dependency edge (no-op if it already exists)
+		 * @param {PracticeId} practiceId - The dependent practice
+		 * @param {PracticeId} dependsOnId - The prerequisite practice
+		 * @returns {Promise<void>}
+		 */
+		addDependency: async (practiceId, dependsOnId) => {
+			await query(
+				`INSERT INTO practice_dependencies (practice_id, depends_on_id) VALUES ($1, $2)
+				ON CONFLICT (practice_id, depends_on_id) DO NOTHING`,
+				[practiceId.toString(), dependsOnId.toString()]
+			)
+		},
+
+		/**
+		 * Remove a dependency edge
+		 * @param {PracticeId} practiceId - The dependent practice
+		 * @param {PracticeId} dependsOnId - The prerequisite practice
+		 * @returns {Promise<void>}
+		 */
+		removeDependency: async (practiceId, dependsOnId) => {
+			await query(
+				'DELETE FROM practice_dependencies WHERE practice_id = $1 AND depends_on_id = $2',
+				[practiceId.toString(), dependsOnId.toString()]
+			)
+		}
+	})
+}
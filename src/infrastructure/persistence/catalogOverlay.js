@@ -0,0 +1,176 @@
+/**
+ * Catalog Overlay
+ *
+ * Applies an organisation-specific overlay on top of cd-practices.json so
+ * internal practices can live in the MinimumCD graph without editing upstream data.
+ *
+ * Overlay format (see src/lib/schemas/cd-practices-overlay.schema.json):
+ *   {
+ *     "practices": [ { ...practice record } ],            // added practices
+ *     "dependencies": { "add": [...edges], "remove": [...edges] },
+ *     "hide": ["practice-id"]                              // hidden practices
+ *   }
+ *
+ * Hiding a practice removes it and its edges; its dependents inherit its
+ * prerequisites so the rest of the tree stays connected.
+ *
+ * The merged catalog goes through validateCdPractices (schema, references, cycles).
+ */
+import { sortCatalog } from '$lib/domain/practice-catalog/catalog-format.js'
+import overlaySchema from '$lib/schemas/cd-practices-overlay.schema.json'
+import catalogSchema from '$lib/schemas/cd-practices.schema.json'
+import { validateCdPractices, validateSchema } from '$lib/validators/cd-practices-validator.js'
+
+const edgeKey = edge => `${edge.practice_id}->${edge.depends_on_id}`
+
+/**
+ * Add practices; IDs that already exist are reported instead of overwritten
+ * @private
+ */
+const addPractices = (catalog, practices = []) => {
+	const existingIds = new Set(catalog.practices.map(p => p.id))
+	const errors = practices
+		.filter(p => existingIds.has(p.id))
+		.map(p => ({ message: 'Overlay practice already exists in the catalog', practice_id: p.id }))
+
+	return {
+		catalog: {
+			...catalog,
+			practices: [
+				...catalog.practices,
+				...practices.filter(p => !existingIds.has(p.id)).map(p => ({ type: 'practice', ...p }))
+			]
+		},
+		errors
+	}
+}
+
+/**
+ * Remove edges; removing an edge that does not exist is reported (usually a typo)
+ * @private
+ */
+const removeDependencies = (catalog, edges = []) => {
+	const existing = new Set(catalog.dependencies.map(edgeKey))
+	const removed = new Set(edges.map(edgeKey))
+	const errors = edges
+		.filter(edge => !existing.has(edgeKey(edge)))
+		.map(edge => ({
+			message: 'Overlay removes a dependency that does not exist',
+			dependency: edge,
+			reason: `${edge.practice_id} does not depend on ${edge.depends_on_id}`
+		}))
+
+	return {
+		catalog: {
+			...catalog,
+			dependencies: catalog.dependencies.filter(edge => !removed.has(edgeKey(edge)))
+		},
+		errors
+	}
+}
+
+/**
+ * Add edges; edges that already exist are skipped
+ * @private
+ */
+const addDependencies = (catalog, edges = []) => {
+	const existing = new Set(catalog.dependencies.map(edgeKey))
+	const added = edges
+		.filter(edge => !existing.has(edgeKey(edge)))
+		.map(edge => ({ depends_on_id: edge.depends_on_id, practice_id: edge.practice_id }))
+
+	return { catalog: { ...catalog, dependencies: [...catalog.dependencies, ...added] }, errors: [] }
+}
+
+/**
+ * Hide one practice, connecting its dependents to its prerequisites
+ * @private
+ */
+const hidePractice = (catalog, practiceId) => {
+	const dependents = catalog.dependencies
+		.filter(d => d.depends_on_id === practiceId)
+		.map(d => d.practice_id)
+	const prerequisites = catalog.dependencies
+		.filter(d => d.practice_id === practiceId)
+		.map(d => d.depends_on_id)
+
+	const remaining = catalog.dependencies.filter(
+		d => d.practice_id !== practiceId && d.depends_on_id !== practiceId
+	)
+	const bridges = dependents.flatMap(practice_id =>
+		prerequisites.map(depends_on_id => ({ depends_on_id, practice_id }))
+	)
+
+	return addDependencies(
+		{
+			...catalog,
+			practices: catalog.practices.filter(p => p.id !== practiceId),
+			dependencies: remaining
+		},
+		bridges
+	).catalog
+}
+
+/**
+ * Hide practices; unknown IDs and root practices are reported
+ * @private
+ */
+const hidePractices = (catalog, practiceIds = []) => {
+	const practicesById = new Map(catalog.practices.map(p => [p.id, p]))
+	const errors = practiceIds.flatMap(id => {
+		if (!practicesById.has(id)) {
+			return [{ message: 'Overlay hides an unknown practice', practice_id: id }]
+		}
+		if (practicesById.get(id).type === 'root') {
+			return [{ message: 'Overlay cannot hide the root practice', practice_id: id }]
+		}
+		return []
+	})
+
+	const hideable = practiceIds.filter(
+		id => practicesById.has(id) && practicesById.get(id).type !== 'root'
+	)
+
+	return { catalog: hideable.reduce(hidePractice, catalog), errors }
+}
+
+/**
+ * Apply an overlay to a catalog and validate the result
+ *
+ * Steps run in order: add practices, remove edges, add edges, hide practices.
+ *
+ * @param {Object} catalog - Base catalog (cd-practices.json shape)
+ * @param {Object} overlay - Overlay document
+ * @returns {{success: boolean, catalog: Object|null, errors: Object[]}}
+ */
+export const applyCatalogOverlay = (catalog, overlay) => {
+	const shape = validateSchema(overlaySchema)(overlay)
+	if (!shape.isValid) {
+		return { success: false, catalog: null, errors: shape.errors }
+	}
+
+	const steps = [
+		current => addPractices(current, overlay.practices),
+		current => removeDependencies(current, overlay.dependencies?.remove),
+		current => addDependencies(current, overlay.dependencies?.add),
+		current => hidePractices(current, overlay.hide)
+	]
+
+	const result = steps.reduce(
+		(acc, step) => {
+			const { catalog: next, errors } = step(acc.catalog)
+			return { catalog: next, errors: [...acc.errors, ...errors] }
+		},
+		{ catalog, errors: [] }
+	)
+
+	const merged = sortCatalog(result.catalog)
+	const validation = validateCdPractices(catalogSchema)(merged)
+	const errors = [...result.errors, ...validation.errors]
+
+	return {
+		success: errors.length === 0,
+		catalog: errors.length === 0 ? merged : null,
+		errors
+	}
+}
@@ -0,0 +1,131 @@
+/**
+ * Practice Repository Selection
+ *
+ * Chooses the repository adapter from environment configuration:
+ *
+ *   PRACTICE_REPOSITORY=file      (default) src/lib/data/cd-practices.json
+ *   PRACTICE_REPOSITORY=postgres  PostgreSQL via DATABASE_URL
+ *
+ *   PRACTICE_CATALOG_FILE=<path>  (file only) read and write this JSON file
+ *                                 instead of the bundled catalog - for local editing
+ *   PRACTICE_CATALOG_OVERLAY=<path>  (file only) merge this overlay JSON into the
+ *                                 bundled catalog - for organisation-specific practices;
+ *                                 read and validated once per process
+ *
+ * The variables are server-only, so routes read them from `$env/dynamic/private`
+ * and pass them in rather than this module reaching for `process.env`.
+ *
+ * Usage:
+ *   import { env } from '$env/dynamic/private'
+ *   const repository = await createConfiguredPracticeRepository(env)
+ */
+import { readFile } from 'node:fs/promises'
+import { createFilePracticeRepository } from '$infrastructure/persistence/FilePracticeRepository.js'
+import { createJsonFileCatalogStore } from '$infrastructure/persistence/JsonFileCatalogStore.js'
+import { createPostgresPracticeRepository } from '$infrastructure/persistence/PostgresPracticeRepository.js'
+
+export const REPOSITORY_TYPES = Object.freeze(['file', 'postgres'])
+
+// Shared connection pool - created on first use, reused across requests
+let pool = null
+
+/**
+ * Lazily create the node-postgres pool.
+ * `pg` is imported dynamically so file-based deployments never load it.
+ * @private
+ */
+const getPool = async connectionString => {
+	if (!pool) {
+		const { default: pg } = await import('pg')
+		pool = new pg.Pool({ connectionString })
+	}
+	return pool
+}
+
+// Overlay repositories by overlay path - created on first use, reused across requests
+const overlayRepositories = new Map()
+
+/**
+ * Read an overlay file and merge it into the bundled catalog once per process.
+ * The merged catalog is read-only, so every request can share its repository.
+ * @private
+ */
+const getOverlayRepository = overlayPath => {
+	if (!overlayRepositories.has(overlayPath)) {
+		const repository = readFile(overlayPath, 'utf-8').then(text =>
+			createFilePracticeRepository({ overlay: JSON.parse(text) })
+		)
+		// Forget a failed load so a corrected overlay file is picked up by the next request
+		repository.catch(() => overlayRepositories.delete(overlayPath))
+		overlayRepositories.set(overlayPath, repository)
+	}
+
+	return overlayRepositories.get(overlayPath)
+}
+
+/**
+ * Resolve the configured repository type
+ * @param {Object} env - Environment variables
+ * @returns {string} One of REPOSITORY_TYPES
+ * @throws {Error} if the configured type is unknown
+ */
+export const resolveRepositoryType = (env = {}) => {
+	const type = (env.PRACTICE_REPOSITORY || 'file').trim().toLowerCase()
+
+	if (!REPOSITORY_TYPES.includes(type)) {
+		throw new Error(
+			`Invalid PRACTICE_REPOSITORY: "${type}". Must be one of: ${REPOSITORY_TYPES.join(', ')}`
+		)
+	}
+
+	return type
+}
+
+/**
+ * Whether the configured repository persists writes
+ * (the bundled and overlay-merged catalogs are read-only)
+ * @param {Object} env - Environment variables
+ * @returns {boolean}
+ */
+export const isCatalogWritable = (env = {}) =>
+	resolveRepositoryType(env) === 'postgres' ||
+	Boolean(env.PRACTICE_CATALOG_FILE && !env.PRACTICE_CATALOG_OVERLAY)
+
+/**
+ * Create the practice repository selected by configuration
+ * @param {Object} env - Server-only environment variables (`$env/dynamic/private` in routes)
+ * @param {Object} options
+ * @param {Object} [options.dbClient] - Pre-built database client (skips pool creation)
+ * @returns {Promise<Object>} Repository implementing the PracticeRepository port
+ */
+export const createConfiguredPracticeRepository = async (env = {}, options = {}) => {
+	const type = resolveRepositoryType(env)
+
+	if (type === 'postgres') {
+		if (options.dbClient) {
+			return createPostgresPracticeRepository(options.dbClient)
+		}
+
+		if (!env.DATABASE_URL) {
+			throw new Error('DATABASE_URL is required when PRACTICE_REPOSITORY=postgres')
+		}
+
+		return createPostgresPracticeRepository(await getPool(env.DATABASE_URL))
+	}
+
+	if (env.PRACTICE_CATALOG_OVERLAY) {
+		if (env.PRACTICE_CATALOG_FILE) {
+			throw new Error('PRACTICE_CATALOG_OVERLAY cannot be combined with PRACTICE_CATALOG_FILE')
+		}
+
+		return getOverlayRepository(env.PRACTICE_CATALOG_OVERLAY)
+	}
+
+	if (env.PRACTICE_CATALOG_FILE) {
+		return createFilePracticeRepository({
+			store: createJsonFileCatalogStore(env.PRACTICE_CATALOG_FILE)
+		})
+	}
+
+	return createFilePracticeRepository()
+}
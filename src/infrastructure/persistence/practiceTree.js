@@ -0,0 +1,102 @@
+/**
+ * Practice Tree Helpers - Shared by Repository Implementations
+ *
+ * Pure functions that operate on the flat catalog shape used by
+ * cd-practices.json (practices array + practice_id/depends_on_id edges).
+ * Every repository adapter normalizes its storage format into this shape
+ * so tree building and traversal behave identically across adapters.
+ */
+
+/**
+ * Build tree structure from flat practices and dependencies
+ * @param {Object[]} practices - Flat practice records
+ * @param {Object[]} dependencies - Dependency edges
+ * @param {string} rootId - Root practice ID
+ * @returns {Object|null} Root node with nested dependencies
+ */
+export const buildTreeWithDependencies = (practices, dependencies, rootId) => {
+	if (practices.length === 0) return null
+
+	// Create a map of all practices
+	const practiceMap = new Map()
+	practices.forEach(practice => {
+		practiceMap.set(practice.id, {
+			id: practice.id,
+			name: practice.name,
+			category: practice.category,
+			description: practice.description,
+			requirements: practice.requirements || [],
+			benefits: practice.benefits || [],
+			quickStartGuide: practice.quickStartGuide, // Preserve quickStartGuide
+			maturityLevel: practice.maturityLevel, // Preserve maturityLevel
+			level: practice.level || 0,
+			dependencies: []
+		})
+	})
+
+	// Build dependency relationships
+	dependencies.forEach(dep => {
+		const parent = practiceMap.get(dep.practice_id)
+		const child = practiceMap.get(dep.depends_on_id)
+
+		// Only add if both practices are in our tree
+		if (parent && child) {
+			parent.dependencies.push(child)
+		}
+	})
+
+	// Return root practice
+	return practiceMap.get(rootId) || null
+}
+
+/**
+ * Get all practices reachable from a root practice (recursive)
+ * @param {string} rootId - Root practice ID
+ * @param {Object[]} dependencies - Dependency edges
+ * @param {Set<string>} visited - Already visited IDs (cycle guard)
+ * @returns {string[]} Reachable practice IDs, including the root
+ */
+export const getReachablePractices = (rootId, dependencies, visited = new Set()) => {
+	if (visited.has(rootId)) return []
+	visited.add(rootId)
+
+	const reachable = [rootId]
+	const deps = dependencies.filter(d => d.practice_id === rootId)
+
+	for (const dep of deps) {
+		const childReachable = getReachablePractices(dep.depends_on_id, dependencies, visited)
+		reachable.push(...childReachable)
+	}
+
+	return reachable
+}
+
+/**
+ * Collect the categories of every transitive dependency of a practice
+ * @param {string} practiceId - Practice to start from (its own category is excluded)
+ * @param {Object[]} practices - Flat practice records
+ * @param {Object[]} dependencies - Dependency edges
+ * @returns {string[]} Sorted unique categories
+ */
+export const collectTransitiveCategories = (practiceId, practices, dependencies) => {
+	const visited = new Set()
+	const categories = new Set()
+
+	const collectCategories = practiceIdStr => {
+		if (visited.has(practiceIdStr)) return
+		visited.add(practiceIdStr)
+
+		const deps = dependencies.filter(d => d.practice_id === practiceIdStr)
+
+		for (const dep of deps) {
+			const practice = practices.find(p => p.id === dep.depends_on_id)
+			if (practice) {
+				categories.add(practice.category)
+				collectCategories(dep.depends_on_id)
+			}
+		}
+	}
+
+	collectCategories(practiceId)
+	return Array.from(categories).sort()
+}
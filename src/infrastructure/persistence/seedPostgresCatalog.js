@@ -0,0 +1,69 @@
+/**
+ * Seed a PostgreSQL practice catalog from cd-practices.json data
+ *
+ * Idempotent: practices and metadata are upserted, dependencies are
+ * inserted with ON CONFLICT DO NOTHING. Expects the tables from db/schema.sql.
+ *
+ * Usage:
+ *   await seedPostgresCatalog(pool, data)
+ */
+
+/**
+ * Insert or update every practice, dependency and metadata entry
+ * @param {Object} dbClient - node-postgres compatible client with query(text, params)
+ * @param {Object} data - Catalog data ({ practices, dependencies, metadata })
+ * @returns {Promise<{practices: number, dependencies: number}>} Number of rows written
+ */
+export const seedPostgresCatalog = async (dbClient, data) => {
+	for (const practice of data.practices) {
+		await dbClient.query(
+			`INSERT INTO practices
+				(id, name, type, category, description, requirements, benefits,
+				maturity_level, quick_start_guide, anti_patterns, migration_guide_url)
+			VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+			ON CONFLICT (id) DO UPDATE SET
+				name = EXCLUDED.name,
+				type = EXCLUDED.type,
+				category = EXCLUDED.category,
+				description = EXCLUDED.description,
+				requirements = EXCLUDED.requirements,
+				benefits = EXCLUDED.benefits,
+				maturity_level = EXCLUDED.maturity_level,
+				quick_start_guide = EXCLUDED.quick_start_guide,
+				anti_patterns = EXCLUDED.anti_patterns,
+				migration_guide_url = EXCLUDED.migration_guide_url,
+				updated_at = CURRENT_TIMESTAMP`,
+			[
+				practice.id,
+				practice.name,
+				practice.type || 'practice',
+				practice.category,
+				practice.description,
+				JSON.stringify(practice.requirements || []),
+				JSON.stringify(practice.benefits || []),
+				practice.maturityLevel ?? null,
+				practice.quickStartGuide ?? null,
+				practice.antiPatterns ? JSON.stringify(practice.antiPatterns) : null,
+				practice.migrationGuideUrl ?? null
+			]
+		)
+	}
+
+	for (const dep of data.dependencies) {
+		await dbClient.query(
+			`INSERT INTO practice_dependencies (practice_id, depends_on_id) VALUES ($1, $2)
+			ON CONFLICT (practice_id, depends_on_id) DO NOTHING`,
+			[dep.practice_id, dep.depends_on_id]
+		)
+	}
+
+	for (const [key, value] of Object.entries(data.metadata || {})) {
+		await dbClient.query(
+			`INSERT INTO metadata (key, value) VALUES ($1, $2)
+			ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = CURRENT_TIMESTAMP`,
+			[key, JSON.stringify(value)]
+		)
+	}
+
+	return { practices: data.practices.length, dependencies: data.dependencies.length }
+}
@@ -0,0 +1,145 @@
+/**
+ * Organisation-wide Adoption Aggregate
+ * Pure functions combining the adoption states of many teams
+ */
+import {
+	ADOPTED_STATE,
+	DEFAULT_ADOPTION_STATE,
+	calculateAdoptionPercentage,
+	toAdoptionStates
+} from '$lib/utils/adoption.js'
+import { formatCsv } from '$lib/utils/csv.js'
+
+/**
+ * Maturity level of foundational practices
+ */
+export const FOUNDATIONAL_MATURITY_LEVEL = 0
+
+/**
+ * A foundational practice adopted by fewer teams than this share is commonly missing
+ */
+export const DEFAULT_MISSING_THRESHOLD = 0.5
+
+/**
+ * Aggregate the adoption of many teams
+ *
+ * Practices are ordered foundations first (by maturity level), then by name.
+ * Each practice lists one state per team, in team order, for a heatmap.
+ * Only fully adopted practices count towards adoption rates. The root practice is left out.
+ *
+ * @param {Map} practiceMap - Map of practice ID to practice (id, name, category, maturityLevel)
+ * @param {Array<{name: string, states: Set<string>|Map<string, string>}>} teams
+ * @param {Object} [options]
+ * @param {string} [options.rootId] - Root practice ID (default: 'continuous-delivery')
+ * @param {number} [options.missingThreshold] - Share of teams (0-1) below which a foundational practice is commonly missing
+ * @returns {Object} { teamCount, teams, practices, missingFoundations }
+ */
+export const aggregateAdoption = (
+	practiceMap,
+	teams,
+	{ rootId = 'continuous-delivery', missingThreshold = DEFAULT_MISSING_THRESHOLD } = {}
+) => {
+	const teamStates = teams.map(team => toAdoptionStates(team.states))
+	const teamCount = teams.length
+
+	const practices = [...practiceMap.values()]
+		.filter(practice => practice.id !== rootId)
+		.sort((a, b) => (a.maturityLevel ?? 0) - (b.maturityLevel ?? 0) || a.name.localeCompare(b.name))
+		.map(practice => {
+			const states = teamStates.map(states => states.get(practice.id) ?? DEFAULT_ADOPTION_STATE)
+			const adoptedCount = states.filter(state => state === ADOPTED_STATE).length
+			const partialCount = states.filter(
+				state => state !== ADOPTED_STATE && state !== DEFAULT_ADOPTION_STATE
+			).length
+
+			return {
+				id: practice.id,
+				name: practice.name,
+				category: practice.category,
+				maturityLevel: practice.maturityLevel,
+				states,
+				adoptedCount,
+				partialCount,
+				percentage: calculateAdoptionPercentage(adoptedCount, teamCount)
+			}
+		})
+
+	const teamSummaries = teams.map((team, index) => {
+		const adopted = practices.filter(practice => practice.states[index] === ADOPTED_STATE).length
+		return {
+			name: team.name,
+			adopted,
+			percentage: calculateAdoptionPercentage(adopted, practices.length)
+		}
+	})
+
+	const missingFoundations =
+		teamCount === 0
+			? []
+			: practices
+					.filter(
+						practice =>
+							(practice.maturityLevel ?? 0) === FOUNDATIONAL_MATURITY_LEVEL &&
+							practice.adoptedCount / teamCount < missingThreshold
+					)
+					.sort((a, b) => a.adoptedCount - b.adoptedCount || a.name.localeCompare(b.name))
+
+	return { teamCount, teams: teamSummaries, practices, missingFoundations }
+}
+
+/**
+ * Format an aggregate as JSON
+ *
+ * Each practice's states are listed in the order of teams.
+ *
+ * @param {Object} aggregate - Result of aggregateAdoption
+ * @param {Object} [context] - { generatedAt (ISO string) }
+ * @returns {string} JSON document
+ */
+export const formatAggregateAsJson = (aggregate, { generatedAt } = {}) =>
+	JSON.stringify(
+		{
+			generatedAt,
+			teamCount: aggregate.teamCount,
+			teams: aggregate.teams,
+			practices: aggregate.practices,
+			missingFoundations: aggregate.missingFoundations.map(practice => practice.id)
+		},
+		null,
+		2
+	).concat('\n')
+
+/**
+ * Format an aggregate as CSV, one row per practice
+ *
+ * Columns: id, name, category, maturity_level, adopted_teams, partial_teams,
+ * adoption_percentage, then one column per team with its adoption state
+ *
+ * @param {Object} aggregate - Result of aggregateAdoption
+ * @returns {string} CSV document
+ */
+export const formatAggregateAsCsv = aggregate => {
+	const header = [
+		'id',
+		'name',
+		'category',
+		'maturity_level',
+		'adopted_teams',
+		'partial_teams',
+		'adoption_percentage',
+		...aggregate.teams.map(team => team.name)
+	]
+
+	const rows = aggregate.practices.map(practice => [
+		practice.id,
+		practice.name,
+		practice.category,
+		practice.maturityLevel,
+		practice.adoptedCount,
+		practice.partialCount,
+		practice.percentage,
+		...practice.states
+	])
+
+	return formatCsv([header, ...rows])
+}
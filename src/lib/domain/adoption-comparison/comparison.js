@@ -0,0 +1,166 @@
+/**
+ * Adoption Comparison
+ * Pure functions comparing two adoption states (two .cdpa files or two team profiles)
+ */
+import {
+	calculateAdoptedDependencies,
+	calculateAdoptionPercentage,
+	getAdoptedIds,
+	toAdoptionStates
+} from '$lib/utils/adoption.js'
+
+/**
+ * Which side has adopted a practice
+ */
+export const COMPARISON_SIDES = Object.freeze({
+	BOTH: 'both',
+	LEFT: 'left',
+	RIGHT: 'right',
+	NEITHER: 'neither'
+})
+
+/**
+ * Category order used for per-category results
+ */
+export const COMPARISON_CATEGORIES = Object.freeze([
+	'behavior',
+	'behavior-enabled-automation',
+	'automation',
+	'core'
+])
+
+/**
+ * Get which side has fully adopted a practice
+ * @param {string} practiceId
+ * @param {Set<string>} leftAdopted - Practice IDs adopted on the left
+ * @param {Set<string>} rightAdopted - Practice IDs adopted on the right
+ * @returns {string} One of COMPARISON_SIDES
+ */
+export const getComparisonSide = (practiceId, leftAdopted, rightAdopted) => {
+	const left = leftAdopted.has(practiceId)
+	const right = rightAdopted.has(practiceId)
+
+	if (left && right) return COMPARISON_SIDES.BOTH
+	if (left) return COMPARISON_SIDES.LEFT
+	if (right) return COMPARISON_SIDES.RIGHT
+	return COMPARISON_SIDES.NEITHER
+}
+
+/**
+ * Describe a comparison side for display
+ * @param {string} side - One of COMPARISON_SIDES
+ * @param {string} leftLabel - Name of the left adoption state
+ * @param {string} rightLabel - Name of the right adoption state
+ * @returns {string|null} Label, or null when neither side adopted the practice
+ */
+export const getComparisonLabel = (side, leftLabel, rightLabel) => {
+	switch (side) {
+		case COMPARISON_SIDES.BOTH:
+			return 'Both'
+		case COMPARISON_SIDES.LEFT:
+			return `Only ${leftLabel}`
+		case COMPARISON_SIDES.RIGHT:
+			return `Only ${rightLabel}`
+		default:
+			return null
+	}
+}
+
+/**
+ * Count adopted practices on each side of a group
+ * @private
+ */
+const summarizeGroup = (practices, leftAdopted, rightAdopted) => {
+	const total = practices.length
+	const leftCount = practices.filter(practice => leftAdopted.has(practice.id)).length
+	const rightCount = practices.filter(practice => rightAdopted.has(practice.id)).length
+
+	return {
+		total,
+		left: { adopted: leftCount, percentage: calculateAdoptionPercentage(leftCount, total) },
+		right: { adopted: rightCount, percentage: calculateAdoptionPercentage(rightCount, total) }
+	}
+}
+
+/**
+ * Group practices by a key, keeping the given key order first
+ * @private
+ */
+const groupBy = (practices, getKey, order = []) => {
+	const groups = practices.reduce((map, practice) => {
+		const key = getKey(practice)
+		return map.set(key, [...(map.get(key) || []), practice])
+	}, new Map())
+
+	const keys = [
+		...order.filter(key => groups.has(key)),
+		...[...groups.keys()].filter(key => !order.includes(key))
+	]
+	return keys.map(key => [key, groups.get(key)])
+}
+
+/**
+ * Compare two adoption states
+ *
+ * Only fully adopted practices count as adopted; partial states are reflected in
+ * dependencyProgress, the weighted progress of everything the root depends on.
+ * The root practice itself is left out of every count.
+ *
+ * @param {Map} practiceMap - Map of practice ID to practice (id, name, category, maturityLevel, dependencies)
+ * @param {Set<string>|Map<string, string>} left - Adopted practice IDs, or practice ID to adoption state
+ * @param {Set<string>|Map<string, string>} right - Adopted practice IDs, or practice ID to adoption state
+ * @param {Object} [options]
+ * @param {string} [options.rootId] - Root practice ID (default: 'continuous-delivery')
+ * @returns {Object} { onlyLeft, onlyRight, both, overall, byCategory, byMaturity, dependencyProgress }
+ */
+export const compareAdoption = (
+	practiceMap,
+	left,
+	right,
+	{ rootId = 'continuous-delivery' } = {}
+) => {
+	const leftStates = toAdoptionStates(left)
+	const rightStates = toAdoptionStates(right)
+	const leftAdopted = getAdoptedIds(leftStates)
+	const rightAdopted = getAdoptedIds(rightStates)
+
+	const practices = [...practiceMap.values()]
+		.filter(practice => practice.id !== rootId)
+		.sort((a, b) => a.name.localeCompare(b.name))
+
+	const summarize = practice => ({
+		id: practice.id,
+		name: practice.name,
+		category: practice.category,
+		maturityLevel: practice.maturityLevel
+	})
+	const withSide = side =>
+		practices
+			.filter(practice => getComparisonSide(practice.id, leftAdopted, rightAdopted) === side)
+			.map(summarize)
+
+	const root = practiceMap.get(rootId)
+
+	return {
+		onlyLeft: withSide(COMPARISON_SIDES.LEFT),
+		onlyRight: withSide(COMPARISON_SIDES.RIGHT),
+		both: withSide(COMPARISON_SIDES.BOTH),
+		overall: summarizeGroup(practices, leftAdopted, rightAdopted),
+		byCategory: groupBy(practices, practice => practice.category, COMPARISON_CATEGORIES).map(
+			([category, group]) => ({
+				category,
+				...summarizeGroup(group, leftAdopted, rightAdopted)
+			})
+		),
+		byMaturity: groupBy(practices, practice => practice.maturityLevel ?? 1)
+			.sort(([a], [b]) => a - b)
+			.map(([maturityLevel, group]) => ({
+				maturityLevel,
+				...summarizeGroup(group, leftAdopted, rightAdopted)
+			})),
+		dependencyProgress: {
+			left: calculateAdoptedDependencies(root, leftStates, practiceMap),
+			right: calculateAdoptedDependencies(root, rightStates, practiceMap)
+		}
+	}
+}
@@ -0,0 +1,129 @@
+/**
+ * Adoption Consistency
+ * Pure functions finding adopted practices whose prerequisites are not adopted,
+ * the state changes that resolve them, and the practices a cascading toggle changes
+ *
+ * A practice cannot be fully adopted before everything it depends on, directly
+ * or indirectly, is adopted too.
+ */
+import {
+	buildDependentsMap,
+	collectDependents,
+	getDependencyIds,
+	toDependencyEdges
+} from '$lib/domain/practice-graph/dependencies.js'
+import { ADOPTED_STATE, DEFAULT_ADOPTION_STATE, toAdoptionStates } from '$lib/utils/adoption.js'
+
+/**
+ * Every practice a practice depends on, directly or indirectly
+ * @private
+ */
+const collectPrerequisites = (practiceId, practiceMap, visited = new Set()) => {
+	for (const depId of getDependencyIds(practiceMap.get(practiceId))) {
+		if (!visited.has(depId) && practiceMap.has(depId)) {
+			visited.add(depId)
+			collectPrerequisites(depId, practiceMap, visited)
+		}
+	}
+	return visited
+}
+
+const byName = (a, b) => a.name.localeCompare(b.name)
+
+/**
+ * Practices by name with their adoption state (null when not started)
+ * @private
+ */
+const describePractices = (ids, practiceMap, states) =>
+	[...ids]
+		.map(id => ({ id, name: practiceMap.get(id).name, state: states.get(id) ?? null }))
+		.sort(byName)
+
+/**
+ * Find adopted practices with prerequisites that are not adopted
+ *
+ * @param {Map} practiceMap - Map of practice ID to practice (id, name, dependencies as IDs or objects)
+ * @param {Set<string>|Map<string, string>} adoption - Adopted IDs or practice ID to adoption state
+ * @returns {Array<{id: string, name: string, missing: Array<{id: string, name: string, state: string|null}>}>}
+ * Inconsistent practices by name, each with its unadopted prerequisites by name
+ * (state is null for a prerequisite that is not started)
+ */
+export const findAdoptionInconsistencies = (practiceMap, adoption) => {
+	const states = toAdoptionStates(adoption)
+
+	return [...states]
+		.filter(([id, state]) => state === ADOPTED_STATE && practiceMap.has(id))
+		.map(([id]) => ({
+			id,
+			name: practiceMap.get(id).name,
+			missing: describePractices(
+				[...collectPrerequisites(id, practiceMap)].filter(
+					depId => states.get(depId) !== ADOPTED_STATE
+				),
+				practiceMap,
+				states
+			)
+		}))
+		.filter(inconsistency => inconsistency.missing.length > 0)
+		.sort(byName)
+}
+
+/**
+ * State changes that adopt every missing prerequisite
+ *
+ * @param {ReturnType<typeof findAdoptionInconsistencies>} inconsistencies
+ * @returns {Map<string, string>} Practice ID to new state
+ */
+export const getAdoptPrerequisitesChanges = inconsistencies =>
+	new Map(inconsistencies.flatMap(({ missing }) => missing.map(({ id }) => [id, ADOPTED_STATE])))
+
+/**
+ * State changes that unmark every inconsistent practice, like unchecking it
+ * (not started, so it no longer counts toward adoption or maturity scores)
+ *
+ * @param {ReturnType<typeof findAdoptionInconsistencies>} inconsistencies
+ * @returns {Map<string, string>} Practice ID to new state
+ */
+export const getUnmarkDependentsChanges = inconsistencies =>
+	new Map(inconsistencies.map(({ id }) => [id, DEFAULT_ADOPTION_STATE]))
+
+/**
+ * Prerequisites to adopt along with a practice: those it depends on, directly
+ * or indirectly, that are not adopted
+ *
+ * @param {string} practiceId - The practice being adopted
+ * @param {Map} practiceMap - Map of practice ID to practice
+ * @param {Set<string>|Map<string, string>} adoption - Adopted IDs or practice ID to adoption state
+ * @returns {Array<{id: string, name: string, state: string|null}>} Prerequisites by name
+ */
+export const getPrerequisitesToAdopt = (practiceId, practiceMap, adoption) => {
+	const states = toAdoptionStates(adoption)
+	return describePractices(
+		[...collectPrerequisites(practiceId, practiceMap)].filter(
+			id => id !== practiceId && states.get(id) !== ADOPTED_STATE
+		),
+		practiceMap,
+		states
+	)
+}
+
+/**
+ * Dependents to unadopt along with a practice: adopted practices depending on it,
+ * directly or indirectly
+ *
+ * @param {string} practiceId - The practice being unadopted
+ * @param {Map} practiceMap - Map of practice ID to practice
+ * @param {Set<string>|Map<string, string>} adoption - Adopted IDs or practice ID to adoption state
+ * @returns {Array<{id: string, name: string, state: string|null}>} Dependents by name
+ */
+export const getDependentsToUnadopt = (practiceId, practiceMap, adoption) => {
+	const states = toAdoptionStates(adoption)
+	const dependentsMap = buildDependentsMap(toDependencyEdges(practiceMap))
+	return describePractices(
+		[...collectDependents(practiceId, dependentsMap)].filter(
+			id => states.get(id) === ADOPTED_STATE
+		),
+		practiceMap,
+		states
+	)
+}
@@ -0,0 +1,250 @@
+/**
+ * Adoption History
+ * Pure functions recording adoption changes over time and replaying them
+ *
+ * A history is plain JSON so it can be stored and exported as is:
+ * { baseline: { at, states }, events: [{ at, practiceId, from, to }] }
+ *
+ * baseline.states maps practice ID to state for the adoption before the first
+ * recorded change. Changes made together (an import, a restore) share a timestamp
+ * and form one snapshot. Requirement progress is not recorded.
+ */
+import {
+	ADOPTED_STATE,
+	DEFAULT_ADOPTION_STATE,
+	calculateAdoptionPercentage,
+	isAdoptionState,
+	toAdoptionStates
+} from '$lib/utils/adoption.js'
+
+/**
+ * Number of change events kept; older events are folded into the baseline
+ */
+export const DEFAULT_HISTORY_LIMIT = 1000
+
+/**
+ * Category order used for timeline results
+ */
+export const HISTORY_CATEGORIES = Object.freeze([
+	'behavior',
+	'behavior-enabled-automation',
+	'automation',
+	'core'
+])
+
+const isTimestamp = value => typeof value === 'string' && !Number.isNaN(Date.parse(value))
+
+const toStateObject = states =>
+	Object.fromEntries([...toAdoptionStates(states)].sort(([a], [b]) => a.localeCompare(b)))
+
+/**
+ * Apply one change event to a Map of states
+ * @private
+ */
+const applyEvent = (states, { practiceId, to }) => {
+	if (to === DEFAULT_ADOPTION_STATE) {
+		states.delete(practiceId)
+	} else {
+		states.set(practiceId, to)
+	}
+	return states
+}
+
+/**
+ * List the practices whose state differs between two adoption states
+ *
+ * @param {Set<string>|Map<string, string>} previous - Adoption before the change
+ * @param {Set<string>|Map<string, string>} next - Adoption after the change
+ * @returns {Array<{practiceId: string, from: string, to: string}>} Changes sorted by practice ID
+ */
+export const diffAdoptionStates = (previous, next) => {
+	const before = toAdoptionStates(previous)
+	const after = toAdoptionStates(next)
+	const ids = [...new Set([...before.keys(), ...after.keys()])].sort()
+
+	return ids
+		.map(practiceId => ({
+			practiceId,
+			from: before.get(practiceId) ?? DEFAULT_ADOPTION_STATE,
+			to: after.get(practiceId) ?? DEFAULT_ADOPTION_STATE
+		}))
+		.filter(({ from, to }) => from !== to)
+}
+
+/**
+ * Record the change from one adoption state to another
+ *
+ * The first recorded change creates the history with the previous state as baseline.
+ * When there are more events than the limit, the oldest are folded into the baseline.
+ *
+ * @param {Object|null} history - Current history, or null when nothing was recorded yet
+ * @param {Set<string>|Map<string, string>} previous - Adoption before the change
+ * @param {Set<string>|Map<string, string>} next - Adoption after the change
+ * @param {string} at - ISO timestamp of the change
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum number of events kept
+ * @returns {Object|null} The updated history (the same history when nothing changed)
+ */
+export const recordAdoptionChange = (
+	history,
+	previous,
+	next,
+	at,
+	{ limit = DEFAULT_HISTORY_LIMIT } = {}
+) => {
+	const changes = diffAdoptionStates(previous, next)
+	if (changes.length === 0) return history
+
+	const current = history ?? { baseline: { at, states: toStateObject(previous) }, events: [] }
+	const events = [...current.events, ...changes.map(change => ({ at, ...change }))]
+	const overflow = Math.max(0, events.length - limit)
+	if (overflow === 0) return { baseline: current.baseline, events }
+
+	const folded = events.slice(0, overflow)
+	return {
+		baseline: {
+			at: folded[folded.length - 1].at,
+			states: toStateObject(
+				folded.reduce(applyEvent, new Map(Object.entries(current.baseline.states)))
+			)
+		},
+		events: events.slice(overflow)
+	}
+}
+
+/**
+ * Replay a history up to a point in time
+ *
+ * @param {Object|null} history
+ * @param {string} [at] - ISO timestamp (inclusive); the latest state when omitted
+ * @returns {Map<string, string>} Practice ID to adoption state (not started practices omitted)
+ */
+export const getAdoptionStatesAt = (history, at) => {
+	if (!history) return new Map()
+
+	return history.events
+		.filter(event => at === undefined || event.at <= at)
+		.reduce(applyEvent, new Map(Object.entries(history.baseline.states)))
+}
+
+/**
+ * List the snapshots of a history, oldest first
+ *
+ * The baseline is the first snapshot (without changes); then every group of
+ * changes sharing a timestamp is a snapshot.
+ *
+ * @param {Object|null} history
+ * @returns {Array<{at: string, changes: Array<{practiceId: string, from: string, to: string}>, states: Map<string, string>}>}
+ */
+export const getAdoptionSnapshots = history => {
+	if (!history) return []
+
+	const groups = history.events.reduce((map, { at, ...change }) => {
+		return map.set(at, [...(map.get(at) || []), change])
+	}, new Map())
+
+	let states = new Map(Object.entries(history.baseline.states))
+	const snapshots = [{ at: history.baseline.at, changes: [], states }]
+
+	for (const [at, changes] of groups) {
+		states = changes.reduce(applyEvent, new Map(states))
+		if (at === history.baseline.at) {
+			snapshots[0] = { at, changes, states }
+		} else {
+			snapshots.push({ at, changes, states })
+		}
+	}
+
+	return snapshots
+}
+
+/**
+ * Adoption percentage over time, overall and per category
+ *
+ * Only fully adopted practices count. The root practice is left out.
+ *
+ * @param {Object|null} history
+ * @param {Map} practiceMap - Map of practice ID to practice (id, category)
+ * @param {Object} [options]
+ * @param {string} [options.rootId] - Root practice ID (default: 'continuous-delivery')
+ * @returns {Array<{at: string, adopted: number, overall: number, byCategory: Object<string, number>}>}
+ */
+export const getAdoptionTimeline = (
+	history,
+	practiceMap,
+	{ rootId = 'continuous-delivery' } = {}
+) => {
+	const practices = [...practiceMap.values()].filter(practice => practice.id !== rootId)
+	const categories = [
+		...new Set([...HISTORY_CATEGORIES, ...practices.map(practice => practice.category)])
+	].filter(category => practices.some(practice => practice.category === category))
+
+	return getAdoptionSnapshots(history).map(({ at, states }) => {
+		const isAdopted = practice => states.get(practice.id) === ADOPTED_STATE
+		const adopted = practices.filter(isAdopted).length
+
+		return {
+			at,
+			adopted,
+			overall: calculateAdoptionPercentage(adopted, practices.length),
+			byCategory: Object.fromEntries(
+				categories.map(category => {
+					const group = practices.filter(practice => practice.category === category)
+					return [
+						category,
+						calculateAdoptionPercentage(group.filter(isAdopted).length, group.length)
+					]
+				})
+			)
+		}
+	})
+}
+
+/**
+ * Validate a stored or imported history
+ *
+ * Malformed events and unknown states are dropped; events are ordered by time.
+ *
+ * @param {unknown} value
+ * @param {Set<string>} [validPracticeIds] - Drop practices that are not in the catalog
+ * @returns {Object|null} The history, or null when it is not usable
+ */
+export const normalizeAdoptionHistory = (value, validPracticeIds = null) => {
+	if (!value || typeof value !== 'object') return null
+
+	const { baseline, events } = value
+	if (
+		!baseline ||
+		typeof baseline !== 'object' ||
+		!isTimestamp(baseline.at) ||
+		!Array.isArray(events)
+	) {
+		return null
+	}
+
+	const isKnownPractice = id =>
+		typeof id === 'string' && id !== '' && (!validPracticeIds || validPracticeIds.has(id))
+
+	const baselineStates =
+		baseline.states && typeof baseline.states === 'object' && !Array.isArray(baseline.states)
+			? Object.entries(baseline.states).filter(
+					([id, state]) =>
+						isKnownPractice(id) && isAdoptionState(state) && state !== DEFAULT_ADOPTION_STATE
+				)
+			: []
+
+	return {
+		baseline: { at: baseline.at, states: toStateObject(new Map(baselineStates)) },
+		events: events
+			.filter(
+				event =>
+					event &&
+					isTimestamp(event.at) &&
+					isKnownPractice(event.practiceId) &&
+					isAdoptionState(event.from) &&
+					isAdoptionState(event.to)
+			)
+			.map(({ at, practiceId, from, to }) => ({ at, practiceId, from, to }))
+			.sort((a, b) => (a.at < b.at ? -1 : a.at > b.at ? 1 : 0))
+	}
+}
@@ -0,0 +1,388 @@
+/**
+ * Adoption Report
+ * Pure functions summarising a team's adoption for leadership, formatted as
+ * Markdown or as a self-contained HTML document (with a print stylesheet for PDF)
+ */
+import { calculateRecommendations } from '$lib/domain/guided-walkthrough/recommendation.js'
+import { formatMaturityLevel } from '$lib/domain/practice-catalog/maturity-levels.js'
+import {
+	ADOPTION_STATES,
+	DEFAULT_ADOPTION_STATE,
+	calculateAdoptionPercentage,
+	getAdoptedIds,
+	toAdoptionStates
+} from '$lib/utils/adoption.js'
+
+const CATEGORY_LABELS = {
+	core: 'Core',
+	behavior: 'Behavior',
+	'behavior-enabled-automation': 'Behavior-enabled automation',
+	automation: 'Automation'
+}
+
+const STATE_LABELS = Object.fromEntries(ADOPTION_STATES.map(state => [state.value, state.label]))
+
+/**
+ * Default number of recommended next steps in a report
+ */
+export const DEFAULT_NEXT_STEP_COUNT = 5
+
+/**
+ * Order by maturity level (foundations first), then by name
+ * @private
+ */
+const compareByMaturity = (a, b) =>
+	(a.maturityLevel ?? 0) - (b.maturityLevel ?? 0) || a.name.localeCompare(b.name)
+
+/**
+ * Human-readable maturity level
+ * @private
+ */
+const formatMaturity = level =>
+	level === undefined || level === null ? 'Not set' : `Level ${formatMaturityLevel(level)}`
+
+/**
+ * Anti-patterns of the outstanding practices, each listed once with the practices it blocks
+ * @private
+ */
+const collectAntiPatterns = practices =>
+	[
+		...practices
+			.flatMap(practice =>
+				(practice.antiPatterns || []).map(antiPattern => ({ antiPattern, practice }))
+			)
+			.reduce((groups, { antiPattern, practice }) => {
+				const key = antiPattern.url || antiPattern.name
+				const group = groups.get(key) || {
+					name: antiPattern.name,
+					url: antiPattern.url,
+					practices: []
+				}
+				group.practices.push(practice.name)
+				return groups.set(key, group)
+			}, new Map())
+			.values()
+	].sort((a, b) => b.practices.length - a.practices.length || a.name.localeCompare(b.name))
+
+/**
+ * Build the content of an adoption report
+ *
+ * Practices are listed foundations first. Only fully adopted practices count as
+ * adopted; practices being explored or in progress are outstanding with their state.
+ * Next steps are the walkthrough recommendations, and anti-patterns are those of
+ * outstanding practices, most widespread first.
+ *
+ * @param {Map} practiceMap - Map of practice ID to practice (id, name, category, maturityLevel, description, antiPatterns, dependencies)
+ * @param {Set<string>|Map<string, string>} adoption - Adopted IDs or practice ID to adoption state
+ * @param {Object} [options]
+ * @param {string} [options.teamName] - Team the report is about
+ * @param {string} [options.generatedAt] - ISO timestamp
+ * @param {string} [options.strategy] - Key of RECOMMENDATION_STRATEGIES
+ * @param {number} [options.nextStepCount] - Maximum number of next steps
+ * @returns {Object} { teamName, generatedAt, progress, categories, adopted, outstanding, nextSteps, antiPatterns }
+ */
+export const buildAdoptionReport = (
+	practiceMap,
+	adoption,
+	{ teamName, generatedAt, strategy, nextStepCount = DEFAULT_NEXT_STEP_COUNT } = {}
+) => {
+	const states = toAdoptionStates(adoption)
+	const adoptedIds = new Set([...getAdoptedIds(states)].filter(id => practiceMap.has(id)))
+	const practices = [...practiceMap.values()].sort(compareByMaturity)
+
+	const toEntry = practice => ({
+		id: practice.id,
+		name: practice.name,
+		category: practice.category,
+		maturityLevel: practice.maturityLevel,
+		description: practice.description ?? '',
+		state: states.get(practice.id) ?? DEFAULT_ADOPTION_STATE
+	})
+	const outstandingPractices = practices.filter(practice => !adoptedIds.has(practice.id))
+
+	const categories = [...new Set(practices.map(practice => practice.category))]
+		.sort((a, b) => (CATEGORY_LABELS[a] ?? a).localeCompare(CATEGORY_LABELS[b] ?? b))
+		.map(category => {
+			const inCategory = practices.filter(practice => practice.category === category)
+			const adopted = inCategory.filter(practice => adoptedIds.has(practice.id)).length
+			return {
+				category,
+				label: CATEGORY_LABELS[category] ?? category,
+				total: inCategory.length,
+				adopted,
+				percentage: calculateAdoptionPercentage(adopted, inCategory.length)
+			}
+		})
+
+	const outstanding = outstandingPractices.map(toEntry)
+
+	return {
+		teamName,
+		generatedAt,
+		progress: {
+			total: practices.length,
+			adopted: adoptedIds.size,
+			inProgress: outstanding.filter(practice => practice.state !== DEFAULT_ADOPTION_STATE).length,
+			percentage: calculateAdoptionPercentage(adoptedIds.size, practices.length)
+		},
+		categories,
+		adopted: practices.filter(practice => adoptedIds.has(practice.id)).map(toEntry),
+		outstanding,
+		nextSteps: calculateRecommendations(practiceMap, adoptedIds, {
+			strategy,
+			limit: nextStepCount
+		}).map(({ practice, reasons }) => ({
+			id: practice.id,
+			name: practice.name,
+			description: practice.description ?? '',
+			reasons
+		})),
+		antiPatterns: collectAntiPatterns(outstandingPractices)
+	}
+}
+
+/**
+ * Summary lines shared by both formats
+ * @private
+ */
+const summaryLines = report =>
+	[
+		report.teamName && `Team: ${report.teamName}`,
+		report.generatedAt && `Generated: ${report.generatedAt.slice(0, 10)}`,
+		`Adopted: ${report.progress.adopted} of ${report.progress.total} practices (${report.progress.percentage}%)`,
+		`Under way: ${report.progress.inProgress} practices`
+	].filter(Boolean)
+
+/**
+ * Format a report from buildAdoptionReport as a Markdown document
+ *
+ * @param {Object} report - Result of buildAdoptionReport
+ * @returns {string} Markdown document
+ */
+export const formatReportAsMarkdown = report => {
+	const categories = [
+		'## Progress by category',
+		'',
+		'| Category | Adopted | Progress |',
+		'| --- | ---: | ---: |',
+		...report.categories.map(
+			category =>
+				`| ${category.label} | ${category.adopted} of ${category.total} | ${category.percentage}% |`
+		)
+	].join('\n')
+
+	const nextSteps =
+		report.nextSteps.length > 0
+			? [
+					'## Recommended next steps',
+					'',
+					...report.nextSteps.map((step, index) =>
+						[
+							`${index + 1}. **${step.name}** - ${step.description}`,
+							`   Why: ${step.reasons.join('; ')}.`
+						].join('\n')
+					)
+				].join('\n')
+			: null
+
+	const practiceList = (title, practices, describe) =>
+		[
+			`## ${title} (${practices.length})`,
+			'',
+			...(practices.length > 0 ? practices.map(describe) : ['None.'])
+		].join('\n')
+
+	const antiPatterns =
+		report.antiPatterns.length > 0
+			? [
+					'## Anti-patterns to watch for',
+					'',
+					...report.antiPatterns.map(
+						antiPattern =>
+							`- ${antiPattern.url ? `[${antiPattern.name}](${antiPattern.url})` : antiPattern.name} - holds back ${antiPattern.practices.join(', ')}`
+					)
+				].join('\n')
+			: null
+
+	return [
+		'# Continuous Delivery Adoption Report',
+		summaryLines(report)
+			.map(line => `- ${line}`)
+			.join('\n'),
+		categories,
+		nextSteps,
+		practiceList(
+			'Adopted practices',
+			report.adopted,
+			practice =>
+				`- **${practice.name}** (${formatMaturity(practice.maturityLevel)}) - ${practice.description}`
+		),
+		practiceList(
+			'Outstanding practices',
+			report.outstanding,
+			practice =>
+				`- **${practice.name}** (${STATE_LABELS[practice.state]}, ${formatMaturity(practice.maturityLevel)}) - ${practice.description}`
+		),
+		antiPatterns
+	]
+		.filter(Boolean)
+		.join('\n\n')
+		.concat('\n')
+}
+
+/**
+ * Escape text for HTML content and attribute values
+ * @private
+ */
+const escapeHtml = value =>
+	String(value ?? '')
+		.replaceAll('&', '&amp;')
+		.replaceAll('<', '&lt;')
+		.replaceAll('>', '&gt;')
+		.replaceAll('"', '&quot;')
+		.replaceAll("'", '&#39;')
+
+/**
+ * Only link to web pages, so a catalog URL cannot run script in the report
+ * @private
+ */
+const isWebUrl = url => typeof url === 'string' && /^https?:\/\//i.test(url)
+
+const REPORT_STYLES = `
+	body { margin: 0 auto; max-width: 50rem; padding: 2rem; color: #1e293b; font: 15px/1.5 system-ui, -apple-system, 'Segoe UI', sans-serif; }
+	h1 { margin: 0 0 0.5rem; font-size: 1.75rem; }
+	h2 { margin: 2rem 0 0.75rem; padding-bottom: 0.25rem; border-bottom: 1px solid #e2e8f0; font-size: 1.25rem; }
+	a { color: #1d4ed8; }
+	.summary { margin: 0; padding: 0; list-style: none; color: #475569; }
+	.bar { height: 0.5rem; border-radius: 9999px; background: #e2e8f0; overflow: hidden; }
+	.bar span { display: block; height: 100%; background: #059669; }
+	.overall .bar { height: 0.75rem; margin: 0.75rem 0 0.25rem; }
+	table { width: 100%; border-collapse: collapse; }
+	th, td { padding: 0.375rem 0.5rem; border-bottom: 1px solid #e2e8f0; text-align: left; vertical-align: middle; }
+	td.number { text-align: right; font-variant-numeric: tabular-nums; white-space: nowrap; }
+	td.bar-cell { width: 35%; }
+	ol, ul.practices { padding-left: 1.25rem; }
+	li { margin-bottom: 0.5rem; }
+	.meta, .reasons { color: #64748b; font-size: 0.85rem; }
+	.state { display: inline-block; padding: 0 0.4rem; border-radius: 0.25rem; background: #f1f5f9; color: #475569; font-size: 0.75rem; }
+	@page { margin: 1.5cm; }
+	@media print {
+		body { max-width: none; padding: 0; font-size: 11pt; }
+		h2 { break-after: avoid; }
+		li, tr, .overall { break-inside: avoid; }
+		.bar, .bar span { print-color-adjust: exact; -webkit-print-color-adjust: exact; }
+		a { color: inherit; text-decoration: none; }
+		a[href]::after { content: ' (' attr(href) ')'; color: #64748b; font-size: 0.8em; word-break: break-all; }
+	}
+`
+
+/**
+ * Progress bar markup
+ * @private
+ */
+const htmlBar = percentage =>
+	`<div class="bar" role="img" aria-label="${percentage}%"><span style="width: ${percentage}%"></span></div>`
+
+/**
+ * Format a report from buildAdoptionReport as a self-contained HTML document
+ *
+ * Styles are inlined, with a print stylesheet for saving as PDF from the browser.
+ *
+ * @param {Object} report - Result of buildAdoptionReport
+ * @returns {string} HTML document
+ */
+export const formatReportAsHtml = report => {
+	const title = report.teamName
+		? `Continuous Delivery Adoption Report - ${report.teamName}`
+		: 'Continuous Delivery Adoption Report'
+
+	const categoryRows = report.categories
+		.map(
+			category =>
+				`<tr><td>${escapeHtml(category.label)}</td><td class="number">${category.adopted} of ${category.total}</td><td class="bar-cell">${htmlBar(category.percentage)}</td><td class="number">${category.percentage}%</td></tr>`
+		)
+		.join('\n')
+
+	const nextSteps =
+		report.nextSteps.length > 0
+			? `<section>
+<h2>Recommended next steps</h2>
+<ol>
+${report.nextSteps
+	.map(
+		step =>
+			`<li><strong>${escapeHtml(step.name)}</strong> - ${escapeHtml(step.description)}<div class="reasons">${step.reasons.map(escapeHtml).join(' &middot; ')}</div></li>`
+	)
+	.join('\n')}
+</ol>
+</section>`
+			: null
+
+	const practiceSection = (title, practices, showState) => `<section>
+<h2>${title} (${practices.length})</h2>
+${
+	practices.length > 0
+		? `<ul class="practices">
+${practices
+	.map(
+		practice =>
+			`<li><strong>${escapeHtml(practice.name)}</strong>${showState ? ` <span class="state">${escapeHtml(STATE_LABELS[practice.state])}</span>` : ''}<div class="meta">${escapeHtml(formatMaturity(practice.maturityLevel))}</div>${escapeHtml(practice.description)}</li>`
+	)
+	.join('\n')}
+</ul>`
+		: '<p>None.</p>'
+}
+</section>`
+
+	const antiPatterns =
+		report.antiPatterns.length > 0
+			? `<section>
+<h2>Anti-patterns to watch for</h2>
+<ul class="practices">
+${report.antiPatterns
+	.map(antiPattern => {
+		const name = isWebUrl(antiPattern.url)
+			? `<a href="${escapeHtml(antiPattern.url)}">${escapeHtml(antiPattern.name)}</a>`
+			: escapeHtml(antiPattern.name)
+		return `<li>${name}<div class="meta">Holds back ${escapeHtml(antiPattern.practices.join(', '))}</div></li>`
+	})
+	.join('\n')}
+</ul>
+</section>`
+			: null
+
+	return [
+		'<!DOCTYPE html>',
+		'<html lang="en">',
+		'<head>',
+		'<meta charset="utf-8">',
+		'<meta name="viewport" content="width=device-width, initial-scale=1">',
+		`<title>${escapeHtml(title)}</title>`,
+		`<style>${REPORT_STYLES}</style>`,
+		'</head>',
+		'<body>',
+		'<header class="overall">',
+		'<h1>Continuous Delivery Adoption Report</h1>',
+		`<ul class="summary">${summaryLines(report)
+			.map(line => `<li>${escapeHtml(line)}</li>`)
+			.join('')}</ul>`,
+		htmlBar(report.progress.percentage),
+		'</header>',
+		'<section>',
+		'<h2>Progress by category</h2>',
+		'<table>',
+		'<thead><tr><th>Category</th><th>Adopted</th><th colspan="2">Progress</th></tr></thead>',
+		`<tbody>\n${categoryRows}\n</tbody>`,
+		'</table>',
+		'</section>',
+		nextSteps,
+		practiceSection('Adopted practices', report.adopted, false),
+		practiceSection('Outstanding practices', report.outstanding, true),
+		antiPatterns,
+		'</body>',
+		'</html>'
+	]
+		.filter(Boolean)
+		.join('\n')
+		.concat('\n')
+}
@@ -0,0 +1,105 @@
+/**
+ * Practice Catalog Editing
+ * Pure functions for editing cd-practices.json data (practices + dependency edges)
+ *
+ * Every function returns a new catalog and never mutates its input.
+ * Edits are not validated here - run validateCdPractices on the result,
+ * so an editor can show problems while a change is still in progress.
+ *
+ * Record key order and entry sorting come from domain/practice-catalog/catalog-format.
+ */
+import { sortCatalog, toPracticeRecord } from '$lib/domain/practice-catalog/catalog-format.js'
+
+/**
+ * Find a practice record by ID
+ * @param {Object} catalog - Catalog data
+ * @param {string} practiceId - Practice ID
+ * @returns {Object|null} Practice record
+ */
+export const findPractice = (catalog, practiceId) =>
+	catalog.practices.find(p => p.id === practiceId) || null
+
+/**
+ * Get the IDs a practice directly depends on
+ * @param {Object} catalog - Catalog data
+ * @param {string} practiceId - Practice ID
+ * @returns {string[]} Sorted prerequisite IDs
+ */
+export const getDirectDependencyIds = (catalog, practiceId) =>
+	catalog.dependencies
+		.filter(d => d.practice_id === practiceId)
+		.map(d => d.depends_on_id)
+		.sort()
+
+/**
+ * Add a new practice (type defaults to 'practice')
+ * @param {Object} catalog - Catalog data
+ * @param {Object} fields - Practice fields
+ * @returns {Object} New catalog
+ */
+export const addPractice = (catalog, fields) =>
+	sortCatalog({
+		...catalog,
+		practices: [...catalog.practices, toPracticeRecord({ type: 'practice', ...fields })]
+	})
+
+/**
+ * Update fields of a practice. The ID is never changed.
+ * @param {Object} catalog - Catalog data
+ * @param {string} practiceId - Practice ID
+ * @param {Object} changes - Fields to overwrite
+ * @returns {Object} New catalog (unchanged if the practice does not exist)
+ */
+export const updatePractice = (catalog, practiceId, changes) => ({
+	...catalog,
+	practices: catalog.practices.map(p =>
+		p.id === practiceId ? toPracticeRecord({ ...p, ...changes, id: practiceId }) : p
+	)
+})
+
+/**
+ * Remove a practice and every dependency edge that references it
+ * @param {Object} catalog - Catalog data
+ * @param {string} practiceId - Practice ID
+ * @returns {Object} New catalog
+ */
+export const removePractice = (catalog, practiceId) => ({
+	...catalog,
+	practices: catalog.practices.filter(p => p.id !== practiceId),
+	dependencies: catalog.dependencies.filter(
+		d => d.practice_id !== practiceId && d.depends_on_id !== practiceId
+	)
+})
+
+/**
+ * Add a dependency edge (no-op if it already exists)
+ * @param {Object} catalog - Catalog data
+ * @param {string} practiceId - The dependent practice
+ * @param {string} dependsOnId - The prerequisite practice
+ * @returns {Object} New catalog
+ */
+export const addDependency = (catalog, practiceId, dependsOnId) => {
+	const exists = catalog.dependencies.some(
+		d => d.practice_id === practiceId && d.depends_on_id === dependsOnId
+	)
+	if (exists) return catalog
+
+	return sortCatalog({
+		...catalog,
+		dependencies: [...catalog.dependencies, { depends_on_id: dependsOnId, practice_id: practiceId }]
+	})
+}
+
+/**
+ * Remove a dependency edge
+ * @param {Object} catalog - Catalog data
+ * @param {string} practiceId - The dependent practice
+ * @param {string} dependsOnId - The prerequisite practice
+ * @returns {Object} New catalog
+ */
+export const removeDependency = (catalog, practiceId, dependsOnId) => ({
+	...catalog,
+	dependencies: catalog.dependencies.filter(
+		d => !(d.practice_id === practiceId && d.depends_on_id === dependsOnId)
+	)
+})
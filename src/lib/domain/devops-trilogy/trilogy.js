@@ -0,0 +1,163 @@
+/**
+ * DevOps Trilogy
+ * Pure functions for the three-capability view defined in
+ * metadata.patterns.devopsTrilogy (Continuous Delivery, Architecture, Product & Process)
+ */
+import { calculateAdoptionPercentage } from '$lib/utils/adoption.js'
+
+/**
+ * Resolve practice IDs to practice summaries, separating IDs the catalog does not contain
+ * @private
+ */
+const resolvePractices = (ids = [], practicesById) => ({
+	found: ids.filter(id => practicesById.has(id)).map(id => practicesById.get(id)),
+	missing: ids.filter(id => !practicesById.has(id))
+})
+
+/**
+ * Build the trilogy view model from pattern metadata and the practice catalog
+ *
+ * Practice IDs listed in the metadata but missing from the catalog (renamed,
+ * hidden by an overlay) are reported in missingPracticeIds instead of failing.
+ *
+ * @param {Object} trilogy - metadata.patterns.devopsTrilogy
+ * @param {Array<Object>} practices - Practices with at least { id, name }
+ * @returns {Object} { description, capabilities, relationships, relationshipsDescription }
+ */
+export const buildTrilogy = (trilogy, practices) => {
+	const practicesById = new Map(
+		practices.map(p => [
+			p.id,
+			{ id: p.id, name: p.name, category: p.category, maturityLevel: p.maturityLevel }
+		])
+	)
+	const capabilityEntries = Object.entries(trilogy?.capabilities || {})
+	const capabilityKeys = new Set(capabilityEntries.map(([key]) => key))
+
+	const capabilities = capabilityEntries.map(([key, capability]) => {
+		const core = resolvePractices(capability.corePractices, practicesById)
+		const enablers = resolvePractices(capability.enablerPractices, practicesById)
+
+		return {
+			key,
+			name: capability.name,
+			description: capability.description,
+			corePractices: core.found,
+			enablerPractices: enablers.found,
+			missingPracticeIds: [...core.missing, ...enablers.missing]
+		}
+	})
+
+	const relationships = (trilogy?.interdependencies?.relationships || []).filter(
+		r => capabilityKeys.has(r.from) && capabilityKeys.has(r.to)
+	)
+
+	return {
+		description: trilogy?.description || '',
+		capabilities,
+		relationships,
+		relationshipsDescription: trilogy?.interdependencies?.description || ''
+	}
+}
+
+/**
+ * Calculate adoption progress for one capability
+ * Each practice counts once even if listed as both core and enabler.
+ *
+ * @param {Object} capability - Capability from buildTrilogy
+ * @param {Set<string>} adoptedSet - Set of adopted practice IDs
+ * @returns {Object} Counts and percentages for all, core and enabler practices
+ */
+export const calculateCapabilityProgress = (capability, adoptedSet) => {
+	const countAdopted = ids => ids.filter(id => adoptedSet.has(id)).length
+
+	const coreIds = capability.corePractices.map(p => p.id)
+	const enablerIds = capability.enablerPractices.map(p => p.id)
+	const allIds = [...new Set([...coreIds, ...enablerIds])]
+
+	const adoptedCount = countAdopted(allIds)
+	const coreAdoptedCount = countAdopted(coreIds)
+	const enablerAdoptedCount = countAdopted(enablerIds)
+
+	return {
+		adoptedCount,
+		totalCount: allIds.length,
+		percentage: calculateAdoptionPercentage(adoptedCount, allIds.length),
+		core: {
+			adoptedCount: coreAdoptedCount,
+			totalCount: coreIds.length,
+			percentage: calculateAdoptionPercentage(coreAdoptedCount, coreIds.length)
+		},
+		enablers: {
+			adoptedCount: enablerAdoptedCount,
+			totalCount: enablerIds.length,
+			percentage: calculateAdoptionPercentage(enablerAdoptedCount, enablerIds.length)
+		}
+	}
+}
+
+/**
+ * Position capability nodes evenly on a circle and route relationship arrows between them
+ *
+ * Arrows are quadratic curves bent to the right of their direction of travel, so a
+ * pair of opposite relationships (A→B and B→A) is drawn as two separate arcs.
+ *
+ * @param {string[]} capabilityKeys - Capability keys in display order
+ * @param {Array<{from: string, to: string}>} relationships - Capability relationships
+ * @param {Object} options - { width, height, nodeRadius, bend }
+ * @returns {{nodes: Array, edges: Array}} Node centres and SVG path data for each edge
+ */
+export const calculateTrilogyLayout = (capabilityKeys, relationships, options = {}) => {
+	const { width = 600, height = 440, nodeRadius = 70, bend = 40 } = options
+	const centerX = width / 2
+	const centerY = height / 2
+	const radius = Math.min(width, height) / 2 - nodeRadius - 10
+
+	const nodes = capabilityKeys.map((key, index) => {
+		// Start at the top and go clockwise
+		const angle = -Math.PI / 2 + (2 * Math.PI * index) / capabilityKeys.length
+		return {
+			key,
+			x: centerX + radius * Math.cos(angle),
+			y: centerY + radius * Math.sin(angle)
+		}
+	})
+	const nodesByKey = new Map(nodes.map(node => [node.key, node]))
+
+	const edges = relationships
+		.filter(r => nodesByKey.has(r.from) && nodesByKey.has(r.to) && r.from !== r.to)
+		.map(relationship => {
+			const from = nodesByKey.get(relationship.from)
+			const to = nodesByKey.get(relationship.to)
+			const dx = to.x - from.x
+			const dy = to.y - from.y
+			const length = Math.hypot(dx, dy)
+			const unitX = dx / length
+			const unitY = dy / length
+
+			// Perpendicular offset for the control point (right-hand side of travel)
+			const controlX = (from.x + to.x) / 2 - unitY * bend
+			const controlY = (from.y + to.y) / 2 + unitX * bend
+
+			// Start and end on the node borders, aimed at the control point
+			const towards = (node, targetX, targetY) => {
+				const distance = Math.hypot(targetX - node.x, targetY - node.y)
+				return {
+					x: node.x + ((targetX - node.x) / distance) * nodeRadius,
+					y: node.y + ((targetY - node.y) / distance) * nodeRadius
+				}
+			}
+			const start = towards(from, controlX, controlY)
+			const end = towards(to, controlX, controlY)
+			const round = value => Math.round(value * 10) / 10
+
+			return {
+				...relationship,
+				path: `M ${round(start.x)} ${round(start.y)} Q ${round(controlX)} ${round(controlY)} ${round(end.x)} ${round(end.y)}`,
+				labelX: round((start.x + 2 * controlX + end.x) / 4),
+				labelY: round((start.y + 2 * controlY + end.y) / 4)
+			}
+		})
+
+	return { nodes, edges }
+}
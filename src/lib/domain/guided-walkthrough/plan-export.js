@@ -0,0 +1,103 @@
+/**
+ * Adoption Plan Export
+ * Pure functions formatting a plan from calculateAdoptionPlan as Markdown or CSV
+ */
+import { formatMaturityLevel } from '$lib/domain/practice-catalog/maturity-levels.js'
+import { formatCsv } from '$lib/utils/csv.js'
+
+/**
+ * Human-readable maturity level
+ * @private
+ */
+const formatMaturity = level =>
+	level === undefined || level === null ? 'Not set' : formatMaturityLevel(level)
+
+/**
+ * Format a plan as a Markdown document
+ *
+ * @param {Object} plan - Result of calculateAdoptionPlan
+ * @param {Object} context - { capacity, adoptedCount, totalCount, generatedAt (ISO string) }
+ * @returns {string} Markdown document
+ */
+export const formatPlanAsMarkdown = (plan, context = {}) => {
+	const { capacity, adoptedCount, totalCount, generatedAt } = context
+
+	const summary = [
+		generatedAt && `Generated: ${generatedAt.slice(0, 10)}`,
+		totalCount !== undefined && `Adopted: ${adoptedCount} of ${totalCount} practices`,
+		capacity !== undefined && `Capacity: ${capacity} practices per phase`,
+		`Remaining: ${plan.plannedCount} practices in ${plan.phases.length} phases`
+	].filter(Boolean)
+
+	const phases = plan.phases.map(phase =>
+		[
+			`## Phase ${phase.number}`,
+			'',
+			...phase.practices.map(practice => {
+				const dependsOn =
+					practice.dependencyIds.length > 0
+						? ` Depends on: ${practice.dependencyIds.join(', ')}.`
+						: ''
+				return `- [ ] **${practice.name}** (\`${practice.id}\`) - maturity ${formatMaturity(practice.maturityLevel)}, unblocks ${practice.weight}.${dependsOn}`
+			})
+		].join('\n')
+	)
+
+	const unplanned =
+		plan.unplannedIds.length > 0
+			? [
+					'## Not planned',
+					'',
+					'These practices depend on practices outside the catalog:',
+					'',
+					...plan.unplannedIds.map(id => `- \`${id}\``)
+				].join('\n')
+			: null
+
+	return [
+		'# Continuous Delivery Adoption Plan',
+		summary.map(line => `- ${line}`).join('\n'),
+		...phases,
+		unplanned
+	]
+		.filter(Boolean)
+		.join('\n\n')
+		.concat('\n')
+}
+
+/**
+ * Format a plan as CSV, one row per planned practice
+ *
+ * Columns: phase, order, id, name, category, maturity_level, weight, depends_on
+ * (depends_on is a semicolon-separated list of unadopted dependency IDs)
+ *
+ * @param {Object} plan - Result of calculateAdoptionPlan
+ * @returns {string} CSV document
+ */
+export const formatPlanAsCsv = plan => {
+	const header = [
+		'phase',
+		'order',
+		'id',
+		'name',
+		'category',
+		'maturity_level',
+		'weight',
+		'depends_on'
+	]
+
+	const rows = plan.phases.flatMap(phase =>
+		phase.practices.map((practice, index) => [
+			phase.number,
+			index + 1,
+			practice.id,
+			practice.name,
+			practice.category,
+			practice.maturityLevel,
+			practice.weight,
+			practice.dependencyIds.join(';')
+		])
+	)
+
+	return formatCsv([header, ...rows])
+}
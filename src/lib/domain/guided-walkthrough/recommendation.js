@@ -1,7 +1,40 @@
 /**
  * Guided Walkthrough Recommendation Algorithm
  * Pure functions for calculating next practice to adopt
+ * and for planning the adoption of all remaining practices
  */
+import {
+	assignTier,
+	calculateFanIn,
+	calculateTransitiveFanIn
+} from '$lib/domain/practice-graph/critical-path.js'
+import { getDependencyIds, toDependencyEdges } from '$lib/domain/practice-graph/dependencies.js'
+import { calculateAdoptionImpact } from '$lib/domain/practice-graph/impact.js'
+import { calculateAdoptionPercentage } from '$lib/utils/adoption.js'
+
+/**
+ * Practices not yet adopted whose direct dependencies are all satisfied
+ * @private
+ */
+const findEligiblePractices = (practiceMap, satisfiedSet) =>
+	[...practiceMap.values()].filter(
+		practice =>
+			!satisfiedSet.has(practice.id) &&
+			getDependencyIds(practice).every(depId => satisfiedSet.has(depId))
+	)
+
+/**
+ * Order by maturity level (foundations first), then alphabetically
+ * @private
+ */
+const compareByMaturity = (a, b) => {
+	const aLevel = a.maturityLevel ?? 0
+	const bLevel = b.maturityLevel ?? 0
+	if (aLevel !== bLevel) {
+		return aLevel - bLevel
+	}
+	return a.id.localeCompare(b.id)
+}
 
 /**
  * Calculate the next recommended practice to adopt.
@@ -13,34 +46,217 @@
  * @returns {Object|null} Recommended practice or null if none available
  */
 export const calculateNextRecommendation = (practiceMap, adoptedSet) => {
-	const candidates = []
+	const candidates = findEligiblePractices(practiceMap, adoptedSet)
 
-	for (const practice of practiceMap.values()) {
-		if (adoptedSet.has(practice.id)) continue
+	if (candidates.length === 0) return null
 
-		const deps = practice.dependencies || []
-		const allDepsAdopted = deps.every(dep => {
-			const depId = typeof dep === 'string' ? dep : dep.id
-			return adoptedSet.has(depId)
-		})
+	return candidates.sort(compareByMaturity)[0]
+}
 
-		if (allDepsAdopted) {
-			candidates.push(practice)
-		}
-	}
+/**
+ * Default team capacity: practices adopted per plan phase
+ */
+export const DEFAULT_PLAN_CAPACITY = 3
 
-	if (candidates.length === 0) return null
+/**
+ * Plan the adoption of every remaining practice as a sequence of phases.
+ *
+ * Phases follow a topological order of the dependency graph: a practice is only
+ * planned once all of its dependencies are adopted or planned in an earlier phase.
+ * Among eligible practices, lower maturity levels come first, then higher
+ * critical-path weight (number of practices that depend on it transitively),
+ * then alphabetical order. Each phase holds at most `capacity` practices.
+ *
+ * @param {Map} practiceMap - Map of practice ID to practice object
+ * @param {Set<string>} adoptedSet - Set of adopted practice IDs
+ * @param {Object} options - { capacity } practices per phase (minimum 1)
+ * @returns {{phases: Array, plannedCount: number, unplannedIds: string[]}}
+ *   unplannedIds lists practices that can never become eligible (e.g. a missing dependency)
+ */
+export const calculateAdoptionPlan = (practiceMap, adoptedSet, options = {}) => {
+	const capacity = Math.max(1, Math.floor(options.capacity ?? DEFAULT_PLAN_CAPACITY))
 
-	candidates.sort((a, b) => {
+	const practiceIds = [...practiceMap.keys()]
+	const weights = calculateTransitiveFanIn(practiceIds, toDependencyEdges(practiceMap))
+	const compareForPlan = (a, b) => {
 		const aLevel = a.maturityLevel ?? 0
 		const bLevel = b.maturityLevel ?? 0
-		if (aLevel !== bLevel) {
-			return aLevel - bLevel
-		}
-		return a.id.localeCompare(b.id)
-	})
+		return aLevel - bLevel || weights.get(b.id) - weights.get(a.id) || a.id.localeCompare(b.id)
+	}
+
+	const phases = []
+	const satisfied = new Set([...adoptedSet].filter(id => practiceMap.has(id)))
+
+	for (;;) {
+		const selected = findEligiblePractices(practiceMap, satisfied)
+			.sort(compareForPlan)
+			.slice(0, capacity)
+		if (selected.length === 0) break
+
+		phases.push({
+			number: phases.length + 1,
+			practices: selected.map(practice => ({
+				id: practice.id,
+				name: practice.name,
+				category: practice.category,
+				maturityLevel: practice.maturityLevel,
+				weight: weights.get(practice.id),
+				dependencyIds: getDependencyIds(practice).filter(depId => !adoptedSet.has(depId))
+			}))
+		})
+		selected.forEach(practice => satisfied.add(practice.id))
+	}
+
+	return {
+		phases,
+		plannedCount: phases.reduce((count, phase) => count + phase.practices.length, 0),
+		unplannedIds: practiceIds.filter(id => !satisfied.has(id)).sort()
+	}
+}
+
+/**
+ * Order for the capability-balanced strategy: least adopted capability first,
+ * practices outside every capability last
+ * @private
+ */
+const capabilityRank = candidate => candidate.capability?.percentage ?? Number.MAX_SAFE_INTEGER
+
+/**
+ * Recommendation scoring strategies
+ *
+ * Each strategy orders ready candidates with compare(a, b). Candidates carry
+ * { practice, unblockCount, tier, completedPhase, capability }, where capability is
+ * the least adopted DevOps trilogy capability the practice belongs to ({ name, percentage }, or null).
+ * A strategy may add its own reason with reason(candidate).
+ */
+export const RECOMMENDATION_STRATEGIES = Object.freeze({
+	maturityFirst: {
+		key: 'maturityFirst',
+		label: 'Foundations first',
+		compare: (a, b) =>
+			(a.practice.maturityLevel ?? 0) - (b.practice.maturityLevel ?? 0) ||
+			b.unblockCount - a.unblockCount ||
+			a.practice.id.localeCompare(b.practice.id)
+	},
+	maxUnblock: {
+		key: 'maxUnblock',
+		label: 'Unblock the most',
+		compare: (a, b) =>
+			b.unblockCount - a.unblockCount ||
+			(a.practice.maturityLevel ?? 0) - (b.practice.maturityLevel ?? 0) ||
+			a.practice.id.localeCompare(b.practice.id)
+	},
+	capabilityBalanced: {
+		key: 'capabilityBalanced',
+		label: 'Balance capabilities',
+		compare: (a, b) =>
+			capabilityRank(a) - capabilityRank(b) ||
+			(a.practice.maturityLevel ?? 0) - (b.practice.maturityLevel ?? 0) ||
+			b.unblockCount - a.unblockCount ||
+			a.practice.id.localeCompare(b.practice.id),
+		reason: candidate =>
+			candidate.capability &&
+			`${candidate.capability.name} is ${candidate.capability.percentage}% adopted`
+	}
+})
+
+export const DEFAULT_RECOMMENDATION_STRATEGY = 'maturityFirst'
+
+/**
+ * Default number of ranked recommendations
+ */
+export const DEFAULT_RECOMMENDATION_LIMIT = 3
+
+/**
+ * Explain why a candidate is recommended
+ * @private
+ */
+const explainCandidate = (candidate, strategy) => {
+	const reasons = [
+		candidate.tier && `Tier ${candidate.tier} critical path`,
+		candidate.unblockCount > 0 &&
+			`Unblocks ${candidate.unblockCount} ${candidate.unblockCount === 1 ? 'practice' : 'practices'}`,
+		candidate.completedPhase && `Finishes the ${candidate.completedPhase} phase`,
+		strategy.reason?.(candidate)
+	].filter(Boolean)
+
+	return reasons.length > 0 ? reasons : ['All dependencies adopted']
+}
+
+/**
+ * Rank the practices that are ready to adopt (all direct dependencies adopted).
+ *
+ * Reasons describe what adopting the practice achieves: its critical-path tier,
+ * how many practices it unblocks (newlyUnblocked in calculateAdoptionImpact: they
+ * become ready to adopt), and which roadmap phase it completes.
+ *
+ * @param {Map} practiceMap - Map of practice ID to practice object
+ * @param {Set<string>} adoptedSet - Set of adopted practice IDs
+ * @param {Object} options
+ * @param {string} options.strategy - Key of RECOMMENDATION_STRATEGIES
+ * @param {number} options.limit - Maximum number of recommendations
+ * @param {Array<{name: string, practiceIds: string[]}>} options.phases - Roadmap phases (optional)
+ * @param {Array<{name: string, practiceIds: string[]}>} options.capabilities - DevOps trilogy
+ *   capabilities (see buildTrilogy), used by the capability-balanced strategy (optional)
+ * @returns {Array<{practice: Object, reasons: string[]}>} Ranked recommendations
+ */
+export const calculateRecommendations = (practiceMap, adoptedSet, options = {}) => {
+	const {
+		strategy: strategyKey = DEFAULT_RECOMMENDATION_STRATEGY,
+		limit = DEFAULT_RECOMMENDATION_LIMIT,
+		phases = [],
+		capabilities = []
+	} = options
+	const strategy =
+		RECOMMENDATION_STRATEGIES[strategyKey] ||
+		RECOMMENDATION_STRATEGIES[DEFAULT_RECOMMENDATION_STRATEGY]
+
+	const candidates = findEligiblePractices(practiceMap, adoptedSet)
+	if (candidates.length === 0) return []
+
+	const fanIn = calculateFanIn([...practiceMap.keys()], toDependencyEdges(practiceMap))
+
+	const capabilityProgress = capabilities
+		.map(capability => {
+			const ids = [...new Set(capability.practiceIds)].filter(id => practiceMap.has(id))
+			const adopted = ids.filter(id => adoptedSet.has(id)).length
+			return {
+				name: capability.name,
+				ids,
+				percentage: calculateAdoptionPercentage(adopted, ids.length)
+			}
+		})
+		.filter(capability => capability.ids.length > 0)
+		.sort((a, b) => a.percentage - b.percentage)
+
+	const countNewlyUnblocked = practiceId =>
+		calculateAdoptionImpact(practiceId, practiceMap, adoptedSet).newlyUnblocked.length
+
+	const findCapability = practiceId => {
+		const capability = capabilityProgress.find(({ ids }) => ids.includes(practiceId))
+		return capability ? { name: capability.name, percentage: capability.percentage } : null
+	}
+
+	const findCompletedPhase = practiceId =>
+		phases.find(phase => {
+			const ids = phase.practiceIds.filter(id => practiceMap.has(id))
+			return ids.includes(practiceId) && ids.every(id => id === practiceId || adoptedSet.has(id))
+		})?.name ?? null
 
-	return candidates[0]
+	return candidates
+		.map(practice => ({
+			practice,
+			unblockCount: countNewlyUnblocked(practice.id),
+			tier: assignTier(fanIn.get(practice.id)),
+			completedPhase: findCompletedPhase(practice.id),
+			capability: findCapability(practice.id)
+		}))
+		.sort(strategy.compare)
+		.slice(0, Math.max(1, limit))
+		.map(candidate => ({
+			practice: candidate.practice,
+			reasons: explainCandidate(candidate, strategy)
+		}))
 }
 
 /**
@@ -0,0 +1,169 @@
+/**
+ * Maturity Score
+ * Pure functions scoring a team's adoption per maturity level and per category
+ *
+ * A score is the weighted share of practices adopted (see ADOPTION_STATES), so a
+ * practice in progress counts as half. A maturity level is achieved once the
+ * team scores MATURITY_THRESHOLD at that level and every level below it.
+ */
+import { MATURITY_LABELS } from '$lib/domain/practice-catalog/maturity-levels.js'
+import {
+	ADOPTION_STATES,
+	DEFAULT_ADOPTION_STATE,
+	getAdoptionWeight,
+	toAdoptionStates
+} from '$lib/utils/adoption.js'
+
+/**
+ * Maturity levels with their names
+ */
+export const MATURITY_LEVELS = Object.freeze(
+	MATURITY_LABELS.map((label, level) => ({ level, label }))
+)
+
+/**
+ * Scored categories, in display order
+ */
+export const MATURITY_CATEGORIES = Object.freeze([
+	{ category: 'automation', label: 'Automation' },
+	{ category: 'behavior', label: 'Behavior' },
+	{ category: 'behavior-enabled-automation', label: 'Behavior-enabled automation' }
+])
+
+/**
+ * Score (percentage) from which a maturity level counts as achieved
+ */
+export const MATURITY_THRESHOLD = 80
+
+/**
+ * Score a group of practices
+ * @private
+ */
+const scoreGroup = (practices, states) => {
+	const counts = Object.fromEntries(ADOPTION_STATES.map(({ value }) => [value, 0]))
+	practices.forEach(practice => {
+		counts[states.get(practice.id) ?? DEFAULT_ADOPTION_STATE] += 1
+	})
+	const weight = practices.reduce(
+		(sum, practice) => sum + getAdoptionWeight(states.get(practice.id)),
+		0
+	)
+
+	return {
+		total: practices.length,
+		score: practices.length > 0 ? Math.round((weight / practices.length) * 100) : 0,
+		states: counts
+	}
+}
+
+/**
+ * Highest level achieved in a row from level 0; levels without practices are skipped
+ * @private
+ */
+const getAchievedLevel = levels => {
+	const scored = levels.filter(level => level.total > 0)
+	const missed = scored.findIndex(level => level.score < MATURITY_THRESHOLD)
+	const achieved = missed === -1 ? scored : scored.slice(0, missed)
+	return achieved.length > 0 ? achieved[achieved.length - 1].level : null
+}
+
+/**
+ * Score each maturity level of a group of practices
+ * @private
+ */
+const scoreLevels = (practices, states) =>
+	MATURITY_LEVELS.map(({ level, label }) => ({
+		level,
+		label,
+		...scoreGroup(
+			practices.filter(practice => (practice.maturityLevel ?? 0) === level),
+			states
+		)
+	}))
+
+/**
+ * Calculate the team's maturity overall, per maturity level and per category
+ *
+ * The root practice is the goal the others lead to and is not scored.
+ * Categories other than MATURITY_CATEGORIES are scored after them.
+ *
+ * @param {Map} practiceMap - Map of practice ID to practice (id, category, maturityLevel)
+ * @param {Set<string>|Map<string, string>} adoption - Adopted IDs or practice ID to adoption state
+ * @param {Object} [options]
+ * @param {string} [options.rootId] - Root practice ID (default: 'continuous-delivery')
+ * @returns {{overall: Object, levels: Array<Object>, categories: Array<Object>}}
+ * Every group has { total, score, states } (states counts practices per adoption state);
+ * overall and categories add achievedLevel (null before level 0 is achieved) and categories their levels
+ */
+export const calculateMaturityScores = (
+	practiceMap,
+	adoption,
+	{ rootId = 'continuous-delivery' } = {}
+) => {
+	const states = toAdoptionStates(adoption)
+	const practices = [...practiceMap.values()].filter(practice => practice.id !== rootId)
+	const labels = new Map(MATURITY_CATEGORIES.map(({ category, label }) => [category, label]))
+	const categories = [
+		...new Set([
+			...MATURITY_CATEGORIES.map(({ category }) => category),
+			...practices.map(practice => practice.category)
+		])
+	].filter(category => practices.some(practice => practice.category === category))
+
+	const levels = scoreLevels(practices, states)
+
+	return {
+		overall: { ...scoreGroup(practices, states), achievedLevel: getAchievedLevel(levels) },
+		levels,
+		categories: categories.map(category => {
+			const inCategory = practices.filter(practice => practice.category === category)
+			const categoryLevels = scoreLevels(inCategory, states)
+			return {
+				category,
+				label: labels.get(category) ?? category,
+				...scoreGroup(inCategory, states),
+				achievedLevel: getAchievedLevel(categoryLevels),
+				levels: categoryLevels
+			}
+		})
+	}
+}
+
+/**
+ * Lay out a radar chart: one axis per category, starting at the top and going clockwise
+ *
+ * Each series is a list of scores (percentages), one per axis, drawn as a polygon.
+ *
+ * @param {number} axisCount - Number of axes
+ * @param {Array<number[]>} series - Scores by axis, for each series
+ * @param {Object} [options] - { size, padding }
+ * @returns {{center: number, axes: Array<{x: number, y: number, labelX: number, labelY: number}>, rings: string[], polygons: string[]}}
+ * Axis ends and label anchors, SVG points of the 25/50/75/100% rings and of each series
+ */
+export const calculateRadarLayout = (axisCount, series, options = {}) => {
+	const { size = 320, padding = 60 } = options
+	const center = size / 2
+	const radius = center - padding
+
+	const pointAt = (index, score, distance = radius) => {
+		const angle = -Math.PI / 2 + (2 * Math.PI * index) / axisCount
+		const length = (distance * Math.min(Math.max(score, 0), 100)) / 100
+		return { x: center + length * Math.cos(angle), y: center + length * Math.sin(angle) }
+	}
+	const toPoints = scores =>
+		scores
+			.map((score, index) => pointAt(index, score))
+			.map(({ x, y }) => `${x},${y}`)
+			.join(' ')
+
+	return {
+		center,
+		axes: Array.from({ length: axisCount }, (_, index) => {
+			const end = pointAt(index, 100)
+			const label = pointAt(index, 100, radius + 18)
+			return { ...end, labelX: label.x, labelY: label.y }
+		}),
+		rings: [25, 50, 75, 100].map(ring => toPoints(Array(axisCount).fill(ring))),
+		polygons: series.map(toPoints)
+	}
+}
@@ -0,0 +1,181 @@
+/**
+ * Practice ID Aliases
+ * Pure functions remapping adoption saved against an older version of the catalog
+ *
+ * When a practice is renamed, merged or removed, the catalog records its former
+ * ID in metadata.aliases: { "old-id": "new-id", "removed-id": null }
+ *
+ * Aliases may chain (a → b → c) when a practice changed in several catalog
+ * versions. Several IDs resolving to the same practice are a merge.
+ */
+import { mergeAnnotations } from '$lib/domain/practice-annotations/annotations.js'
+import { getAdoptionWeight } from '$lib/utils/adoption.js'
+
+const isPracticeIdString = value => typeof value === 'string' && value.trim().length > 0
+
+/**
+ * Validate an alias map from the catalog
+ *
+ * @param {unknown} value
+ * @returns {Object<string, string|null>} Former ID to current ID, or null when removed
+ */
+export const normalizePracticeAliases = value => {
+	if (!value || typeof value !== 'object' || Array.isArray(value)) return {}
+
+	return Object.fromEntries(
+		Object.entries(value).filter(
+			([id, target]) => isPracticeIdString(id) && (target === null || isPracticeIdString(target))
+		)
+	)
+}
+
+/**
+ * Resolve a practice ID through the alias map, following chains
+ *
+ * @param {string} id - Practice ID, possibly a former one
+ * @param {Object<string, string|null>} aliases
+ * @returns {string|null} Current practice ID (the ID itself when it has no alias), or null when removed
+ */
+export const resolvePracticeId = (id, aliases) => {
+	const seen = new Set()
+	let current = id
+
+	while (Object.hasOwn(aliases, current) && !seen.has(current)) {
+		seen.add(current)
+		current = aliases[current]
+		if (current === null) return null
+	}
+
+	return current
+}
+
+/**
+ * Group practice IDs by the practice they resolve to
+ * @private
+ */
+const groupByResolvedId = (ids, aliases) =>
+	ids.reduce((groups, id) => {
+		const target = resolvePracticeId(id, aliases)
+		return target === null ? groups : groups.set(target, [...(groups.get(target) || []), id])
+	}, new Map())
+
+/**
+ * Remap the practice IDs of a Map of states, keeping the most advanced state of merged practices
+ * @private
+ */
+const remapStateEntries = (states, aliases) =>
+	new Map(
+		[...groupByResolvedId([...states.keys()], aliases)].map(([target, sources]) => [
+			target,
+			sources
+				.map(id => states.get(id))
+				.reduce((best, state) =>
+					getAdoptionWeight(state) > getAdoptionWeight(best) ? state : best
+				)
+		])
+	)
+
+/**
+ * Remap adoption saved against an older catalog
+ *
+ * Renamed practices keep their state, requirement progress and questionnaire
+ * answers. Merged practices take the most advanced state of the merged ones;
+ * their requirement progress and answers are kept only when the merged practice
+ * itself had a state, as the requirements of the others do not match. Annotations of merged practices are combined (see
+ * mergeAnnotations). Removed practices are dropped.
+ *
+ * @param {Object} adoption
+ * @param {Map<string, string>} adoption.states - Practice ID to adoption state
+ * @param {Map<string, Set<number>>} [adoption.requirements] - Completed requirement indexes by practice ID
+ * @param {Map<string, Object>} [adoption.annotations] - Annotations by practice ID (see domain/practice-annotations)
+ * @param {Map<string, Array<string|null>>} [adoption.answers] - Questionnaire answers by practice ID (see domain/self-assessment)
+ * @param {Object<string, string|null>} aliases - See normalizePracticeAliases
+ * @returns {{states: Map<string, string>, requirements: Map<string, Set<number>>, annotations: Map<string, Object>, answers: Map<string, Array<string|null>>, report: {remapped: Array<{from: string, to: string}>, merged: Array<{to: string, from: string[]}>, dropped: string[]}}}
+ */
+export const remapPracticeAliases = (
+	{ states, requirements = new Map(), annotations = new Map(), answers = new Map() },
+	aliases
+) => {
+	const groups = groupByResolvedId([...states.keys()], aliases)
+
+	// The merged practice's own annotation comes first
+	const remappedAnnotations = new Map(
+		[...groupByResolvedId([...annotations.keys()], aliases)].map(([target, sources]) => [
+			target,
+			sources.length === 1
+				? annotations.get(sources[0])
+				: mergeAnnotations(
+						[...sources.filter(id => id === target), ...sources.filter(id => id !== target)].map(
+							id => annotations.get(id)
+						)
+					)
+		])
+	)
+
+	// Requirement progress and answers follow a renamed practice, or stay with the practice merged into
+	// (answers are kept for practices without a state too)
+	const remapByRequirement = entries =>
+		new Map(
+			[...groupByResolvedId([...new Set([...states.keys(), ...entries.keys()])], aliases)].flatMap(
+				([target, sources]) => {
+					const source =
+						sources.length === 1 ? sources[0] : sources.includes(target) ? target : null
+					return source !== null && entries.has(source) ? [[target, entries.get(source)]] : []
+				}
+			)
+		)
+
+	return {
+		states: remapStateEntries(states, aliases),
+		requirements: remapByRequirement(requirements),
+		annotations: remappedAnnotations,
+		answers: remapByRequirement(answers),
+		report: {
+			remapped: [...groups]
+				.filter(([target, sources]) => sources.length === 1 && sources[0] !== target)
+				.map(([target, [from]]) => ({ from, to: target })),
+			merged: [...groups]
+				.filter(([, sources]) => sources.length > 1)
+				.map(([target, sources]) => ({ to: target, from: [...sources].sort() })),
+			dropped: [...states.keys()].filter(id => resolvePracticeId(id, aliases) === null).sort()
+		}
+	}
+}
+
+/**
+ * Remap the practice IDs of an adoption history
+ *
+ * Events of removed practices are dropped; merged practices keep the most
+ * advanced baseline state.
+ *
+ * @param {Object|null} history - See domain/adoption-history
+ * @param {Object<string, string|null>} aliases - See normalizePracticeAliases
+ * @returns {Object|null} The remapped history
+ */
+export const remapHistoryAliases = (history, aliases) => {
+	if (!history) return history
+
+	return {
+		baseline: {
+			at: history.baseline.at,
+			states: Object.fromEntries(
+				[...remapStateEntries(new Map(Object.entries(history.baseline.states)), aliases)].sort(
+					([a], [b]) => a.localeCompare(b)
+				)
+			)
+		},
+		events: history.events.flatMap(event => {
+			const practiceId = resolvePracticeId(event.practiceId, aliases)
+			return practiceId === null ? [] : [{ ...event, practiceId }]
+		})
+	}
+}
+
+/**
+ * Check whether a remap report lists any change
+ *
+ * @param {{remapped: Array, merged: Array, dropped: Array}} report
+ * @returns {boolean}
+ */
+export const hasAliasChanges = ({ remapped, merged, dropped }) =>
+	remapped.length + merged.length + dropped.length > 0
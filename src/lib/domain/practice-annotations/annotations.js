@@ -0,0 +1,185 @@
+/**
+ * Practice Annotations
+ * Pure functions over what a team records about a practice beyond its state:
+ * { notes, evidence: ['https://...'], owner, targetDate: 'YYYY-MM-DD' }
+ *
+ * Every field is optional and only fields with content are kept; an annotation
+ * without any content is no annotation.
+ */
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+const trimmed = value => (typeof value === 'string' ? value.trim() : '')
+
+/**
+ * Check whether a value is a web address that can serve as evidence
+ *
+ * @param {unknown} value
+ * @returns {boolean} True for absolute http(s) URLs
+ */
+export const isEvidenceUrl = value => {
+	try {
+		return ['http:', 'https:'].includes(new URL(trimmed(value)).protocol)
+	} catch {
+		return false
+	}
+}
+
+/**
+ * Check whether a value is a calendar day (YYYY-MM-DD)
+ * @private
+ */
+const isDay = value => {
+	if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false
+
+	const date = new Date(`${value}T00:00:00Z`)
+	return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value
+}
+
+/**
+ * Validate an annotation
+ *
+ * Text is trimmed, evidence keeps the distinct http(s) URLs and a target date
+ * that is not a YYYY-MM-DD day is dropped.
+ *
+ * @param {unknown} value
+ * @returns {{notes?: string, evidence?: string[], owner?: string, targetDate?: string}|null} null when nothing is left
+ */
+export const normalizeAnnotation = value => {
+	if (!isObject(value)) return null
+
+	const notes = trimmed(value.notes)
+	const evidence = [
+		...new Set((Array.isArray(value.evidence) ? value.evidence : []).map(trimmed))
+	].filter(isEvidenceUrl)
+	const owner = trimmed(value.owner).replace(/\s+/g, ' ')
+	const targetDate = isDay(trimmed(value.targetDate)) ? trimmed(value.targetDate) : ''
+
+	const annotation = {
+		...(notes && { notes }),
+		...(evidence.length > 0 && { evidence }),
+		...(owner && { owner }),
+		...(targetDate && { targetDate })
+	}
+	return Object.keys(annotation).length > 0 ? annotation : null
+}
+
+/**
+ * Validate the annotations of several practices
+ *
+ * @param {Map<string, Object>|Object<string, Object>|null|undefined} value - Annotations by practice ID
+ * @param {Set<string>|null} [validPracticeIds] - Keep only these practices (all when null)
+ * @returns {Map<string, Object>} Practice ID to annotation, without empty annotations
+ */
+export const normalizeAnnotations = (value, validPracticeIds = null) => {
+	const entries = value instanceof Map ? [...value] : isObject(value) ? Object.entries(value) : []
+
+	return new Map(
+		entries
+			.filter(([id]) => !validPracticeIds || validPracticeIds.has(id))
+			.map(([id, annotation]) => [id, normalizeAnnotation(annotation)])
+			.filter(([, annotation]) => annotation !== null)
+	)
+}
+
+/**
+ * Set or, when empty, remove one practice's annotation
+ *
+ * @param {Map<string, Object>} annotations - Practice ID to annotation
+ * @param {string} practiceId
+ * @param {Object|null} annotation - Unvalidated annotation
+ * @returns {Map<string, Object>} A new Map
+ */
+export const setAnnotation = (annotations, practiceId, annotation) => {
+	const next = new Map(annotations)
+	const normalized = normalizeAnnotation(annotation)
+
+	if (normalized) {
+		next.set(practiceId, normalized)
+	} else {
+		next.delete(practiceId)
+	}
+	return next
+}
+
+/**
+ * Combine the annotations of practices merged into one
+ *
+ * Notes are joined, evidence links combined, and the first owner and target date kept.
+ *
+ * @param {Object[]} annotations - Valid annotations, in order of precedence
+ * @returns {Object|null} Combined annotation
+ */
+export const mergeAnnotations = annotations =>
+	normalizeAnnotation({
+		notes: annotations
+			.map(annotation => annotation.notes)
+			.filter(Boolean)
+			.join('\n\n'),
+		evidence: annotations.flatMap(annotation => annotation.evidence ?? []),
+		owner: annotations.find(annotation => annotation.owner)?.owner,
+		targetDate: annotations.find(annotation => annotation.targetDate)?.targetDate
+	})
+
+/**
+ * Convert annotations to a plain object sorted by practice ID (for JSON)
+ *
+ * @param {Map<string, Object>} annotations - Practice ID to annotation
+ * @returns {Object<string, Object>}
+ */
+export const annotationsToObject = annotations =>
+	Object.fromEntries([...annotations].sort(([a], [b]) => a.localeCompare(b)))
+
+/**
+ * Read evidence links typed one per line (or separated by spaces)
+ *
+ * @param {string} text
+ * @returns {{links: string[], invalid: string[]}} The http(s) URLs, and everything else that was typed
+ */
+export const parseEvidenceInput = text => {
+	const values = String(text ?? '')
+		.split(/\s+/)
+		.filter(Boolean)
+
+	return {
+		links: [...new Set(values.filter(isEvidenceUrl))],
+		invalid: values.filter(value => !isEvidenceUrl(value))
+	}
+}
+
+/**
+ * Check whether a target date has passed
+ *
+ * @param {Object|null|undefined} annotation
+ * @param {string} today - Current day (YYYY-MM-DD)
+ * @returns {boolean}
+ */
+export const isOverdue = (annotation, today) =>
+	Boolean(annotation?.targetDate) && annotation.targetDate < today
+
+/**
+ * Replace the notes of some practices, keeping the rest of their annotations
+ * (a spreadsheet holds only the notes)
+ *
+ * @param {Map<string, Object>} annotations - Practice ID to annotation
+ * @param {Map<string, string>} notes - Notes by practice ID
+ * @returns {Map<string, Object>} A new Map
+ */
+export const setAnnotationNotes = (annotations, notes) =>
+	[...notes].reduce(
+		(next, [id, text]) => setAnnotation(next, id, { ...next.get(id), notes: text }),
+		annotations
+	)
+
+/**
+ * Get the notes of every annotated practice that has notes
+ *
+ * @param {Map<string, Object>} annotations - Practice ID to annotation
+ * @returns {Map<string, string>} Notes by practice ID
+ */
+export const getAnnotationNotes = annotations =>
+	new Map(
+		[...annotations]
+			.filter(([, annotation]) => annotation.notes)
+			.map(([id, annotation]) => [id, annotation.notes])
+	)
@@ -0,0 +1,100 @@
+/**
+ * Practice Catalog Format
+ * Pure functions describing how cd-practices.json is stored: record key order,
+ * entry order, serialization and readable validation messages
+ *
+ * Shared by the catalog editor and the persistence adapters, so the file format
+ * has a single definition.
+ */
+
+/**
+ * Key order used in cd-practices.json (keeps rewrites diff-friendly)
+ */
+const PRACTICE_KEY_ORDER = [
+	'benefits',
+	'category',
+	'description',
+	'id',
+	'maturityLevel',
+	'name',
+	'quickStartGuide',
+	'requirements',
+	'type',
+	'antiPatterns',
+	'migrationGuideUrl'
+]
+
+// Always written, even when empty, so validation reports them instead of them disappearing
+const REQUIRED_LIST_KEYS = new Set(['benefits', 'requirements'])
+
+const isEmpty = value =>
+	value === undefined ||
+	value === null ||
+	(typeof value === 'string' && value.trim() === '') ||
+	(Array.isArray(value) && value.length === 0)
+
+/**
+ * Build a practice record with keys in catalog order
+ * Optional fields that are empty (blank strings, empty antiPatterns) are omitted.
+ * @param {Object} fields - Practice fields
+ * @returns {Object} Practice record
+ */
+export const toPracticeRecord = fields =>
+	PRACTICE_KEY_ORDER.reduce((record, key) => {
+		const value = fields[key]
+		if (REQUIRED_LIST_KEYS.has(key)) return { ...record, [key]: value ?? [] }
+		if (isEmpty(value)) return record
+		return { ...record, [key]: value }
+	}, {})
+
+/**
+ * Sort catalog entries the way cd-practices.json is kept (by ID, then dependency target)
+ * @param {Object} catalog - Catalog data
+ * @returns {Object} Sorted catalog
+ */
+export const sortCatalog = catalog => ({
+	...catalog,
+	dependencies: [...catalog.dependencies].sort(
+		(a, b) =>
+			a.practice_id.localeCompare(b.practice_id) || a.depends_on_id.localeCompare(b.depends_on_id)
+	),
+	practices: [...catalog.practices].sort((a, b) => a.id.localeCompare(b.id))
+})
+
+/**
+ * Serialize a catalog exactly as the checked-in file is formatted (tabs, trailing newline)
+ * @param {Object} catalog - Catalog data
+ * @returns {string} JSON text
+ */
+export const serializeCatalog = catalog => `${JSON.stringify(catalog, null, '\t')}\n`
+
+/**
+ * Replace array indexes in a schema error path with practice IDs
+ * e.g. "/practices/12/requirements/0" -> "practice version-control: /requirements/0"
+ * @private
+ */
+const describeInstancePath = (instancePath, catalog) => {
+	const match = /^\/practices\/(\d+)(.*)$/.exec(instancePath)
+	const practice = match && catalog?.practices?.[Number(match[1])]
+	if (!practice) return `at ${instancePath}`
+	return match[2] ? `practice ${practice.id}: ${match[2]}` : `practice ${practice.id}`
+}
+
+/**
+ * Turn a validateCdPractices error into a one-line, human-readable message
+ * @param {Object} error - Error from validateCdPractices
+ * @param {Object} [catalog] - The validated catalog, used to name practices in schema errors
+ * @returns {string} Message
+ */
+export const describeCatalogError = (error, catalog) => {
+	const details = []
+
+	if (error.instancePath) details.push(describeInstancePath(error.instancePath, catalog))
+	if (error.practice_id) details.push(`practice ${error.practice_id}`)
+	if (error.reason) details.push(error.reason)
+	if (error.cycle) details.push(error.cycle.join(' → '))
+	if (error.duplicates) details.push(error.duplicates.join(', '))
+
+	const message = error.message || 'Unknown error'
+	return details.length > 0 ? `${message} (${details.join('; ')})` : message
+}
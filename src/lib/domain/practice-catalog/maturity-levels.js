@@ -0,0 +1,24 @@
+/**
+ * Maturity Levels
+ * The names of the practice maturity levels (maturityLevel 0-3 in cd-practices.json)
+ *
+ * Every page and export labels levels from here, so they cannot drift apart.
+ */
+
+/**
+ * Maturity level names, indexed by level
+ */
+export const MATURITY_LABELS = Object.freeze([
+	'Repeatable',
+	'Consistent',
+	'Quantitatively managed',
+	'Optimizing'
+])
+
+/**
+ * Maturity level with its name, e.g. "0 - Repeatable"
+ *
+ * @param {number} level - Maturity level (0-3)
+ * @returns {string}
+ */
+export const formatMaturityLevel = level => `${level} - ${MATURITY_LABELS[level] ?? 'Unknown'}`
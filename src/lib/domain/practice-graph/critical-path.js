@@ -0,0 +1,152 @@
+/**
+ * Critical Path Analysis
+ * Pure functions computing fan-in and critical-path tiers from the dependency list
+ *
+ * Fan-in = number of practices that depend directly on a practice.
+ * Transitive fan-in = number of practices that depend on it directly or indirectly.
+ * High fan-in practices are load-bearing and should be adopted early.
+ *
+ * Only relative imports here: the build-time validator script imports this module.
+ */
+import { buildDependentsMap, collectDependents } from './dependencies.js'
+
+/**
+ * Fan-in thresholds for each tier, matching the tiers described in
+ * metadata.patterns.criticalPath (Tier 1: 7+ dependents, Tier 2: 5-6 dependents)
+ */
+export const DEFAULT_TIER_THRESHOLDS = Object.freeze({ tier1: 7, tier2: 5 })
+
+/**
+ * Count direct dependents for every practice
+ * @param {string[]} practiceIds - All practice IDs (practices without dependents get 0)
+ * @param {Array<{practice_id: string, depends_on_id: string}>} dependencies
+ * @returns {Map<string, number>} Practice ID to direct fan-in
+ */
+export const calculateFanIn = (practiceIds, dependencies) => {
+	const dependentsMap = buildDependentsMap(dependencies)
+	return new Map(practiceIds.map(id => [id, new Set(dependentsMap.get(id) || []).size]))
+}
+
+/**
+ * Count direct and indirect dependents for every practice
+ * @param {string[]} practiceIds - All practice IDs
+ * @param {Array<{practice_id: string, depends_on_id: string}>} dependencies
+ * @returns {Map<string, number>} Practice ID to transitive fan-in
+ */
+export const calculateTransitiveFanIn = (practiceIds, dependencies) => {
+	const dependentsMap = buildDependentsMap(dependencies)
+	return new Map(practiceIds.map(id => [id, collectDependents(id, dependentsMap).size]))
+}
+
+/**
+ * Assign a critical-path tier from a practice's fan-in
+ * @param {number} fanIn - Direct dependent count
+ * @param {Object} thresholds - { tier1, tier2 } minimum fan-in per tier
+ * @returns {number|null} 1, 2, or null when not on the critical path
+ */
+export const assignTier = (fanIn, thresholds = DEFAULT_TIER_THRESHOLDS) => {
+	if (fanIn >= thresholds.tier1) return 1
+	if (fanIn >= thresholds.tier2) return 2
+	return null
+}
+
+/**
+ * Compute the critical path for a catalog
+ *
+ * Practices are ordered by fan-in, then transitive fan-in, then ID.
+ *
+ * @param {Array<Object>} practices - Practices with at least { id, name }
+ * @param {Array<{practice_id: string, depends_on_id: string}>} dependencies
+ * @param {Object} thresholds - { tier1, tier2 } minimum fan-in per tier
+ * @returns {{practices: Array, tier1: Array, tier2: Array, thresholds: Object}}
+ */
+export const calculateCriticalPath = (
+	practices,
+	dependencies,
+	thresholds = DEFAULT_TIER_THRESHOLDS
+) => {
+	const practiceIds = practices.map(p => p.id)
+	const fanIn = calculateFanIn(practiceIds, dependencies)
+	const transitiveFanIn = calculateTransitiveFanIn(practiceIds, dependencies)
+
+	const analysed = practices
+		.map(practice => ({
+			id: practice.id,
+			name: practice.name,
+			category: practice.category,
+			maturityLevel: practice.maturityLevel,
+			fanIn: fanIn.get(practice.id),
+			transitiveFanIn: transitiveFanIn.get(practice.id),
+			tier: assignTier(fanIn.get(practice.id), thresholds)
+		}))
+		.sort(
+			(a, b) =>
+				b.fanIn - a.fanIn || b.transitiveFanIn - a.transitiveFanIn || a.id.localeCompare(b.id)
+		)
+
+	return {
+		practices: analysed,
+		tier1: analysed.filter(p => p.tier === 1),
+		tier2: analysed.filter(p => p.tier === 2),
+		thresholds: { ...thresholds }
+	}
+}
+
+/**
+ * Compare the hand-maintained tiers in metadata.patterns.criticalPath with the
+ * fan-in computed from the dependency list
+ *
+ * An entry drifts when its stated `dependents` count differs from the fan-in, or
+ * when its tier differs from the tier the thresholds give. Practices that meet a
+ * threshold but are not listed are reported with a null tier.
+ *
+ * @param {Object} criticalPathMetadata - metadata.patterns.criticalPath
+ * @param {string[]} practiceIds - All practice IDs
+ * @param {Array<{practice_id: string, depends_on_id: string}>} dependencies
+ * @param {Object} thresholds - { tier1, tier2 } minimum fan-in per tier
+ * @returns {Array<{id: string, tier: string|null, stated: number|null, actual: number|null, expectedTier: string|null}>}
+ *   Drifted entries (actual is null for unknown practices)
+ */
+export const findCriticalPathDrift = (
+	criticalPathMetadata,
+	practiceIds,
+	dependencies,
+	thresholds = DEFAULT_TIER_THRESHOLDS
+) => {
+	const fanIn = calculateFanIn(practiceIds, dependencies)
+	const expectedTierOf = id => {
+		const tier = fanIn.has(id) ? assignTier(fanIn.get(id), thresholds) : null
+		return tier ? `tier${tier}` : null
+	}
+
+	const listed = Object.entries(criticalPathMetadata || {})
+		.filter(([, section]) => Array.isArray(section?.practices))
+		.flatMap(([tier, section]) =>
+			section.practices.map(entry => ({
+				id: entry.id,
+				tier,
+				stated: typeof entry.dependents === 'number' ? entry.dependents : null,
+				actual: fanIn.has(entry.id) ? fanIn.get(entry.id) : null,
+				expectedTier: expectedTierOf(entry.id)
+			}))
+		)
+	const listedIds = new Set(listed.map(entry => entry.id))
+	const unlisted = practiceIds
+		.filter(id => !listedIds.has(id) && expectedTierOf(id))
+		.map(id => ({
+			id,
+			tier: null,
+			stated: null,
+			actual: fanIn.get(id),
+			expectedTier: expectedTierOf(id)
+		}))
+
+	return [
+		...listed.filter(
+			entry =>
+				(entry.stated !== null && entry.stated !== entry.actual) ||
+				entry.tier !== entry.expectedTier
+		),
+		...unlisted
+	]
+}
@@ -0,0 +1,60 @@
+/**
+ * Practice Dependencies
+ * Pure functions walking the dependency graph: a practice's dependency IDs,
+ * dependency edges, and the practices that depend on a practice
+ *
+ * Only relative imports here: critical-path.js uses this module and the
+ * build-time validator script imports critical-path.js.
+ */
+
+/**
+ * Dependency IDs of a practice (dependencies may be IDs or practice objects)
+ * @param {Object} [practice] - Practice with optional dependencies
+ * @returns {string[]}
+ */
+export const getDependencyIds = practice =>
+	(practice?.dependencies || []).map(dep => (typeof dep === 'string' ? dep : dep.id))
+
+/**
+ * Dependency edges of every practice in a map, in cd-practices.json shape
+ * @param {Map} practiceMap - Map of practice ID to practice
+ * @returns {Array<{practice_id: string, depends_on_id: string}>}
+ */
+export const toDependencyEdges = practiceMap =>
+	[...practiceMap.values()].flatMap(practice =>
+		getDependencyIds(practice).map(depId => ({ practice_id: practice.id, depends_on_id: depId }))
+	)
+
+/**
+ * Map of practice ID to the IDs of practices that depend on it directly
+ * @param {Array<{practice_id: string, depends_on_id: string}>} dependencies
+ * @returns {Map<string, string[]>}
+ */
+export const buildDependentsMap = dependencies =>
+	dependencies.reduce((map, { practice_id, depends_on_id }) => {
+		map.set(depends_on_id, [...(map.get(depends_on_id) || []), practice_id])
+		return map
+	}, new Map())
+
+/**
+ * IDs of the practices that depend on a practice directly or indirectly
+ * (never the practice itself, even in a dependency cycle)
+ * @param {string} practiceId
+ * @param {Map<string, string[]>} dependentsMap - From buildDependentsMap
+ * @returns {Set<string>}
+ */
+export const collectDependents = (practiceId, dependentsMap) => {
+	const visited = new Set()
+	const queue = [practiceId]
+
+	while (queue.length > 0) {
+		for (const dependentId of dependentsMap.get(queue.shift()) || []) {
+			if (!visited.has(dependentId) && dependentId !== practiceId) {
+				visited.add(dependentId)
+				queue.push(dependentId)
+			}
+		}
+	}
+
+	return visited
+}
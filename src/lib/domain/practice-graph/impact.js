@@ -0,0 +1,67 @@
+/**
+ * Adoption Impact Analysis
+ * Pure function answering "what does adopting this practice unblock?"
+ */
+import {
+	buildDependentsMap,
+	collectDependents,
+	getDependencyIds,
+	toDependencyEdges
+} from '$lib/domain/practice-graph/dependencies.js'
+import { calculateAdoptionPercentage } from '$lib/utils/adoption.js'
+
+/**
+ * Calculate the impact of adopting one practice
+ *
+ * The comparison is always between the adopted set without and with the practice,
+ * so the result is the same whether or not the practice is already adopted.
+ *
+ * - newlyUnblocked: unadopted practices whose dependencies become all adopted
+ * - contributesTo: every practice that depends on it directly or indirectly
+ * - percentageBefore/After/Change: overall adoption across the practice map
+ *
+ * @param {string} practiceId - Practice to analyse
+ * @param {Map} practiceMap - Map of practice ID to practice object (dependencies as IDs or objects)
+ * @param {Set<string>} adoptedSet - Set of adopted practice IDs
+ * @returns {Object|null} Impact, or null when the practice is not in the map
+ */
+export const calculateAdoptionImpact = (practiceId, practiceMap, adoptedSet) => {
+	if (!practiceMap.has(practiceId)) return null
+
+	const without = new Set([...adoptedSet].filter(id => id !== practiceId && practiceMap.has(id)))
+	const withPractice = new Set([...without, practiceId])
+
+	const dependentsMap = buildDependentsMap(toDependencyEdges(practiceMap))
+
+	const summarize = id => {
+		const practice = practiceMap.get(id)
+		return { id, name: practice.name, isAdopted: adoptedSet.has(id) }
+	}
+	const byName = (a, b) => a.name.localeCompare(b.name)
+
+	const isReady = (id, satisfied) =>
+		getDependencyIds(practiceMap.get(id)).every(depId => satisfied.has(depId))
+
+	const newlyUnblocked = [...new Set(dependentsMap.get(practiceId) || [])]
+		.filter(id => !adoptedSet.has(id) && isReady(id, withPractice) && !isReady(id, without))
+		.map(summarize)
+		.sort(byName)
+
+	const contributesTo = [...collectDependents(practiceId, dependentsMap)]
+		.map(summarize)
+		.sort(byName)
+
+	const total = practiceMap.size
+	const percentageBefore = calculateAdoptionPercentage(without.size, total)
+	const percentageAfter = calculateAdoptionPercentage(withPractice.size, total)
+
+	return {
+		practiceId,
+		isAdopted: adoptedSet.has(practiceId),
+		newlyUnblocked,
+		contributesTo,
+		percentageBefore,
+		percentageAfter,
+		percentageChange: percentageAfter - percentageBefore
+	}
+}
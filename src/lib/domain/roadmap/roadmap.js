@@ -0,0 +1,193 @@
+/**
+ * Implementation Roadmap
+ * Pure functions for the phased roadmap defined in
+ * metadata.patterns.implementationTimeline
+ */
+import { calculateAdoptionPercentage } from '$lib/utils/adoption.js'
+
+/**
+ * Adaptations from implementationTimeline.adaptationGuidance
+ *
+ * The guidance is prose, so each adaptation is mapped to a schedule here.
+ * greenfield and brownfield scale durations by the middle of their stated range
+ * (20-30% shorter, 1.5-2x longer). smallTeam keeps durations but defers phases
+ * outside includedPhases. largeOrg keeps durations for a pilot in one division,
+ * followed by a scale-out across the organisation that the guidance gives no
+ * duration for, so it is scheduled but not estimated.
+ */
+export const ROADMAP_ADAPTATIONS = Object.freeze({
+	standard: { key: 'standard', label: 'Standard', factor: 1 },
+	greenfield: { key: 'greenfield', label: 'Greenfield', factor: 0.75 },
+	brownfield: { key: 'brownfield', label: 'Brownfield', factor: 1.75 },
+	smallTeam: { key: 'smallTeam', label: 'Small team', factor: 1, includedPhases: [1, 2, 3] },
+	largeOrg: { key: 'largeOrg', label: 'Large organisation', factor: 1, pilot: true }
+})
+
+/**
+ * Parse a duration such as "8 weeks" or "1 week" into a number of weeks
+ * @param {string|number} duration
+ * @returns {number} Weeks (0 when the duration cannot be parsed)
+ */
+export const parseWeeks = duration => {
+	if (typeof duration === 'number') return duration
+	const match = /(\d+(?:\.\d+)?)\s*weeks?/i.exec(duration || '')
+	return match ? Number(match[1]) : 0
+}
+
+/**
+ * Find prerequisites of a practice that are scheduled in a later phase
+ *
+ * Prerequisites are followed through unscheduled practices and stop at the
+ * nearest scheduled ones, so each conflict is reported once, on the earliest practice.
+ *
+ * @private
+ */
+const findLaterPrerequisites = (practiceId, phaseNumber, prerequisitesById, phaseByPractice) => {
+	const later = []
+	const visited = new Set()
+	const visit = id => {
+		for (const prerequisiteId of prerequisitesById.get(id) || []) {
+			if (visited.has(prerequisiteId)) continue
+			visited.add(prerequisiteId)
+
+			const prerequisitePhase = phaseByPractice.get(prerequisiteId)
+			if (prerequisitePhase === undefined) {
+				visit(prerequisiteId)
+			} else if (prerequisitePhase > phaseNumber) {
+				later.push({ practiceId, prerequisiteId, prerequisitePhase })
+			}
+		}
+	}
+	visit(practiceId)
+	return later
+}
+
+/**
+ * Build the roadmap view model from timeline metadata and the practice catalog
+ *
+ * Practice IDs in the timeline that are missing from the catalog are reported in
+ * missingPracticeIds. Each phase lists forwardDependencies: its practices'
+ * prerequisites that are scheduled in a later phase.
+ *
+ * @param {Object} timeline - metadata.patterns.implementationTimeline
+ * @param {Array<Object>} practices - Practices with at least { id, name }
+ * @param {Array<{practice_id: string, depends_on_id: string}>} dependencies
+ * @returns {Object} { description, phases, adaptationGuidance, successMetrics }
+ */
+export const buildRoadmap = (timeline, practices, dependencies) => {
+	const practicesById = new Map(
+		practices.map(p => [
+			p.id,
+			{ id: p.id, name: p.name, category: p.category, maturityLevel: p.maturityLevel }
+		])
+	)
+	const prerequisitesById = dependencies.reduce((map, { practice_id, depends_on_id }) => {
+		map.set(practice_id, [...(map.get(practice_id) || []), depends_on_id])
+		return map
+	}, new Map())
+
+	const timelinePhases = [...(timeline?.phases || [])].sort((a, b) => a.number - b.number)
+	const phaseByPractice = new Map(
+		timelinePhases.flatMap(phase =>
+			(phase.practices || []).filter(id => practicesById.has(id)).map(id => [id, phase.number])
+		)
+	)
+
+	const phases = timelinePhases.map(phase => {
+		const ids = phase.practices || []
+		const scheduledIds = ids.filter(id => practicesById.has(id))
+
+		return {
+			number: phase.number,
+			name: phase.name,
+			durationWeeks: parseWeeks(phase.duration),
+			effort: Object.fromEntries(
+				Object.entries(phase.effort || {}).map(([stage, duration]) => [stage, parseWeeks(duration)])
+			),
+			goals: phase.goals || [],
+			outcomes: phase.outcomes || [],
+			trilogyProgress: phase.devopsTrilogyProgress || {},
+			practices: scheduledIds.map(id => practicesById.get(id)),
+			missingPracticeIds: ids.filter(id => !practicesById.has(id)),
+			forwardDependencies: scheduledIds.flatMap(id =>
+				findLaterPrerequisites(id, phase.number, prerequisitesById, phaseByPractice)
+			)
+		}
+	})
+
+	return {
+		description: timeline?.description || '',
+		phases,
+		adaptationGuidance: timeline?.adaptationGuidance || {},
+		successMetrics: timeline?.successMetrics || {}
+	}
+}
+
+/**
+ * Schedule roadmap phases for an adaptation
+ *
+ * Durations are scaled by the adaptation factor and rounded to whole weeks
+ * (at least one). Deferred phases are kept but not scheduled.
+ *
+ * For a pilot adaptation the scheduled phases are the pilot, and scaleOut marks
+ * where the organisation-wide rollout starts; totalWeeks covers the pilot only.
+ *
+ * @param {Array<Object>} phases - Phases from buildRoadmap
+ * @param {string} adaptationKey - Key of ROADMAP_ADAPTATIONS
+ * @returns {{phases: Array, totalWeeks: number, adaptation: Object, scaleOut: {startWeek: number}|null}}
+ */
+export const scheduleRoadmap = (phases, adaptationKey = 'standard') => {
+	const adaptation = ROADMAP_ADAPTATIONS[adaptationKey] || ROADMAP_ADAPTATIONS.standard
+	const scale = weeks => (weeks > 0 ? Math.max(1, Math.round(weeks * adaptation.factor)) : 0)
+
+	const scheduled = phases.reduce(
+		(acc, phase) => {
+			const deferred = Boolean(
+				adaptation.includedPhases && !adaptation.includedPhases.includes(phase.number)
+			)
+			const durationWeeks = deferred ? 0 : scale(phase.durationWeeks)
+
+			return {
+				week: acc.week + durationWeeks,
+				phases: [
+					...acc.phases,
+					{
+						...phase,
+						deferred,
+						pilot: Boolean(adaptation.pilot) && !deferred,
+						durationWeeks,
+						effort: Object.fromEntries(
+							Object.entries(phase.effort).map(([stage, weeks]) => [stage, scale(weeks)])
+						),
+						startWeek: deferred ? null : acc.week + 1,
+						endWeek: deferred ? null : acc.week + durationWeeks
+					}
+				]
+			}
+		},
+		{ week: 0, phases: [] }
+	)
+
+	return {
+		phases: scheduled.phases,
+		totalWeeks: scheduled.week,
+		adaptation,
+		scaleOut: adaptation.pilot ? { startWeek: scheduled.week + 1 } : null
+	}
+}
+
+/**
+ * Calculate adoption progress for one phase
+ * @param {Object} phase - Phase from buildRoadmap
+ * @param {Set<string>} adoptedSet - Set of adopted practice IDs
+ * @returns {{adoptedCount: number, totalCount: number, percentage: number}}
+ */
+export const calculatePhaseProgress = (phase, adoptedSet) => {
+	const adoptedCount = phase.practices.filter(p => adoptedSet.has(p.id)).length
+
+	return {
+		adoptedCount,
+		totalCount: phase.practices.length,
+		percentage: calculateAdoptionPercentage(adoptedCount, phase.practices.length)
+	}
+}
@@ -0,0 +1,176 @@
+/**
+ * Self-Assessment
+ * Pure functions for the questionnaire that asks, for each requirement of a
+ * practice, whether the team can show evidence of it, and suggests the
+ * practice's adoption state from the answers
+ *
+ * Answers of a practice are kept by requirement index: ['yes', 'partly', null, 'no']
+ * (null for a question not answered yet).
+ */
+import { calculateAdoptionPlan } from '$lib/domain/guided-walkthrough/recommendation.js'
+
+/**
+ * Possible answers, from most to least evidence
+ */
+export const ASSESSMENT_ANSWERS = Object.freeze([
+	{ value: 'yes', label: 'Yes' },
+	{ value: 'partly', label: 'Partly' },
+	{ value: 'no', label: 'No' }
+])
+
+const answerValues = new Set(ASSESSMENT_ANSWERS.map(answer => answer.value))
+
+/**
+ * Check whether a value is one of ASSESSMENT_ANSWERS
+ *
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+export const isAssessmentAnswer = value => answerValues.has(value)
+
+/**
+ * Question asked for a requirement
+ * @private
+ */
+const toQuestion = requirement => `Can you show evidence of "${requirement}"?`
+
+/**
+ * Build the questionnaire: one question per requirement, practices foundations first
+ *
+ * Practices are walked in dependency order, a practice only after all of its
+ * dependencies, taking the lowest maturity level first (see calculateAdoptionPlan).
+ * Practices without requirements have no questions and are left out.
+ *
+ * @param {Map<string, Object>} practiceMap - Practice ID to practice (with requirements, maturityLevel and dependencies)
+ * @returns {Array<{practiceId: string, name: string, category: string, maturityLevel: number, questions: Array<{index: number, requirement: string, text: string}>}>}
+ */
+export const buildQuestionnaire = practiceMap => {
+	const plan = calculateAdoptionPlan(practiceMap, new Set(), { capacity: 1 })
+	const order = [...plan.phases.map(phase => phase.practices[0].id), ...plan.unplannedIds]
+
+	return order
+		.map(id => practiceMap.get(id))
+		.filter(practice => practice.requirements?.length > 0)
+		.map(practice => ({
+			practiceId: practice.id,
+			name: practice.name,
+			category: practice.category,
+			maturityLevel: practice.maturityLevel,
+			questions: practice.requirements.map((requirement, index) => ({
+				index,
+				requirement,
+				text: toQuestion(requirement)
+			}))
+		}))
+}
+
+/**
+ * Suggest an adoption state from a practice's answers
+ *
+ * Adopted when every answer is yes, not started when every answer is no,
+ * exploring when nothing is fully in place, in progress otherwise.
+ *
+ * @param {Array<string|null>} answers - Answers by requirement index
+ * @param {number} questionCount - Number of questions (requirements) of the practice
+ * @returns {string|null} Adoption state, or null until every question is answered
+ */
+export const suggestAdoptionState = (answers = [], questionCount) => {
+	const given = Array.from({ length: questionCount }, (_, index) => answers[index] ?? null)
+	if (questionCount === 0 || given.some(answer => !isAssessmentAnswer(answer))) return null
+
+	if (given.every(answer => answer === 'yes')) return 'adopted'
+	if (given.every(answer => answer === 'no')) return 'not-started'
+	return given.includes('yes') ? 'in-progress' : 'exploring'
+}
+
+/**
+ * Requirements answered with yes, to tick off when a suggestion is accepted
+ *
+ * @param {Array<string|null>} answers - Answers by requirement index
+ * @returns {Set<number>} Requirement indexes
+ */
+export const getEvidencedRequirements = (answers = []) =>
+	new Set(answers.flatMap((answer, index) => (answer === 'yes' ? [index] : [])))
+
+/**
+ * Drop trailing unanswered questions and anything that is not an answer
+ * @private
+ */
+const normalizeAnswerList = value => {
+	const answers = (Array.isArray(value) ? value : []).map(answer =>
+		isAssessmentAnswer(answer) ? answer : null
+	)
+	while (answers.length > 0 && answers.at(-1) === null) answers.pop()
+	return answers
+}
+
+/**
+ * Validate the answers of several practices
+ *
+ * @param {Map<string, Array>|Object<string, Array>|null|undefined} value - Answers by practice ID
+ * @param {Set<string>|null} [validPracticeIds] - Keep only these practices (all when null)
+ * @returns {Map<string, Array<string|null>>} Practice ID to answers, without practices with no answer
+ */
+export const normalizeAssessmentAnswers = (value, validPracticeIds = null) => {
+	const entries =
+		value instanceof Map
+			? [...value]
+			: value && typeof value === 'object' && !Array.isArray(value)
+				? Object.entries(value)
+				: []
+
+	return new Map(
+		entries
+			.filter(([id]) => !validPracticeIds || validPracticeIds.has(id))
+			.map(([id, answers]) => [id, normalizeAnswerList(answers)])
+			.filter(([, answers]) => answers.length > 0)
+	)
+}
+
+/**
+ * Answer (or, with null, clear) one question
+ *
+ * @param {Map<string, Array<string|null>>} answers - Practice ID to answers
+ * @param {string} practiceId
+ * @param {number} index - Requirement index
+ * @param {string|null} answer - One of ASSESSMENT_ANSWERS, or null
+ * @returns {Map<string, Array<string|null>>} A new Map
+ */
+export const setAssessmentAnswer = (answers, practiceId, index, answer) => {
+	const list = [...(answers.get(practiceId) ?? [])]
+	while (list.length <= index) list.push(null)
+	list[index] = isAssessmentAnswer(answer) ? answer : null
+
+	const next = new Map(answers)
+	const normalized = normalizeAnswerList(list)
+	if (normalized.length > 0) {
+		next.set(practiceId, normalized)
+	} else {
+		next.delete(practiceId)
+	}
+	return next
+}
+
+/**
+ * Count answered questions and practices with a suggestion
+ *
+ * @param {ReturnType<typeof buildQuestionnaire>} questionnaire
+ * @param {Map<string, Array<string|null>>} answers - Practice ID to answers
+ * @returns {{questions: number, answered: number, practices: number, assessed: number}}
+ */
+export const summarizeAssessment = (questionnaire, answers) =>
+	questionnaire.reduce(
+		(summary, { practiceId, questions }) => {
+			const given = answers.get(practiceId) ?? []
+			return {
+				questions: summary.questions + questions.length,
+				answered:
+					summary.answered +
+					questions.filter(({ index }) => isAssessmentAnswer(given[index])).length,
+				practices: summary.practices + 1,
+				assessed:
+					summary.assessed + (suggestAdoptionState(given, questions.length) === null ? 0 : 1)
+			}
+		},
+		{ questions: 0, answered: 0, practices: 0, assessed: 0 }
+	)
@@ -0,0 +1,183 @@
+/**
+ * Team Profiles
+ * Pure functions over the profile index: { activeProfileId, profiles: [{ id, name }] }
+ *
+ * Each profile has its own adoption state; the index only records which profiles
+ * exist and which one is active. Functions return a new index and leave the input unchanged.
+ */
+
+export const DEFAULT_PROFILE_ID = 'default'
+export const DEFAULT_PROFILE_NAME = 'My team'
+
+/**
+ * Index with only the default profile (also used when migrating from a single adoption set)
+ * @returns {{activeProfileId: string, profiles: Array<{id: string, name: string}>}}
+ */
+export const createDefaultProfileIndex = () => ({
+	activeProfileId: DEFAULT_PROFILE_ID,
+	profiles: [{ id: DEFAULT_PROFILE_ID, name: DEFAULT_PROFILE_NAME }]
+})
+
+/**
+ * Trim a profile name and collapse whitespace
+ * @param {unknown} name
+ * @returns {string} Normalised name ('' when not a string)
+ */
+export const normalizeProfileName = name =>
+	typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : ''
+
+/**
+ * Make a name unique among existing names by appending " (2)", " (3)", ...
+ * @param {string} name - Normalised name
+ * @param {Array<string>} existingNames
+ * @returns {string}
+ */
+export const uniqueProfileName = (name, existingNames) => {
+	const taken = new Set(existingNames.map(existing => existing.toLowerCase()))
+	if (!taken.has(name.toLowerCase())) return name
+
+	let suffix = 2
+	while (taken.has(`${name} (${suffix})`.toLowerCase())) suffix++
+	return `${name} (${suffix})`
+}
+
+/**
+ * Generate a URL- and storage-safe profile ID from a name
+ * @param {string} name
+ * @param {Array<string>} existingIds
+ * @returns {string}
+ */
+export const generateProfileId = (name, existingIds) => {
+	const base =
+		name
+			.toLowerCase()
+			.replace(/[^a-z0-9]+/g, '-')
+			.replace(/^-+|-+$/g, '') || 'profile'
+	const taken = new Set(existingIds)
+	if (!taken.has(base)) return base
+
+	let suffix = 2
+	while (taken.has(`${base}-${suffix}`)) suffix++
+	return `${base}-${suffix}`
+}
+
+/**
+ * Validate a stored profile index
+ *
+ * Profiles without an ID or name and duplicate IDs are dropped. An unknown
+ * active profile falls back to the first profile.
+ *
+ * @param {unknown} data
+ * @returns {Object|null} Profile index, or null when no valid profile remains
+ */
+export const normalizeProfileIndex = data => {
+	if (!data || typeof data !== 'object' || !Array.isArray(data.profiles)) return null
+
+	const profiles = data.profiles
+		.filter(profile => typeof profile?.id === 'string' && profile.id.trim().length > 0)
+		.map(profile => ({ id: profile.id, name: normalizeProfileName(profile.name) || profile.id }))
+		.filter((profile, index, all) => all.findIndex(p => p.id === profile.id) === index)
+
+	if (profiles.length === 0) return null
+
+	const activeProfileId = profiles.some(profile => profile.id === data.activeProfileId)
+		? data.activeProfileId
+		: profiles[0].id
+
+	return { activeProfileId, profiles }
+}
+
+/**
+ * Find a profile by ID
+ * @param {Object} index - Profile index
+ * @param {string} profileId
+ * @returns {{id: string, name: string}|undefined}
+ */
+export const findProfile = (index, profileId) =>
+	index.profiles.find(profile => profile.id === profileId)
+
+/**
+ * Add a profile (not activated)
+ * @param {Object} index - Profile index
+ * @param {string} name - Profile name; made unique, defaults to "New team"
+ * @returns {{index: Object, profile: {id: string, name: string}}}
+ */
+export const addProfile = (index, name) => {
+	const uniqueName = uniqueProfileName(
+		normalizeProfileName(name) || 'New team',
+		index.profiles.map(profile => profile.name)
+	)
+	const profile = {
+		id: generateProfileId(
+			uniqueName,
+			index.profiles.map(p => p.id)
+		),
+		name: uniqueName
+	}
+
+	return { index: { ...index, profiles: [...index.profiles, profile] }, profile }
+}
+
+/**
+ * Rename a profile
+ *
+ * Empty names and unknown profiles leave the index unchanged.
+ *
+ * @param {Object} index - Profile index
+ * @param {string} profileId
+ * @param {string} name
+ * @returns {Object} Profile index
+ */
+export const renameProfile = (index, profileId, name) => {
+	const normalized = normalizeProfileName(name)
+	if (!normalized || !findProfile(index, profileId)) return index
+
+	const otherNames = index.profiles.filter(p => p.id !== profileId).map(p => p.name)
+	const uniqueName = uniqueProfileName(normalized, otherNames)
+
+	return {
+		...index,
+		profiles: index.profiles.map(profile =>
+			profile.id === profileId ? { ...profile, name: uniqueName } : profile
+		)
+	}
+}
+
+/**
+ * Add a copy of a profile named "<name> copy" (adoption state is copied by the caller)
+ * @param {Object} index - Profile index
+ * @param {string} profileId - Profile to copy
+ * @returns {{index: Object, profile: {id: string, name: string}}|null} null for an unknown profile
+ */
+export const duplicateProfile = (index, profileId) => {
+	const source = findProfile(index, profileId)
+	return source ? addProfile(index, `${source.name} copy`) : null
+}
+
+/**
+ * Remove a profile
+ *
+ * The last profile cannot be removed. Removing the active profile activates the first remaining one.
+ *
+ * @param {Object} index - Profile index
+ * @param {string} profileId
+ * @returns {Object} Profile index
+ */
+export const removeProfile = (index, profileId) => {
+	if (index.profiles.length <= 1 || !findProfile(index, profileId)) return index
+
+	const profiles = index.profiles.filter(profile => profile.id !== profileId)
+	const activeProfileId =
+		index.activeProfileId === profileId ? profiles[0].id : index.activeProfileId
+
+	return { activeProfileId, profiles }
+}
+
+/**
+ * Activate a profile (unknown profiles leave the index unchanged)
+ * @param {Object} index - Profile index
+ * @param {string} profileId
+ * @returns {Object} Profile index
+ */
+export const activateProfile = (index, profileId) =>
+	findProfile(index, profileId) ? { ...index, activeProfileId: profileId } : index
@@ -0,0 +1,56 @@
+/**
+ * Catalog Commands
+ * Shared handling for the /api/catalog write endpoints
+ *
+ * Runs one ManagePracticeCatalogService command against the configured
+ * repository and maps its result to a JSON response. Writes are refused unless
+ * the configured repository persists them (PRACTICE_CATALOG_FILE or postgres).
+ */
+import { json } from '@sveltejs/kit'
+import { createManagePracticeCatalogService } from '$application/practice-catalog/ManagePracticeCatalogService.js'
+import {
+	createConfiguredPracticeRepository,
+	isCatalogWritable
+} from '$infrastructure/persistence/createConfiguredPracticeRepository.js'
+
+/**
+ * Run a catalog command and respond with its result
+ *
+ * @param {Object} env - Server-only environment variables ($env/dynamic/private)
+ * @param {Function} command - (service) => Promise of a service result
+ * @param {Object} [options]
+ * @param {number} [options.successStatus] - Status of a successful response (default 200)
+ * @returns {Promise<Response>} JSON response: the result, 400 when the command is
+ * rejected, 403 when writes are disabled
+ */
+export const runCatalogCommand = async (env, command, { successStatus = 200 } = {}) => {
+	if (!isCatalogWritable(env)) {
+		return json(
+			{
+				error: 'Catalog writes are disabled',
+				message: 'Set PRACTICE_CATALOG_FILE or PRACTICE_REPOSITORY=postgres to edit the catalog'
+			},
+			{ status: 403 }
+		)
+	}
+
+	try {
+		const repository = await createConfiguredPracticeRepository(env)
+		const result = await command(createManagePracticeCatalogService(repository))
+
+		return json(result, { status: result.success ? successStatus : 400 })
+	} catch (error) {
+		if (error instanceof SyntaxError) {
+			return json({ error: 'Invalid JSON body', message: error.message }, { status: 400 })
+		}
+
+		console.error('API error:', error)
+		return json(
+			{
+				error: 'Internal server error',
+				message: error.message
+			},
+			{ status: 500 }
+		)
+	}
+}
@@ -0,0 +1,32 @@
+/**
+ * Practice Summaries
+ * Shared catalog loading for the pages that work on adoption state
+ *
+ * Each practice is reduced to the fields those pages use, with its
+ * dependencies as a list of IDs: the shape the adoption domain functions expect.
+ */
+import { createConfiguredPracticeRepository } from '$infrastructure/persistence/createConfiguredPracticeRepository.js'
+
+/**
+ * Load the catalog as practice summaries with dependency IDs
+ *
+ * @param {Object} env - Server-only environment variables ($env/dynamic/private)
+ * @param {Object} [options]
+ * @param {Function} [options.extraFields] - (practice) => additional fields for a page
+ * @returns {Promise<Array<{id: string, name: string, category: string, maturityLevel: number, dependencies: string[]}>>}
+ */
+export const loadPracticeSummaries = async (env, { extraFields = () => ({}) } = {}) => {
+	const repository = await createConfiguredPracticeRepository(env)
+	const { practices, dependencies } = await repository.getCatalogSnapshot()
+
+	return practices.map(practice => ({
+		id: practice.id,
+		name: practice.name,
+		category: practice.category,
+		maturityLevel: practice.maturityLevel,
+		...extraFields(practice),
+		dependencies: dependencies
+			.filter(dependency => dependency.practice_id === practice.id)
+			.map(dependency => dependency.depends_on_id)
+	}))
+}
@@ -2,33 +2,77 @@
 /**
  * Adoption State Persistence Service
  * Handles localStorage operations for practice adoption state
+ *
+ * Stored as a sorted array of entries: "id" for adopted practices, "id:state"
+ * for partial states, plus "@0.2" for completed requirements (see formatAdoptionEntry).
+ *
+ * Each team profile has its own key. The default profile keeps the original
+ * key, so adoption saved before profiles existed becomes the default profile.
+ *
+ * Practice annotations (see domain/practice-annotations) are stored next to the
+ * state under a key of their own, keeping the entry array readable by older versions.
  */
+import { formatAdoptionEntries, getAdoptedIds, parseAdoptionEntries } from '$lib/utils/adoption.js'
+import {
+	annotationsToObject,
+	normalizeAnnotations
+} from '$lib/domain/practice-annotations/annotations.js'
+import { DEFAULT_PROFILE_ID } from '$lib/domain/team-profiles/profiles.js'
 
 export const STORAGE_KEY = 'cd-practices-adoption'
 
+export const ANNOTATIONS_STORAGE_KEY = 'cd-practices-annotations'
+
+/**
+ * Get the localStorage key holding a profile's adoption state
+ *
+ * @param {string} [profileId] - Team profile ID
+ * @returns {string} Storage key
+ */
+export const getAdoptionStorageKey = (profileId = DEFAULT_PROFILE_ID) =>
+	profileId === DEFAULT_PROFILE_ID ? STORAGE_KEY : `${STORAGE_KEY}:${profileId}`
+
+/**
+ * Get the localStorage key holding a profile's practice annotations
+ *
+ * @param {string} [profileId] - Team profile ID
+ * @returns {string} Storage key
+ */
+export const getAnnotationsStorageKey = (profileId = DEFAULT_PROFILE_ID) =>
+	profileId === DEFAULT_PROFILE_ID
+		? ANNOTATIONS_STORAGE_KEY
+		: `${ANNOTATIONS_STORAGE_KEY}:${profileId}`
+
 /**
  * Save adoption state to localStorage
  *
- * @param {Set<string>} adoptedSet - Set of adopted practice IDs
+ * @param {Set<string>|Map<string, string>} adoptedSet - Adopted practice IDs, or practice ID to adoption state
+ * @param {Map<string, Set<number>>} [requirements] - Completed requirement indexes by practice ID
+ * @param {string} [profileId] - Team profile ID
  */
-export const saveAdoptionState = adoptedSet => {
+export const saveAdoptionState = (
+	adoptedSet,
+	requirements = new Map(),
+	profileId = DEFAULT_PROFILE_ID
+) => {
 	try {
 		// Handle null/undefined by treating as empty set
-		const practiceIds = adoptedSet ? Array.from(adoptedSet).sort() : []
-		localStorage.setItem(STORAGE_KEY, JSON.stringify(practiceIds))
+		const entries = formatAdoptionEntries(adoptedSet, requirements)
+		localStorage.setItem(getAdoptionStorageKey(profileId), JSON.stringify(entries))
 	} catch (error) {
 		console.warn('Failed to save adoption state:', error)
 	}
 }
 
 /**
- * Load adoption state from localStorage
+ * Load adoption states and requirement progress from localStorage
  *
- * @returns {Set<string>|null} Set of adopted practice IDs or null if not found
+ * @param {string} [profileId] - Team profile ID
+ * @returns {{states: Map<string, string>, requirements: Map<string, Set<number>>}|null} null if not found
  */
-export const loadAdoptionState = () => {
+export const loadAdoption = (profileId = DEFAULT_PROFILE_ID) => {
 	try {
-		const stored = localStorage.getItem(STORAGE_KEY)
+		const stored = localStorage.getItem(getAdoptionStorageKey(profileId))
 		if (!stored) return null
 
 		const data = JSON.parse(stored)
@@ -39,23 +83,93 @@ export const loadAdoptionState = () => {
 			return null
 		}
 
-		// Filter out empty strings, null, undefined
-		const validIds = data.filter(id => typeof id === 'string' && id.trim().length > 0)
-
-		return new Set(validIds)
+		// Skip empty strings, null, undefined and unknown states
+		return parseAdoptionEntries(data)
 	} catch (error) {
 		console.warn('Failed to load adoption state:', error)
 		return null
 	}
 }
 
+/**
+ * Load adoption states from localStorage
+ *
+ * @param {string} [profileId] - Team profile ID
+ * @returns {Map<string, string>|null} Practice ID to adoption state or null if not found
+ */
+export const loadAdoptionStates = (profileId = DEFAULT_PROFILE_ID) =>
+	loadAdoption(profileId)?.states ?? null
+
+/**
+ * Load adopted practice IDs from localStorage
+ *
+ * @param {string} [profileId] - Team profile ID
+ * @returns {Set<string>|null} Set of adopted practice IDs or null if not found
+ */
+export const loadAdoptionState = (profileId = DEFAULT_PROFILE_ID) => {
+	const states = loadAdoptionStates(profileId)
+	return states ? getAdoptedIds(states) : null
+}
+
 /**
  * Clear adoption state from localStorage
+ *
+ * @param {string} [profileId] - Team profile ID
  */
-export const clearAdoptionState = () => {
+export const clearAdoptionState = (profileId = DEFAULT_PROFILE_ID) => {
 	try {
-		localStorage.removeItem(STORAGE_KEY)
+		localStorage.removeItem(getAdoptionStorageKey(profileId))
 	} catch (error) {
 		console.warn('Failed to clear adoption state:', error)
 	}
 }
+
+/**
+ * Save practice annotations to localStorage (none removes them)
+ *
+ * @param {Map<string, Object>} annotations - Practice ID to annotation
+ * @param {string} [profileId] - Team profile ID
+ */
+export const saveAdoptionAnnotations = (annotations, profileId = DEFAULT_PROFILE_ID) => {
+	try {
+		if (annotations?.size > 0) {
+			localStorage.setItem(
+				getAnnotationsStorageKey(profileId),
+				JSON.stringify(annotationsToObject(annotations))
+			)
+		} else {
+			localStorage.removeItem(getAnnotationsStorageKey(profileId))
+		}
+	} catch (error) {
+		console.warn('Failed to save practice annotations:', error)
+	}
+}
+
+/**
+ * Load practice annotations from localStorage
+ *
+ * @param {string} [profileId] - Team profile ID
+ * @returns {Map<string, Object>} Practice ID to annotation (empty if not found or invalid)
+ */
+export const loadAdoptionAnnotations = (profileId = DEFAULT_PROFILE_ID) => {
+	try {
+		const stored = localStorage.getItem(getAnnotationsStorageKey(profileId))
+		return stored ? normalizeAnnotations(JSON.parse(stored)) : new Map()
+	} catch (error) {
+		console.warn('Failed to load practice annotations:', error)
+		return new Map()
+	}
+}
+
+/**
+ * Clear practice annotations from localStorage
+ *
+ * @param {string} [profileId] - Team profile ID
+ */
+export const clearAdoptionAnnotations = (profileId = DEFAULT_PROFILE_ID) => {
+	try {
+		localStorage.removeItem(getAnnotationsStorageKey(profileId))
+	} catch (error) {
+		console.warn('Failed to clear practice annotations:', error)
+	}
+}
@@ -0,0 +1,72 @@
+/* global localStorage */
+/**
+ * Self-Assessment Persistence Service
+ * Handles localStorage operations for the questionnaire answers of each team profile
+ *
+ * Stored as an object of answer arrays by practice ID (see domain/self-assessment).
+ */
+import { normalizeAssessmentAnswers } from '$lib/domain/self-assessment/assessment.js'
+import { DEFAULT_PROFILE_ID } from '$lib/domain/team-profiles/profiles.js'
+
+export const ASSESSMENT_STORAGE_KEY = 'cd-practices-assessment'
+
+/**
+ * Get the localStorage key holding a profile's questionnaire answers
+ *
+ * @param {string} [profileId] - Team profile ID
+ * @returns {string} Storage key
+ */
+export const getAssessmentStorageKey = (profileId = DEFAULT_PROFILE_ID) =>
+	profileId === DEFAULT_PROFILE_ID
+		? ASSESSMENT_STORAGE_KEY
+		: `${ASSESSMENT_STORAGE_KEY}:${profileId}`
+
+/**
+ * Save questionnaire answers to localStorage (none removes them)
+ *
+ * @param {Map<string, Array<string|null>>} answers - Practice ID to answers
+ * @param {string} [profileId] - Team profile ID
+ */
+export const saveAssessmentAnswers = (answers, profileId = DEFAULT_PROFILE_ID) => {
+	try {
+		if (answers?.size > 0) {
+			localStorage.setItem(
+				getAssessmentStorageKey(profileId),
+				JSON.stringify(Object.fromEntries([...answers].sort(([a], [b]) => a.localeCompare(b))))
+			)
+		} else {
+			localStorage.removeItem(getAssessmentStorageKey(profileId))
+		}
+	} catch (error) {
+		console.warn('Failed to save assessment answers:', error)
+	}
+}
+
+/**
+ * Load questionnaire answers from localStorage
+ *
+ * @param {string} [profileId] - Team profile ID
+ * @returns {Map<string, Array<string|null>>} Practice ID to answers (empty if not found or invalid)
+ */
+export const loadAssessmentAnswers = (profileId = DEFAULT_PROFILE_ID) => {
+	try {
+		const stored = localStorage.getItem(getAssessmentStorageKey(profileId))
+		return stored ? normalizeAssessmentAnswers(JSON.parse(stored)) : new Map()
+	} catch (error) {
+		console.warn('Failed to load assessment answers:', error)
+		return new Map()
+	}
+}
+
+/**
+ * Clear questionnaire answers from localStorage
+ *
+ * @param {string} [profileId] - Team profile ID
+ */
+export const clearAssessmentAnswers = (profileId = DEFAULT_PROFILE_ID) => {
+	try {
+		localStorage.removeItem(getAssessmentStorageKey(profileId))
+	} catch (error) {
+		console.warn('Failed to clear assessment answers:', error)
+	}
+}
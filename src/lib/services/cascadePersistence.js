@@ -0,0 +1,35 @@
+/* global localStorage */
+/**
+ * Cascade Persistence Service
+ * Handles localStorage operations for the cascading adoption mode preference
+ */
+
+export const CASCADE_STORAGE_KEY = 'cd-practices-cascade-adoption'
+
+/**
+ * Check if cascading adoption is enabled
+ * @returns {boolean} True if the mode has been enabled
+ */
+export const loadCascadeMode = () => {
+	try {
+		return localStorage.getItem(CASCADE_STORAGE_KEY) === 'true'
+	} catch {
+		return false
+	}
+}
+
+/**
+ * Save the cascading adoption mode preference
+ * @param {boolean} enabled - Whether the mode is enabled
+ */
+export const saveCascadeMode = enabled => {
+	try {
+		if (enabled) {
+			localStorage.setItem(CASCADE_STORAGE_KEY, 'true')
+		} else {
+			localStorage.removeItem(CASCADE_STORAGE_KEY)
+		}
+	} catch {
+		// Silently fail if localStorage is unavailable
+	}
+}
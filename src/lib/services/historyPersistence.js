@@ -0,0 +1,70 @@
+/* global localStorage */
+/**
+ * Adoption History Persistence Service
+ * Handles localStorage operations for the adoption history of each team profile
+ *
+ * Stored separately from the adoption state, so the state stays readable by
+ * versions without history.
+ */
+import { normalizeAdoptionHistory } from '$lib/domain/adoption-history/history.js'
+import { DEFAULT_PROFILE_ID } from '$lib/domain/team-profiles/profiles.js'
+
+export const HISTORY_STORAGE_KEY = 'cd-practices-history'
+
+/**
+ * Get the localStorage key holding a profile's adoption history
+ *
+ * @param {string} [profileId] - Team profile ID
+ * @returns {string} Storage key
+ */
+export const getHistoryStorageKey = (profileId = DEFAULT_PROFILE_ID) =>
+	profileId === DEFAULT_PROFILE_ID ? HISTORY_STORAGE_KEY : `${HISTORY_STORAGE_KEY}:${profileId}`
+
+/**
+ * Save adoption history to localStorage (null removes it)
+ *
+ * @param {Object|null} history - See domain/adoption-history
+ * @param {string} [profileId] - Team profile ID
+ */
+export const saveAdoptionHistory = (history, profileId = DEFAULT_PROFILE_ID) => {
+	try {
+		if (history) {
+			localStorage.setItem(getHistoryStorageKey(profileId), JSON.stringify(history))
+		} else {
+			localStorage.removeItem(getHistoryStorageKey(profileId))
+		}
+	} catch (error) {
+		console.warn('Failed to save adoption history:', error)
+	}
+}
+
+/**
+ * Load adoption history from localStorage
+ *
+ * @param {string} [profileId] - Team profile ID
+ * @returns {Object|null} History, or null if not found or invalid
+ */
+export const loadAdoptionHistory = (profileId = DEFAULT_PROFILE_ID) => {
+	try {
+		const stored = localStorage.getItem(getHistoryStorageKey(profileId))
+		if (!stored) return null
+
+		return normalizeAdoptionHistory(JSON.parse(stored))
+	} catch (error) {
+		console.warn('Failed to load adoption history:', error)
+		return null
+	}
+}
+
+/**
+ * Clear adoption history from localStorage
+ *
+ * @param {string} [profileId] - Team profile ID
+ */
+export const clearAdoptionHistory = (profileId = DEFAULT_PROFILE_ID) => {
+	try {
+		localStorage.removeItem(getHistoryStorageKey(profileId))
+	} catch (error) {
+		console.warn('Failed to clear adoption history:', error)
+	}
+}
@@ -0,0 +1,46 @@
+/* global localStorage */
+/**
+ * Team Profile Persistence Service
+ * Handles localStorage operations for the team profile index
+ *
+ * Only the list of profiles and the active profile are stored here; each
+ * profile's adoption state lives under its own key (see adoptionPersistence).
+ */
+import {
+	createDefaultProfileIndex,
+	normalizeProfileIndex
+} from '$lib/domain/team-profiles/profiles.js'
+
+export const PROFILES_STORAGE_KEY = 'cd-practices-profiles'
+
+/**
+ * Load the profile index from localStorage
+ *
+ * Falls back to a single default profile when nothing (or nothing valid) is stored.
+ *
+ * @returns {{activeProfileId: string, profiles: Array<{id: string, name: string}>}}
+ */
+export const loadProfiles = () => {
+	try {
+		const stored = localStorage.getItem(PROFILES_STORAGE_KEY)
+		if (!stored) return createDefaultProfileIndex()
+
+		return normalizeProfileIndex(JSON.parse(stored)) ?? createDefaultProfileIndex()
+	} catch (error) {
+		console.warn('Failed to load team profiles:', error)
+		return createDefaultProfileIndex()
+	}
+}
+
+/**
+ * Save the profile index to localStorage
+ *
+ * @param {{activeProfileId: string, profiles: Array<{id: string, name: string}>}} index
+ */
+export const saveProfiles = index => {
+	try {
+		localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(index))
+	} catch (error) {
+		console.warn('Failed to save team profiles:', error)
+	}
+}
@@ -1,82 +1,466 @@
 import { writable, derived, get } from 'svelte/store'
 import { browser } from '$app/environment'
 import { debounce } from '$lib/utils/debounce.js'
-import { getAdoptionStateFromURL, updateURLWithAdoptionState } from '$lib/utils/urlState.js'
-import { saveAdoptionState, loadAdoptionState } from '$lib/services/adoptionPersistence.js'
-import { filterValidPracticeIds } from '$lib/utils/adoption.js'
+import { getAdoptionFromURL, updateURLWithAdoptionState } from '$lib/utils/urlState.js'
+import {
+	loadAdoption,
+	loadAdoptionAnnotations,
+	saveAdoptionAnnotations,
+	saveAdoptionState
+} from '$lib/services/adoptionPersistence.js'
+import { loadAdoptionHistory, saveAdoptionHistory } from '$lib/services/historyPersistence.js'
+import {
+	loadAssessmentAnswers,
+	saveAssessmentAnswers
+} from '$lib/services/assessmentPersistence.js'
+import { loadProfiles } from '$lib/services/profilePersistence.js'
+import { DEFAULT_PROFILE_ID } from '$lib/domain/team-profiles/profiles.js'
+import {
+	hasAliasChanges,
+	normalizePracticeAliases,
+	remapHistoryAliases,
+	remapPracticeAliases
+} from '$lib/domain/practice-aliases/aliases.js'
+import {
+	normalizeAnnotations,
+	setAnnotation
+} from '$lib/domain/practice-annotations/annotations.js'
+import {
+	getEvidencedRequirements,
+	normalizeAssessmentAnswers,
+	setAssessmentAnswer,
+	suggestAdoptionState
+} from '$lib/domain/self-assessment/assessment.js'
+import {
+	getAdoptionStatesAt,
+	normalizeAdoptionHistory,
+	recordAdoptionChange
+} from '$lib/domain/adoption-history/history.js'
+import {
+	ADOPTED_STATE,
+	DEFAULT_ADOPTION_STATE,
+	deriveAdoptionState,
+	filterValidPracticeEntries,
+	getAdoptedIds,
+	isAdoptionState,
+	toAdoptionStates,
+	toRequirementProgress
+} from '$lib/utils/adoption.js'
+
+const emptyAdoption = () => ({ states: new Map(), requirements: new Map() })
+
+// Private writable store containing
+// - states: Map of practice ID to adoption state (practices that are not started have no entry)
+// - requirements: Map of practice ID to Set of completed requirement indexes
+const adoption = writable(emptyAdoption())
+
+// Private writable store containing the timestamped changes of the adoption
+// states (see domain/adoption-history), or null before the first change
+const history = writable(null)
+
+// Private writable store containing the Map of practice ID to annotation
+// (notes, evidence links, owner and target date; see domain/practice-annotations)
+const annotations = writable(new Map())
+
+// Private writable store containing the Map of practice ID to self-assessment
+// answers by requirement index (see domain/self-assessment)
+const answers = writable(new Map())
+
+// Private writable store containing the last cascading toggle (see toggle) and the
+// adoption before it, or null when it cannot be undone anymore
+const cascade = writable(null)
 
 /**
  * Creates the adoption store that manages practice adoption state
  * with URL and localStorage synchronization
+ *
+ * Subscribers receive the Set of fully adopted practice IDs; partial states and
+ * requirement progress are available through the adoptionStates and
+ * requirementProgress stores.
+ *
+ * The state belongs to the active team profile; switchProfile saves it and
+ * loads another profile's state.
+ *
+ * Every change of a practice's state is recorded with a timestamp in the
+ * adoptionHistory store, which is saved alongside the state.
+ *
+ * Each practice can be annotated (practiceAnnotations store); annotations are
+ * saved immediately and belong to the active profile like the state.
+ *
+ * Self-assessment answers (assessmentAnswers store) are kept the same way;
+ * accepting a practice's suggested state changes its state like any other change.
+ *
+ * A cascading toggle also changes the practice's prerequisites or dependents;
+ * it can be undone until the next change (lastCascade store).
+ *
+ * State loaded from the URL or localStorage is remapped through the catalog's
+ * practice ID aliases, so it survives renamed and merged practices.
  */
 const createAdoptionStore = () => {
-	// Private writable store containing Set of adopted practice IDs
-	const { subscribe, set, update } = writable(new Set())
+	const { set, update } = adoption
+	const { subscribe } = derived(adoption, $adoption => getAdoptedIds($adoption.states))
+
+	let activeProfileId = DEFAULT_PROFILE_ID
+	let validPracticeIds = null
+	let practiceAliases = {}
 
-	// Debounced localStorage save to avoid excessive writes
-	const debouncedSaveToStorage = debounce(adoptedSet => {
-		if (browser) {
-			saveAdoptionState(adoptedSet)
+	// Debounced localStorage save to avoid excessive writes. A save still pending
+	// after a profile switch is dropped; switchProfile has already saved that state.
+	const debouncedSaveToStorage = debounce(({ states, requirements }, profileId) => {
+		if (browser && profileId === activeProfileId) {
+			saveAdoptionState(states, requirements, profileId)
+			saveAdoptionHistory(get(history), profileId)
 		}
 	}, 500)
 
+	/**
+	 * Record the changed practice states in the history
+	 * @private
+	 */
+	const record = (previousStates, nextStates) => {
+		history.update(current =>
+			recordAdoptionChange(current, previousStates, nextStates, new Date().toISOString())
+		)
+	}
+
+	/**
+	 * Record history and sync URL (immediately) and localStorage (debounced) with new adoption state
+	 * @private
+	 */
+	const commit = (previous, newAdoption) => {
+		record(previous.states, newAdoption.states)
+		cascade.set(null)
+
+		// Immediately update URL (replaceState doesn't trigger navigation)
+		updateURLWithAdoptionState(newAdoption.states, newAdoption.requirements)
+
+		// Debounced save to localStorage
+		debouncedSaveToStorage(newAdoption, activeProfileId)
+
+		return newAdoption
+	}
+
+	/**
+	 * Replace the adoption state, record history and sync URL and localStorage immediately
+	 * @private
+	 */
+	const replace = (newAdoption, previousStates = get(adoption).states) => {
+		record(previousStates, newAdoption.states)
+		cascade.set(null)
+		set(newAdoption)
+		updateURLWithAdoptionState(newAdoption.states, newAdoption.requirements)
+		saveAdoptionState(newAdoption.states, newAdoption.requirements, activeProfileId)
+		saveAdoptionHistory(get(history), activeProfileId)
+	}
+
+	/**
+	 * Load a profile's history and record any difference to its loaded state
+	 * (for example a shared link opened over stored state)
+	 * @private
+	 */
+	const loadHistory = (profileId, states) => {
+		const stored = remapHistoryAliases(loadAdoptionHistory(profileId), practiceAliases)
+		const loaded =
+			stored && validPracticeIds ? normalizeAdoptionHistory(stored, validPracticeIds) : stored
+		history.set(loaded)
+		if (loaded) record(getAdoptionStatesAt(loaded), states)
+	}
+
+	/**
+	 * Load a profile's annotations, remapped through the practice ID aliases
+	 * @private
+	 */
+	const loadAnnotations = profileId => {
+		const { annotations: remapped } = remapPracticeAliases(
+			{ states: new Map(), annotations: loadAdoptionAnnotations(profileId) },
+			practiceAliases
+		)
+		annotations.set(normalizeAnnotations(remapped, validPracticeIds))
+	}
+
+	/**
+	 * Load a profile's self-assessment answers, remapped through the practice ID aliases
+	 * @private
+	 */
+	const loadAnswers = profileId => {
+		const { answers: remapped } = remapPracticeAliases(
+			{ states: new Map(), answers: loadAssessmentAnswers(profileId) },
+			practiceAliases
+		)
+		answers.set(normalizeAssessmentAnswers(remapped, validPracticeIds))
+	}
+
+	/**
+	 * Drop practices that are not in the catalog (no-op before initialize provides the IDs)
+	 * @private
+	 */
+	const filterValid = ({ states, requirements }) =>
+		validPracticeIds
+			? {
+					states: filterValidPracticeEntries(states, validPracticeIds),
+					requirements: filterValidPracticeEntries(requirements, validPracticeIds)
+				}
+			: { states, requirements }
+
+	/**
+	 * Remap saved adoption through the practice ID aliases and drop practices that are not in the catalog
+	 * @private
+	 */
+	const fromSaved = saved => {
+		const remapped = remapPracticeAliases(saved, practiceAliases)
+		return { ...filterValid(remapped), report: remapped.report }
+	}
+
+	/**
+	 * Set one practice's state; requirement progress is dropped when it is not started
+	 * @private
+	 */
+	const withState = ({ states, requirements }, practiceId, state) => {
+		const newStates = new Map(states)
+		const newRequirements = new Map(requirements)
+
+		if (state === DEFAULT_ADOPTION_STATE) {
+			newStates.delete(practiceId)
+			newRequirements.delete(practiceId)
+		} else {
+			newStates.set(practiceId, state)
+		}
+
+		return { states: newStates, requirements: newRequirements }
+	}
+
 	/**
 	 * Initialize the store from URL, localStorage, or empty state
 	 * Priority: URL > localStorage > Empty
 	 *
+	 * localStorage is read for the active team profile.
+	 *
 	 * @param {Set<string>} allPracticeIds - Set of valid practice IDs for filtering
+	 * @param {Object<string, string|null>} [aliases] - Catalog practice ID aliases (see domain/practice-aliases)
 	 */
-	const initialize = (allPracticeIds = new Set()) => {
+	const initialize = (allPracticeIds = new Set(), aliases = {}) => {
 		if (!browser) {
-			set(new Set())
+			set(emptyAdoption())
 			return
 		}
 
-		// Priority: URL > localStorage > empty
-		const urlState = getAdoptionStateFromURL()
-		const storageState = urlState ? null : loadAdoptionState()
+		activeProfileId = loadProfiles().activeProfileId
+		validPracticeIds = allPracticeIds
+		practiceAliases = normalizePracticeAliases(aliases)
 
-		let initialState = urlState || storageState || new Set()
+		// Priority: URL > localStorage > empty
+		const urlState = getAdoptionFromURL()
+		const storageState = urlState ? null : loadAdoption(activeProfileId)
 
-		// Filter out invalid practice IDs when validation set is provided
-		initialState = filterValidPracticeIds(initialState, allPracticeIds)
+		// Remap former practice IDs and filter out invalid ones when validation set is provided
+		const { report, ...initialState } = fromSaved(urlState || storageState || emptyAdoption())
 
 		set(initialState)
+		cascade.set(null)
+		loadHistory(activeProfileId, initialState.states)
+		loadAnnotations(activeProfileId)
+		loadAnswers(activeProfileId)
 
 		// Sync URL and localStorage
 		if (urlState) {
 			// URL takes precedence, save to localStorage
-			saveAdoptionState(initialState)
-		} else if (initialState.size > 0) {
+			saveAdoptionState(initialState.states, initialState.requirements, activeProfileId)
+			saveAdoptionHistory(get(history), activeProfileId)
+
+			// Replace former practice IDs in a link from an older catalog version
+			if (hasAliasChanges(report)) {
+				updateURLWithAdoptionState(initialState.states, initialState.requirements)
+			}
+		} else if (initialState.states.size > 0) {
 			// Update URL to match localStorage
-			updateURLWithAdoptionState(initialState)
+			updateURLWithAdoptionState(initialState.states, initialState.requirements)
 		}
 	}
 
 	/**
-	 * Toggle a practice's adoption state
+	 * Toggle a practice between adopted and not started
+	 * (a practice in a partial state becomes adopted)
+	 *
+	 * In cascading mode the given practices follow the toggled one as one change,
+	 * which undoCascade reverts (see domain/adoption-consistency for the
+	 * prerequisites to adopt or the dependents to unadopt).
 	 *
 	 * @param {string} practiceId - The practice ID to toggle
+	 * @param {Object} [options]
+	 * @param {string[]} [options.cascade] - Practice IDs to adopt or unadopt with it
 	 */
-	const toggle = practiceId => {
+	const toggle = (practiceId, { cascade: cascadeIds = [] } = {}) => {
 		if (!browser) return
 
-		update(adoptedSet => {
-			const newSet = new Set(adoptedSet)
+		update(current => {
+			const isAdopted = current.states.get(practiceId) === ADOPTED_STATE
+			const state = isAdopted ? DEFAULT_ADOPTION_STATE : ADOPTED_STATE
+			const next = commit(
+				current,
+				[practiceId, ...cascadeIds].reduce((acc, id) => withState(acc, id, state), current)
+			)
+
+			if (cascadeIds.length > 0) {
+				cascade.set({ practiceId, state, cascadeIds: [...cascadeIds], previous: current })
+			}
+			return next
+		})
+	}
+
+	/**
+	 * Undo the last cascading toggle, unless another change followed it
+	 * (requirement progress dropped by the toggle is restored too)
+	 */
+	const undoCascade = () => {
+		const last = get(cascade)
+		if (!browser || !last) return
+
+		update(current => commit(current, last.previous))
+	}
+
+	/**
+	 * Set a practice's adoption state
+	 *
+	 * @param {string} practiceId - The practice ID
+	 * @param {string} state - One of ADOPTION_STATES; unknown states are ignored
+	 */
+	const setState = (practiceId, state) => {
+		if (!browser || !isAdoptionState(state)) return
+
+		update(current => commit(current, withState(current, practiceId, state)))
+	}
+
+	/**
+	 * Set several practices' adoption states as one change
+	 *
+	 * @param {Map<string, string>} changes - Practice ID to one of ADOPTION_STATES; unknown states are ignored
+	 */
+	const setStates = changes => {
+		if (!browser) return
 
-			if (newSet.has(practiceId)) {
-				newSet.delete(practiceId)
+		const valid = [...changes].filter(([, state]) => isAdoptionState(state))
+		if (valid.length === 0) return
+
+		update(current =>
+			commit(
+				current,
+				valid.reduce((next, [practiceId, state]) => withState(next, practiceId, state), current)
+			)
+		)
+	}
+
+	/**
+	 * Get a practice's adoption state
+	 *
+	 * @param {string} practiceId - The practice ID
+	 * @returns {string} Adoption state ('not-started' when unknown)
+	 */
+	const getState = practiceId => get(adoption).states.get(practiceId) ?? DEFAULT_ADOPTION_STATE
+
+	/**
+	 * Tick or untick one of a practice's requirements
+	 *
+	 * The practice's state is derived from its requirement completion: adopted when
+	 * all are complete, in progress when some are, not started when none are.
+	 *
+	 * @param {string} practiceId - The practice ID
+	 * @param {number} index - Index of the requirement in practice.requirements
+	 * @param {number} requirementCount - Number of requirements the practice has
+	 */
+	const toggleRequirement = (practiceId, index, requirementCount) => {
+		if (!browser || !Number.isInteger(index) || index < 0 || index >= requirementCount) return
+
+		update(current => {
+			const completed = new Set(current.requirements.get(practiceId))
+
+			if (completed.has(index)) {
+				completed.delete(index)
 			} else {
-				newSet.add(practiceId)
+				completed.add(index)
 			}
 
-			// Immediately update URL (replaceState doesn't trigger navigation)
-			updateURLWithAdoptionState(newSet)
+			const next = withState(
+				current,
+				practiceId,
+				deriveAdoptionState(completed.size, requirementCount)
+			)
+			if (completed.size > 0) {
+				next.requirements.set(practiceId, completed)
+			} else {
+				next.requirements.delete(practiceId)
+			}
 
-			// Debounced save to localStorage
-			debouncedSaveToStorage(newSet)
+			return commit(current, next)
+		})
+	}
 
-			return newSet
+	/**
+	 * Set or, when it has no content, remove a practice's annotation
+	 *
+	 * @param {string} practiceId - The practice ID
+	 * @param {{notes?: string, evidence?: string[], owner?: string, targetDate?: string}|null} annotation
+	 * Evidence that is not an http(s) link and a target date that is not YYYY-MM-DD are dropped
+	 */
+	const annotate = (practiceId, annotation) => {
+		if (!browser || (validPracticeIds && !validPracticeIds.has(practiceId))) return
+
+		annotations.update(current => setAnnotation(current, practiceId, annotation))
+		saveAdoptionAnnotations(get(annotations), activeProfileId)
+	}
+
+	/**
+	 * Get a practice's annotation
+	 *
+	 * @param {string} practiceId - The practice ID
+	 * @returns {Object|null} Annotation, or null when the practice has none
+	 */
+	const getAnnotation = practiceId => get(annotations).get(practiceId) ?? null
+
+	/**
+	 * Answer (or, with null, clear) a self-assessment question
+	 *
+	 * @param {string} practiceId - The practice ID
+	 * @param {number} index - Index of the requirement the question is about
+	 * @param {string|null} value - One of ASSESSMENT_ANSWERS, or null
+	 */
+	const answer = (practiceId, index, value) => {
+		if (
+			!browser ||
+			!Number.isInteger(index) ||
+			index < 0 ||
+			(validPracticeIds && !validPracticeIds.has(practiceId))
+		) {
+			return
+		}
+
+		answers.update(current => setAssessmentAnswer(current, practiceId, index, value))
+		saveAssessmentAnswers(get(answers), activeProfileId)
+	}
+
+	/**
+	 * Accept the adoption state suggested by a practice's self-assessment answers
+	 *
+	 * The requirements answered with yes become the practice's requirement
+	 * progress. Nothing changes until every question is answered.
+	 *
+	 * @param {string} practiceId - The practice ID
+	 * @param {number} requirementCount - Number of requirements (questions) the practice has
+	 */
+	const acceptAssessment = (practiceId, requirementCount) => {
+		const given = get(answers).get(practiceId)
+		const state = suggestAdoptionState(given, requirementCount)
+		if (!browser || state === null) return
+
+		update(current => {
+			const next = withState(current, practiceId, state)
+			const completed = getEvidencedRequirements(given)
+			if (state !== DEFAULT_ADOPTION_STATE && completed.size > 0) {
+				next.requirements.set(practiceId, completed)
+			} else {
+				next.requirements.delete(practiceId)
+			}
+
+			return commit(current, next)
 		})
 	}
 
@@ -107,34 +491,134 @@ const createAdoptionStore = () => {
 	const clearAll = () => {
 		if (!browser) return
 
-		const emptySet = new Set()
-		set(emptySet)
-		updateURLWithAdoptionState(emptySet)
-		saveAdoptionState(emptySet)
+		replace(emptyAdoption())
 	}
 
 	/**
-	 * Import multiple practices at once
+	 * Import multiple practices at once, replacing the current state
+	 *
+	 * An imported history replaces the current history; otherwise the import is
+	 * recorded as one snapshot. Imported annotations and self-assessment answers
+	 * replace the current ones; without them the current ones are kept.
 	 *
-	 * @param {Set<string>} practiceIds - Set of practice IDs to import
+	 * @param {Set<string>|Map<string, string>} practiceIds - Adopted practice IDs, or practice ID to adoption state
+	 * @param {Map<string, Set<number>>} [requirements] - Completed requirement indexes by practice ID
+	 * @param {Object|null} [importedHistory] - Adoption history (see domain/adoption-history)
+	 * @param {Map<string, Object>|null} [importedAnnotations] - Annotations by practice ID
+	 * @param {Map<string, Array<string|null>>|null} [importedAnswers] - Self-assessment answers by practice ID
 	 */
-	const importPractices = practiceIds => {
+	const importPractices = (
+		practiceIds,
+		requirements = new Map(),
+		importedHistory = null,
+		importedAnnotations = null,
+		importedAnswers = null
+	) => {
 		if (!browser) return
 
-		const newSet = new Set(practiceIds)
-		set(newSet)
-		updateURLWithAdoptionState(newSet)
-		saveAdoptionState(newSet)
+		const states = toAdoptionStates(practiceIds)
+		if (importedHistory) history.set(importedHistory)
+		if (importedAnnotations) {
+			annotations.set(normalizeAnnotations(importedAnnotations, validPracticeIds))
+			saveAdoptionAnnotations(get(annotations), activeProfileId)
+		}
+		if (importedAnswers) {
+			answers.set(normalizeAssessmentAnswers(importedAnswers, validPracticeIds))
+			saveAssessmentAnswers(get(answers), activeProfileId)
+		}
+
+		replace(
+			{
+				states,
+				requirements: filterValidPracticeEntries(
+					toRequirementProgress(requirements),
+					new Set(states.keys())
+				)
+			},
+			importedHistory ? getAdoptionStatesAt(importedHistory) : undefined
+		)
+	}
+
+	/**
+	 * Restore the adoption states of a history snapshot
+	 *
+	 * The restore is recorded as a new snapshot, so it can be undone by restoring
+	 * the snapshot before it. Requirement progress is kept for practices whose
+	 * state is unchanged.
+	 *
+	 * @param {string} at - ISO timestamp of the snapshot
+	 */
+	const restoreSnapshot = at => {
+		const current = get(history)
+		if (!browser || !current) return
+
+		const { states, requirements } = get(adoption)
+		const restored = filterValid({ states: getAdoptionStatesAt(current, at), requirements })
+		replace({
+			states: restored.states,
+			requirements: new Map(
+				[...restored.requirements].filter(
+					([id]) => restored.states.has(id) && restored.states.get(id) === states.get(id)
+				)
+			)
+		})
+	}
+
+	/**
+	 * Switch to another team profile's adoption state
+	 *
+	 * The current state is saved to the current profile first. Updating the
+	 * profile index is left to the profile store.
+	 *
+	 * @param {string} profileId - Team profile ID
+	 */
+	const switchProfile = profileId => {
+		if (!browser || profileId === activeProfileId) return
+
+		const current = get(adoption)
+		saveAdoptionState(current.states, current.requirements, activeProfileId)
+		saveAdoptionHistory(get(history), activeProfileId)
+		saveAdoptionAnnotations(get(annotations), activeProfileId)
+		saveAssessmentAnswers(get(answers), activeProfileId)
+
+		activeProfileId = profileId
+		const { states, requirements } = fromSaved(loadAdoption(profileId) || emptyAdoption())
+		const next = { states, requirements }
+		set(next)
+		cascade.set(null)
+		loadHistory(profileId, next.states)
+		loadAnnotations(profileId)
+		loadAnswers(profileId)
+		updateURLWithAdoptionState(next.states, next.requirements)
 	}
 
+	/**
+	 * Get the ID of the team profile the state belongs to
+	 *
+	 * @returns {string} Team profile ID
+	 */
+	const getProfileId = () => activeProfileId
+
 	return {
 		subscribe,
 		initialize,
 		toggle,
+		undoCascade,
+		setState,
+		setStates,
+		getState,
+		toggleRequirement,
+		annotate,
+		getAnnotation,
+		answer,
+		acceptAssessment,
 		isAdopted,
 		getCount,
 		clearAll,
-		importPractices
+		importPractices,
+		restoreSnapshot,
+		switchProfile,
+		getProfileId
 	}
 }
 
@@ -143,3 +627,25 @@ export const adoptionStore = createAdoptionStore()
 
 // Derived store for adoption count (reactive to changes)
 export const adoptionCount = derived(adoptionStore, $adopted => $adopted.size)
+
+// Read-only store of practice ID to adoption state (practices not started are omitted)
+export const adoptionStates = derived(adoption, $adoption => $adoption.states)
+
+// Read-only store of practice ID to Set of completed requirement indexes
+export const requirementProgress = derived(adoption, $adoption => $adoption.requirements)
+
+// Read-only store of the adoption history of the active profile (null before the first change)
+export const adoptionHistory = derived(history, $history => $history)
+
+// Read-only store of practice ID to annotation of the active profile (practices without one are omitted)
+export const practiceAnnotations = derived(annotations, $annotations => $annotations)
+
+// Read-only store of practice ID to self-assessment answers of the active profile (practices without one are omitted)
+export const assessmentAnswers = derived(answers, $answers => $answers)
+
+// Read-only store of the last cascading toggle ({practiceId, state, cascadeIds}) while it can be undone, or null
+export const lastCascade = derived(cascade, $cascade =>
+	$cascade
+		? { practiceId: $cascade.practiceId, state: $cascade.state, cascadeIds: $cascade.cascadeIds }
+		: null
+)
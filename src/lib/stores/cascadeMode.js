@@ -0,0 +1,30 @@
+import { writable, get } from 'svelte/store'
+import { browser } from '$app/environment'
+import { loadCascadeMode, saveCascadeMode } from '$lib/services/cascadePersistence.js'
+
+/**
+ * Creates an encapsulated store for the cascading adoption mode: when enabled,
+ * toggling a practice offers to adopt its prerequisites or unadopt its dependents
+ * @returns {Object} Store with controlled API
+ */
+function createCascadeMode() {
+	const store = writable(false)
+	const { subscribe, set } = store
+
+	const save = enabled => {
+		set(enabled)
+		if (browser) saveCascadeMode(enabled)
+	}
+
+	return {
+		subscribe,
+		initialize: () => {
+			if (browser) set(loadCascadeMode())
+		},
+		enable: () => save(true),
+		disable: () => save(false),
+		toggle: () => save(!get(store))
+	}
+}
+
+export const cascadeMode = createCascadeMode()
@@ -35,6 +35,90 @@ export const getMenuItems = () => [
 		action: 'export',
 		external: false
 	},
+	{
+		id: 'export-csv',
+		label: 'Export CSV',
+		icon: 'file-csv',
+		action: 'export-csv',
+		external: false
+	},
+	{
+		id: 'profiles',
+		label: 'Team Profiles',
+		icon: 'users',
+		action: 'profiles',
+		external: false
+	},
+	{
+		id: 'trilogy',
+		label: 'DevOps Trilogy',
+		href: '/trilogy',
+		icon: 'circle-nodes',
+		external: false
+	},
+	{
+		id: 'roadmap',
+		label: 'Roadmap',
+		href: '/roadmap',
+		icon: 'timeline',
+		external: false
+	},
+	{
+		id: 'plan',
+		label: 'Adoption Plan',
+		href: '/plan',
+		icon: 'list-check',
+		external: false
+	},
+	{
+		id: 'assessment',
+		label: 'Self-Assessment',
+		href: '/assessment',
+		icon: 'clipboard-question',
+		external: false
+	},
+	{
+		id: 'maturity',
+		label: 'Maturity',
+		href: '/maturity',
+		icon: 'chart-simple',
+		external: false
+	},
+	{
+		id: 'report',
+		label: 'Report',
+		href: '/report',
+		icon: 'file-lines',
+		external: false
+	},
+	{
+		id: 'history',
+		label: 'History',
+		href: '/history',
+		icon: 'clock-rotate-left',
+		external: false
+	},
+	{
+		id: 'compare',
+		label: 'Compare',
+		href: '/compare',
+		icon: 'code-compare',
+		external: false
+	},
+	{
+		id: 'aggregate',
+		label: 'Organisation',
+		href: '/aggregate',
+		icon: 'table-cells',
+		external: false
+	},
+	{
+		id: 'editor',
+		label: 'Catalog Editor',
+		href: '/editor',
+		icon: 'pen-to-square',
+		external: false
+	},
 	{
 		id: 'help',
 		label: 'About',
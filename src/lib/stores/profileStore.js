@@ -0,0 +1,232 @@
+import { writable, derived, get } from 'svelte/store'
+import { browser } from '$app/environment'
+import { loadProfiles, saveProfiles } from '$lib/services/profilePersistence.js'
+import {
+	clearAdoptionAnnotations,
+	clearAdoptionState,
+	loadAdoption,
+	loadAdoptionAnnotations,
+	saveAdoptionAnnotations,
+	saveAdoptionState
+} from '$lib/services/adoptionPersistence.js'
+import {
+	clearAdoptionHistory,
+	loadAdoptionHistory,
+	saveAdoptionHistory
+} from '$lib/services/historyPersistence.js'
+import {
+	clearAssessmentAnswers,
+	loadAssessmentAnswers,
+	saveAssessmentAnswers
+} from '$lib/services/assessmentPersistence.js'
+import {
+	activateProfile,
+	addProfile,
+	createDefaultProfileIndex,
+	duplicateProfile,
+	findProfile,
+	removeProfile,
+	renameProfile
+} from '$lib/domain/team-profiles/profiles.js'
+import {
+	adoptionHistory,
+	adoptionStore,
+	adoptionStates,
+	assessmentAnswers,
+	practiceAnnotations,
+	requirementProgress
+} from '$lib/stores/adoptionStore.js'
+
+/**
+ * Creates the team profile store
+ *
+ * Holds the profile index ({ activeProfileId, profiles }) and keeps the
+ * adoption store on the active profile. Each profile's adoption state is stored
+ * separately, so switching profiles never mixes two teams' data.
+ */
+const createProfileStore = () => {
+	const { subscribe, set } = writable(createDefaultProfileIndex())
+
+	/**
+	 * Set and save the profile index
+	 * @private
+	 */
+	const persist = index => {
+		set(index)
+		saveProfiles(index)
+		return index
+	}
+
+	/**
+	 * Load the profile index from localStorage
+	 */
+	const initialize = () => {
+		if (!browser) return
+
+		set(loadProfiles())
+	}
+
+	/**
+	 * Get a profile's adoption state, history, annotations and self-assessment answers
+	 * (the live state for the active profile)
+	 *
+	 * @param {string} profileId - Team profile ID
+	 * @returns {{states: Map<string, string>, requirements: Map<string, Set<number>>, history: Object|null, annotations: Map<string, Object>, answers: Map<string, Array<string|null>>}}
+	 */
+	const getProfileAdoption = profileId => {
+		if (profileId === adoptionStore.getProfileId()) {
+			return {
+				states: get(adoptionStates),
+				requirements: get(requirementProgress),
+				history: get(adoptionHistory),
+				annotations: get(practiceAnnotations),
+				answers: get(assessmentAnswers)
+			}
+		}
+		return {
+			...(loadAdoption(profileId) ?? { states: new Map(), requirements: new Map() }),
+			history: loadAdoptionHistory(profileId),
+			annotations: loadAdoptionAnnotations(profileId),
+			answers: loadAssessmentAnswers(profileId)
+		}
+	}
+
+	/**
+	 * Make a profile active and load its adoption state
+	 *
+	 * @param {string} profileId - Team profile ID
+	 */
+	const switchTo = profileId => {
+		const index = get({ subscribe })
+		if (!browser || !findProfile(index, profileId)) return
+
+		adoptionStore.switchProfile(profileId)
+		persist(activateProfile(index, profileId))
+	}
+
+	/**
+	 * Create an empty profile and switch to it
+	 *
+	 * @param {string} name - Profile name (made unique)
+	 * @returns {{id: string, name: string}|null} The new profile
+	 */
+	const create = name => {
+		if (!browser) return null
+
+		const result = addProfile(get({ subscribe }), name)
+		persist(result.index)
+		switchTo(result.profile.id)
+		return result.profile
+	}
+
+	/**
+	 * Rename a profile
+	 *
+	 * @param {string} profileId - Team profile ID
+	 * @param {string} name - New name (ignored when empty)
+	 */
+	const rename = (profileId, name) => {
+		if (!browser) return
+
+		persist(renameProfile(get({ subscribe }), profileId, name))
+	}
+
+	/**
+	 * Copy a profile, its adoption state, history, annotations and self-assessment answers
+	 *
+	 * @param {string} profileId - Team profile ID to copy
+	 * @returns {{id: string, name: string}|null} The copy, or null for an unknown profile
+	 */
+	const duplicate = profileId => {
+		if (!browser) return null
+
+		const result = duplicateProfile(get({ subscribe }), profileId)
+		if (!result) return null
+
+		const { states, requirements, history, annotations, answers } = getProfileAdoption(profileId)
+		saveAdoptionState(states, requirements, result.profile.id)
+		saveAdoptionHistory(history, result.profile.id)
+		saveAdoptionAnnotations(annotations, result.profile.id)
+		saveAssessmentAnswers(answers, result.profile.id)
+		persist(result.index)
+		return result.profile
+	}
+
+	/**
+	 * Delete a profile, its adoption state, history, annotations and self-assessment answers
+	 *
+	 * The last profile cannot be deleted. Deleting the active profile switches to the first remaining one.
+	 *
+	 * @param {string} profileId - Team profile ID
+	 * @returns {boolean} True if the profile was deleted
+	 */
+	const remove = profileId => {
+		if (!browser) return false
+
+		const index = get({ subscribe })
+		const next = removeProfile(index, profileId)
+		if (next === index) return false
+
+		if (next.activeProfileId !== index.activeProfileId) {
+			adoptionStore.switchProfile(next.activeProfileId)
+		}
+		clearAdoptionState(profileId)
+		clearAdoptionHistory(profileId)
+		clearAdoptionAnnotations(profileId)
+		clearAssessmentAnswers(profileId)
+		persist(next)
+		return true
+	}
+
+	/**
+	 * Add imported profiles (names are made unique; the active profile is unchanged)
+	 *
+	 * @param {Array<{name: string, states: Map<string, string>, requirements: Map<string, Set<number>>, history?: Object|null, annotations?: Map<string, Object>, answers?: Map<string, Array<string|null>>}>} profiles
+	 * @returns {Array<{id: string, name: string}>} The created profiles
+	 */
+	const importProfiles = profiles => {
+		if (!browser) return []
+
+		let index = get({ subscribe })
+		const created = profiles.map(
+			({
+				name,
+				states,
+				requirements,
+				history = null,
+				annotations = new Map(),
+				answers = new Map()
+			}) => {
+				const result = addProfile(index, name)
+				index = result.index
+				saveAdoptionState(states, requirements, result.profile.id)
+				saveAdoptionHistory(history, result.profile.id)
+				saveAdoptionAnnotations(annotations, result.profile.id)
+				saveAssessmentAnswers(answers, result.profile.id)
+				return result.profile
+			}
+		)
+
+		persist(index)
+		return created
+	}
+
+	return {
+		subscribe,
+		initialize,
+		switchTo,
+		create,
+		rename,
+		duplicate,
+		remove,
+		importProfiles,
+		getProfileAdoption
+	}
+}
+
+export const profileStore = createProfileStore()
+
+// The active team profile ({ id, name })
+export const activeProfile = derived(profileStore, $profiles =>
+	findProfile($profiles, $profiles.activeProfileId)
+)
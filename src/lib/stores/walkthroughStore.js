@@ -2,17 +2,53 @@ import { writable, derived } from 'svelte/store'
 import { browser } from '$app/environment'
 import { adoptionStore } from '$lib/stores/adoptionStore.js'
 import {
-	calculateNextRecommendation,
-	calculateAdoptionProgress
+	calculateAdoptionProgress,
+	calculateRecommendations,
+	DEFAULT_RECOMMENDATION_STRATEGY,
+	RECOMMENDATION_STRATEGIES
 } from '$lib/domain/guided-walkthrough/recommendation.js'
 
 const DISMISSED_STORAGE_KEY = 'cd-walkthrough-dismissed'
+const STRATEGY_STORAGE_KEY = 'cd-walkthrough-strategy'
 
 /**
  * Store holding the practice map (populated by PracticeGraph on mount)
  */
 export const practiceMapStore = writable(new Map())
 
+/**
+ * Store holding the roadmap phases as { name, practiceIds } (populated by PracticeGraph on mount)
+ * Used to explain recommendations that finish a phase
+ */
+export const practicePhasesStore = writable([])
+
+/**
+ * Store holding the DevOps trilogy capabilities as { name, practiceIds } (populated by PracticeGraph on mount)
+ * Used by the capability-balanced recommendation strategy
+ */
+export const practiceCapabilitiesStore = writable([])
+
+/**
+ * Store holding the selected recommendation strategy key
+ * Persisted to localStorage; unknown stored keys fall back to the default
+ */
+const createRecommendationStrategy = () => {
+	const stored = browser ? globalThis.localStorage.getItem(STRATEGY_STORAGE_KEY) : null
+	const initial = RECOMMENDATION_STRATEGIES[stored] ? stored : DEFAULT_RECOMMENDATION_STRATEGY
+	const { subscribe, set } = writable(initial)
+
+	return {
+		subscribe,
+		set: key => {
+			if (!RECOMMENDATION_STRATEGIES[key]) return
+			if (browser) globalThis.localStorage.setItem(STRATEGY_STORAGE_KEY, key)
+			set(key)
+		}
+	}
+}
+
+export const recommendationStrategy = createRecommendationStrategy()
+
 /**
  * Store tracking whether the walkthrough panel is dismissed
  * Persisted to localStorage
@@ -39,22 +75,33 @@ const createWalkthroughDismissed = () => {
 export const walkthroughDismissed = createWalkthroughDismissed()
 
 /**
- * Derived store combining adoption state and practice map
- * to produce the current recommendation and progress
+ * Derived store combining adoption state, practice map and strategy
+ * to produce the ranked recommendations and progress
  */
 export const walkthroughState = derived(
-	[adoptionStore, practiceMapStore],
-	([$adopted, $practiceMap]) => {
+	[
+		adoptionStore,
+		practiceMapStore,
+		practicePhasesStore,
+		practiceCapabilitiesStore,
+		recommendationStrategy
+	],
+	([$adopted, $practiceMap, $phases, $capabilities, $strategy]) => {
 		if ($practiceMap.size === 0) {
 			return {
 				recommendation: null,
+				recommendations: [],
 				progress: { total: 0, adopted: 0, percentage: 0 }
 			}
 		}
 
-		const recommendation = calculateNextRecommendation($practiceMap, $adopted)
+		const recommendations = calculateRecommendations($practiceMap, $adopted, {
+			strategy: $strategy,
+			phases: $phases,
+			capabilities: $capabilities
+		})
 		const progress = calculateAdoptionProgress($practiceMap, $adopted)
 
-		return { recommendation, progress }
+		return { recommendation: recommendations[0]?.practice ?? null, recommendations, progress }
 	}
 )
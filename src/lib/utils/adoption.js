@@ -1,9 +1,196 @@
+/**
+ * Adoption states, in the order teams usually move through them
+ *
+ * weight is how much a practice in that state counts towards progress.
+ * A regressed practice was adopted once but has slipped, so it counts as exploring.
+ */
+export const ADOPTION_STATES = Object.freeze([
+	{ value: 'not-started', label: 'Not started', weight: 0 },
+	{ value: 'exploring', label: 'Exploring', weight: 0.25 },
+	{ value: 'in-progress', label: 'In progress', weight: 0.5 },
+	{ value: 'adopted', label: 'Adopted', weight: 1 },
+	{ value: 'regressed', label: 'Regressed', weight: 0.25 }
+])
+
+export const DEFAULT_ADOPTION_STATE = 'not-started'
+export const ADOPTED_STATE = 'adopted'
+
+const adoptionStatesByValue = new Map(ADOPTION_STATES.map(state => [state.value, state]))
+
+/**
+ * Check whether a value is a known adoption state
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+export const isAdoptionState = value => adoptionStatesByValue.has(value)
+
+/**
+ * Progress weight of an adoption state (0 for unknown states)
+ * @param {string} state - Adoption state value
+ * @returns {number} Weight between 0 and 1
+ */
+export const getAdoptionWeight = state => adoptionStatesByValue.get(state)?.weight ?? 0
+
+/**
+ * Normalise adoption input to a Map of practice ID to state
+ *
+ * A Set or array of IDs means every ID is adopted. Entries that are not started,
+ * have an unknown state or an empty ID are dropped.
+ *
+ * @param {Set<string>|Array<string>|Map<string, string>} adoption
+ * @returns {Map<string, string>} Practice ID to adoption state
+ */
+export const toAdoptionStates = adoption => {
+	if (!adoption) return new Map()
+
+	const entries =
+		adoption instanceof Map ? [...adoption] : [...adoption].map(id => [id, ADOPTED_STATE])
+
+	return new Map(
+		entries.filter(
+			([id, state]) =>
+				typeof id === 'string' &&
+				id.trim().length > 0 &&
+				isAdoptionState(state) &&
+				state !== DEFAULT_ADOPTION_STATE
+		)
+	)
+}
+
+/**
+ * IDs of fully adopted practices
+ * @param {Map<string, string>} states - Practice ID to adoption state
+ * @returns {Set<string>} Adopted practice IDs
+ */
+export const getAdoptedIds = states =>
+	new Set([...states].filter(([, state]) => state === ADOPTED_STATE).map(([id]) => id))
+
+/**
+ * Normalise requirement progress to a Map of practice ID to completed requirement indexes
+ *
+ * Requirements are identified by their index in practice.requirements.
+ * Practices without completed requirements and invalid indexes are dropped.
+ *
+ * @param {Map<string, Iterable<number>>|Object<string, Array<number>>} progress
+ * @returns {Map<string, Set<number>>}
+ */
+export const toRequirementProgress = progress => {
+	if (!progress) return new Map()
+
+	const entries = progress instanceof Map ? [...progress] : Object.entries(progress)
+
+	return new Map(
+		entries
+			.filter(([id, indexes]) => typeof id === 'string' && id.trim().length > 0 && indexes)
+			.map(([id, indexes]) => [
+				id,
+				new Set([...indexes].filter(index => Number.isInteger(index) && index >= 0))
+			])
+			.filter(([, indexes]) => indexes.size > 0)
+	)
+}
+
+/**
+ * Practice state derived from how many of its requirements are complete
+ * @param {number} completedCount - Completed requirements
+ * @param {number} totalCount - Requirements of the practice
+ * @returns {string} 'adopted' when all are complete, 'in-progress' when some are, else 'not-started'
+ */
+export const deriveAdoptionState = (completedCount, totalCount) => {
+	if (totalCount > 0 && completedCount >= totalCount) return ADOPTED_STATE
+	return completedCount > 0 ? 'in-progress' : DEFAULT_ADOPTION_STATE
+}
+
+/**
+ * Serialise one adoption entry as "id[:state][@indexes]"
+ *
+ * Adopted practices have no state suffix, so lists written before adoption states
+ * existed read back unchanged. Completed requirement indexes follow "@", separated by dots.
+ *
+ * @param {string} id - Practice ID
+ * @param {string} state - Adoption state
+ * @param {Iterable<number>} [requirements] - Completed requirement indexes
+ * @returns {string}
+ */
+export const formatAdoptionEntry = (id, state, requirements = []) => {
+	const indexes = [...requirements].sort((a, b) => a - b)
+	const stateSuffix = state === ADOPTED_STATE ? '' : `:${state}`
+	const requirementSuffix = indexes.length > 0 ? `@${indexes.join('.')}` : ''
+	return `${id}${stateSuffix}${requirementSuffix}`
+}
+
+/**
+ * Parse an entry written by formatAdoptionEntry
+ * @param {string} entry
+ * @returns {{id: string, state: string, requirements: Array<number>}|null} null when the entry is invalid
+ */
+export const parseAdoptionEntry = entry => {
+	if (typeof entry !== 'string') return null
+
+	const [head, requirementPart = ''] = entry.split('@')
+	const [id, state = ADOPTED_STATE] = head.split(':').map(part => part.trim())
+	if (!id || !isAdoptionState(state)) return null
+
+	const requirements = requirementPart
+		.split('.')
+		.filter(part => /^\d+$/.test(part.trim()))
+		.map(Number)
+
+	return { id, state, requirements }
+}
+
+/**
+ * Serialise adoption state and requirement progress as sorted entries
+ *
+ * Requirement progress is only kept for practices that have a state.
+ *
+ * @param {Set<string>|Map<string, string>} adoption - Adopted practice IDs, or practice ID to adoption state
+ * @param {Map<string, Iterable<number>>} [requirements] - Completed requirement indexes by practice ID
+ * @returns {Array<string>} Entries written by formatAdoptionEntry
+ */
+export const formatAdoptionEntries = (adoption, requirements = new Map()) => {
+	const progress = toRequirementProgress(requirements)
+	return [...toAdoptionStates(adoption)]
+		.map(([id, state]) => formatAdoptionEntry(id, state, progress.get(id)))
+		.sort()
+}
+
+/**
+ * Parse entries written by formatAdoptionEntries, skipping invalid ones
+ * @param {Array<unknown>} entries
+ * @returns {{states: Map<string, string>, requirements: Map<string, Set<number>>}}
+ */
+export const parseAdoptionEntries = entries => {
+	const parsed = entries.map(parseAdoptionEntry).filter(Boolean)
+	const states = toAdoptionStates(new Map(parsed.map(({ id, state }) => [id, state])))
+
+	return {
+		states,
+		requirements: toRequirementProgress(
+			new Map(
+				parsed.filter(({ id }) => states.has(id)).map(({ id, requirements }) => [id, requirements])
+			)
+		)
+	}
+}
+
+/**
+ * How much one practice counts towards progress
+ * @private
+ */
+const adoptionWeightOf = (adoption, id) =>
+	adoption instanceof Map ? getAdoptionWeight(adoption.get(id)) : adoption.has(id) ? 1 : 0
+
 /**
  * Calculate how many of a practice's dependencies (including transitive) have been adopted
+ *
+ * With a Map of adoption states, adoptedCount is weighted (see ADOPTION_STATES),
+ * so a dependency that is in progress counts as half.
+ *
  * @param {Object} practice - Practice object with dependencies array (can be IDs or objects)
- * @param {Set<string>} adoptedSet - Set of adopted practice IDs
+ * @param {Set<string>|Map<string, string>} adoptedSet - Adopted practice IDs, or practice ID to adoption state
  * @param {Map} practiceMap - Map of practice ID to practice object (for traversing transitive dependencies)
- * @returns {{adoptedCount: number, totalCount: number}} Object with adopted and total dependency counts
+ * @returns {{adoptedCount: number, totalCount: number}} Object with adopted (possibly weighted) and total dependency counts
  */
 export const calculateAdoptedDependencies = (practice, adoptedSet, practiceMap) => {
 	if (!practice || !practice.id) {
@@ -94,9 +281,7 @@ export const calculateAdoptedDependencies = (practice, adoptedSet, practiceMap)
 		// Count how many of these are adopted
 		let adoptedCount = 0
 		for (const depId of allDependencies) {
-			if (adoptedSet.has(depId)) {
-				adoptedCount++
-			}
+			adoptedCount += adoptionWeightOf(adoptedSet, depId)
 		}
 
 		return { adoptedCount, totalCount: allDependencies.size }
@@ -113,9 +298,7 @@ export const calculateAdoptedDependencies = (practice, adoptedSet, practiceMap)
 	let adoptedCount = 0
 
 	for (const depId of uniqueDependencies) {
-		if (adoptedSet.has(depId)) {
-			adoptedCount++
-		}
+		adoptedCount += adoptionWeightOf(adoptedSet, depId)
 	}
 
 	return { adoptedCount, totalCount: uniqueDependencies.size }
@@ -163,3 +346,18 @@ export const filterValidPracticeIds = (inputIds, validIds) => {
 
 	return filtered
 }
+
+/**
+ * Filter a Map keyed by practice ID (adoption states, requirement progress)
+ * to only include valid practice IDs
+ * @param {Map<string, *>} entries - Map keyed by practice ID
+ * @param {Set<string>} validIds - Set of all valid practice IDs
+ * @returns {Map<string, *>} Filtered Map
+ */
+export const filterValidPracticeEntries = (entries, validIds) => {
+	if (!entries || !validIds) {
+		return new Map()
+	}
+
+	return new Map([...entries].filter(([id]) => validIds.has(id)))
+}
@@ -0,0 +1,230 @@
+/**
+ * Adoption CSV
+ * Read and write adoption state as a spreadsheet: one row per practice with
+ * columns id, name, status, notes and date
+ *
+ * Reading is tolerant of hand-edited spreadsheets: the header row is optional,
+ * columns are recognised by common names in any order, practices match by ID,
+ * former ID or name, and statuses match by value, label or a common synonym.
+ */
+import { ADOPTION_STATES, DEFAULT_ADOPTION_STATE, toAdoptionStates } from '$lib/utils/adoption.js'
+import { formatCsv, parseCsv } from '$lib/utils/csv.js'
+
+/**
+ * Columns written on export, and assumed in this order when a file has no header row
+ */
+export const ADOPTION_CSV_COLUMNS = Object.freeze(['id', 'name', 'status', 'notes', 'date'])
+
+/**
+ * Lowercase a value and drop everything but letters and digits, so that
+ * "Continuous Integration", "continuous-integration" and "CONTINUOUS_INTEGRATION" match
+ * @private
+ */
+const toMatchKey = value =>
+	String(value ?? '')
+		.normalize('NFKD')
+		.toLowerCase()
+		.replaceAll('&', 'and')
+		.replace(/[^a-z0-9]/g, '')
+
+const COLUMN_NAMES = {
+	id: ['id', 'practiceid', 'key', 'slug'],
+	name: ['name', 'practice', 'practicename', 'title'],
+	status: ['status', 'state', 'adoption', 'adoptionstatus', 'adoptionstate'],
+	notes: ['notes', 'note', 'comments', 'comment'],
+	date: ['date', 'updated', 'updatedat', 'lastupdated', 'changed', 'lastchanged', 'asof']
+}
+
+const STATUS_SYNONYMS = {
+	adopted: ['yes', 'y', 'true', 'done', 'complete', 'completed', 'x', '1'],
+	'in-progress': ['wip', 'partial', 'partly', 'started', 'ongoing', 'inprogress'],
+	exploring: ['planned', 'evaluating', 'investigating'],
+	'not-started': ['', 'no', 'n', 'false', 'todo', 'none', 'notyet', '0']
+}
+
+const statusesByKey = new Map([
+	...ADOPTION_STATES.flatMap(state => [
+		[toMatchKey(state.value), state.value],
+		[toMatchKey(state.label), state.value]
+	]),
+	...Object.entries(STATUS_SYNONYMS).flatMap(([value, synonyms]) =>
+		synonyms.map(synonym => [synonym, value])
+	)
+])
+
+const labelsByState = new Map(ADOPTION_STATES.map(state => [state.value, state.label]))
+
+/**
+ * Match a spreadsheet status to an adoption state
+ *
+ * @param {string} value - Status as written, e.g. "Adopted", "in_progress", "yes" or empty
+ * @returns {string|null} Adoption state value, or null when not recognised
+ */
+export const parseAdoptionStatus = value => statusesByKey.get(toMatchKey(value)) ?? null
+
+/**
+ * Map columns to their index from a header row
+ * @private
+ */
+const findColumns = header => {
+	const keys = header.map(toMatchKey)
+	return Object.fromEntries(
+		Object.entries(COLUMN_NAMES)
+			.map(([column, names]) => [column, keys.findIndex(key => names.includes(key))])
+			.filter(([, index]) => index !== -1)
+	)
+}
+
+/**
+ * Day (YYYY-MM-DD) of a spreadsheet date, or null when it is not a date
+ * @private
+ */
+const toDay = value => {
+	if (/^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10)
+
+	const date = new Date(value)
+	if (!value || Number.isNaN(date.getTime())) return null
+	return [
+		date.getFullYear(),
+		String(date.getMonth() + 1).padStart(2, '0'),
+		String(date.getDate()).padStart(2, '0')
+	].join('-')
+}
+
+/**
+ * Date of a practice's latest recorded change
+ * @private
+ */
+const lastChangeDates = history =>
+	(history?.events ?? []).reduce(
+		(dates, event) => dates.set(event.practiceId, event.at.slice(0, 10)),
+		new Map()
+	)
+
+/**
+ * Format adoption state as CSV, one row per practice of the catalog sorted by name
+ *
+ * status is the adoption state's label; date is the day of the practice's latest
+ * recorded change, when the history has one.
+ *
+ * @param {Map<string, string>} practiceNames - Practice ID to name, for every practice of the catalog
+ * @param {Set<string>|Map<string, string>} adoption - Adopted IDs or practice ID to adoption state
+ * @param {Object} [options]
+ * @param {Map<string, string>} [options.notes] - Notes by practice ID
+ * @param {Object|null} [options.history] - Adoption history (see domain/adoption-history)
+ * @returns {string} CSV document
+ */
+export const formatAdoptionCsv = (practiceNames, adoption, { notes = new Map(), history } = {}) => {
+	const states = toAdoptionStates(adoption)
+	const dates = lastChangeDates(history)
+
+	const rows = [...practiceNames]
+		.sort(([, a], [, b]) => a.localeCompare(b))
+		.map(([id, name]) => [
+			id,
+			name,
+			labelsByState.get(states.get(id) ?? DEFAULT_ADOPTION_STATE),
+			notes.get(id) ?? '',
+			dates.get(id) ?? ''
+		])
+
+	return formatCsv([ADOPTION_CSV_COLUMNS, ...rows])
+}
+
+/**
+ * Parse adoption state from CSV
+ *
+ * The first row is a header when it names an id or name column; otherwise
+ * columns are read in the order of ADOPTION_CSV_COLUMNS. Each row is matched to a
+ * practice by its ID, a former ID from aliases, or (ignoring case, spacing and
+ * punctuation) its ID or name. Rows that match no practice or have an unknown
+ * status are skipped and listed in skippedRows with their row number (the header
+ * counts as row 1).
+ *
+ * Practice IDs are returned as matched, so former IDs can be remapped like a .cdpa import.
+ *
+ * @param {string} text - CSV document
+ * @param {Map<string, string>} practiceNames - Practice ID to name, for every practice of the catalog
+ * @param {Object<string, string|null>} [aliases] - Catalog practice ID aliases
+ * @returns {{success: boolean, states: Map<string, string>, notes: Map<string, string>, dates: Map<string, string>, unknown: string[], skippedRows: Array<{row: number, value: string, reason: string}>, error?: string}}
+ */
+export const parseAdoptionCsv = (text, practiceNames, aliases = {}) => {
+	const result = {
+		success: true,
+		states: new Map(),
+		notes: new Map(),
+		dates: new Map(),
+		unknown: [],
+		skippedRows: []
+	}
+
+	const rows = parseCsv(text)
+	if (rows.length === 0) {
+		return { ...result, success: false, error: 'The CSV file is empty.' }
+	}
+
+	const headerColumns = findColumns(rows[0])
+	const hasHeader = 'id' in headerColumns || 'name' in headerColumns
+	if (!hasHeader && Object.keys(headerColumns).length > 0) {
+		return {
+			...result,
+			success: false,
+			error: 'The CSV file needs a practice id or name column.'
+		}
+	}
+	const columns = hasHeader
+		? headerColumns
+		: Object.fromEntries(ADOPTION_CSV_COLUMNS.map((column, index) => [column, index]))
+
+	const practiceIds = new Map(
+		[...practiceNames].flatMap(([id, name]) => [
+			[toMatchKey(name), id],
+			[toMatchKey(id), id]
+		])
+	)
+	const matchPractice = (id, name) => {
+		if (practiceNames.has(id) || Object.hasOwn(aliases, id)) return id
+		return practiceIds.get(toMatchKey(id)) ?? practiceIds.get(toMatchKey(name)) ?? null
+	}
+
+	const cell = (row, column) => (column in columns ? (row[columns[column]] ?? '').trim() : '')
+
+	rows.slice(hasHeader ? 1 : 0).forEach((row, index) => {
+		const rowNumber = index + (hasHeader ? 2 : 1)
+		const id = cell(row, 'id')
+		const name = cell(row, 'name')
+		if (!id && !name) return
+
+		const practiceId = matchPractice(id, name)
+		if (practiceId === null) {
+			result.unknown.push(id || name)
+			result.skippedRows.push({ row: rowNumber, value: id || name, reason: 'unknown practice' })
+			return
+		}
+
+		const status = cell(row, 'status')
+		const state = parseAdoptionStatus(status)
+		if (state === null) {
+			result.skippedRows.push({ row: rowNumber, value: status, reason: 'unknown status' })
+			return
+		}
+
+		result.states.set(practiceId, state)
+
+		const notes = cell(row, 'notes')
+		if (notes) result.notes.set(practiceId, notes)
+
+		const date = toDay(cell(row, 'date'))
+		if (date) result.dates.set(practiceId, date)
+	})
+
+	return result
+}
+
+/**
+ * Check whether a selected file is a CSV file rather than a .cdpa file
+ *
+ * @param {File} file
+ * @returns {boolean}
+ */
+export const isCsvFile = file => /\.csv$/i.test(file.name ?? '') || file.type === 'text/csv'
@@ -0,0 +1,214 @@
+/**
+ * .cdpa File Format Versions
+ *
+ * Registry of the adoption file format versions this app reads. Each major
+ * version validates files written in it and migrates them to the next major
+ * version, so an old file is upgraded step by step to the current format
+ * before it is imported. Minor versions only add optional fields.
+ *
+ * The current format is described by a JSON Schema published at CDPA_SCHEMA_URL
+ * (src/lib/schemas/cdpa-2.0.0.schema.json).
+ */
+import cdpaSchema from '$lib/schemas/cdpa-2.0.0.schema.json'
+import { normalizeAdoptionHistory } from '$lib/domain/adoption-history/history.js'
+import { validateSchema } from '$lib/validators/cd-practices-validator.js'
+import { isValidVersion, parseSemanticVersion } from '$lib/validators/metadata-validator.js'
+import { ADOPTED_STATE, toAdoptionStates, toRequirementProgress } from '$lib/utils/adoption.js'
+
+export const CURRENT_CDPA_VERSION = '2.2.0'
+
+export const CDPA_SCHEMA_URL = cdpaSchema.$id
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+
+/**
+ * Validate a 1.x file: adoptedPractices, with optional practiceStates,
+ * requirementProgress and (1.1) history
+ * @private
+ */
+const validateV1 = data => {
+	const errors = []
+
+	if (data.profiles !== undefined) {
+		if (!Array.isArray(data.profiles) || data.profiles.length === 0) {
+			errors.push('profiles must be a non-empty array')
+		} else {
+			data.profiles.forEach((profile, index) => {
+				const profileErrors = isObject(profile)
+					? validateCdpaData(profile).errors
+					: ['must be an object']
+				errors.push(...profileErrors.map(error => `profiles[${index}]: ${error}`))
+			})
+		}
+	} else if (!data.adoptedPractices) {
+		errors.push('Missing required field: adoptedPractices')
+	}
+
+	if (data.adoptedPractices && !Array.isArray(data.adoptedPractices)) {
+		errors.push('adoptedPractices must be an array')
+	}
+	if (data.practiceStates !== undefined && !isObject(data.practiceStates)) {
+		errors.push('practiceStates must be an object')
+	}
+	if (data.requirementProgress !== undefined && !isObject(data.requirementProgress)) {
+		errors.push('requirementProgress must be an object')
+	}
+	if (data.history !== undefined && !isObject(data.history)) {
+		errors.push('history must be an object')
+	}
+
+	return errors
+}
+
+/**
+ * Describe a JSON Schema error with the path of the offending value
+ * @private
+ */
+const formatSchemaError = ({ instancePath, message, params }) => {
+	const path = instancePath.slice(1).replaceAll('/', '.')
+	const allowed = params?.allowedValues ? ` (${params.allowedValues.join(', ')})` : ''
+	return `${path ? `${path}: ` : ''}${message}${allowed}`
+}
+
+/**
+ * Validate a 2.x file against the published JSON Schema
+ * @private
+ */
+const validateV2 = data =>
+	validateSchema(cdpaSchema)(data)
+		.errors.filter(
+			({ keyword, instancePath, params }) =>
+				keyword !== 'if' &&
+				// Missing version and exportedAt are already reported for every format
+				!(
+					keyword === 'required' &&
+					instancePath === '' &&
+					['version', 'exportedAt'].includes(params.missingProperty)
+				)
+		)
+		.map(formatSchemaError)
+
+/**
+ * Upgrade a valid 1.x file to 2.0.0
+ *
+ * adoptedPractices, practiceStates and requirementProgress become one record per
+ * practice. Partial states never override an adopted practice, unknown states are
+ * dropped and a malformed history is left out, as 1.x imports always did.
+ * @private
+ */
+const migrateV1ToV2 = data => {
+	const version = { $schema: CDPA_SCHEMA_URL, version: '2.0.0', exportedAt: data.exportedAt }
+
+	if (data.profiles) {
+		return { ...version, profiles: data.profiles.map(migrateV1ToV2) }
+	}
+
+	const adoptedIds = data.adoptedPractices.filter(id => typeof id === 'string' && id.trim())
+	const states = toAdoptionStates(
+		new Map([
+			...Object.entries(data.practiceStates || {}),
+			...adoptedIds.map(id => [id, ADOPTED_STATE])
+		])
+	)
+	const requirements = toRequirementProgress(
+		Object.fromEntries(
+			Object.entries(data.requirementProgress || {}).filter(([, indexes]) => Array.isArray(indexes))
+		)
+	)
+	const history = normalizeAdoptionHistory(data.history)
+
+	return {
+		...version,
+		...(typeof data.profile === 'string' && { profile: data.profile }),
+		...(isObject(data.metadata) && { metadata: data.metadata }),
+		practices: Object.fromEntries(
+			[...states].map(([id, state]) => [
+				id,
+				{
+					state,
+					...(requirements.has(id) && {
+						requirements: [...requirements.get(id)].sort((a, b) => a - b)
+					})
+				}
+			])
+		),
+		...(history && { history })
+	}
+}
+
+/**
+ * Supported format major versions, oldest first
+ *
+ * validate returns error messages for a file of that major version;
+ * migrate upgrades a valid file to the next major version.
+ */
+export const CDPA_FORMATS = Object.freeze([
+	{
+		major: 1,
+		description: 'adoptedPractices with optional practiceStates, requirementProgress and history',
+		validate: validateV1,
+		migrate: migrateV1ToV2
+	},
+	{
+		major: 2,
+		description:
+			'One record per practice (state, requirements, since 2.1 notes, evidence, owner, target date, since 2.2 self-assessment answers) and history',
+		schema: CDPA_SCHEMA_URL,
+		validate: validateV2
+	}
+])
+
+/**
+ * Validate a parsed .cdpa file and upgrade it to the current format
+ *
+ * Files without a version are checked as 1.x so every missing field is reported.
+ *
+ * @param {Object} data - Parsed JSON data
+ * @returns {{valid: boolean, errors: string[], data: Object|null, migratedFrom: string|null}}
+ * data is the file in the current format; migratedFrom is the file's version when it was upgraded
+ */
+export const validateCdpaData = data => {
+	const errors = []
+	const invalid = () => ({ valid: false, errors, data: null, migratedFrom: null })
+
+	if (!isObject(data)) {
+		errors.push('File must contain a JSON object')
+		return invalid()
+	}
+
+	if (!data.version) {
+		errors.push('Missing required field: version')
+	}
+	if (!data.exportedAt) {
+		errors.push('Missing required field: exportedAt')
+	}
+
+	if (data.version && !isValidVersion(data.version)) {
+		errors.push(`Invalid file version: ${data.version} (expected a version like "2.0.0")`)
+		return invalid()
+	}
+
+	const major = data.version ? parseSemanticVersion(data.version).major : CDPA_FORMATS[0].major
+	const formatIndex = CDPA_FORMATS.findIndex(format => format.major === major)
+	if (formatIndex === -1) {
+		errors.push(
+			`Incompatible file version: ${data.version} (this app reads versions up to ${CURRENT_CDPA_VERSION})`
+		)
+		return invalid()
+	}
+
+	errors.push(...CDPA_FORMATS[formatIndex].validate(data))
+	if (errors.length > 0) return invalid()
+
+	const upgraded = CDPA_FORMATS.slice(formatIndex, -1).reduce(
+		(current, format) => format.migrate(current),
+		data
+	)
+
+	return {
+		valid: true,
+		errors,
+		data: upgraded,
+		migratedFrom: upgraded === data ? null : data.version
+	}
+}
@@ -0,0 +1,91 @@
+/**
+ * CSV formatting and parsing helpers
+ */
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or line break
+ * @param {unknown} value - Field value (null and undefined become empty)
+ * @returns {string} CSV field
+ */
+export const escapeCsvField = value => {
+	const text = value === undefined || value === null ? '' : String(value)
+	return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text
+}
+
+/**
+ * Format rows as a CSV document with a trailing newline
+ * @param {Array<Array<unknown>>} rows - Header and data rows
+ * @returns {string} CSV document
+ */
+export const formatCsv = rows =>
+	rows
+		.map(row => row.map(escapeCsvField).join(','))
+		.join('\n')
+		.concat('\n')
+
+/**
+ * Guess the delimiter of a CSV document from its first line
+ * Spreadsheets use semicolons in locales with a decimal comma, and tabs when copied.
+ * @private
+ */
+const detectDelimiter = text => {
+	const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '')
+	return [',', ';', '\t'].reduce((best, delimiter) =>
+		firstLine.split(delimiter).length > firstLine.split(best).length ? delimiter : best
+	)
+}
+
+/**
+ * Parse a CSV document into rows of fields
+ *
+ * Handles quoted fields (with delimiters, doubled quotes and line breaks), CRLF
+ * line endings and a leading byte order mark. The delimiter (comma, semicolon or
+ * tab) is detected from the first line. Empty lines are skipped.
+ *
+ * @param {string} text - CSV document
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+export const parseCsv = text => {
+	const input = text.replace(/^\uFEFF/, '')
+	const delimiter = detectDelimiter(input)
+	const rows = []
+	let row = []
+	let field = ''
+	let quoted = false
+
+	const endRow = () => {
+		row.push(field)
+		if (row.length > 1 || row[0] !== '') rows.push(row)
+		row = []
+		field = ''
+	}
+
+	for (let i = 0; i < input.length; i++) {
+		const char = input[i]
+
+		if (quoted) {
+			if (char === '"' && input[i + 1] === '"') {
+				field += '"'
+				i++
+			} else if (char === '"') {
+				quoted = false
+			} else {
+				field += char
+			}
+		} else if (char === '"') {
+			quoted = true
+		} else if (char === delimiter) {
+			row.push(field)
+			field = ''
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && input[i + 1] === '\n') i++
+			endRow()
+		} else {
+			field += char
+		}
+	}
+
+	if (field !== '' || row.length > 0) endRow()
+
+	return rows
+}
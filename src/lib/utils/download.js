@@ -0,0 +1,28 @@
+/* global Blob */
+import { browser } from '$app/environment'
+
+/**
+ * Trigger a browser download for generated content
+ * No-op outside the browser (SSR/prerender).
+ *
+ * @param {string} content - File content
+ * @param {string} filename - Suggested filename
+ * @param {string} type - MIME type (default: 'application/json')
+ */
+export const downloadFile = (content, filename, type = 'application/json') => {
+	if (!browser) return
+
+	const blob = new Blob([content], { type })
+	const url = URL.createObjectURL(blob)
+
+	// Create temporary download link
+	const link = document.createElement('a')
+	link.href = url
+	link.download = filename
+	document.body.appendChild(link)
+	link.click()
+
+	// Cleanup
+	document.body.removeChild(link)
+	URL.revokeObjectURL(url)
+}
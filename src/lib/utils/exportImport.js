@@ -1,94 +1,205 @@
-/* global Blob */
-import { browser } from '$app/environment'
+import {
+	DEFAULT_ADOPTION_STATE,
+	filterValidPracticeEntries,
+	getAdoptedIds,
+	toAdoptionStates,
+	toRequirementProgress
+} from '$lib/utils/adoption.js'
+import { formatAdoptionCsv, parseAdoptionCsv } from '$lib/utils/adoptionCsv.js'
+import { CDPA_SCHEMA_URL, CURRENT_CDPA_VERSION, validateCdpaData } from '$lib/utils/cdpaFormat.js'
+import { downloadFile } from '$lib/utils/download.js'
+import { normalizeAdoptionHistory } from '$lib/domain/adoption-history/history.js'
+import { normalizeAnnotations } from '$lib/domain/practice-annotations/annotations.js'
+import { normalizeAssessmentAnswers } from '$lib/domain/self-assessment/assessment.js'
+import {
+	normalizePracticeAliases,
+	remapHistoryAliases,
+	remapPracticeAliases,
+	resolvePracticeId
+} from '$lib/domain/practice-aliases/aliases.js'
+
+/**
+ * Version of the .cdpa format written by this app (see cdpaFormat.js)
+ */
+export const EXPORT_FORMAT_VERSION = CURRENT_CDPA_VERSION
 
 /**
  * Generate export filename with current date
+ * @param {string} [prefix] - Filename prefix
+ * @param {string} [extension] - Filename extension (default: 'cdpa')
  * @returns {string} Filename like "cd-practices-adoption-2025-10-25.cdpa"
  */
-export const generateExportFilename = () => {
+export const generateExportFilename = (prefix = 'cd-practices-adoption', extension = 'cdpa') => {
 	const now = new Date()
 	const year = now.getFullYear()
 	const month = String(now.getMonth() + 1).padStart(2, '0')
 	const day = String(now.getDate()).padStart(2, '0')
-	return `cd-practices-adoption-${year}-${month}-${day}.cdpa`
+	return `${prefix}-${year}-${month}-${day}.${extension}`
 }
 
 /**
  * Create export data object from adoption state
- * @param {Set<string>} adoptedPractices - Set of adopted practice IDs
+ *
+ * practices holds one record per practice with a state, an annotation or
+ * self-assessment answers: its state, the indexes of its completed requirements
+ * when any are complete, the fields of its annotation (see
+ * domain/practice-annotations) and its answers (see domain/self-assessment). The team
+ * profile name is added as profile when given, and the timestamped adoption
+ * changes as history.
+ *
+ * @param {Set<string>|Map<string, string>} adoptedPractices - Adopted practice IDs, or practice ID to adoption state
  * @param {number} totalPractices - Total number of practices
  * @param {string} appVersion - Current app version (default: '1.0.0')
+ * @param {Object} [options]
+ * @param {Map<string, Set<number>>} [options.requirements] - Completed requirement indexes by practice ID
+ * @param {string|null} [options.profileName] - Team profile name
+ * @param {Object|null} [options.history] - Adoption history (see domain/adoption-history)
+ * @param {Map<string, Object>} [options.annotations] - Annotations by practice ID
+ * @param {Map<string, Array<string|null>>} [options.answers] - Self-assessment answers by practice ID
  * @returns {Object} Export data object
  */
-export const createExportData = (adoptedPractices, totalPractices, appVersion = '1.0.0') => {
-	const adoptedArray = Array.from(adoptedPractices).sort()
-	const adoptedCount = adoptedArray.length
+export const createExportData = (
+	adoptedPractices,
+	totalPractices,
+	appVersion = '1.0.0',
+	{
+		requirements = new Map(),
+		profileName = null,
+		history = null,
+		annotations = new Map(),
+		answers = new Map()
+	} = {}
+) => {
+	const states = toAdoptionStates(adoptedPractices)
+	const adoptedCount = getAdoptedIds(states).size
 	const adoptionPercentage =
 		totalPractices > 0 ? Math.round((adoptedCount / totalPractices) * 100) : 0
+	const progress = toRequirementProgress(requirements)
+	const annotated = normalizeAnnotations(annotations)
+	const assessed = normalizeAssessmentAnswers(answers)
+	const practices = [...new Set([...states.keys(), ...annotated.keys(), ...assessed.keys()])]
+		.sort((a, b) => a.localeCompare(b))
+		.map(id => [
+			id,
+			{
+				state: states.get(id) ?? DEFAULT_ADOPTION_STATE,
+				...(progress.has(id) && {
+					requirements: [...progress.get(id)].sort((a, b) => a - b)
+				}),
+				...annotated.get(id),
+				...(assessed.has(id) && { answers: assessed.get(id) })
+			}
+		])
 
 	return {
-		$schema: 'https://json-schema.org/draft-07/schema#',
-		version: '1.0.0',
+		$schema: CDPA_SCHEMA_URL,
+		version: EXPORT_FORMAT_VERSION,
 		exportedAt: new Date().toISOString(),
+		...(profileName && { profile: profileName }),
 		metadata: {
 			totalPractices,
 			adoptedCount,
 			adoptionPercentage,
 			appVersion
 		},
-		adoptedPractices: adoptedArray
+		practices: Object.fromEntries(practices),
+		...(history && { history })
 	}
 }
 
 /**
- * Check if file version is compatible
- * @param {string} fileVersion - Version from import file
- * @returns {boolean}
+ * Create export data for several team profiles
+ *
+ * Each entry of profiles is a complete single-profile export (see createExportData).
+ *
+ * @param {Array<{name: string, states: Map<string, string>, requirements?: Map<string, Set<number>>, history?: Object|null, annotations?: Map<string, Object>, answers?: Map<string, Array<string|null>>}>} profiles
+ * @param {number} totalPractices - Total number of practices
+ * @param {string} appVersion - Current app version (default: '1.0.0')
+ * @returns {Object} Export data object
  */
-const isVersionCompatible = fileVersion => {
-	// For now, only support 1.x.x versions
-	return fileVersion.startsWith('1.')
-}
+export const createProfilesExportData = (profiles, totalPractices, appVersion = '1.0.0') => ({
+	$schema: CDPA_SCHEMA_URL,
+	version: EXPORT_FORMAT_VERSION,
+	exportedAt: new Date().toISOString(),
+	profiles: profiles.map(({ name, states, requirements, history, annotations, answers }) =>
+		createExportData(states, totalPractices, appVersion, {
+			requirements,
+			profileName: name,
+			history,
+			annotations,
+			answers
+		})
+	)
+})
 
 /**
  * Validate import file schema
+ *
+ * Files in an older format version are validated against that version and
+ * upgraded to the current format (see cdpaFormat.js). A file with a profiles
+ * array holds several team profiles; each entry is validated as a single-profile export.
+ *
  * @param {Object} data - Parsed JSON data
- * @returns {{valid: boolean, errors: string[]}}
+ * @returns {{valid: boolean, errors: string[], data: Object|null, migratedFrom: string|null}}
  */
-export const validateImportData = data => {
-	const errors = []
+export const validateImportData = data => validateCdpaData(data)
 
-	// Required fields
-	if (!data.version) {
-		errors.push('Missing required field: version')
-	}
-	if (!data.exportedAt) {
-		errors.push('Missing required field: exportedAt')
-	}
-	if (!data.adoptedPractices) {
-		errors.push('Missing required field: adoptedPractices')
-	}
+/**
+ * Extract adoption state from validated single-profile export data (current format)
+ * @private
+ */
+const extractAdoption = data => {
+	const records = Object.entries(data.practices)
 
-	// Type checks
-	if (data.adoptedPractices && !Array.isArray(data.adoptedPractices)) {
-		errors.push('adoptedPractices must be an array')
-	}
+	// Not started practices are dropped
+	const states = toAdoptionStates(new Map(records.map(([id, record]) => [id, record.state])))
 
-	// Version compatibility (for future migrations)
-	if (data.version && !isVersionCompatible(data.version)) {
-		errors.push(`Incompatible file version: ${data.version}`)
-	}
+	// Requirement progress is kept only for practices with a state
+	const requirements = filterValidPracticeEntries(
+		toRequirementProgress(
+			Object.fromEntries(
+				records
+					.filter(([, record]) => Array.isArray(record.requirements))
+					.map(([id, record]) => [id, record.requirements])
+			)
+		),
+		new Set(states.keys())
+	)
+
+	// Annotations are kept for not started practices too
+	const annotations = normalizeAnnotations(
+		Object.fromEntries(
+			records.map(([id, { notes, evidence, owner, targetDate }]) => [
+				id,
+				{ notes, evidence, owner, targetDate }
+			])
+		)
+	)
+
+	// Self-assessment answers too
+	const answers = normalizeAssessmentAnswers(
+		Object.fromEntries(records.map(([id, record]) => [id, record.answers]))
+	)
 
 	return {
-		valid: errors.length === 0,
-		errors
+		data: getAdoptedIds(states),
+		states,
+		requirements,
+		annotations,
+		answers,
+		history: normalizeAdoptionHistory(data.history)
 	}
 }
 
 /**
  * Parse and validate import file
+ *
+ * Files holding several team profiles return profiles instead of data, states and requirements.
+ * migratedFrom is the file's version when it was written in an older format;
+ * errors lists every validation error of an invalid file.
+ *
  * @param {File} file - File object from input
- * @returns {Promise<{success: boolean, data?: Set<string>, metadata?: Object, error?: string}>}
+ * @returns {Promise<{success: boolean, data?: Set<string>, states?: Map<string, string>, requirements?: Map<string, Set<number>>, annotations?: Map<string, Object>, answers?: Map<string, Array<string|null>>, history?: Object|null, profile?: string|null, profiles?: Array<Object>, metadata?: Object, migratedFrom?: string|null, error?: string, errors?: string[]}>}
  */
 export const parseImportFile = async file => {
 	try {
@@ -106,24 +217,37 @@ export const parseImportFile = async file => {
 			}
 		}
 
-		// Validate schema
+		// Validate schema and upgrade older versions
 		const validation = validateImportData(data)
 		if (!validation.valid) {
 			return {
 				success: false,
-				error: `Invalid file format: ${validation.errors.join(', ')}`
+				error: `Invalid file format: ${validation.errors.join(', ')}`,
+				errors: validation.errors
 			}
 		}
 
-		// Extract practice IDs - filter out non-strings and empty strings
-		const practiceIds = new Set(
-			data.adoptedPractices.filter(id => typeof id === 'string' && id.trim())
-		)
+		const current = validation.data
+		const migratedFrom = validation.migratedFrom
+
+		if (current.profiles) {
+			return {
+				success: true,
+				migratedFrom,
+				profiles: current.profiles.map(profile => ({
+					name: typeof profile.profile === 'string' ? profile.profile : '',
+					...extractAdoption(profile),
+					metadata: profile.metadata
+				}))
+			}
+		}
 
 		return {
 			success: true,
-			data: practiceIds,
-			metadata: data.metadata
+			migratedFrom,
+			...extractAdoption(current),
+			profile: typeof current.profile === 'string' ? current.profile : null,
+			metadata: current.metadata
 		}
 	} catch (error) {
 		return {
@@ -133,66 +257,239 @@ export const parseImportFile = async file => {
 	}
 }
 
+/**
+ * Remap former practice IDs of parsed adoption state, then keep only valid practice IDs
+ * @private
+ */
+const filterImported = (parsed, validPracticeIds, aliases) => {
+	const { states, requirements, annotations, answers, report } = remapPracticeAliases(
+		parsed,
+		aliases
+	)
+	const history = remapHistoryAliases(parsed.history, aliases)
+	const importedStates = new Map()
+	const invalidIds = []
+
+	for (const [id, state] of states) {
+		if (validPracticeIds.has(id)) {
+			importedStates.set(id, state)
+		} else {
+			invalidIds.push(id)
+		}
+	}
+
+	return {
+		imported: getAdoptedIds(importedStates),
+		importedStates,
+		importedRequirements: filterValidPracticeEntries(requirements, validPracticeIds),
+		importedAnnotations: filterValidPracticeEntries(annotations, validPracticeIds),
+		importedAnswers: filterValidPracticeEntries(answers, validPracticeIds),
+		importedHistory: history ? normalizeAdoptionHistory(history, validPracticeIds) : null,
+		invalid: invalidIds,
+		...report
+	}
+}
+
+/**
+ * Combine the alias reports of several imported profiles
+ * @private
+ */
+const combineAliasReports = profiles => ({
+	remapped: [
+		...new Map(
+			profiles.flatMap(profile => profile.remapped).map(entry => [entry.from, entry])
+		).values()
+	],
+	merged: [
+		...new Map(profiles.flatMap(profile => profile.merged).map(entry => [entry.to, entry])).values()
+	],
+	dropped: [...new Set(profiles.flatMap(profile => profile.dropped))]
+})
+
 /**
  * Import adoption state from file with validation
+ *
+ * For files holding several team profiles, profiles lists each profile's
+ * filtered state and the top-level imported fields are empty.
+ *
+ * Practice IDs renamed, merged or removed since the file was written are remapped
+ * through the catalog's aliases (see domain/practice-aliases): remapped lists
+ * renamed practices, merged the practices combined into one and dropped the
+ * removed ones. invalid lists IDs the catalog does not know.
+ *
  * @param {File} file - File object from input
  * @param {Set<string>} validPracticeIds - Set of valid practice IDs
- * @returns {Promise<{success: boolean, imported: Set<string>, invalid: string[], metadata?: Object, error?: string}>}
+ * @param {Object<string, string|null>} [aliases] - Catalog practice ID aliases
+ * @returns {Promise<{success: boolean, imported: Set<string>, importedStates: Map<string, string>, importedRequirements: Map<string, Set<number>>, importedAnnotations: Map<string, Object>, importedAnswers: Map<string, Array<string|null>>, importedHistory: Object|null, invalid: string[], remapped: Array<{from: string, to: string}>, merged: Array<{to: string, from: string[]}>, dropped: string[], profile?: string|null, profiles?: Array<{name: string, imported: Set<string>, importedStates: Map<string, string>, importedRequirements: Map<string, Set<number>>, importedAnnotations: Map<string, Object>, importedAnswers: Map<string, Array<string|null>>, importedHistory: Object|null, invalid: string[], remapped: Array, merged: Array, dropped: string[], metadata?: Object}>, metadata?: Object, migratedFrom?: string|null, error?: string, errors?: string[]}>}
  */
-export const importAdoptionState = async (file, validPracticeIds) => {
+export const importAdoptionState = async (file, validPracticeIds, aliases = {}) => {
 	const parseResult = await parseImportFile(file)
+	const practiceAliases = normalizePracticeAliases(aliases)
+	const empty = {
+		imported: new Set(),
+		importedStates: new Map(),
+		importedRequirements: new Map(),
+		importedAnnotations: new Map(),
+		importedAnswers: new Map(),
+		importedHistory: null,
+		invalid: [],
+		remapped: [],
+		merged: [],
+		dropped: []
+	}
 
 	if (!parseResult.success) {
 		return {
 			success: false,
 			error: parseResult.error,
-			imported: new Set(),
-			invalid: []
+			errors: parseResult.errors ?? [],
+			...empty
 		}
 	}
 
-	// Filter out invalid practice IDs
-	const validIds = new Set()
-	const invalidIds = []
+	if (parseResult.profiles) {
+		const profiles = parseResult.profiles.map(profile => ({
+			name: profile.name,
+			...filterImported(profile, validPracticeIds, practiceAliases),
+			metadata: profile.metadata
+		}))
 
-	for (const id of parseResult.data) {
-		if (validPracticeIds.has(id)) {
-			validIds.add(id)
-		} else {
-			invalidIds.push(id)
+		return {
+			success: true,
+			...empty,
+			invalid: [...new Set(profiles.flatMap(profile => profile.invalid))],
+			...combineAliasReports(profiles),
+			migratedFrom: parseResult.migratedFrom,
+			profiles
 		}
 	}
 
 	return {
 		success: true,
-		imported: validIds,
-		invalid: invalidIds,
+		...filterImported(parseResult, validPracticeIds, practiceAliases),
+		migratedFrom: parseResult.migratedFrom,
+		profile: parseResult.profile,
 		metadata: parseResult.metadata
 	}
 }
 
+/**
+ * Import adoption state from a CSV file (see adoptionCsv.js)
+ *
+ * Returns the same fields as importAdoptionState for a single-profile file,
+ * except that a spreadsheet holds only the notes of an annotation: importedNotes
+ * replaces importedAnnotations, and there are no self-assessment answers. invalid lists the practice IDs or names that
+ * match no practice, skippedRows every row left out, and dates the day given
+ * for each practice.
+ *
+ * @param {File} file - File object from input
+ * @param {Map<string, string>} practiceNames - Practice ID to name, for every practice of the catalog
+ * @param {Object<string, string|null>} [aliases] - Catalog practice ID aliases
+ * @returns {Promise<{success: boolean, imported: Set<string>, importedStates: Map<string, string>, importedRequirements: Map<string, Set<number>>, importedNotes: Map<string, string>, importedHistory: null, invalid: string[], remapped: Array, merged: Array, dropped: string[], dates: Map<string, string>, skippedRows: Array<{row: number, value: string, reason: string}>, error?: string}>}
+ */
+export const importAdoptionCsv = async (file, practiceNames, aliases = {}) => {
+	const practiceAliases = normalizePracticeAliases(aliases)
+	let parsed
+	try {
+		parsed = parseAdoptionCsv(await file.text(), practiceNames, practiceAliases)
+	} catch (error) {
+		parsed = { success: false, error: `Failed to read file: ${error.message}` }
+	}
+
+	if (!parsed.success) {
+		return {
+			success: false,
+			error: parsed.error,
+			imported: new Set(),
+			importedStates: new Map(),
+			importedRequirements: new Map(),
+			importedNotes: new Map(),
+			importedHistory: null,
+			invalid: [],
+			remapped: [],
+			merged: [],
+			dropped: [],
+			dates: new Map(),
+			skippedRows: []
+		}
+	}
+
+	// A spreadsheet has no answers, so the current ones are kept
+	const {
+		importedAnnotations,
+		importedAnswers: _answers,
+		...filtered
+	} = filterImported(
+		{
+			states: toAdoptionStates(parsed.states),
+			annotations: new Map([...parsed.notes].map(([id, notes]) => [id, { notes }])),
+			history: null
+		},
+		new Set(practiceNames.keys()),
+		practiceAliases
+	)
+
+	return {
+		success: true,
+		...filtered,
+		importedNotes: new Map(
+			[...importedAnnotations].map(([id, annotation]) => [id, annotation.notes])
+		),
+		invalid: [...new Set([...filtered.invalid, ...parsed.unknown])],
+		dates: new Map(
+			[...parsed.dates]
+				.map(([id, date]) => [resolvePracticeId(id, practiceAliases), date])
+				.filter(([id]) => practiceNames.has(id))
+		),
+		skippedRows: parsed.skippedRows
+	}
+}
+
 /**
  * Export adoption state to JSON file download
- * @param {Set<string>} adoptedPractices - Set of adopted practice IDs
+ * @param {Set<string>|Map<string, string>} adoptedPractices - Adopted practice IDs, or practice ID to adoption state
  * @param {number} totalPractices - Total number of practices
  * @param {string} appVersion - Current app version
+ * @param {Object} [options] - Requirements, profile name, history, annotations and
+ * answers to include (see createExportData)
  */
-export const exportAdoptionState = (adoptedPractices, totalPractices, appVersion = '1.0.0') => {
-	if (!browser) return
-
-	const data = createExportData(adoptedPractices, totalPractices, appVersion)
+export const exportAdoptionState = (
+	adoptedPractices,
+	totalPractices,
+	appVersion = '1.0.0',
+	options = {}
+) => {
+	const data = createExportData(adoptedPractices, totalPractices, appVersion, options)
 	const json = JSON.stringify(data, null, 2) // Pretty print with 2-space indent
-	const blob = new Blob([json], { type: 'application/vnd.cd-practices.adoption+json' })
-	const url = URL.createObjectURL(blob)
-
-	// Create temporary download link
-	const link = document.createElement('a')
-	link.href = url
-	link.download = generateExportFilename()
-	document.body.appendChild(link)
-	link.click()
-
-	// Cleanup
-	document.body.removeChild(link)
-	URL.revokeObjectURL(url)
+	downloadFile(json, generateExportFilename(), 'application/vnd.cd-practices.adoption+json')
+}
+
+/**
+ * Export several team profiles to one JSON file download
+ * @param {Array<{name: string, states: Map<string, string>, requirements?: Map<string, Set<number>>, history?: Object|null, annotations?: Map<string, Object>, answers?: Map<string, Array<string|null>>}>} profiles
+ * @param {number} totalPractices - Total number of practices
+ * @param {string} appVersion - Current app version
+ */
+export const exportProfiles = (profiles, totalPractices, appVersion = '1.0.0') => {
+	const data = createProfilesExportData(profiles, totalPractices, appVersion)
+	const json = JSON.stringify(data, null, 2)
+	downloadFile(
+		json,
+		generateExportFilename('cd-practices-profiles'),
+		'application/vnd.cd-practices.adoption+json'
+	)
+}
+
+/**
+ * Export adoption state to a CSV file download (see adoptionCsv.js)
+ * @param {Map<string, string>} practiceNames - Practice ID to name, for every practice of the catalog
+ * @param {Set<string>|Map<string, string>} adoptedPractices - Adopted practice IDs, or practice ID to adoption state
+ * @param {Object} [options] - { notes, history }
+ */
+export const exportAdoptionCsv = (practiceNames, adoptedPractices, options = {}) => {
+	downloadFile(
+		formatAdoptionCsv(practiceNames, adoptedPractices, options),
+		generateExportFilename('cd-practices-adoption', 'csv'),
+		'text/csv'
+	)
 }
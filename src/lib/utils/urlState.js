@@ -1,57 +1,67 @@
 /* global btoa, atob */
 import { browser } from '$app/environment'
+import { formatAdoptionEntries, getAdoptedIds, parseAdoptionEntries } from '$lib/utils/adoption.js'
 
 /**
- * Encode a Set of practice IDs to a base64 URL parameter
- * @param {Set<string>} practiceIds - Set of adopted practice IDs
- * @returns {string} Base64-encoded comma-separated practice IDs
+ * Encode adoption state to a base64 URL parameter
+ *
+ * Adopted practices are encoded as bare IDs and partial states as "id:state",
+ * so links shared before adoption states existed still decode. Completed
+ * requirements are appended as "@0.2".
+ *
+ * @param {Set<string>|Map<string, string>} practiceIds - Adopted practice IDs, or practice ID to adoption state
+ * @param {Map<string, Set<number>>} [requirements] - Completed requirement indexes by practice ID
+ * @returns {string} Base64-encoded comma-separated entries
  */
-export const encodeAdoptionState = practiceIds => {
-	if (!practiceIds || practiceIds.size === 0) {
+export const encodeAdoptionState = (practiceIds, requirements = new Map()) => {
+	const entries = formatAdoptionEntries(practiceIds, requirements)
+	if (entries.length === 0) {
 		return ''
 	}
 
-	// Convert Set to sorted array and join with commas
-	const idsArray = Array.from(practiceIds).sort()
-	const idsString = idsArray.join(',')
-
-	// Encode to base64
-	return btoa(idsString)
+	// Encode comma-separated entries to base64
+	return btoa(entries.join(','))
 }
 
 /**
- * Decode a base64 URL parameter to a Set of practice IDs
- * @param {string} encoded - Base64-encoded practice IDs
- * @returns {Set<string>} Set of practice IDs
+ * Decode a base64 URL parameter to adoption states and requirement progress
+ * @param {string} encoded - Base64-encoded entries
+ * @returns {{states: Map<string, string>, requirements: Map<string, Set<number>>}}
  */
-export const decodeAdoptionState = encoded => {
+export const decodeAdoption = encoded => {
 	if (!encoded || encoded === '') {
-		return new Set()
+		return { states: new Map(), requirements: new Map() }
 	}
 
 	try {
-		// Decode from base64
-		const decoded = atob(encoded)
-
-		// Split by comma, trim, and filter out empty strings
-		const idsArray = decoded
-			.split(',')
-			.map(id => id.trim())
-			.filter(id => id.length > 0)
-
-		return new Set(idsArray)
+		// Decode from base64, split by comma and skip empty or unparseable entries
+		return parseAdoptionEntries(atob(encoded).split(','))
 	} catch (error) {
-		// Invalid base64 or other error - return empty set
+		// Invalid base64 or other error - return empty state
 		console.warn('Failed to decode adoption state:', error)
-		return new Set()
+		return { states: new Map(), requirements: new Map() }
 	}
 }
 
 /**
- * Get adoption state from current URL
- * @returns {Set<string> | null} Set of practice IDs or null if not in URL
+ * Decode a base64 URL parameter to adoption states
+ * @param {string} encoded - Base64-encoded entries
+ * @returns {Map<string, string>} Practice ID to adoption state
  */
-export const getAdoptionStateFromURL = () => {
+export const decodeAdoptionStates = encoded => decodeAdoption(encoded).states
+
+/**
+ * Decode a base64 URL parameter to a Set of adopted practice IDs
+ * @param {string} encoded - Base64-encoded entries
+ * @returns {Set<string>} Set of adopted practice IDs
+ */
+export const decodeAdoptionState = encoded => getAdoptedIds(decodeAdoptionStates(encoded))
+
+/**
+ * Get adoption states and requirement progress from current URL
+ * @returns {{states: Map<string, string>, requirements: Map<string, Set<number>>} | null} null if not in URL
+ */
+export const getAdoptionFromURL = () => {
 	if (!browser) return null
 
 	const urlParams = new URLSearchParams(window.location.search)
@@ -61,15 +71,22 @@ export const getAdoptionStateFromURL = () => {
 		return null
 	}
 
-	const decoded = decodeAdoptionState(adoptedParam)
+	return decodeAdoption(adoptedParam)
+}
 
-	// Return null if decoding resulted in empty set (malformed parameter)
-	// but return the empty set if it was explicitly encoded
-	if (decoded.size === 0 && adoptedParam !== encodeAdoptionState(new Set())) {
-		return decoded.size === 0 ? decoded : null
-	}
+/**
+ * Get adoption states from current URL
+ * @returns {Map<string, string> | null} Practice ID to adoption state or null if not in URL
+ */
+export const getAdoptionStatesFromURL = () => getAdoptionFromURL()?.states ?? null
 
-	return decoded
+/**
+ * Get adopted practice IDs from current URL
+ * @returns {Set<string> | null} Set of practice IDs or null if not in URL
+ */
+export const getAdoptionStateFromURL = () => {
+	const states = getAdoptionStatesFromURL()
+	return states ? getAdoptedIds(states) : null
 }
 
 /**
@@ -77,9 +94,10 @@ export const getAdoptionStateFromURL = () => {
  * Uses history.replaceState to avoid creating new history entries
  * Note: URL parameters do NOT control feature flag - only VITE_ENABLE_PRACTICE_ADOPTION does
  *
- * @param {Set<string>} practiceIds - Set of adopted practice IDs
+ * @param {Set<string>|Map<string, string>} practiceIds - Adopted practice IDs, or practice ID to adoption state
+ * @param {Map<string, Set<number>>} [requirements] - Completed requirement indexes by practice ID
  */
-export const updateURLWithAdoptionState = practiceIds => {
+export const updateURLWithAdoptionState = (practiceIds, requirements = new Map()) => {
 	if (!browser) return
 
 	const urlParams = new URLSearchParams(window.location.search)
@@ -88,12 +106,11 @@ export const updateURLWithAdoptionState = practiceIds => {
 	// The feature flag is controlled solely by VITE_ENABLE_PRACTICE_ADOPTION
 	// Existing URL parameters (like ?feature=practice-adoption) are preserved but ignored
 
-	if (!practiceIds || practiceIds.size === 0) {
-		// Remove adopted parameter if set is empty
+	const encoded = encodeAdoptionState(practiceIds, requirements)
+	if (encoded === '') {
+		// Remove adopted parameter if there is nothing to encode
 		urlParams.delete('adopted')
 	} else {
-		// Encode and set the adopted parameter
-		const encoded = encodeAdoptionState(practiceIds)
 		urlParams.set('adopted', encoded)
 	}
 
@@ -9,6 +9,10 @@
 
 import Ajv from 'ajv'
 import addFormats from 'ajv-formats'
+import {
+	DEFAULT_TIER_THRESHOLDS,
+	findCriticalPathDrift
+} from '../domain/practice-graph/critical-path.js'
 
 // Pure function: Create and configure Ajv instance
 const createValidator = schema => {
@@ -166,6 +170,87 @@ export const validateCategories = data => {
 	}
 }
 
+// Pure function: Validate that practice ID aliases lead to existing practices
+// An alias may point to another alias (a practice renamed twice) but must not
+// shadow a current practice ID or end in a cycle
+export const validateAliasReferences = data => {
+	const aliases = data.metadata?.aliases ?? {}
+	const practiceIds = new Set(data.practices.map(p => p.id))
+
+	const resolve = id => {
+		const seen = new Set()
+		let current = id
+		while (Object.hasOwn(aliases, current) && aliases[current] !== null) {
+			if (seen.has(current)) return { cycle: true }
+			seen.add(current)
+			current = aliases[current]
+		}
+		return { target: current }
+	}
+
+	const errors = Object.entries(aliases).flatMap(([alias, target]) => {
+		if (practiceIds.has(alias)) {
+			return [
+				{ message: 'Invalid practice alias', alias, reason: `"${alias}" is a current practice ID` }
+			]
+		}
+		if (target === null) return []
+
+		const resolved = resolve(alias)
+		if (resolved.cycle) {
+			return [{ message: 'Invalid practice alias', alias, reason: 'aliases form a cycle' }]
+		}
+		return Object.hasOwn(aliases, resolved.target) || practiceIds.has(resolved.target)
+			? []
+			: [
+					{
+						message: 'Invalid practice alias',
+						alias,
+						reason: `practice "${resolved.target}" does not exist`
+					}
+				]
+	})
+
+	return {
+		isValid: errors.length === 0,
+		errors
+	}
+}
+
+// Pure function: Describe why a critical path entry drifted
+const describeCriticalPathDrift = entry => {
+	if (entry.actual === null) return 'Critical path lists an unknown practice'
+	if (entry.tier === null) return 'Critical path is missing a practice'
+	if (entry.stated !== null && entry.stated !== entry.actual) {
+		return 'Critical path dependents count is out of date'
+	}
+	return 'Critical path lists a practice in the wrong tier'
+}
+
+// Pure function: Warn when the metadata critical path disagrees with the dependencies
+// (stated dependent counts, or tiers against the fan-in thresholds)
+// Warnings never fail validation - the critical path is hand-maintained documentation
+export const validateCriticalPathCounts = (data, thresholds = DEFAULT_TIER_THRESHOLDS) => {
+	const criticalPath = data.metadata?.patterns?.criticalPath
+	const drift = findCriticalPathDrift(
+		criticalPath,
+		(data.practices || []).map(p => p.id),
+		data.dependencies || [],
+		thresholds
+	)
+
+	return {
+		warnings: drift.map(entry => ({
+			message: describeCriticalPathDrift(entry),
+			practice_id: entry.id,
+			tier: entry.tier,
+			stated: entry.stated,
+			actual: entry.actual,
+			expectedTier: entry.expectedTier
+		}))
+	}
+}
+
 // Pure function: Combine multiple validation results
 export const combineValidations = validationResults => {
 	const allErrors = validationResults.flatMap(result => result.errors)
@@ -204,10 +289,14 @@ export const validateCdPractices = schema => data => {
 		validateDependencyReferences(data),
 		validateNoCycles(data),
 		validateNoSelfDependencies(data),
-		validateCategories(data)
+		validateCategories(data),
+		validateAliasReferences(data)
 	]
 
-	return formatValidationErrors(combineValidations(validations))
+	return {
+		...formatValidationErrors(combineValidations(validations)),
+		warnings: validateCriticalPathCounts(data).warnings
+	}
 }
 
 // Export individual validators for testing
@@ -218,6 +307,8 @@ export const validators = {
 	validateNoCycles,
 	validateNoSelfDependencies,
 	validateCategories,
+	validateAliasReferences,
+	validateCriticalPathCounts,
 	combineValidations,
 	formatValidationErrors
 }
@@ -0,0 +1,16 @@
+/**
+ * Server-side data loading shared by every page
+ * Runs at build time for SSG (Static Site Generation)
+ */
+import { env } from '$env/dynamic/private'
+import { createConfiguredPracticeRepository } from '$infrastructure/persistence/createConfiguredPracticeRepository.js'
+
+/** @type {import('./$types').LayoutServerLoad} */
+export async function load() {
+	const repository = await createConfiguredPracticeRepository(env)
+
+	// Former practice IDs, to remap adoption saved against older catalog versions
+	return {
+		practiceAliases: await repository.getAliases()
+	}
+}
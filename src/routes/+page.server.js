@@ -2,12 +2,13 @@
  * Server-side data loading for home page
  * Runs at build time for SSG (Static Site Generation)
  */
-import { createFilePracticeRepository } from '$infrastructure/persistence/FilePracticeRepository.js'
+import { env } from '$env/dynamic/private'
+import { createConfiguredPracticeRepository } from '$infrastructure/persistence/createConfiguredPracticeRepository.js'
 import { PracticeId } from '$domain/practice-catalog/value-objects/PracticeId.js'
 
 /** @type {import('./$types').PageServerLoad} */
 export async function load() {
-	const repository = createFilePracticeRepository()
+	const repository = await createConfiguredPracticeRepository(env)
 	const rootId = PracticeId.from('continuous-delivery')
 
 	// Get root practice
@@ -0,0 +1,15 @@
+/**
+ * POST /api/catalog/practices
+ *
+ * Creates a practice from a cd-practices.json practice record.
+ * Only enabled when the catalog is writable (see runCatalogCommand).
+ */
+import { env } from '$env/dynamic/private'
+import { runCatalogCommand } from '$lib/server/catalog-commands.js'
+
+/** @type {import('./$types').RequestHandler} */
+export async function POST({ request }) {
+	return runCatalogCommand(env, async service => service.createPractice(await request.json()), {
+		successStatus: 201
+	})
+}
@@ -0,0 +1,20 @@
+/**
+ * PATCH  /api/catalog/practices/:id - update fields of a practice
+ * DELETE /api/catalog/practices/:id - delete a practice and its dependency edges
+ *
+ * Only enabled when the catalog is writable (see runCatalogCommand).
+ */
+import { env } from '$env/dynamic/private'
+import { runCatalogCommand } from '$lib/server/catalog-commands.js'
+
+/** @type {import('./$types').RequestHandler} */
+export async function PATCH({ params, request }) {
+	return runCatalogCommand(env, async service =>
+		service.updatePractice(params.id, await request.json())
+	)
+}
+
+/** @type {import('./$types').RequestHandler} */
+export async function DELETE({ params }) {
+	return runCatalogCommand(env, service => service.deletePractice(params.id))
+}
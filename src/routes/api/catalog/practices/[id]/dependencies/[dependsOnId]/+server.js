@@ -0,0 +1,20 @@
+/**
+ * PUT    /api/catalog/practices/:id/dependencies/:dependsOnId - add the dependency edge
+ * DELETE /api/catalog/practices/:id/dependencies/:dependsOnId - remove it
+ *
+ * Only enabled when the catalog is writable (see runCatalogCommand).
+ */
+import { env } from '$env/dynamic/private'
+import { runCatalogCommand } from '$lib/server/catalog-commands.js'
+
+/** @type {import('./$types').RequestHandler} */
+export async function PUT({ params }) {
+	return runCatalogCommand(env, service => service.addDependency(params.id, params.dependsOnId), {
+		successStatus: 201
+	})
+}
+
+/** @type {import('./$types').RequestHandler} */
+export async function DELETE({ params }) {
+	return runCatalogCommand(env, service => service.removeDependency(params.id, params.dependsOnId))
+}
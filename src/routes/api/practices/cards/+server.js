@@ -5,7 +5,8 @@ import { json } from '@sveltejs/kit'
  * Returns Continuous Delivery practice and its direct dependencies as a flat array
  */
 import { PracticeId } from '$domain/practice-catalog/value-objects/PracticeId.js'
-import { createFilePracticeRepository } from '$infrastructure/persistence/FilePracticeRepository.js'
+import { env } from '$env/dynamic/private'
+import { createConfiguredPracticeRepository } from '$infrastructure/persistence/createConfiguredPracticeRepository.js'
 import { generateETag, getCacheControl, isCacheFresh } from '$lib/server/etag.js'
 
 /* global Response */
@@ -13,7 +14,7 @@ import { generateETag, getCacheControl, isCacheFresh } from '$lib/server/etag.js
 /** @type {import('./$types').RequestHandler} */
 export async function GET({ url, request }) {
 	try {
-		const repository = createFilePracticeRepository()
+		const repository = await createConfiguredPracticeRepository(env)
 
 		// Get root practice ID from query param, default to 'continuous-delivery'
 		const rootIdParam = url.searchParams.get('root') || 'continuous-delivery'
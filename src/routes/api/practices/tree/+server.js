@@ -5,7 +5,8 @@
  * (default: continuous-delivery)
  */
 import { json } from '@sveltejs/kit'
-import { createFilePracticeRepository } from '$infrastructure/persistence/FilePracticeRepository.js'
+import { env } from '$env/dynamic/private'
+import { createConfiguredPracticeRepository } from '$infrastructure/persistence/createConfiguredPracticeRepository.js'
 import { createGetPracticeTreeService } from '$application/practice-catalog/GetPracticeTreeService.js'
 import { generateETag, getCacheControl, isCacheFresh } from '$lib/server/etag.js'
 
@@ -18,7 +19,7 @@ export async function GET({ url, request }) {
 		const rootId = url.searchParams.get('root') || 'continuous-delivery'
 
 		// Create repository and service (dependency injection)
-		const repository = createFilePracticeRepository()
+		const repository = await createConfiguredPracticeRepository(env)
 		const service = createGetPracticeTreeService(repository)
 
 		// Execute use case
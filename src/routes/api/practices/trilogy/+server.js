@@ -0,0 +1,66 @@
+/**
+ * GET /api/practices/trilogy
+ *
+ * Returns the DevOps Trilogy capabilities (from metadata.patterns.devopsTrilogy)
+ * with their core and enabler practices and interdependency relationships
+ */
+import { json } from '@sveltejs/kit'
+import { env } from '$env/dynamic/private'
+import { createConfiguredPracticeRepository } from '$infrastructure/persistence/createConfiguredPracticeRepository.js'
+import { createGetDevOpsTrilogyService } from '$application/practice-catalog/GetDevOpsTrilogyService.js'
+import { generateETag, getCacheControl, isCacheFresh } from '$lib/server/etag.js'
+
+/* global Response */
+
+/** @type {import('./$types').RequestHandler} */
+export async function GET({ request }) {
+	try {
+		// Create repository and service (dependency injection)
+		const repository = await createConfiguredPracticeRepository(env)
+		const service = createGetDevOpsTrilogyService(repository)
+
+		// Execute use case
+		const result = await service.execute()
+
+		if (!result.success) {
+			return json(
+				{
+					error: result.error,
+					metadata: result.metadata
+				},
+				{ status: 404 }
+			)
+		}
+
+		// Generate ETag from response data for cache validation
+		const etag = generateETag(result)
+
+		// Check if client's cached version is still fresh
+		if (isCacheFresh(request, etag)) {
+			return new Response(null, {
+				status: 304,
+				headers: {
+					ETag: etag,
+					'Cache-Control': getCacheControl(3600)
+				}
+			})
+		}
+
+		// Return fresh data with ETag
+		return json(result, {
+			headers: {
+				ETag: etag,
+				'Cache-Control': getCacheControl(3600)
+			}
+		})
+	} catch (error) {
+		console.error('API error:', error)
+		return json(
+			{
+				error: 'Internal server error',
+				message: error.message
+			},
+			{ status: 500 }
+		)
+	}
+}
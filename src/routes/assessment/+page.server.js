@@ -0,0 +1,26 @@
+/**
+ * Server-side data loading for the Self-Assessment page
+ * Runs at build time for SSG (Static Site Generation)
+ */
+import { env } from '$env/dynamic/private'
+import { createConfiguredPracticeRepository } from '$infrastructure/persistence/createConfiguredPracticeRepository.js'
+
+/** @type {import('./$types').PageServerLoad} */
+export async function load() {
+	const repository = await createConfiguredPracticeRepository(env)
+	const { practices, dependencies } = await repository.getCatalogSnapshot()
+
+	// Practices with dependency IDs, plus the requirements the questions are asked about
+	return {
+		practices: practices.map(practice => ({
+			id: practice.id,
+			name: practice.name,
+			category: practice.category,
+			maturityLevel: practice.maturityLevel,
+			requirements: practice.requirements ?? [],
+			dependencies: dependencies
+				.filter(dependency => dependency.practice_id === practice.id)
+				.map(dependency => dependency.depends_on_id)
+		}))
+	}
+}
@@ -0,0 +1,5 @@
+/**
+ * Page configuration
+ * The editor runs entirely in the browser, so it can be prerendered
+ */
+export const prerender = true
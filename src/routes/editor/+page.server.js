@@ -0,0 +1,17 @@
+import data from '$lib/data/cd-practices.json'
+import schema from '$lib/schemas/cd-practices.schema.json'
+
+/**
+ * Server-side data loading for the catalog editor
+ *
+ * Provides the bundled catalog as the starting point and the JSON Schema
+ * used for live validation in the browser.
+ *
+ * @type {import('./$types').PageServerLoad}
+ */
+export async function load() {
+	return {
+		catalog: data,
+		schema
+	}
+}
@@ -0,0 +1,11 @@
+/**
+ * Server-side data loading for the Adoption History page
+ * Runs at build time for SSG (Static Site Generation)
+ */
+import { env } from '$env/dynamic/private'
+import { loadPracticeSummaries } from '$lib/server/practice-summaries.js'
+
+/** @type {import('./$types').PageServerLoad} */
+export async function load() {
+	return { practices: await loadPracticeSummaries(env) }
+}
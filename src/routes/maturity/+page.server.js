@@ -0,0 +1,22 @@
+/**
+ * Server-side data loading for the Maturity Dashboard page
+ * Runs at build time for SSG (Static Site Generation)
+ */
+import { env } from '$env/dynamic/private'
+import { createConfiguredPracticeRepository } from '$infrastructure/persistence/createConfiguredPracticeRepository.js'
+
+/** @type {import('./$types').PageServerLoad} */
+export async function load() {
+	const repository = await createConfiguredPracticeRepository(env)
+	const { practices } = await repository.getCatalogSnapshot()
+
+	// Only what the scores are computed from
+	return {
+		practices: practices.map(practice => ({
+			id: practice.id,
+			name: practice.name,
+			category: practice.category,
+			maturityLevel: practice.maturityLevel
+		}))
+	}
+}
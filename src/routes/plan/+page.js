@@ -0,0 +1,5 @@
+/**
+ * Page configuration
+ * Enable prerendering for static site generation
+ */
+export const prerender = true
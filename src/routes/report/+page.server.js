@@ -0,0 +1,19 @@
+/**
+ * Server-side data loading for the Adoption Report page
+ * Runs at build time for SSG (Static Site Generation)
+ */
+import { env } from '$env/dynamic/private'
+import { loadPracticeSummaries } from '$lib/server/practice-summaries.js'
+
+/** @type {import('./$types').PageServerLoad} */
+export async function load() {
+	// The report also lists descriptions and anti-patterns
+	const practices = await loadPracticeSummaries(env, {
+		extraFields: practice => ({
+			description: practice.description,
+			antiPatterns: practice.antiPatterns ?? []
+		})
+	})
+
+	return { practices }
+}
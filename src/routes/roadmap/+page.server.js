@@ -0,0 +1,25 @@
+/**
+ * Server-side data loading for the Implementation Roadmap page
+ * Runs at build time for SSG (Static Site Generation)
+ */
+import { error } from '@sveltejs/kit'
+import { createGetImplementationRoadmapService } from '$application/practice-catalog/GetImplementationRoadmapService.js'
+import { env } from '$env/dynamic/private'
+import { createConfiguredPracticeRepository } from '$infrastructure/persistence/createConfiguredPracticeRepository.js'
+
+/** @type {import('./$types').PageServerLoad} */
+export async function load() {
+	const repository = await createConfiguredPracticeRepository(env)
+	const service = createGetImplementationRoadmapService(repository)
+
+	const [result, practices] = await Promise.all([service.execute(), repository.findAll()])
+
+	if (!result.success) {
+		error(404, result.error)
+	}
+
+	return {
+		roadmap: result.data,
+		practiceIds: practices.map(practice => practice.id.toString())
+	}
+}
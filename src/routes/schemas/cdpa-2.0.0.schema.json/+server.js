@@ -0,0 +1,15 @@
+/**
+ * GET /schemas/cdpa-2.0.0.schema.json
+ *
+ * Serves the JSON Schema of the current .cdpa format, referenced by the
+ * $schema field of exported files
+ */
+import { json } from '@sveltejs/kit'
+import cdpaSchema from '$lib/schemas/cdpa-2.0.0.schema.json'
+
+export const prerender = true
+
+/** @type {import('./$types').RequestHandler} */
+export function GET() {
+	return json(cdpaSchema)
+}
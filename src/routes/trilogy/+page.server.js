@@ -0,0 +1,25 @@
+/**
+ * Server-side data loading for the DevOps Trilogy page
+ * Runs at build time for SSG (Static Site Generation)
+ */
+import { error } from '@sveltejs/kit'
+import { createGetDevOpsTrilogyService } from '$application/practice-catalog/GetDevOpsTrilogyService.js'
+import { env } from '$env/dynamic/private'
+import { createConfiguredPracticeRepository } from '$infrastructure/persistence/createConfiguredPracticeRepository.js'
+
+/** @type {import('./$types').PageServerLoad} */
+export async function load() {
+	const repository = await createConfiguredPracticeRepository(env)
+	const service = createGetDevOpsTrilogyService(repository)
+
+	const [result, practices] = await Promise.all([service.execute(), repository.findAll()])
+
+	if (!result.success) {
+		error(404, result.error)
+	}
+
+	return {
+		trilogy: result.data,
+		practiceIds: practices.map(practice => practice.id.toString())
+	}
+}
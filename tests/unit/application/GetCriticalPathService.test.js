@@ -0,0 +1,63 @@
+import { describe, it, expect, vi } from 'vitest'
+import { createGetCriticalPathService } from '$application/practice-catalog/GetCriticalPathService.js'
+import { createFilePracticeRepository } from '$infrastructure/persistence/FilePracticeRepository.js'
+
+describe('GetCriticalPathService', () => {
+	it('throws error when repository is not provided', () => {
+		expect(() => createGetCriticalPathService()).toThrow('PracticeRepository is required')
+	})
+
+	it('returns the critical path computed from the catalog dependencies', async () => {
+		const service = createGetCriticalPathService(createFilePracticeRepository())
+		const result = await service.execute()
+
+		expect(result.success).toBe(true)
+		expect(result.data.tier1.length).toBeGreaterThan(0)
+		expect(result.data.tier1.every(p => p.fanIn >= result.data.thresholds.tier1)).toBe(true)
+		expect(result.data.practices[0]).toEqual(
+			expect.objectContaining({
+				id: expect.any(String),
+				fanIn: expect.any(Number),
+				transitiveFanIn: expect.any(Number)
+			})
+		)
+		expect(result.data.description).toEqual(expect.any(String))
+		expect(Array.isArray(result.data.drift)).toBe(true)
+		expect(result.metadata.timestamp).toBeDefined()
+	})
+
+	it('reports drift from the stated metadata counts', async () => {
+		const service = createGetCriticalPathService({
+			getCatalogSnapshot: vi.fn().mockResolvedValue({
+				practices: [
+					{ id: 'a', name: 'A' },
+					{ id: 'b', name: 'B' }
+				],
+				dependencies: [{ practice_id: 'a', depends_on_id: 'b' }]
+			}),
+			getPatterns: vi.fn().mockResolvedValue({
+				criticalPath: { tier1: { practices: [{ id: 'b', dependents: 3 }] } }
+			})
+		})
+
+		const result = await service.execute()
+
+		expect(result.data.drift).toEqual([
+			{ id: 'b', tier: 'tier1', stated: 3, actual: 1, expectedTier: null }
+		])
+	})
+
+	it('handles repository errors gracefully', async () => {
+		const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+		const service = createGetCriticalPathService({
+			getCatalogSnapshot: vi.fn().mockRejectedValue(new Error('Database down')),
+			getPatterns: vi.fn().mockResolvedValue({})
+		})
+
+		const result = await service.execute()
+
+		expect(result.success).toBe(false)
+		expect(result.error).toBe('Database down')
+		consoleSpy.mockRestore()
+	})
+})
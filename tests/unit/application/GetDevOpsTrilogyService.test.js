@@ -0,0 +1,51 @@
+import { describe, it, expect, vi } from 'vitest'
+import { createGetDevOpsTrilogyService } from '$application/practice-catalog/GetDevOpsTrilogyService.js'
+import { createFilePracticeRepository } from '$infrastructure/persistence/FilePracticeRepository.js'
+
+describe('GetDevOpsTrilogyService', () => {
+	it('throws error when repository is not provided', () => {
+		expect(() => createGetDevOpsTrilogyService()).toThrow('PracticeRepository is required')
+	})
+
+	it('returns the trilogy built from the catalog', async () => {
+		const service = createGetDevOpsTrilogyService(createFilePracticeRepository())
+		const result = await service.execute()
+
+		expect(result.success).toBe(true)
+		expect(result.data.capabilities.map(c => c.key)).toEqual([
+			'continuousDelivery',
+			'architecture',
+			'productAndProcess'
+		])
+		expect(result.data.capabilities[0].corePractices[0]).toEqual(
+			expect.objectContaining({ id: 'automated-testing', name: expect.any(String) })
+		)
+		expect(result.metadata.timestamp).toBeDefined()
+	})
+
+	it('returns error when the catalog has no trilogy metadata', async () => {
+		const service = createGetDevOpsTrilogyService({
+			getPatterns: vi.fn().mockResolvedValue({}),
+			findAll: vi.fn().mockResolvedValue([])
+		})
+
+		const result = await service.execute()
+
+		expect(result.success).toBe(false)
+		expect(result.error).toBe('DevOps Trilogy is not defined in the catalog metadata')
+	})
+
+	it('handles repository errors gracefully', async () => {
+		const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+		const service = createGetDevOpsTrilogyService({
+			getPatterns: vi.fn().mockRejectedValue(new Error('Database down')),
+			findAll: vi.fn().mockResolvedValue([])
+		})
+
+		const result = await service.execute()
+
+		expect(result.success).toBe(false)
+		expect(result.error).toBe('Database down')
+		consoleSpy.mockRestore()
+	})
+})
@@ -0,0 +1,48 @@
+import { describe, it, expect, vi } from 'vitest'
+import { createGetImplementationRoadmapService } from '$application/practice-catalog/GetImplementationRoadmapService.js'
+import { createFilePracticeRepository } from '$infrastructure/persistence/FilePracticeRepository.js'
+
+describe('GetImplementationRoadmapService', () => {
+	it('throws error when repository is not provided', () => {
+		expect(() => createGetImplementationRoadmapService()).toThrow('PracticeRepository is required')
+	})
+
+	it('returns the roadmap built from the catalog', async () => {
+		const service = createGetImplementationRoadmapService(createFilePracticeRepository())
+		const result = await service.execute()
+
+		expect(result.success).toBe(true)
+		expect(result.data.phases.map(p => p.number)).toEqual([1, 2, 3, 4, 5])
+		expect(result.data.phases[0].practices[0]).toEqual(
+			expect.objectContaining({ id: 'version-control', name: expect.any(String) })
+		)
+		expect(result.data.phases[0].durationWeeks).toBe(8)
+		expect(result.metadata.timestamp).toBeDefined()
+	})
+
+	it('returns error when the catalog has no implementation timeline', async () => {
+		const service = createGetImplementationRoadmapService({
+			getPatterns: vi.fn().mockResolvedValue({}),
+			getCatalogSnapshot: vi.fn().mockResolvedValue({ practices: [], dependencies: [] })
+		})
+
+		const result = await service.execute()
+
+		expect(result.success).toBe(false)
+		expect(result.error).toBe('Implementation timeline is not defined in the catalog metadata')
+	})
+
+	it('handles repository errors gracefully', async () => {
+		const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+		const service = createGetImplementationRoadmapService({
+			getPatterns: vi.fn().mockRejectedValue(new Error('Database down')),
+			getCatalogSnapshot: vi.fn().mockResolvedValue({ practices: [], dependencies: [] })
+		})
+
+		const result = await service.execute()
+
+		expect(result.success).toBe(false)
+		expect(result.error).toBe('Database down')
+		consoleSpy.mockRestore()
+	})
+})
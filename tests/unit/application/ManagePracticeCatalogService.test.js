@@ -0,0 +1,187 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { createManagePracticeCatalogService } from '$application/practice-catalog/ManagePracticeCatalogService.js'
+import { createFilePracticeRepository } from '$infrastructure/persistence/FilePracticeRepository.js'
+import { createInMemoryCatalogStore } from '$infrastructure/persistence/InMemoryCatalogStore.js'
+import { PracticeId } from '$domain/practice-catalog/value-objects/PracticeId.js'
+import data from '$lib/data/cd-practices.json'
+
+const newPractice = {
+	id: 'chaos-engineering',
+	name: 'Chaos Engineering',
+	category: 'behavior-enabled-automation',
+	description: 'Deliberately inject failures to verify the system recovers',
+	requirements: ['Run controlled failure experiments in production'],
+	benefits: ['Confidence in resilience'],
+	maturityLevel: 3
+}
+
+describe('ManagePracticeCatalogService', () => {
+	let store
+	let repository
+	let service
+
+	beforeEach(() => {
+		store = createInMemoryCatalogStore(data)
+		repository = createFilePracticeRepository({ store })
+		service = createManagePracticeCatalogService(repository)
+	})
+
+	it('throws error when repository is not provided', () => {
+		expect(() => createManagePracticeCatalogService()).toThrow('PracticeRepository is required')
+	})
+
+	describe('createPractice', () => {
+		it('creates a valid practice and persists it', async () => {
+			const result = await service.createPractice(newPractice)
+
+			expect(result.success).toBe(true)
+			expect(result.data.type).toBe('practice')
+			expect(result.metadata.timestamp).toBeDefined()
+
+			const stored = await store.read()
+			expect(stored.practices.find(p => p.id === 'chaos-engineering')).toMatchObject({
+				name: 'Chaos Engineering',
+				type: 'practice'
+			})
+		})
+
+		it('rejects a duplicate practice ID', async () => {
+			const result = await service.createPractice({ ...newPractice, id: 'version-control' })
+
+			expect(result.success).toBe(false)
+			expect(result.error).toBe('Practice already exists: version-control')
+		})
+
+		it('rejects an invalid practice without writing', async () => {
+			const result = await service.createPractice({ ...newPractice, requirements: [] })
+
+			expect(result.success).toBe(false)
+			expect(result.error).toBe('Validation failed')
+			expect(result.errors.length).toBeGreaterThan(0)
+
+			const stored = await store.read()
+			expect(stored.practices).toHaveLength(data.practices.length)
+		})
+	})
+
+	describe('updatePractice', () => {
+		it('updates fields and keeps the practice type', async () => {
+			const result = await service.updatePractice('version-control', { maturityLevel: 1 })
+
+			expect(result.success).toBe(true)
+
+			const practice = await repository.findById(PracticeId.from('version-control'))
+			expect(practice.maturityLevel).toBe(1)
+
+			const stored = await store.read()
+			const root = stored.practices.find(p => p.id === 'continuous-delivery')
+			expect(root.type).toBe('root')
+		})
+
+		it('rejects changing the practice ID', async () => {
+			const result = await service.updatePractice('version-control', { id: 'vcs' })
+
+			expect(result.success).toBe(false)
+			expect(result.error).toBe('Practice ID cannot be changed')
+		})
+
+		it('returns error for unknown practice', async () => {
+			const result = await service.updatePractice('does-not-exist', { name: 'Nothing here' })
+
+			expect(result.success).toBe(false)
+			expect(result.error).toBe('Practice not found: does-not-exist')
+		})
+	})
+
+	describe('deletePractice', () => {
+		it('deletes the practice and every edge that references it', async () => {
+			const result = await service.deletePractice('version-control')
+
+			expect(result.success).toBe(true)
+			expect(result.data.removedDependencies.length).toBeGreaterThan(0)
+
+			const stored = await store.read()
+			expect(stored.practices.some(p => p.id === 'version-control')).toBe(false)
+			expect(
+				stored.dependencies.some(
+					d => d.practice_id === 'version-control' || d.depends_on_id === 'version-control'
+				)
+			).toBe(false)
+		})
+
+		it('refuses to delete the root practice', async () => {
+			const result = await service.deletePractice('continuous-delivery')
+
+			expect(result.success).toBe(false)
+			expect(result.error).toContain('Root practice cannot be deleted')
+		})
+	})
+
+	describe('addDependency', () => {
+		it('adds a valid edge', async () => {
+			await service.createPractice(newPractice)
+			const result = await service.addDependency('chaos-engineering', 'version-control')
+
+			expect(result.success).toBe(true)
+
+			const prerequisites = await repository.findPracticePrerequisites(
+				PracticeId.from('chaos-engineering')
+			)
+			expect(prerequisites.map(p => p.practice.id.toString())).toEqual(['version-control'])
+		})
+
+		it('rejects an edge that would create a cycle', async () => {
+			const result = await service.addDependency('version-control', 'continuous-delivery')
+
+			expect(result.success).toBe(false)
+			expect(result.error).toBe('Validation failed')
+			expect(result.errors).toContainEqual(
+				expect.stringMatching(/^Circular dependency detected \(.*version-control → .*\)$/)
+			)
+
+			const stored = await store.read()
+			expect(stored.dependencies).toHaveLength(data.dependencies.length)
+		})
+
+		it('rejects an edge to an unknown practice', async () => {
+			const result = await service.addDependency('version-control', 'does-not-exist')
+
+			expect(result.success).toBe(false)
+			expect(result.errors.some(e => e.includes('does-not-exist'))).toBe(true)
+		})
+
+		it('rejects a self-dependency', async () => {
+			const result = await service.addDependency('version-control', 'version-control')
+
+			expect(result.success).toBe(false)
+			expect(result.error).toBe('Validation failed')
+		})
+
+		it('rejects a duplicate edge', async () => {
+			const [edge] = data.dependencies
+			const result = await service.addDependency(edge.practice_id, edge.depends_on_id)
+
+			expect(result.success).toBe(false)
+			expect(result.error).toContain('Dependency already exists')
+		})
+	})
+
+	describe('removeDependency', () => {
+		it('removes an existing edge', async () => {
+			const [edge] = data.dependencies
+			const result = await service.removeDependency(edge.practice_id, edge.depends_on_id)
+
+			expect(result.success).toBe(true)
+
+			const stored = await store.read()
+			expect(stored.dependencies).toHaveLength(data.dependencies.length - 1)
+		})
+
+		it('returns error for a missing edge', async () => {
+			const result = await service.removeDependency('version-control', 'continuous-delivery')
+
+			expect(result.success).toBe(false)
+			expect(result.error).toContain('Dependency not found')
+		})
+	})
+})
@@ -202,4 +202,43 @@ describe('AdoptionCheckbox', () => {
 			expect(checkbox).toBeInTheDocument()
 		})
 	})
+
+	describe('Adoption States', () => {
+		it('shows a partial state as indeterminate', () => {
+			const { getByRole } = render(AdoptionCheckbox, {
+				props: {
+					practiceId: 'version-control',
+					adoptionState: 'in-progress'
+				}
+			})
+
+			const checkbox = getByRole('checkbox')
+			expect(checkbox).not.toBeChecked()
+			expect(checkbox.indeterminate).toBe(true)
+			expect(checkbox).toHaveAttribute('data-adoption-state', 'in-progress')
+		})
+
+		it('is not indeterminate when adopted or not started', () => {
+			const { getByRole } = render(AdoptionCheckbox, {
+				props: {
+					practiceId: 'version-control',
+					isAdopted: true,
+					adoptionState: 'adopted'
+				}
+			})
+
+			expect(getByRole('checkbox').indeterminate).toBe(false)
+		})
+
+		it('describes the current partial state to screen readers', () => {
+			const { getByText } = render(AdoptionCheckbox, {
+				props: {
+					practiceId: 'version-control',
+					adoptionState: 'regressed'
+				}
+			})
+
+			expect(getByText(/currently regressed/)).toBeInTheDocument()
+		})
+	})
 })
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest'
+import { render } from '@testing-library/svelte'
+import CapabilityCard from '$lib/components/CapabilityCard.svelte'
+import { calculateCapabilityProgress } from '$lib/domain/devops-trilogy/trilogy.js'
+
+const capability = {
+	key: 'architecture',
+	name: 'Architecture Capability',
+	description: 'System design that enables independent deployment',
+	corePractices: [{ id: 'modular-system', name: 'Modular System' }],
+	enablerPractices: [
+		{ id: 'api-management', name: 'API Management' },
+		{ id: 'integration-testing', name: 'Integration Testing' }
+	],
+	missingPracticeIds: ['feature-toggles']
+}
+
+const renderCard = adoptedSet =>
+	render(CapabilityCard, {
+		props: {
+			capability,
+			progress: calculateCapabilityProgress(capability, adoptedSet),
+			adoptedSet
+		}
+	})
+
+describe('CapabilityCard', () => {
+	it('shows overall adoption progress', () => {
+		const { getByTestId } = renderCard(new Set(['modular-system']))
+
+		expect(getByTestId('capability-progress')).toHaveTextContent('1/3 (33%)')
+	})
+
+	it('marks adopted practices and links them to the graph', () => {
+		const { getByRole, getAllByLabelText } = renderCard(new Set(['api-management']))
+
+		expect(getAllByLabelText('Adopted')).toHaveLength(1)
+		expect(getAllByLabelText('Not adopted')).toHaveLength(2)
+		expect(getByRole('link', { name: 'API Management' })).toHaveAttribute(
+			'href',
+			'/?practice=api-management'
+		)
+	})
+
+	it('lists practice IDs missing from the catalog', () => {
+		const { getByTestId } = renderCard(new Set())
+
+		expect(getByTestId('missing-practices')).toHaveTextContent('feature-toggles')
+	})
+})
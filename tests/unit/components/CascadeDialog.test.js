@@ -0,0 +1,54 @@
+import { describe, it, expect, vi } from 'vitest'
+import { render, fireEvent } from '@testing-library/svelte'
+import CascadeDialog from '$lib/components/CascadeDialog.svelte'
+
+const practices = [
+	{ id: 'ci', name: 'Continuous Integration', state: 'in-progress' },
+	{ id: 'vc', name: 'Version Control', state: null }
+]
+
+describe('CascadeDialog', () => {
+	it('lists the prerequisites that would be adopted', () => {
+		const { getByTestId, getByRole } = render(CascadeDialog, {
+			props: { practiceName: 'Continuous Delivery', adopting: true, practices }
+		})
+
+		expect(getByRole('dialog')).toHaveTextContent('Adopt prerequisites too?')
+		const changes = getByTestId('cascade-changes')
+		expect(changes).toHaveTextContent('Continuous Integration')
+		expect(changes).toHaveTextContent('In progress → Adopted')
+		expect(changes).toHaveTextContent('Not started → Adopted')
+		expect(getByTestId('cascade-confirm')).toHaveTextContent('Adopt 3 practices')
+	})
+
+	it('lists the dependents that would be unadopted', () => {
+		const { getByTestId, getByRole } = render(CascadeDialog, {
+			props: {
+				practiceName: 'Version Control',
+				adopting: false,
+				practices: [{ id: 'ci', name: 'Continuous Integration', state: 'adopted' }]
+			}
+		})
+
+		expect(getByRole('dialog')).toHaveTextContent('Unadopt dependents too?')
+		expect(getByTestId('cascade-changes')).toHaveTextContent('Adopted → Not started')
+		expect(getByTestId('cascade-confirm')).toHaveTextContent('Unadopt 2 practices')
+	})
+
+	it('confirms, toggles only the practice or cancels', async () => {
+		const onconfirm = vi.fn()
+		const ononly = vi.fn()
+		const oncancel = vi.fn()
+		const { getByTestId } = render(CascadeDialog, {
+			props: { practiceName: 'Continuous Delivery', practices, onconfirm, ononly, oncancel }
+		})
+
+		await fireEvent.click(getByTestId('cascade-confirm'))
+		await fireEvent.click(getByTestId('cascade-only'))
+		await fireEvent.keyDown(window, { key: 'Escape' })
+
+		expect(onconfirm).toHaveBeenCalledOnce()
+		expect(ononly).toHaveBeenCalledOnce()
+		expect(oncancel).toHaveBeenCalledOnce()
+	})
+})
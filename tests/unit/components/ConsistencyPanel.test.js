@@ -0,0 +1,57 @@
+import { describe, it, expect, vi } from 'vitest'
+import { render, fireEvent } from '@testing-library/svelte'
+import ConsistencyPanel from '$lib/components/ConsistencyPanel.svelte'
+
+const inconsistencies = [
+	{
+		id: 'cd',
+		name: 'Continuous Delivery',
+		missing: [
+			{ id: 'tbd', name: 'Trunk-based Development', state: 'in-progress' },
+			{ id: 'vc', name: 'Version Control', state: null }
+		]
+	},
+	{
+		id: 'ci',
+		name: 'Continuous Integration',
+		missing: [{ id: 'vc', name: 'Version Control', state: null }]
+	}
+]
+
+const open = async getByRole => {
+	await fireEvent.click(getByRole('button', { name: /Inconsistent Adoption/ }))
+}
+
+describe('ConsistencyPanel', () => {
+	it('lists inconsistent practices with their missing prerequisites', async () => {
+		const onSelect = vi.fn()
+		const { getByRole, getByTestId } = render(ConsistencyPanel, {
+			props: { inconsistencies, onSelect }
+		})
+
+		expect(getByRole('button', { name: /Inconsistent Adoption/ })).toHaveTextContent('(2)')
+		await open(getByRole)
+
+		const list = getByTestId('consistency-list')
+		expect(list).toHaveTextContent('Missing: Trunk-based Development, Version Control')
+
+		await fireEvent.click(getByRole('button', { name: /^Continuous Integration/ }))
+		expect(onSelect).toHaveBeenCalledWith('ci')
+	})
+
+	it('offers both fixes', async () => {
+		const onAdoptPrerequisites = vi.fn()
+		const onUnmarkDependents = vi.fn()
+		const { getByRole, getByTestId } = render(ConsistencyPanel, {
+			props: { inconsistencies, onAdoptPrerequisites, onUnmarkDependents }
+		})
+		await open(getByRole)
+
+		expect(getByTestId('adopt-prerequisites')).toHaveTextContent('Adopt all prerequisites (2)')
+		await fireEvent.click(getByTestId('adopt-prerequisites'))
+		await fireEvent.click(getByTestId('unmark-dependents'))
+
+		expect(onAdoptPrerequisites).toHaveBeenCalledOnce()
+		expect(onUnmarkDependents).toHaveBeenCalledOnce()
+	})
+})
@@ -564,3 +564,290 @@ describe('GraphNode - Quick-Start Label', () => {
 		expect(getByText(/Quick-start/)).toBeInTheDocument()
 	})
 })
+
+describe('GraphNode - Critical Path Highlight', () => {
+	it('shows the critical path badge and tier when a tier is given', () => {
+		const practice = buildPractice()
+		const { getByTestId } = render(GraphNode, {
+			props: { practice, criticalPathTier: 1 }
+		})
+
+		expect(getByTestId('critical-path-badge')).toHaveTextContent('Tier 1')
+		expect(getByTestId('graph-node')).toHaveAttribute('data-critical-path-tier', '1')
+	})
+
+	it('does not show the badge by default', () => {
+		const practice = buildPractice()
+		const { queryByTestId, getByTestId } = render(GraphNode, { props: { practice } })
+
+		expect(queryByTestId('critical-path-badge')).not.toBeInTheDocument()
+		expect(getByTestId('graph-node')).not.toHaveAttribute('data-critical-path-tier')
+	})
+})
+
+describe('GraphNode - Comparison Overlay', () => {
+	it('shows which side adopted the practice', () => {
+		const practice = buildPractice()
+		const { getByTestId } = render(GraphNode, {
+			props: { practice, criticalPathTier: 1, comparisonSide: 'left', comparisonLabel: 'Only A' }
+		})
+
+		expect(getByTestId('comparison-badge')).toHaveTextContent('Only A')
+		expect(getByTestId('graph-node')).toHaveAttribute('data-comparison-side', 'left')
+		expect(getByTestId('graph-node')).toHaveClass('ring-blue-500')
+		expect(getByTestId('graph-node')).not.toHaveClass('ring-orange-500')
+	})
+
+	it('does not show the overlay by default', () => {
+		const practice = buildPractice()
+		const { queryByTestId, getByTestId } = render(GraphNode, { props: { practice } })
+
+		expect(queryByTestId('comparison-badge')).not.toBeInTheDocument()
+		expect(getByTestId('graph-node')).not.toHaveAttribute('data-comparison-side')
+	})
+})
+
+describe('GraphNode - Impact Panel', () => {
+	const impact = {
+		practiceId: 'test-practice',
+		isAdopted: false,
+		newlyUnblocked: [{ id: 'ci', name: 'Continuous Integration', isAdopted: false }],
+		contributesTo: [
+			{ id: 'ci', name: 'Continuous Integration', isAdopted: false },
+			{ id: 'cd', name: 'Continuous Delivery', isAdopted: false }
+		],
+		percentageBefore: 10,
+		percentageAfter: 12,
+		percentageChange: 2
+	}
+
+	it('shows the impact of adopting the selected practice', async () => {
+		const practice = buildPractice()
+		const { getByText, getByTestId } = render(GraphNode, {
+			props: { practice, isSelected: true, impact }
+		})
+
+		await fireEvent.click(getByText('Impact'))
+
+		expect(getByTestId('impact-percentage')).toHaveTextContent('+2%')
+		expect(getByTestId('impact-panel')).toHaveTextContent('Continuous Integration')
+		expect(getByTestId('impact-contributes')).toHaveTextContent('Contributes to 2 practices')
+	})
+
+	it('does not show the impact section when not selected', () => {
+		const practice = buildPractice()
+		const { queryByText } = render(GraphNode, { props: { practice, impact } })
+
+		expect(queryByText('Impact')).not.toBeInTheDocument()
+	})
+})
+
+describe('GraphNode - Adoption State', () => {
+	it('shows the adoption state picker when selected', () => {
+		const practice = buildPractice()
+		const { getByTestId } = render(GraphNode, {
+			props: { practice, isSelected: true, adoptionState: 'exploring' }
+		})
+
+		expect(getByTestId('adoption-state-test-practice')).toHaveValue('exploring')
+	})
+
+	it('reports the chosen state', async () => {
+		const practice = buildPractice()
+		const onChangeAdoptionState = vi.fn()
+		const { getByTestId } = render(GraphNode, {
+			props: { practice, isSelected: true, onChangeAdoptionState }
+		})
+
+		await fireEvent.change(getByTestId('adoption-state-test-practice'), {
+			target: { value: 'in-progress' }
+		})
+
+		expect(onChangeAdoptionState).toHaveBeenCalledWith({
+			practiceId: 'test-practice',
+			state: 'in-progress'
+		})
+	})
+
+	it('weights its own partial state in the adoption percentage', () => {
+		const practice = buildPractice()
+		const { getByTestId } = render(GraphNode, {
+			props: {
+				practice,
+				isSelected: true,
+				adoptionState: 'in-progress',
+				adoptedDependencyCount: 1,
+				totalDependencyCount: 3
+			}
+		})
+
+		// (1 + 0.5) / (3 + 1) = 37.5%
+		expect(getByTestId('adoption-progress-bar')).toHaveTextContent('37%')
+	})
+})
+
+describe('GraphNode - Requirement Checklist', () => {
+	it('shows requirements as a checklist with completion', () => {
+		const practice = buildPractice({ requirements: ['Req 1', 'Req 2', 'Req 3'] })
+		const { getByTestId } = render(GraphNode, {
+			props: { practice, isSelected: true, completedRequirements: new Set([1]) }
+		})
+
+		expect(getByTestId('requirement-checkbox-0')).not.toBeChecked()
+		expect(getByTestId('requirement-checkbox-1')).toBeChecked()
+		expect(getByTestId('requirement-progress')).toHaveTextContent('1 of 3 complete')
+	})
+
+	it('tracks repeated requirement text by position', () => {
+		const practice = buildPractice({ requirements: ['Review', 'Review'] })
+		const { getByTestId } = render(GraphNode, {
+			props: { practice, isSelected: true, completedRequirements: new Set([1]) }
+		})
+
+		expect(getByTestId('requirement-checkbox-0')).not.toBeChecked()
+		expect(getByTestId('requirement-checkbox-1')).toBeChecked()
+	})
+
+	it('reports the toggled requirement', async () => {
+		const practice = buildPractice({ requirements: ['Req 1', 'Req 2'] })
+		const onToggleRequirement = vi.fn()
+		const { getByTestId } = render(GraphNode, {
+			props: { practice, isSelected: true, onToggleRequirement }
+		})
+
+		await fireEvent.click(getByTestId('requirement-checkbox-1'))
+
+		expect(onToggleRequirement).toHaveBeenCalledWith({
+			practiceId: 'test-practice',
+			index: 1,
+			requirementCount: 2
+		})
+	})
+
+	it('shows a plain list for the root practice', () => {
+		const practice = buildPractice({ requirements: ['Req 1'] })
+		const { queryByTestId } = render(GraphNode, {
+			props: { practice, isSelected: true, isRoot: true }
+		})
+
+		expect(queryByTestId('requirement-checklist')).not.toBeInTheDocument()
+	})
+})
+
+describe('GraphNode - Annotations', () => {
+	const annotation = {
+		notes: 'Every commit builds',
+		evidence: ['https://ci.example.com/pipelines'],
+		owner: 'Platform',
+		targetDate: '2026-06-30'
+	}
+
+	it('shows a badge on annotated practices in the tree', () => {
+		const practice = buildPractice()
+		const { getByTestId } = render(GraphNode, {
+			props: { practice, isTreeExpanded: true, annotation }
+		})
+
+		expect(getByTestId('annotation-badge')).toHaveAttribute(
+			'title',
+			'Owner: Platform · Target: 2026-06-30 · 1 evidence links'
+		)
+	})
+
+	it('shows no badge without an annotation or when selected', () => {
+		const practice = buildPractice()
+		const { queryByTestId, rerender } = render(GraphNode, {
+			props: { practice, isTreeExpanded: true }
+		})
+
+		expect(queryByTestId('annotation-badge')).not.toBeInTheDocument()
+
+		rerender({ practice, isSelected: true, annotation })
+
+		expect(queryByTestId('annotation-badge')).not.toBeInTheDocument()
+	})
+
+	it('shows the annotation in the details panel', () => {
+		const practice = buildPractice()
+		const { getByTestId } = render(GraphNode, {
+			props: { practice, isSelected: true, annotation }
+		})
+
+		expect(getByTestId('annotation-details')).toHaveTextContent('Owner: Platform')
+		expect(getByTestId('annotation-details')).toHaveTextContent('Every commit builds')
+		expect(getByTestId('annotation-evidence-link')).toHaveAttribute(
+			'href',
+			'https://ci.example.com/pipelines'
+		)
+	})
+
+	it('saves the edited annotation, leaving out invalid links', async () => {
+		const practice = buildPractice()
+		const onSaveAnnotation = vi.fn()
+		const { getByTestId, getByText } = render(GraphNode, {
+			props: { practice, isSelected: true, onSaveAnnotation }
+		})
+
+		await fireEvent.click(getByText('Notes & evidence'))
+		await fireEvent.click(getByTestId('annotation-edit'))
+		await fireEvent.input(getByTestId('annotation-notes'), { target: { value: 'Trunk only' } })
+		await fireEvent.input(getByTestId('annotation-evidence'), {
+			target: { value: 'https://example.com/dora\nwiki page' }
+		})
+		await fireEvent.input(getByTestId('annotation-owner'), { target: { value: 'Payments' } })
+
+		expect(getByTestId('annotation-evidence-invalid')).toHaveTextContent('wiki, page')
+
+		await fireEvent.click(getByTestId('annotation-save'))
+
+		expect(onSaveAnnotation).toHaveBeenCalledWith({
+			practiceId: 'test-practice',
+			annotation: {
+				notes: 'Trunk only',
+				evidence: ['https://example.com/dora'],
+				owner: 'Payments',
+				targetDate: ''
+			}
+		})
+	})
+
+	it('offers no annotations for the root practice', () => {
+		const practice = buildPractice()
+		const { queryByText } = render(GraphNode, {
+			props: { practice, isSelected: true, isRoot: true }
+		})
+
+		expect(queryByText('Notes & evidence')).not.toBeInTheDocument()
+	})
+})
+
+describe('GraphNode - Adoption consistency', () => {
+	it('warns about prerequisites that are not adopted', () => {
+		const practice = buildPractice()
+		const { getByTestId } = render(GraphNode, {
+			props: {
+				practice,
+				isAdopted: true,
+				missingPrerequisites: [
+					{ id: 'tbd', name: 'Trunk-based Development', state: 'in-progress' },
+					{ id: 'vc', name: 'Version Control', state: null }
+				]
+			}
+		})
+
+		const badge = getByTestId('inconsistency-badge')
+		expect(badge).toHaveTextContent('2 prerequisites not adopted')
+		expect(badge).toHaveAttribute(
+			'title',
+			'Adopted before its prerequisites: Trunk-based Development, Version Control'
+		)
+	})
+
+	it('shows no warning when every prerequisite is adopted', () => {
+		const { queryByTestId } = render(GraphNode, {
+			props: { practice: buildPractice(), isAdopted: true }
+		})
+
+		expect(queryByTestId('inconsistency-badge')).not.toBeInTheDocument()
+	})
+})
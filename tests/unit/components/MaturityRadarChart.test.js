@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest'
+import { render } from '@testing-library/svelte'
+import MaturityRadarChart from '$lib/components/MaturityRadarChart.svelte'
+
+const axes = [
+	{ key: 'automation', label: 'Automation' },
+	{ key: 'behavior', label: 'Behavior' },
+	{ key: 'behavior-enabled-automation', label: 'Behavior-enabled automation' }
+]
+
+const series = [
+	{ key: 'level-0', label: 'Level 0', color: '#10b981', values: [100, 50, 0] },
+	{ key: 'level-1', label: 'Level 1', color: '#0284c7', values: [25, 0, 75] }
+]
+
+describe('MaturityRadarChart', () => {
+	it('draws one polygon per series', () => {
+		const { getAllByTestId } = render(MaturityRadarChart, { props: { axes, series } })
+
+		const polygons = getAllByTestId('maturity-radar-series')
+		expect(polygons).toHaveLength(2)
+		expect(polygons[0]).toHaveAttribute('stroke', '#10b981')
+		expect(polygons[0]).toHaveTextContent(
+			'Level 0: Automation 100%, Behavior 50%, Behavior-enabled automation 0%'
+		)
+	})
+
+	it('labels every axis and lists the series', () => {
+		const { getByTestId, getByText } = render(MaturityRadarChart, { props: { axes, series } })
+
+		axes.forEach(axis => {
+			expect(getByTestId('maturity-radar')).toHaveTextContent(axis.label)
+		})
+		expect(getByText('Level 1')).toBeInTheDocument()
+	})
+})
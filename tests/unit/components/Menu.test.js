@@ -1,6 +1,7 @@
 import Menu from '$lib/components/Menu.svelte'
+import { adoptionStore } from '$lib/stores/adoptionStore.js'
 import { menuStore } from '$lib/stores/menuStore.js'
-import { fireEvent, render } from '@testing-library/svelte'
+import { fireEvent, render, waitFor } from '@testing-library/svelte'
 import { get } from 'svelte/store'
 import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
 
@@ -110,6 +111,131 @@ describe('Menu', () => {
 			expect(fileInput.getAttribute('id')).toBe('import-file-input')
 		})
 
+		it('calls the CSV export handler', async () => {
+			const onExportCsv = vi.fn()
+			const { getByRole } = render(Menu, { props: { onExportCsv } })
+
+			await fireEvent.click(getByRole('button', { name: 'Export CSV' }))
+
+			expect(onExportCsv).toHaveBeenCalledTimes(1)
+		})
+
+		it('previews a CSV import before replacing the adoption', async () => {
+			global.fetch = vi.fn().mockResolvedValue({
+				ok: true,
+				json: async () => ({
+					success: true,
+					data: {
+						id: 'continuous-delivery',
+						name: 'Continuous Delivery',
+						dependencies: [{ id: 'version-control', name: 'Version Control' }]
+					}
+				})
+			})
+			const importPractices = vi.spyOn(adoptionStore, 'importPractices')
+			const { getByLabelText, findByTestId, getByTestId, queryByTestId } = render(Menu)
+			await waitFor(() => expect(global.fetch).toHaveBeenCalled())
+
+			const fileInput = getByLabelText('Import adoption data file')
+			Object.defineProperty(fileInput, 'files', {
+				value: [
+					{
+						name: 'assessment.csv',
+						type: 'text/csv',
+						text: async () => 'name,status,notes\nVersion Control,Adopted,Git\n'
+					}
+				]
+			})
+			await fireEvent.change(fileInput)
+
+			const preview = await findByTestId('import-preview')
+			expect(preview).toHaveTextContent('Version Control')
+			expect(preview).toHaveTextContent('Not started → Adopted')
+			expect(importPractices).not.toHaveBeenCalled()
+
+			await fireEvent.click(getByTestId('import-preview-confirm'))
+
+			expect(importPractices).toHaveBeenCalledWith(
+				new Map([['version-control', 'adopted']]),
+				new Map(),
+				null,
+				new Map([['version-control', { notes: 'Git' }]]),
+				null
+			)
+			expect(queryByTestId('import-preview')).not.toBeInTheDocument()
+		})
+
+		describe('previewing what an import overwrites', () => {
+			const importFile = async (name, text) => {
+				global.fetch = vi.fn().mockResolvedValue({
+					ok: true,
+					json: async () => ({
+						success: true,
+						data: {
+							id: 'continuous-delivery',
+							name: 'Continuous Delivery',
+							dependencies: [{ id: 'version-control', name: 'Version Control' }]
+						}
+					})
+				})
+				const view = render(Menu)
+				await waitFor(() => expect(global.fetch).toHaveBeenCalled())
+
+				const fileInput = view.getByLabelText('Import adoption data file')
+				Object.defineProperty(fileInput, 'files', { value: [{ name, text: async () => text }] })
+				await fireEvent.change(fileInput)
+
+				return view.findByTestId('import-preview-overwritten')
+			}
+
+			beforeEach(() => {
+				adoptionStore.toggleRequirement('version-control', 0, 2)
+				adoptionStore.annotate('version-control', { notes: 'Git', owner: 'Platform' })
+			})
+
+			afterEach(() => {
+				adoptionStore.clearAll()
+				adoptionStore.annotate('version-control', null)
+			})
+
+			it('lists the requirement progress and notes a spreadsheet replaces', async () => {
+				const overwritten = await importFile(
+					'assessment.csv',
+					'name,status\nVersion Control,Adopted\n'
+				)
+
+				expect(overwritten).toHaveTextContent('Requirement progress on 1 practice')
+				expect(overwritten).toHaveTextContent('Notes on 1 practice')
+			})
+
+			it('lists the annotations and history a .cdpa file replaces', async () => {
+				const history = {
+					baseline: { at: '2026-01-01T00:00:00.000Z', states: {} },
+					events: [
+						{
+							at: '2026-02-01T00:00:00.000Z',
+							practiceId: 'version-control',
+							from: 'not-started',
+							to: 'adopted'
+						}
+					]
+				}
+				const overwritten = await importFile(
+					'team.cdpa',
+					JSON.stringify({
+						version: '2.2.0',
+						exportedAt: '2026-02-01T00:00:00.000Z',
+						practices: { 'version-control': { state: 'adopted' } },
+						history
+					})
+				)
+
+				expect(overwritten).toHaveTextContent('Requirement progress on 1 practice')
+				expect(overwritten).toHaveTextContent('Annotations on 1 practice')
+				expect(overwritten).toHaveTextContent(/Adoption history \(\d+ recorded changes?\)/)
+			})
+		})
+
 		it('provides click handler for navigation links', async () => {
 			// Open menu first
 			menuStore.expand()
@@ -127,6 +253,43 @@ describe('Menu', () => {
 		})
 	})
 
+	describe('team profiles', () => {
+		it('opens the team profile manager', async () => {
+			const { getByRole, getByTestId, queryByTestId } = render(Menu, {
+				props: {
+					onExportProfiles: vi.fn()
+				}
+			})
+
+			expect(queryByTestId('profile-manager')).not.toBeInTheDocument()
+
+			await fireEvent.click(getByRole('button', { name: 'Team Profiles' }))
+
+			expect(getByRole('dialog', { name: 'Team profiles' })).toBeInTheDocument()
+			expect(getByTestId('profile-item-default')).toHaveTextContent('My team')
+			expect(getByTestId('profile-delete-default')).toBeDisabled()
+			expect(getByTestId('profile-export-all')).toBeInTheDocument()
+
+			await fireEvent.click(getByTestId('profile-manager-close'))
+
+			expect(queryByTestId('profile-manager')).not.toBeInTheDocument()
+		})
+
+		it('shows the profile switcher when labels are shown', () => {
+			menuStore.expand()
+
+			const { getByTestId } = render(Menu)
+
+			expect(getByTestId('profile-switcher')).toHaveValue('default')
+		})
+
+		it('hides the profile switcher when collapsed', () => {
+			const { queryByTestId } = render(Menu)
+
+			expect(queryByTestId('profile-switcher')).not.toBeInTheDocument()
+		})
+	})
+
 	describe('accessibility', () => {
 		it('is keyboard navigable', () => {
 			const { getByRole } = render(Menu)
@@ -0,0 +1,91 @@
+import { describe, it, expect, vi } from 'vitest'
+import { render, fireEvent } from '@testing-library/svelte'
+import PracticeEditor from '$lib/components/PracticeEditor.svelte'
+
+const practice = {
+	benefits: ['Traceability'],
+	category: 'automation',
+	description: 'Version everything',
+	id: 'version-control',
+	maturityLevel: 0,
+	name: 'Version Control',
+	requirements: ['Use git', 'Commit often'],
+	type: 'practice'
+}
+
+const renderEditor = (props = {}) =>
+	render(PracticeEditor, {
+		props: {
+			practice,
+			dependencyIds: ['trunk-based-development'],
+			candidateIds: ['version-control', 'trunk-based-development', 'deployment-automation'],
+			...props
+		}
+	})
+
+describe('PracticeEditor', () => {
+	it('renders the practice fields', () => {
+		const { getByLabelText } = renderEditor()
+
+		expect(getByLabelText('Name')).toHaveValue('Version Control')
+		expect(getByLabelText('Description')).toHaveValue('Version everything')
+		expect(getByLabelText('requirement 2')).toHaveValue('Commit often')
+	})
+
+	it('reports only the changed field', async () => {
+		const onchange = vi.fn()
+		const { getByLabelText } = renderEditor({ onchange })
+
+		await fireEvent.input(getByLabelText('Name'), { target: { value: 'Source Control' } })
+
+		expect(onchange).toHaveBeenCalledWith({ name: 'Source Control' })
+	})
+
+	it('reports list edits as the full list', async () => {
+		const onchange = vi.fn()
+		const { getByLabelText } = renderEditor({ onchange })
+
+		await fireEvent.click(getByLabelText('Remove requirement 1'))
+
+		expect(onchange).toHaveBeenCalledWith({ requirements: ['Commit often'] })
+	})
+
+	it('clears the maturity level when "Not set" is chosen', async () => {
+		const onchange = vi.fn()
+		const { getByLabelText } = renderEditor({ onchange })
+
+		await fireEvent.change(getByLabelText('Maturity level'), { target: { value: '' } })
+
+		expect(onchange).toHaveBeenCalledWith({ maturityLevel: undefined })
+	})
+
+	it('offers only practices that are not already dependencies', () => {
+		const { getByLabelText } = renderEditor()
+		const options = [...getByLabelText('Add dependency').querySelectorAll('option')].map(
+			o => o.value
+		)
+
+		expect(options).toEqual(['', 'deployment-automation'])
+	})
+
+	it('removes a dependency', async () => {
+		const onRemoveDependency = vi.fn()
+		const { getByLabelText } = renderEditor({ onRemoveDependency })
+
+		await fireEvent.click(getByLabelText('Remove dependency on trunk-based-development'))
+
+		expect(onRemoveDependency).toHaveBeenCalledWith('trunk-based-development')
+	})
+
+	it('adds the selected dependency', async () => {
+		const onAddDependency = vi.fn()
+		const { getByLabelText, getByRole } = renderEditor({ onAddDependency })
+
+		await fireEvent.change(getByLabelText('Add dependency'), {
+			target: { value: 'deployment-automation' }
+		})
+		await fireEvent.click(getByRole('button', { name: 'Add' }))
+
+		expect(onAddDependency).toHaveBeenCalledWith('deployment-automation')
+	})
+})
@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest'
+import {
+	aggregateAdoption,
+	formatAggregateAsCsv,
+	formatAggregateAsJson
+} from '$lib/domain/adoption-aggregate/aggregate.js'
+
+const practiceMap = new Map(
+	[
+		{ id: 'continuous-delivery', name: 'Continuous Delivery', category: 'core', maturityLevel: 0 },
+		{ id: 'version-control', name: 'Version Control', category: 'automation', maturityLevel: 0 },
+		{ id: 'build-automation', name: 'Build Automation', category: 'automation', maturityLevel: 0 },
+		{ id: 'ci', name: 'Continuous Integration', category: 'behavior', maturityLevel: 1 }
+	].map(p => [p.id, p])
+)
+
+const teams = [
+	{ name: 'Payments', states: new Set(['version-control', 'ci']) },
+	{
+		name: 'Platform',
+		states: new Map([
+			['version-control', 'adopted'],
+			['build-automation', 'in-progress']
+		])
+	},
+	{ name: 'Search, "Web"', states: new Set() }
+]
+
+describe('Adoption Aggregate', () => {
+	describe('aggregateAdoption', () => {
+		it('orders practices foundations first and lists one state per team', () => {
+			const { practices } = aggregateAdoption(practiceMap, teams)
+
+			expect(practices.map(p => p.id)).toEqual(['build-automation', 'version-control', 'ci'])
+			expect(practices[0]).toEqual({
+				id: 'build-automation',
+				name: 'Build Automation',
+				category: 'automation',
+				maturityLevel: 0,
+				states: ['not-started', 'in-progress', 'not-started'],
+				adoptedCount: 0,
+				partialCount: 1,
+				percentage: 0
+			})
+			expect(practices[1].percentage).toBe(67)
+		})
+
+		it('summarises each team', () => {
+			const { teamCount, teams: summaries } = aggregateAdoption(practiceMap, teams)
+
+			expect(teamCount).toBe(3)
+			expect(summaries).toEqual([
+				{ name: 'Payments', adopted: 2, percentage: 67 },
+				{ name: 'Platform', adopted: 1, percentage: 33 },
+				{ name: 'Search, "Web"', adopted: 0, percentage: 0 }
+			])
+		})
+
+		it('highlights foundational practices adopted by fewer than half of the teams', () => {
+			const { missingFoundations } = aggregateAdoption(practiceMap, teams)
+
+			expect(missingFoundations.map(p => p.id)).toEqual(['build-automation'])
+		})
+
+		it('uses a custom missing threshold', () => {
+			const { missingFoundations } = aggregateAdoption(practiceMap, teams, {
+				missingThreshold: 0.8
+			})
+
+			expect(missingFoundations.map(p => p.id)).toEqual(['build-automation', 'version-control'])
+		})
+
+		it('handles no teams', () => {
+			const result = aggregateAdoption(practiceMap, [])
+
+			expect(result.teamCount).toBe(0)
+			expect(result.practices[0].percentage).toBe(0)
+			expect(result.missingFoundations).toEqual([])
+		})
+	})
+
+	describe('formatAggregateAsJson', () => {
+		it('includes teams, practices and missing foundation IDs', () => {
+			const json = JSON.parse(
+				formatAggregateAsJson(aggregateAdoption(practiceMap, teams), {
+					generatedAt: '2025-10-25T00:00:00.000Z'
+				})
+			)
+
+			expect(json.generatedAt).toBe('2025-10-25T00:00:00.000Z')
+			expect(json.teamCount).toBe(3)
+			expect(json.practices[2].states).toEqual(['adopted', 'not-started', 'not-started'])
+			expect(json.missingFoundations).toEqual(['build-automation'])
+		})
+	})
+
+	describe('formatAggregateAsCsv', () => {
+		it('writes one row per practice with a column per team', () => {
+			const lines = formatAggregateAsCsv(aggregateAdoption(practiceMap, teams)).trim().split('\n')
+
+			expect(lines[0]).toBe(
+				'id,name,category,maturity_level,adopted_teams,partial_teams,adoption_percentage,Payments,Platform,"Search, ""Web"""'
+			)
+			expect(lines[2]).toBe(
+				'version-control,Version Control,automation,0,2,0,67,adopted,adopted,not-started'
+			)
+			expect(lines).toHaveLength(4)
+		})
+	})
+})
@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest'
+import {
+	COMPARISON_SIDES,
+	compareAdoption,
+	getComparisonLabel,
+	getComparisonSide
+} from '$lib/domain/adoption-comparison/comparison.js'
+
+const practice = (id, category, maturityLevel, dependencies = []) => ({
+	id,
+	name: id
+		.split('-')
+		.map(word => word[0].toUpperCase() + word.slice(1))
+		.join(' '),
+	category,
+	maturityLevel,
+	dependencies
+})
+
+const practiceMap = new Map(
+	[
+		practice('continuous-delivery', 'core', 0, ['deploy', 'ci']),
+		practice('ci', 'behavior', 1, ['version-control', 'testing']),
+		practice('version-control', 'automation', 0),
+		practice('testing', 'behavior-enabled-automation', 1),
+		practice('deploy', 'automation', 2, ['ci'])
+	].map(p => [p.id, p])
+)
+
+describe('Adoption Comparison', () => {
+	describe('getComparisonSide', () => {
+		const left = new Set(['a', 'b'])
+		const right = new Set(['b', 'c'])
+
+		it('reports which side adopted the practice', () => {
+			expect(getComparisonSide('a', left, right)).toBe(COMPARISON_SIDES.LEFT)
+			expect(getComparisonSide('b', left, right)).toBe(COMPARISON_SIDES.BOTH)
+			expect(getComparisonSide('c', left, right)).toBe(COMPARISON_SIDES.RIGHT)
+			expect(getComparisonSide('d', left, right)).toBe(COMPARISON_SIDES.NEITHER)
+		})
+	})
+
+	describe('getComparisonLabel', () => {
+		it('names the side that adopted the practice', () => {
+			expect(getComparisonLabel('both', 'Payments', 'Platform')).toBe('Both')
+			expect(getComparisonLabel('left', 'Payments', 'Platform')).toBe('Only Payments')
+			expect(getComparisonLabel('right', 'Payments', 'Platform')).toBe('Only Platform')
+			expect(getComparisonLabel('neither', 'Payments', 'Platform')).toBeNull()
+		})
+	})
+
+	describe('compareAdoption', () => {
+		const left = new Set(['version-control', 'ci'])
+		const right = new Map([
+			['version-control', 'adopted'],
+			['testing', 'adopted'],
+			['ci', 'in-progress']
+		])
+
+		it('lists practices adopted by only one side or both, by name', () => {
+			const result = compareAdoption(practiceMap, left, right)
+
+			expect(result.onlyLeft.map(p => p.id)).toEqual(['ci'])
+			expect(result.onlyRight.map(p => p.id)).toEqual(['testing'])
+			expect(result.both).toEqual([
+				{ id: 'version-control', name: 'Version Control', category: 'automation', maturityLevel: 0 }
+			])
+		})
+
+		it('leaves the root practice out of the counts', () => {
+			const result = compareAdoption(practiceMap, new Set(['continuous-delivery']), new Set())
+
+			expect(result.overall).toEqual({
+				total: 4,
+				left: { adopted: 0, percentage: 0 },
+				right: { adopted: 0, percentage: 0 }
+			})
+		})
+
+		it('calculates percentages per category in category order', () => {
+			const { byCategory } = compareAdoption(practiceMap, left, right)
+
+			expect(byCategory.map(group => group.category)).toEqual([
+				'behavior',
+				'behavior-enabled-automation',
+				'automation'
+			])
+			expect(byCategory[2]).toEqual({
+				category: 'automation',
+				total: 2,
+				left: { adopted: 1, percentage: 50 },
+				right: { adopted: 1, percentage: 50 }
+			})
+		})
+
+		it('calculates percentages per maturity level', () => {
+			const { byMaturity } = compareAdoption(practiceMap, left, right)
+
+			expect(byMaturity.map(group => group.maturityLevel)).toEqual([0, 1, 2])
+			expect(byMaturity[1]).toEqual({
+				maturityLevel: 1,
+				total: 2,
+				left: { adopted: 1, percentage: 50 },
+				right: { adopted: 1, percentage: 50 }
+			})
+		})
+
+		it('weights partial states in dependency progress', () => {
+			const { dependencyProgress } = compareAdoption(practiceMap, left, right)
+
+			expect(dependencyProgress.left).toEqual({ adoptedCount: 2, totalCount: 4 })
+			expect(dependencyProgress.right).toEqual({ adoptedCount: 2.5, totalCount: 4 })
+		})
+	})
+})
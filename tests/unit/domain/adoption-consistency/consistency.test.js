@@ -0,0 +1,142 @@
+import { describe, it, expect } from 'vitest'
+import {
+	findAdoptionInconsistencies,
+	getAdoptPrerequisitesChanges,
+	getDependentsToUnadopt,
+	getPrerequisitesToAdopt,
+	getUnmarkDependentsChanges
+} from '$lib/domain/adoption-consistency/consistency.js'
+
+const buildPracticeMap = practices => new Map(practices.map(practice => [practice.id, practice]))
+
+// cd -> ci -> vc, cd -> tbd -> vc
+const practiceMap = buildPracticeMap([
+	{ id: 'cd', name: 'Continuous Delivery', dependencies: [{ id: 'ci' }, { id: 'tbd' }] },
+	{ id: 'ci', name: 'Continuous Integration', dependencies: ['vc'] },
+	{ id: 'tbd', name: 'Trunk-based Development', dependencies: ['vc'] },
+	{ id: 'vc', name: 'Version Control', dependencies: [] }
+])
+
+describe('findAdoptionInconsistencies', () => {
+	it('flags adopted practices with unadopted transitive prerequisites', () => {
+		const inconsistencies = findAdoptionInconsistencies(
+			practiceMap,
+			new Map([
+				['cd', 'adopted'],
+				['ci', 'adopted'],
+				['tbd', 'in-progress']
+			])
+		)
+
+		expect(inconsistencies).toEqual([
+			{
+				id: 'cd',
+				name: 'Continuous Delivery',
+				missing: [
+					{ id: 'tbd', name: 'Trunk-based Development', state: 'in-progress' },
+					{ id: 'vc', name: 'Version Control', state: null }
+				]
+			},
+			{
+				id: 'ci',
+				name: 'Continuous Integration',
+				missing: [{ id: 'vc', name: 'Version Control', state: null }]
+			}
+		])
+	})
+
+	it('finds nothing when every prerequisite of an adopted practice is adopted', () => {
+		expect(findAdoptionInconsistencies(practiceMap, new Set(['ci', 'vc']))).toEqual([])
+	})
+
+	it('ignores practices that are only partly adopted or not in the catalog', () => {
+		expect(
+			findAdoptionInconsistencies(
+				practiceMap,
+				new Map([
+					['ci', 'exploring'],
+					['unknown', 'adopted']
+				])
+			)
+		).toEqual([])
+	})
+
+	it('handles dependency cycles', () => {
+		const cyclic = buildPracticeMap([
+			{ id: 'a', name: 'A', dependencies: ['b'] },
+			{ id: 'b', name: 'B', dependencies: ['a'] }
+		])
+
+		expect(findAdoptionInconsistencies(cyclic, new Set(['a']))).toEqual([
+			{ id: 'a', name: 'A', missing: [{ id: 'b', name: 'B', state: null }] }
+		])
+	})
+})
+
+describe('fixes', () => {
+	const inconsistencies = findAdoptionInconsistencies(practiceMap, new Set(['cd', 'ci']))
+
+	it('adopts every missing prerequisite', () => {
+		expect(getAdoptPrerequisitesChanges(inconsistencies)).toEqual(
+			new Map([
+				['tbd', 'adopted'],
+				['vc', 'adopted']
+			])
+		)
+	})
+
+	it('unmarks every inconsistent practice, setting it to not started', () => {
+		expect(getUnmarkDependentsChanges(inconsistencies)).toEqual(
+			new Map([
+				['cd', 'not-started'],
+				['ci', 'not-started']
+			])
+		)
+	})
+})
+
+describe('getPrerequisitesToAdopt', () => {
+	it('lists the transitive prerequisites that are not adopted', () => {
+		expect(
+			getPrerequisitesToAdopt(
+				'cd',
+				practiceMap,
+				new Map([
+					['tbd', 'adopted'],
+					['vc', 'exploring']
+				])
+			)
+		).toEqual([
+			{ id: 'ci', name: 'Continuous Integration', state: null },
+			{ id: 'vc', name: 'Version Control', state: 'exploring' }
+		])
+	})
+
+	it('lists nothing for a practice without dependencies', () => {
+		expect(getPrerequisitesToAdopt('vc', practiceMap, new Set())).toEqual([])
+	})
+})
+
+describe('getDependentsToUnadopt', () => {
+	it('lists the adopted transitive dependents', () => {
+		expect(
+			getDependentsToUnadopt(
+				'vc',
+				practiceMap,
+				new Map([
+					['cd', 'adopted'],
+					['ci', 'in-progress'],
+					['tbd', 'adopted'],
+					['vc', 'adopted']
+				])
+			)
+		).toEqual([
+			{ id: 'cd', name: 'Continuous Delivery', state: 'adopted' },
+			{ id: 'tbd', name: 'Trunk-based Development', state: 'adopted' }
+		])
+	})
+
+	it('lists nothing when no dependent is adopted', () => {
+		expect(getDependentsToUnadopt('vc', practiceMap, new Set(['vc']))).toEqual([])
+	})
+})
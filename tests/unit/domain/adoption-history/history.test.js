@@ -0,0 +1,217 @@
+import { describe, it, expect } from 'vitest'
+import {
+	diffAdoptionStates,
+	getAdoptionSnapshots,
+	getAdoptionStatesAt,
+	getAdoptionTimeline,
+	normalizeAdoptionHistory,
+	recordAdoptionChange
+} from '$lib/domain/adoption-history/history.js'
+
+const T1 = '2025-10-01T09:00:00.000Z'
+const T2 = '2025-10-02T09:00:00.000Z'
+const T3 = '2025-10-03T09:00:00.000Z'
+
+const practiceMap = new Map(
+	[
+		{ id: 'continuous-delivery', category: 'core' },
+		{ id: 'version-control', category: 'automation' },
+		{ id: 'build-automation', category: 'automation' },
+		{ id: 'ci', category: 'behavior' }
+	].map(p => [p.id, p])
+)
+
+/**
+ * History: version-control adopted at T1, then ci adopted and
+ * build-automation in progress at T2, then version-control regressed at T3
+ */
+const buildHistory = () => {
+	let history = recordAdoptionChange(null, new Set(), new Set(['version-control']), T1)
+	history = recordAdoptionChange(
+		history,
+		new Set(['version-control']),
+		new Map([
+			['version-control', 'adopted'],
+			['ci', 'adopted'],
+			['build-automation', 'in-progress']
+		]),
+		T2
+	)
+	return recordAdoptionChange(
+		history,
+		getAdoptionStatesAt(history),
+		new Map([...getAdoptionStatesAt(history), ['version-control', 'regressed']]),
+		T3
+	)
+}
+
+describe('Adoption History', () => {
+	describe('diffAdoptionStates', () => {
+		it('lists changed practices with their previous and new state', () => {
+			expect(
+				diffAdoptionStates(
+					new Map([
+						['ci', 'adopted'],
+						['version-control', 'exploring']
+					]),
+					new Map([
+						['version-control', 'adopted'],
+						['build-automation', 'in-progress']
+					])
+				)
+			).toEqual([
+				{ practiceId: 'build-automation', from: 'not-started', to: 'in-progress' },
+				{ practiceId: 'ci', from: 'adopted', to: 'not-started' },
+				{ practiceId: 'version-control', from: 'exploring', to: 'adopted' }
+			])
+		})
+
+		it('is empty when nothing changed', () => {
+			expect(diffAdoptionStates(new Set(['ci']), new Map([['ci', 'adopted']]))).toEqual([])
+		})
+	})
+
+	describe('recordAdoptionChange', () => {
+		it('creates a history with the previous state as baseline', () => {
+			const history = recordAdoptionChange(
+				null,
+				new Set(['ci']),
+				new Set(['ci', 'version-control']),
+				T1
+			)
+
+			expect(history).toEqual({
+				baseline: { at: T1, states: { ci: 'adopted' } },
+				events: [{ at: T1, practiceId: 'version-control', from: 'not-started', to: 'adopted' }]
+			})
+		})
+
+		it('returns the same history when nothing changed', () => {
+			const history = buildHistory()
+
+			expect(recordAdoptionChange(history, new Set(), new Set(), T3)).toBe(history)
+			expect(recordAdoptionChange(null, new Set(), new Set(), T3)).toBeNull()
+		})
+
+		it('folds the oldest events into the baseline beyond the limit', () => {
+			let history = null
+			let previous = new Set()
+			for (const [index, id] of ['a', 'b', 'c'].entries()) {
+				const next = new Set([...previous, id])
+				history = recordAdoptionChange(
+					history,
+					previous,
+					next,
+					`2025-10-0${index + 1}T00:00:00.000Z`,
+					{
+						limit: 2
+					}
+				)
+				previous = next
+			}
+
+			expect(history.baseline).toEqual({
+				at: '2025-10-01T00:00:00.000Z',
+				states: { a: 'adopted' }
+			})
+			expect(history.events.map(event => event.practiceId)).toEqual(['b', 'c'])
+			expect(getAdoptionStatesAt(history)).toEqual(
+				new Map([
+					['a', 'adopted'],
+					['b', 'adopted'],
+					['c', 'adopted']
+				])
+			)
+		})
+	})
+
+	describe('getAdoptionStatesAt', () => {
+		it('replays the history up to a point in time', () => {
+			const history = buildHistory()
+
+			expect(getAdoptionStatesAt(history, T1)).toEqual(new Map([['version-control', 'adopted']]))
+			expect(getAdoptionStatesAt(history)).toEqual(
+				new Map([
+					['version-control', 'regressed'],
+					['build-automation', 'in-progress'],
+					['ci', 'adopted']
+				])
+			)
+		})
+
+		it('is empty without history', () => {
+			expect(getAdoptionStatesAt(null)).toEqual(new Map())
+		})
+	})
+
+	describe('getAdoptionSnapshots', () => {
+		it('groups changes sharing a timestamp into one snapshot', () => {
+			const snapshots = getAdoptionSnapshots(buildHistory())
+
+			expect(snapshots.map(snapshot => snapshot.at)).toEqual([T1, T2, T3])
+			expect(snapshots[1].changes).toEqual([
+				{ practiceId: 'build-automation', from: 'not-started', to: 'in-progress' },
+				{ practiceId: 'ci', from: 'not-started', to: 'adopted' }
+			])
+			expect(snapshots[2].states.get('version-control')).toBe('regressed')
+		})
+
+		it('is empty without history', () => {
+			expect(getAdoptionSnapshots(null)).toEqual([])
+		})
+	})
+
+	describe('getAdoptionTimeline', () => {
+		it('calculates adoption percentages per snapshot and category', () => {
+			const timeline = getAdoptionTimeline(buildHistory(), practiceMap)
+
+			expect(timeline).toEqual([
+				{ at: T1, adopted: 1, overall: 33, byCategory: { behavior: 0, automation: 50 } },
+				{ at: T2, adopted: 2, overall: 67, byCategory: { behavior: 100, automation: 50 } },
+				{ at: T3, adopted: 1, overall: 33, byCategory: { behavior: 100, automation: 0 } }
+			])
+		})
+	})
+
+	describe('normalizeAdoptionHistory', () => {
+		it('keeps a valid history', () => {
+			const history = buildHistory()
+
+			expect(normalizeAdoptionHistory(JSON.parse(JSON.stringify(history)))).toEqual(history)
+		})
+
+		it('rejects values without a baseline or events', () => {
+			expect(normalizeAdoptionHistory(null)).toBeNull()
+			expect(normalizeAdoptionHistory({ events: [] })).toBeNull()
+			expect(normalizeAdoptionHistory({ baseline: { at: 'never' }, events: [] })).toBeNull()
+			expect(normalizeAdoptionHistory({ baseline: { at: T1 }, events: {} })).toBeNull()
+		})
+
+		it('drops malformed events and unknown practices, and orders events by time', () => {
+			const history = normalizeAdoptionHistory(
+				{
+					baseline: {
+						at: T1,
+						states: { ci: 'adopted', removed: 'adopted', 'version-control': 'odd' }
+					},
+					events: [
+						{ at: T3, practiceId: 'ci', from: 'adopted', to: 'regressed' },
+						{ at: T2, practiceId: 'version-control', from: 'not-started', to: 'adopted' },
+						{ at: T2, practiceId: 'removed', from: 'not-started', to: 'adopted' },
+						{ at: T2, practiceId: 'ci', from: 'adopted', to: 'unknown' },
+						null
+					]
+				},
+				new Set(['ci', 'version-control'])
+			)
+
+			expect(history).toEqual({
+				baseline: { at: T1, states: { ci: 'adopted' } },
+				events: [
+					{ at: T2, practiceId: 'version-control', from: 'not-started', to: 'adopted' },
+					{ at: T3, practiceId: 'ci', from: 'adopted', to: 'regressed' }
+				]
+			})
+		})
+	})
+})
@@ -0,0 +1,213 @@
+import { describe, it, expect } from 'vitest'
+import {
+	buildAdoptionReport,
+	formatReportAsHtml,
+	formatReportAsMarkdown
+} from '$lib/domain/adoption-report/report.js'
+
+const practiceMap = new Map(
+	[
+		{
+			id: 'version-control',
+			name: 'Version Control',
+			category: 'behavior',
+			maturityLevel: 0,
+			description: 'Store everything in version control.',
+			antiPatterns: [],
+			dependencies: []
+		},
+		{
+			id: 'automated-testing',
+			name: 'Automated Testing',
+			category: 'automation',
+			maturityLevel: 0,
+			description: 'Tests run on every change.',
+			antiPatterns: [{ name: 'Manual Testing', url: 'https://example.com/manual-testing' }],
+			dependencies: ['version-control']
+		},
+		{
+			id: 'continuous-integration',
+			name: 'Continuous Integration',
+			category: 'behavior-enabled-automation',
+			maturityLevel: 1,
+			description: 'Integrate to trunk <daily>.',
+			antiPatterns: [
+				{ name: 'Manual Testing', url: 'https://example.com/manual-testing' },
+				{ name: 'Long-lived Branches', url: 'https://example.com/branches' }
+			],
+			dependencies: ['version-control', 'automated-testing']
+		}
+	].map(practice => [practice.id, practice])
+)
+
+const states = new Map([
+	['version-control', 'adopted'],
+	['automated-testing', 'in-progress']
+])
+
+describe('Adoption report', () => {
+	describe('buildAdoptionReport', () => {
+		const report = buildAdoptionReport(practiceMap, states, {
+			teamName: 'Payments',
+			generatedAt: '2026-03-01T10:00:00.000Z'
+		})
+
+		it('summarises overall progress, counting only adopted practices', () => {
+			expect(report.progress).toEqual({ total: 3, adopted: 1, inProgress: 1, percentage: 33 })
+		})
+
+		it('summarises progress per category', () => {
+			expect(report.categories).toEqual([
+				{ category: 'automation', label: 'Automation', total: 1, adopted: 0, percentage: 0 },
+				{ category: 'behavior', label: 'Behavior', total: 1, adopted: 1, percentage: 100 },
+				{
+					category: 'behavior-enabled-automation',
+					label: 'Behavior-enabled automation',
+					total: 1,
+					adopted: 0,
+					percentage: 0
+				}
+			])
+		})
+
+		it('lists adopted and outstanding practices foundations first', () => {
+			expect(report.adopted.map(practice => practice.id)).toEqual(['version-control'])
+			expect(report.outstanding.map(practice => [practice.id, practice.state])).toEqual([
+				['automated-testing', 'in-progress'],
+				['continuous-integration', 'not-started']
+			])
+		})
+
+		it('recommends the practices ready to adopt as next steps', () => {
+			expect(report.nextSteps).toEqual([
+				{
+					id: 'automated-testing',
+					name: 'Automated Testing',
+					description: 'Tests run on every change.',
+					reasons: ['Unblocks 1 practice']
+				}
+			])
+		})
+
+		it('lists the anti-patterns of outstanding practices once, most widespread first', () => {
+			expect(report.antiPatterns).toEqual([
+				{
+					name: 'Manual Testing',
+					url: 'https://example.com/manual-testing',
+					practices: ['Automated Testing', 'Continuous Integration']
+				},
+				{
+					name: 'Long-lived Branches',
+					url: 'https://example.com/branches',
+					practices: ['Continuous Integration']
+				}
+			])
+		})
+
+		it('accepts a Set of adopted IDs and ignores unknown practices', () => {
+			const fromSet = buildAdoptionReport(practiceMap, new Set(['version-control', 'unknown']))
+
+			expect(fromSet.progress.adopted).toBe(1)
+			expect(fromSet.progress.inProgress).toBe(0)
+		})
+
+		it('limits the number of next steps', () => {
+			const fresh = buildAdoptionReport(practiceMap, new Map(), { nextStepCount: 1 })
+
+			expect(fresh.nextSteps.map(step => step.id)).toEqual(['version-control'])
+		})
+	})
+
+	describe('formatReportAsMarkdown', () => {
+		const markdown = formatReportAsMarkdown(
+			buildAdoptionReport(practiceMap, states, {
+				teamName: 'Payments',
+				generatedAt: '2026-03-01T10:00:00.000Z'
+			})
+		)
+
+		it('starts with a summary of the team and progress', () => {
+			expect(markdown).toContain(
+				[
+					'# Continuous Delivery Adoption Report',
+					'',
+					'- Team: Payments',
+					'- Generated: 2026-03-01',
+					'- Adopted: 1 of 3 practices (33%)',
+					'- Under way: 1 practices'
+				].join('\n')
+			)
+		})
+
+		it('includes a category table, next steps, practices and anti-patterns', () => {
+			expect(markdown).toContain('| Behavior | 1 of 1 | 100% |')
+			expect(markdown).toContain(
+				'1. **Automated Testing** - Tests run on every change.\n   Why: Unblocks 1 practice.'
+			)
+			expect(markdown).toContain('## Adopted practices (1)')
+			expect(markdown).toContain(
+				'- **Continuous Integration** (Not started, Level 1 - Consistent) - Integrate to trunk <daily>.'
+			)
+			expect(markdown).toContain(
+				'- [Manual Testing](https://example.com/manual-testing) - holds back Automated Testing, Continuous Integration'
+			)
+			expect(markdown.endsWith('\n')).toBe(true)
+		})
+
+		it('notes empty practice lists and leaves out empty sections', () => {
+			const all = formatReportAsMarkdown(
+				buildAdoptionReport(practiceMap, new Set(practiceMap.keys()))
+			)
+
+			expect(all).toContain('## Outstanding practices (0)\n\nNone.')
+			expect(all).not.toContain('## Recommended next steps')
+			expect(all).not.toContain('## Anti-patterns to watch for')
+		})
+	})
+
+	describe('formatReportAsHtml', () => {
+		const html = formatReportAsHtml(
+			buildAdoptionReport(practiceMap, states, { teamName: 'Payments & <Co>' })
+		)
+
+		it('is a self-contained document with a print stylesheet', () => {
+			expect(html.startsWith('<!DOCTYPE html>')).toBe(true)
+			expect(html).toContain('<style>')
+			expect(html).toContain('@media print')
+			expect(html).not.toMatch(/<link|<script/)
+		})
+
+		it('escapes catalog and team text', () => {
+			expect(html).toContain(
+				'<title>Continuous Delivery Adoption Report - Payments &amp; &lt;Co&gt;</title>'
+			)
+			expect(html).toContain('Integrate to trunk &lt;daily&gt;.')
+		})
+
+		it('shows progress bars, next steps and linked anti-patterns', () => {
+			expect(html).toContain('style="width: 33%"')
+			expect(html).toContain('<h2>Recommended next steps</h2>')
+			expect(html).toContain('<a href="https://example.com/manual-testing">Manual Testing</a>')
+		})
+
+		it('does not link anti-patterns to anything but web pages', () => {
+			const report = buildAdoptionReport(
+				new Map([
+					[
+						'a',
+						{
+							id: 'a',
+							name: 'A',
+							category: 'core',
+							antiPatterns: [{ name: 'Bad', url: 'javascript:alert(1)' }],
+							dependencies: []
+						}
+					]
+				]),
+				new Map()
+			)
+
+			expect(formatReportAsHtml(report)).not.toContain('javascript:')
+		})
+	})
+})
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest'
+import {
+	addDependency,
+	addPractice,
+	getDirectDependencyIds,
+	removeDependency,
+	removePractice,
+	updatePractice
+} from '$lib/domain/catalog-editor/catalog-edits.js'
+import { validateCdPractices } from '$lib/validators/cd-practices-validator.js'
+import data from '$lib/data/cd-practices.json'
+import schema from '$lib/schemas/cd-practices.schema.json'
+
+const catalog = {
+	practices: [
+		{
+			benefits: ['Faster feedback'],
+			category: 'core',
+			description: 'Root practice',
+			id: 'root',
+			name: 'Root',
+			requirements: ['Everything'],
+			type: 'root'
+		},
+		{
+			benefits: ['Traceability'],
+			category: 'automation',
+			description: 'Version everything',
+			id: 'version-control',
+			name: 'Version Control',
+			requirements: ['Use git'],
+			type: 'practice'
+		}
+	],
+	dependencies: [{ depends_on_id: 'version-control', practice_id: 'root' }],
+	metadata: { version: '1.0.0' }
+}
+
+describe('Catalog editing', () => {
+	describe('practice edits', () => {
+		it('adds a practice in sorted position with default type', () => {
+			const result = addPractice(catalog, { id: 'deploy', name: 'Deploy', category: 'automation' })
+
+			expect(result.practices.map(p => p.id)).toEqual(['deploy', 'root', 'version-control'])
+			expect(result.practices[0].type).toBe('practice')
+			expect(catalog.practices).toHaveLength(2)
+		})
+
+		it('updates fields but never the ID', () => {
+			const result = updatePractice(catalog, 'version-control', {
+				id: 'vcs',
+				name: 'Source Control'
+			})
+
+			expect(result.practices[1]).toMatchObject({ id: 'version-control', name: 'Source Control' })
+			expect(catalog.practices[1].name).toBe('Version Control')
+		})
+
+		it('removes a practice with its edges', () => {
+			const result = removePractice(catalog, 'version-control')
+
+			expect(result.practices.map(p => p.id)).toEqual(['root'])
+			expect(result.dependencies).toEqual([])
+		})
+	})
+
+	describe('dependency edits', () => {
+		it('adds an edge once', () => {
+			const once = addDependency(catalog, 'version-control', 'root')
+			const twice = addDependency(once, 'version-control', 'root')
+
+			expect(twice.dependencies).toHaveLength(2)
+			expect(getDirectDependencyIds(twice, 'version-control')).toEqual(['root'])
+		})
+
+		it('removes an edge', () => {
+			const result = removeDependency(catalog, 'root', 'version-control')
+
+			expect(getDirectDependencyIds(result, 'root')).toEqual([])
+		})
+
+		it('produces a catalog the validator reports as cyclic', () => {
+			const result = addDependency(data, 'version-control', 'continuous-delivery')
+			const validation = validateCdPractices(schema)(result)
+
+			expect(validation.success).toBe(false)
+			expect(validation.errors.some(e => e.message === 'Circular dependency detected')).toBe(true)
+		})
+	})
+})
@@ -0,0 +1,142 @@
+import { describe, it, expect } from 'vitest'
+import {
+	buildTrilogy,
+	calculateCapabilityProgress,
+	calculateTrilogyLayout
+} from '$lib/domain/devops-trilogy/trilogy.js'
+import data from '$lib/data/cd-practices.json'
+
+const practices = [
+	{ id: 'version-control', name: 'Version Control', category: 'behavior', maturityLevel: 0 },
+	{ id: 'build-automation', name: 'Build Automation', category: 'automation', maturityLevel: 0 },
+	{ id: 'modular-system', name: 'Modular System', category: 'behavior', maturityLevel: 1 }
+]
+
+const trilogy = {
+	description: 'Three capabilities',
+	capabilities: {
+		delivery: {
+			name: 'Delivery',
+			description: 'Ship it',
+			corePractices: ['version-control', 'build-automation'],
+			enablerPractices: ['unknown-practice']
+		},
+		architecture: {
+			name: 'Architecture',
+			description: 'Design it',
+			corePractices: ['modular-system'],
+			enablerPractices: ['version-control']
+		}
+	},
+	interdependencies: {
+		description: 'They help each other',
+		relationships: [
+			{ from: 'delivery', to: 'architecture', description: 'CD enables evolution' },
+			{ from: 'architecture', to: 'delivery', description: 'Modularity simplifies CD' },
+			{ from: 'delivery', to: 'nowhere', description: 'Dangling' }
+		]
+	}
+}
+
+describe('DevOps Trilogy', () => {
+	describe('buildTrilogy', () => {
+		it('resolves capability practices and reports missing IDs', () => {
+			const result = buildTrilogy(trilogy, practices)
+
+			expect(result.capabilities.map(c => c.key)).toEqual(['delivery', 'architecture'])
+			expect(result.capabilities[0].corePractices.map(p => p.name)).toEqual([
+				'Version Control',
+				'Build Automation'
+			])
+			expect(result.capabilities[0].enablerPractices).toEqual([])
+			expect(result.capabilities[0].missingPracticeIds).toEqual(['unknown-practice'])
+		})
+
+		it('keeps only relationships between known capabilities', () => {
+			const result = buildTrilogy(trilogy, practices)
+
+			expect(result.relationships).toHaveLength(2)
+			expect(result.relationshipsDescription).toBe('They help each other')
+		})
+
+		it('handles missing metadata', () => {
+			expect(buildTrilogy(undefined, practices)).toEqual({
+				description: '',
+				capabilities: [],
+				relationships: [],
+				relationshipsDescription: ''
+			})
+		})
+
+		it('builds all three capabilities from the bundled catalog', () => {
+			const result = buildTrilogy(data.metadata.patterns.devopsTrilogy, data.practices)
+
+			expect(result.capabilities).toHaveLength(3)
+			expect(result.relationships).toHaveLength(4)
+			result.capabilities.forEach(capability => {
+				expect(capability.corePractices.length).toBeGreaterThan(0)
+			})
+		})
+	})
+
+	describe('calculateCapabilityProgress', () => {
+		it('counts adopted core and enabler practices', () => {
+			const [, architecture] = buildTrilogy(trilogy, practices).capabilities
+			const progress = calculateCapabilityProgress(architecture, new Set(['version-control']))
+
+			expect(progress).toEqual({
+				adoptedCount: 1,
+				totalCount: 2,
+				percentage: 50,
+				core: { adoptedCount: 0, totalCount: 1, percentage: 0 },
+				enablers: { adoptedCount: 1, totalCount: 1, percentage: 100 }
+			})
+		})
+
+		it('counts a practice listed twice only once in the total', () => {
+			const capability = {
+				corePractices: [practices[0]],
+				enablerPractices: [practices[0]]
+			}
+
+			expect(calculateCapabilityProgress(capability, new Set()).totalCount).toBe(1)
+		})
+	})
+
+	describe('calculateTrilogyLayout', () => {
+		it('places the first node at the top and the rest clockwise', () => {
+			const { nodes } = calculateTrilogyLayout(['a', 'b', 'c'], [], { width: 600, height: 440 })
+
+			expect(nodes[0].x).toBeCloseTo(300)
+			expect(nodes[0].y).toBeLessThan(220)
+			expect(nodes[1].x).toBeGreaterThan(300)
+			expect(nodes[2].x).toBeLessThan(300)
+		})
+
+		it('draws opposite relationships as separate arcs', () => {
+			const { edges } = calculateTrilogyLayout(
+				['a', 'b'],
+				[
+					{ from: 'a', to: 'b' },
+					{ from: 'b', to: 'a' }
+				]
+			)
+
+			expect(edges).toHaveLength(2)
+			expect(edges[0].path).not.toBe(edges[1].path)
+			expect(edges[0].labelX).not.toBe(edges[1].labelX)
+		})
+
+		it('skips relationships to unknown or identical nodes', () => {
+			const { edges } = calculateTrilogyLayout(
+				['a', 'b'],
+				[
+					{ from: 'a', to: 'a' },
+					{ from: 'a', to: 'z' }
+				]
+			)
+
+			expect(edges).toEqual([])
+		})
+	})
+})
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest'
+import {
+	formatPlanAsCsv,
+	formatPlanAsMarkdown
+} from '$lib/domain/guided-walkthrough/plan-export.js'
+
+const plan = {
+	phases: [
+		{
+			number: 1,
+			practices: [
+				{
+					id: 'version-control',
+					name: 'Version Control',
+					category: 'behavior',
+					maturityLevel: 0,
+					weight: 43,
+					dependencyIds: []
+				}
+			]
+		},
+		{
+			number: 2,
+			practices: [
+				{
+					id: 'ci',
+					name: 'Build, "Test" & Integrate',
+					category: 'behavior',
+					maturityLevel: 1,
+					weight: 12,
+					dependencyIds: ['version-control', 'automated-testing']
+				}
+			]
+		}
+	],
+	plannedCount: 2,
+	unplannedIds: []
+}
+
+describe('Adoption plan export', () => {
+	describe('formatPlanAsMarkdown', () => {
+		it('renders a checklist per phase with the plan context', () => {
+			const markdown = formatPlanAsMarkdown(plan, {
+				capacity: 3,
+				adoptedCount: 5,
+				totalCount: 7,
+				generatedAt: '2026-01-15T10:00:00.000Z'
+			})
+
+			expect(markdown).toContain('# Continuous Delivery Adoption Plan')
+			expect(markdown).toContain('- Generated: 2026-01-15')
+			expect(markdown).toContain('- Adopted: 5 of 7 practices')
+			expect(markdown).toContain('- Capacity: 3 practices per phase')
+			expect(markdown).toContain('## Phase 2')
+			expect(markdown).toContain(
+				'- [ ] **Version Control** (`version-control`) - maturity 0 - Repeatable, unblocks 43.'
+			)
+			expect(markdown).toContain('Depends on: version-control, automated-testing.')
+		})
+
+		it('lists practices that could not be planned', () => {
+			const markdown = formatPlanAsMarkdown({ ...plan, unplannedIds: ['orphan'] })
+
+			expect(markdown).toContain('## Not planned')
+			expect(markdown).toContain('- `orphan`')
+		})
+	})
+
+	describe('formatPlanAsCsv', () => {
+		it('writes a header and one row per practice', () => {
+			const lines = formatPlanAsCsv(plan).trim().split('\n')
+
+			expect(lines[0]).toBe('phase,order,id,name,category,maturity_level,weight,depends_on')
+			expect(lines[1]).toBe('1,1,version-control,Version Control,behavior,0,43,')
+		})
+
+		it('quotes fields containing commas and quotes', () => {
+			const lines = formatPlanAsCsv(plan).trim().split('\n')
+
+			expect(lines[2]).toBe(
+				'2,1,ci,"Build, ""Test"" & Integrate",behavior,1,12,version-control;automated-testing'
+			)
+		})
+	})
+})
@@ -1,8 +1,12 @@
 import { describe, it, expect } from 'vitest'
 import {
+	calculateAdoptionPlan,
 	calculateNextRecommendation,
-	calculateAdoptionProgress
+	calculateAdoptionProgress,
+	calculateRecommendations,
+	RECOMMENDATION_STRATEGIES
 } from '$lib/domain/guided-walkthrough/recommendation.js'
+import { calculateAdoptionImpact } from '$lib/domain/practice-graph/impact.js'
 
 const buildPractice = (overrides = {}) => ({
 	id: overrides.id || 'test-practice',
@@ -185,3 +189,180 @@ describe('calculateAdoptionProgress', () => {
 		expect(result.percentage).toBe(33)
 	})
 })
+
+describe('calculateAdoptionPlan', () => {
+	// root -> ci -> (vc, tests); tests -> vc; docs has no dependencies
+	const practices = [
+		buildPractice({ id: 'root', maturityLevel: 3, dependencies: [{ id: 'ci' }, { id: 'docs' }] }),
+		buildPractice({ id: 'ci', maturityLevel: 1, dependencies: [{ id: 'vc' }, { id: 'tests' }] }),
+		buildPractice({ id: 'tests', maturityLevel: 0, dependencies: [{ id: 'vc' }] }),
+		buildPractice({ id: 'vc', maturityLevel: 0 }),
+		buildPractice({ id: 'docs', maturityLevel: 0 })
+	]
+	const map = buildPracticeMap(practices)
+	const phaseIds = plan => plan.phases.map(phase => phase.practices.map(p => p.id))
+
+	it('plans every remaining practice in dependency order', () => {
+		const plan = calculateAdoptionPlan(map, new Set(), { capacity: 5 })
+
+		expect(phaseIds(plan)).toEqual([['vc', 'docs'], ['tests'], ['ci'], ['root']])
+		expect(plan.plannedCount).toBe(5)
+		expect(plan.unplannedIds).toEqual([])
+	})
+
+	it('prefers practices that unblock more among the same maturity level', () => {
+		const plan = calculateAdoptionPlan(map, new Set(), { capacity: 1 })
+
+		// vc unblocks tests, ci and root; docs only unblocks root
+		expect(phaseIds(plan)[0]).toEqual(['vc'])
+		expect(plan.phases[0].practices[0].weight).toBe(3)
+	})
+
+	it('limits each phase to the team capacity', () => {
+		const plan = calculateAdoptionPlan(map, new Set(), { capacity: 1 })
+
+		expect(plan.phases).toHaveLength(5)
+		expect(plan.phases.every(phase => phase.practices.length === 1)).toBe(true)
+	})
+
+	it('starts from the adopted set and lists only unadopted dependencies', () => {
+		const plan = calculateAdoptionPlan(map, new Set(['vc', 'docs']), { capacity: 5 })
+
+		expect(phaseIds(plan)).toEqual([['tests'], ['ci'], ['root']])
+		expect(plan.phases[1].practices[0].dependencyIds).toEqual(['tests'])
+	})
+
+	it('reports practices whose dependencies are missing from the map', () => {
+		const withMissing = buildPracticeMap([
+			...practices,
+			buildPractice({ id: 'orphan', dependencies: [{ id: 'missing' }] })
+		])
+
+		const plan = calculateAdoptionPlan(withMissing, new Set())
+
+		expect(plan.unplannedIds).toEqual(['orphan'])
+	})
+
+	it('uses a capacity of at least one', () => {
+		const plan = calculateAdoptionPlan(map, new Set(), { capacity: 0 })
+
+		expect(plan.phases[0].practices).toHaveLength(1)
+	})
+
+	it('returns no phases when everything is adopted', () => {
+		const plan = calculateAdoptionPlan(map, new Set(map.keys()))
+
+		expect(plan.phases).toEqual([])
+		expect(plan.plannedCount).toBe(0)
+	})
+})
+
+describe('calculateRecommendations', () => {
+	// vc is needed by tests, ci and root; docs only by root; lint is a level 1 leaf
+	const practices = [
+		buildPractice({
+			id: 'root',
+			maturityLevel: 3,
+			category: 'core',
+			dependencies: [{ id: 'ci' }, { id: 'docs' }, { id: 'lint' }]
+		}),
+		buildPractice({
+			id: 'ci',
+			maturityLevel: 1,
+			category: 'behavior',
+			dependencies: [{ id: 'vc' }, { id: 'tests' }]
+		}),
+		buildPractice({
+			id: 'tests',
+			maturityLevel: 0,
+			category: 'automation',
+			dependencies: [{ id: 'vc' }]
+		}),
+		buildPractice({ id: 'vc', maturityLevel: 0, category: 'behavior' }),
+		buildPractice({ id: 'docs', maturityLevel: 0, category: 'behavior' }),
+		buildPractice({ id: 'lint', maturityLevel: 1, category: 'automation' })
+	]
+	const map = buildPracticeMap(practices)
+	const ids = recommendations => recommendations.map(r => r.practice.id)
+
+	it('returns ready practices ranked foundations first by default', () => {
+		const result = calculateRecommendations(map, new Set())
+
+		expect(ids(result)).toEqual(['vc', 'docs', 'lint'])
+	})
+
+	it('explains how many practices each recommendation makes ready to adopt', () => {
+		const [first] = calculateRecommendations(map, new Set())
+
+		// tests only needs vc; ci and root still need other practices
+		expect(first.reasons).toContain('Unblocks 1 practice')
+	})
+
+	it('counts unblocked practices as impact analysis does', () => {
+		// Adopting ci leaves root waiting for docs and lint, so ci unblocks nothing yet
+		const adopted = new Set(['vc', 'tests'])
+		const ci = calculateRecommendations(map, adopted).find(r => r.practice.id === 'ci')
+
+		expect(calculateAdoptionImpact('ci', map, adopted).newlyUnblocked).toEqual([])
+		expect(ci.reasons.some(reason => reason.startsWith('Unblocks'))).toBe(false)
+	})
+
+	it('ranks by unblocked practices with the max-unblock strategy', () => {
+		const result = calculateRecommendations(map, new Set(['vc']), { strategy: 'maxUnblock' })
+
+		expect(ids(result)).toEqual(['tests', 'docs', 'lint'])
+	})
+
+	it('prefers the least adopted trilogy capability with the capability-balanced strategy', () => {
+		const result = calculateRecommendations(map, new Set(['vc']), {
+			strategy: 'capabilityBalanced',
+			capabilities: [
+				{ name: 'Continuous Delivery', practiceIds: ['vc', 'tests'] },
+				{ name: 'Product & Process', practiceIds: ['docs', 'root'] }
+			]
+		})
+
+		// Product & Process is 0% adopted, Continuous Delivery 50%; lint is in neither
+		expect(ids(result)).toEqual(['docs', 'tests', 'lint'])
+		expect(result[0].reasons).toContain('Product & Process is 0% adopted')
+		expect(result[1].reasons).toContain('Continuous Delivery is 50% adopted')
+	})
+
+	it('limits the number of recommendations', () => {
+		expect(calculateRecommendations(map, new Set(), { limit: 1 })).toHaveLength(1)
+	})
+
+	it('explains recommendations that finish a roadmap phase', () => {
+		const result = calculateRecommendations(map, new Set(['vc']), {
+			phases: [{ name: 'Foundation', practiceIds: ['vc', 'tests', 'not-in-catalog'] }]
+		})
+
+		const tests = result.find(r => r.practice.id === 'tests')
+		expect(tests.reasons).toContain('Finishes the Foundation phase')
+	})
+
+	it('marks critical path tiers from direct fan-in', () => {
+		const hub = buildPractice({ id: 'hub', maturityLevel: 0 })
+		const dependents = Array.from({ length: 7 }, (_, i) =>
+			buildPractice({ id: `d${i}`, dependencies: [{ id: 'hub' }] })
+		)
+
+		const [first] = calculateRecommendations(buildPracticeMap([hub, ...dependents]), new Set())
+
+		expect(first.reasons[0]).toBe('Tier 1 critical path')
+	})
+
+	it('falls back to the default strategy for unknown keys', () => {
+		const result = calculateRecommendations(map, new Set(), { strategy: 'unknown' })
+
+		expect(ids(result)).toEqual(['vc', 'docs', 'lint'])
+	})
+
+	it('returns an empty list when nothing is ready', () => {
+		expect(calculateRecommendations(map, new Set(map.keys()))).toEqual([])
+	})
+
+	it('exposes a label for every strategy', () => {
+		expect(Object.values(RECOMMENDATION_STRATEGIES).map(s => s.label)).toHaveLength(3)
+	})
+})
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest'
+import {
+	MATURITY_THRESHOLD,
+	calculateMaturityScores,
+	calculateRadarLayout
+} from '$lib/domain/maturity-score/maturity.js'
+
+const buildPracticeMap = practices => new Map(practices.map(practice => [practice.id, practice]))
+
+const practiceMap = buildPracticeMap([
+	{ id: 'continuous-delivery', category: 'core', maturityLevel: 3 },
+	{ id: 'vc', category: 'automation', maturityLevel: 0 },
+	{ id: 'build', category: 'automation', maturityLevel: 0 },
+	{ id: 'ci', category: 'behavior', maturityLevel: 1 },
+	{ id: 'tbd', category: 'behavior', maturityLevel: 0 },
+	{ id: 'deploy', category: 'behavior-enabled-automation', maturityLevel: 2 }
+])
+
+describe('calculateMaturityScores', () => {
+	it('scores each maturity level, counting partial states by weight', () => {
+		const { levels } = calculateMaturityScores(
+			practiceMap,
+			new Map([
+				['vc', 'adopted'],
+				['build', 'in-progress'],
+				['ci', 'exploring']
+			])
+		)
+
+		expect(levels.map(({ level, total, score }) => ({ level, total, score }))).toEqual([
+			{ level: 0, total: 3, score: 50 },
+			{ level: 1, total: 1, score: 25 },
+			{ level: 2, total: 1, score: 0 },
+			{ level: 3, total: 0, score: 0 }
+		])
+		expect(levels[0].states).toEqual({
+			'not-started': 1,
+			exploring: 0,
+			'in-progress': 1,
+			adopted: 1,
+			regressed: 0
+		})
+	})
+
+	it('scores each category in display order, leaving out the root practice', () => {
+		const { overall, categories } = calculateMaturityScores(practiceMap, new Set(['vc', 'tbd']))
+
+		expect(overall.total).toBe(5)
+		expect(overall.score).toBe(40)
+		expect(categories.map(({ category, total, score }) => ({ category, total, score }))).toEqual([
+			{ category: 'automation', total: 2, score: 50 },
+			{ category: 'behavior', total: 2, score: 50 },
+			{ category: 'behavior-enabled-automation', total: 1, score: 0 }
+		])
+		expect(categories[1].levels.map(level => level.score)).toEqual([100, 0, 0, 0])
+	})
+
+	it(`achieves a level from a score of ${MATURITY_THRESHOLD} at it and every level below`, () => {
+		const { overall, categories } = calculateMaturityScores(
+			practiceMap,
+			new Set(['vc', 'build', 'tbd', 'deploy'])
+		)
+
+		expect(overall.achievedLevel).toBe(0)
+		expect(categories.map(category => category.achievedLevel)).toEqual([0, 0, 2])
+	})
+
+	it('has no achieved level before level 0 is achieved', () => {
+		const { overall, categories } = calculateMaturityScores(practiceMap, new Set(['ci']))
+
+		expect(overall.achievedLevel).toBeNull()
+		expect(categories[1].achievedLevel).toBeNull()
+	})
+
+	it('ignores adoption of practices that are not in the catalog', () => {
+		const { overall } = calculateMaturityScores(practiceMap, new Set(['unknown']))
+
+		expect(overall.score).toBe(0)
+		expect(overall.states['not-started']).toBe(5)
+	})
+})
+
+describe('calculateRadarLayout', () => {
+	it('starts the first axis at the top and goes clockwise', () => {
+		const { center, axes } = calculateRadarLayout(4, [], { size: 200, padding: 50 })
+
+		expect(center).toBe(100)
+		expect(axes[0]).toMatchObject({ x: 100, y: 50 })
+		expect(axes[1].x).toBeCloseTo(150)
+		expect(axes[1].y).toBeCloseTo(100)
+		expect(axes[0].labelY).toBe(32)
+	})
+
+	it('draws each series and the rings as SVG points', () => {
+		const { rings, polygons } = calculateRadarLayout(4, [[100, 0, 50, 120]], {
+			size: 200,
+			padding: 50
+		})
+
+		expect(rings).toHaveLength(4)
+		const points = polygons[0].split(' ').map(point => point.split(',').map(Number))
+		expect(points[0]).toEqual([100, 50])
+		expect(points[1][0]).toBeCloseTo(100)
+		expect(points[2][1]).toBeCloseTo(125)
+		expect(points[3][0]).toBeCloseTo(50)
+	})
+})
@@ -0,0 +1,265 @@
+import { describe, it, expect } from 'vitest'
+import {
+	hasAliasChanges,
+	normalizePracticeAliases,
+	remapHistoryAliases,
+	remapPracticeAliases,
+	resolvePracticeId
+} from '$lib/domain/practice-aliases/aliases.js'
+
+describe('practice aliases', () => {
+	const aliases = {
+		'old-ci': 'continuous-integration',
+		'older-ci': 'old-ci',
+		'unit-tests': 'automated-testing',
+		'integration-tests': 'automated-testing',
+		'manual-gates': null
+	}
+
+	describe('normalizePracticeAliases', () => {
+		it('keeps aliases to a practice ID or null', () => {
+			expect(normalizePracticeAliases({ a: 'b', c: null })).toEqual({ a: 'b', c: null })
+		})
+
+		it('drops malformed entries', () => {
+			expect(normalizePracticeAliases({ a: '', b: 3, c: ['d'], '': 'e', f: 'g' })).toEqual({
+				f: 'g'
+			})
+		})
+
+		it('returns an empty map for anything but an object', () => {
+			expect(normalizePracticeAliases(undefined)).toEqual({})
+			expect(normalizePracticeAliases(['a'])).toEqual({})
+		})
+	})
+
+	describe('resolvePracticeId', () => {
+		it('returns the ID of a practice without alias', () => {
+			expect(resolvePracticeId('version-control', aliases)).toBe('version-control')
+		})
+
+		it('resolves a renamed practice', () => {
+			expect(resolvePracticeId('old-ci', aliases)).toBe('continuous-integration')
+		})
+
+		it('follows chains of renames', () => {
+			expect(resolvePracticeId('older-ci', aliases)).toBe('continuous-integration')
+		})
+
+		it('returns null for a removed practice', () => {
+			expect(resolvePracticeId('manual-gates', aliases)).toBeNull()
+			expect(resolvePracticeId('a', { a: 'b', b: null })).toBeNull()
+		})
+
+		it('stops on a cycle', () => {
+			expect(['a', 'b']).toContain(resolvePracticeId('a', { a: 'b', b: 'a' }))
+		})
+	})
+
+	describe('remapPracticeAliases', () => {
+		it('remaps renamed practices with their requirement progress', () => {
+			const result = remapPracticeAliases(
+				{
+					states: new Map([
+						['older-ci', 'in-progress'],
+						['version-control', 'adopted']
+					]),
+					requirements: new Map([['older-ci', new Set([0, 2])]])
+				},
+				aliases
+			)
+
+			expect(result.states).toEqual(
+				new Map([
+					['continuous-integration', 'in-progress'],
+					['version-control', 'adopted']
+				])
+			)
+			expect(result.requirements).toEqual(new Map([['continuous-integration', new Set([0, 2])]]))
+			expect(result.report).toEqual({
+				remapped: [{ from: 'older-ci', to: 'continuous-integration' }],
+				merged: [],
+				dropped: []
+			})
+		})
+
+		it('merges practices into the most advanced state', () => {
+			const result = remapPracticeAliases(
+				{
+					states: new Map([
+						['unit-tests', 'adopted'],
+						['integration-tests', 'exploring']
+					]),
+					requirements: new Map([['unit-tests', new Set([1])]])
+				},
+				aliases
+			)
+
+			expect(result.states).toEqual(new Map([['automated-testing', 'adopted']]))
+			expect(result.requirements.size).toBe(0)
+			expect(result.report.merged).toEqual([
+				{ to: 'automated-testing', from: ['integration-tests', 'unit-tests'] }
+			])
+			expect(result.report.remapped).toEqual([])
+		})
+
+		it('keeps the requirement progress of the practice merged into', () => {
+			const result = remapPracticeAliases(
+				{
+					states: new Map([
+						['automated-testing', 'in-progress'],
+						['unit-tests', 'exploring']
+					]),
+					requirements: new Map([
+						['automated-testing', new Set([0])],
+						['unit-tests', new Set([3])]
+					])
+				},
+				aliases
+			)
+
+			expect(result.states).toEqual(new Map([['automated-testing', 'in-progress']]))
+			expect(result.requirements).toEqual(new Map([['automated-testing', new Set([0])]]))
+			expect(result.report.merged).toEqual([
+				{ to: 'automated-testing', from: ['automated-testing', 'unit-tests'] }
+			])
+		})
+
+		it('drops removed practices', () => {
+			const result = remapPracticeAliases(
+				{
+					states: new Map([['manual-gates', 'adopted']]),
+					requirements: new Map([['manual-gates', new Set([0])]])
+				},
+				aliases
+			)
+
+			expect(result.states.size).toBe(0)
+			expect(result.requirements.size).toBe(0)
+			expect(result.report.dropped).toEqual(['manual-gates'])
+		})
+
+		it('combines the annotations of merged practices', () => {
+			const { annotations } = remapPracticeAliases(
+				{
+					states: new Map([
+						['unit-tests', 'adopted'],
+						['integration-tests', 'adopted']
+					]),
+					annotations: new Map([
+						['unit-tests', { notes: 'Jest', evidence: ['https://ci.example.com/unit'] }],
+						[
+							'integration-tests',
+							{ notes: 'Testcontainers', owner: 'Platform', targetDate: '2026-06-30' }
+						]
+					])
+				},
+				aliases
+			)
+
+			expect(annotations).toEqual(
+				new Map([
+					[
+						'automated-testing',
+						{
+							notes: 'Jest\n\nTestcontainers',
+							evidence: ['https://ci.example.com/unit'],
+							owner: 'Platform',
+							targetDate: '2026-06-30'
+						}
+					]
+				])
+			)
+		})
+
+		it('keeps the annotation of a renamed practice and drops that of a removed one', () => {
+			const { annotations } = remapPracticeAliases(
+				{
+					states: new Map(),
+					annotations: new Map([
+						['old-ci', { owner: 'Platform' }],
+						['manual-gates', { notes: 'Gone' }]
+					])
+				},
+				aliases
+			)
+
+			expect(annotations).toEqual(new Map([['continuous-integration', { owner: 'Platform' }]]))
+		})
+
+		it('remaps questionnaire answers like requirement progress', () => {
+			const { answers } = remapPracticeAliases(
+				{
+					states: new Map([['integration-tests', 'exploring']]),
+					answers: new Map([
+						['old-ci', ['yes', 'no']],
+						['unit-tests', ['partly']],
+						['manual-gates', ['no']]
+					])
+				},
+				aliases
+			)
+
+			expect(answers).toEqual(new Map([['continuous-integration', ['yes', 'no']]]))
+		})
+
+		it('leaves adoption unchanged without aliases', () => {
+			const states = new Map([['version-control', 'adopted']])
+			const result = remapPracticeAliases({ states }, {})
+
+			expect(result.states).toEqual(states)
+			expect(hasAliasChanges(result.report)).toBe(false)
+		})
+	})
+
+	describe('remapHistoryAliases', () => {
+		it('remaps baseline states and events, dropping removed practices', () => {
+			const history = {
+				baseline: {
+					at: '2025-01-01T00:00:00.000Z',
+					states: { 'integration-tests': 'in-progress', 'unit-tests': 'exploring' }
+				},
+				events: [
+					{
+						at: '2025-01-02T00:00:00.000Z',
+						practiceId: 'old-ci',
+						from: 'not-started',
+						to: 'adopted'
+					},
+					{
+						at: '2025-01-03T00:00:00.000Z',
+						practiceId: 'manual-gates',
+						from: 'not-started',
+						to: 'adopted'
+					}
+				]
+			}
+
+			expect(remapHistoryAliases(history, aliases)).toEqual({
+				baseline: {
+					at: '2025-01-01T00:00:00.000Z',
+					states: { 'automated-testing': 'in-progress' }
+				},
+				events: [
+					{
+						at: '2025-01-02T00:00:00.000Z',
+						practiceId: 'continuous-integration',
+						from: 'not-started',
+						to: 'adopted'
+					}
+				]
+			})
+		})
+
+		it('returns null without history', () => {
+			expect(remapHistoryAliases(null, aliases)).toBeNull()
+		})
+	})
+
+	describe('hasAliasChanges', () => {
+		it('is true when anything was remapped, merged or dropped', () => {
+			expect(hasAliasChanges({ remapped: [], merged: [], dropped: ['a'] })).toBe(true)
+			expect(hasAliasChanges({ remapped: [], merged: [], dropped: [] })).toBe(false)
+		})
+	})
+})
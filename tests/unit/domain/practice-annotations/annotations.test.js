@@ -0,0 +1,182 @@
+import { describe, it, expect } from 'vitest'
+import {
+	annotationsToObject,
+	getAnnotationNotes,
+	isEvidenceUrl,
+	isOverdue,
+	mergeAnnotations,
+	normalizeAnnotation,
+	normalizeAnnotations,
+	parseEvidenceInput,
+	setAnnotation,
+	setAnnotationNotes
+} from '$lib/domain/practice-annotations/annotations.js'
+
+describe('practice annotations', () => {
+	describe('isEvidenceUrl', () => {
+		it('accepts absolute http and https links only', () => {
+			expect(isEvidenceUrl('https://ci.example.com/runs/1')).toBe(true)
+			expect(isEvidenceUrl(' http://wiki.local/page ')).toBe(true)
+			expect(isEvidenceUrl('javascript:alert(1)')).toBe(false)
+			expect(isEvidenceUrl('wiki/page')).toBe(false)
+			expect(isEvidenceUrl(42)).toBe(false)
+		})
+	})
+
+	describe('normalizeAnnotation', () => {
+		it('trims text and keeps distinct web links and a valid target date', () => {
+			expect(
+				normalizeAnnotation({
+					notes: '  Every commit  ',
+					evidence: ['https://a.example.com', 'https://a.example.com ', 'ftp://b', 3],
+					owner: ' Platform   team ',
+					targetDate: '2026-06-30',
+					extra: 'ignored'
+				})
+			).toEqual({
+				notes: 'Every commit',
+				evidence: ['https://a.example.com'],
+				owner: 'Platform team',
+				targetDate: '2026-06-30'
+			})
+		})
+
+		it('drops target dates that are not calendar days', () => {
+			expect(normalizeAnnotation({ owner: 'Ops', targetDate: '2026-02-30' })).toEqual({
+				owner: 'Ops'
+			})
+			expect(normalizeAnnotation({ owner: 'Ops', targetDate: '2026-13-01' })).toEqual({
+				owner: 'Ops'
+			})
+			expect(normalizeAnnotation({ owner: 'Ops', targetDate: 'next sprint' })).toEqual({
+				owner: 'Ops'
+			})
+		})
+
+		it('returns null when nothing is left', () => {
+			expect(normalizeAnnotation({ notes: ' ', evidence: ['nope'], owner: '' })).toBeNull()
+			expect(normalizeAnnotation('notes')).toBeNull()
+			expect(normalizeAnnotation(null)).toBeNull()
+		})
+	})
+
+	describe('normalizeAnnotations', () => {
+		it('reads a Map or an object and keeps valid practices with content', () => {
+			const expected = new Map([['ci', { owner: 'Ops' }]])
+
+			expect(normalizeAnnotations({ ci: { owner: 'Ops' }, cd: { notes: '' } })).toEqual(expected)
+			expect(
+				normalizeAnnotations(
+					new Map([
+						['ci', { owner: 'Ops' }],
+						['gone', { owner: 'Ops' }]
+					]),
+					new Set(['ci'])
+				)
+			).toEqual(expected)
+			expect(normalizeAnnotations([])).toEqual(new Map())
+		})
+	})
+
+	describe('setAnnotation', () => {
+		it('sets an annotation without changing the original Map', () => {
+			const annotations = new Map()
+			const next = setAnnotation(annotations, 'ci', { notes: 'Daily' })
+
+			expect(next).toEqual(new Map([['ci', { notes: 'Daily' }]]))
+			expect(annotations.size).toBe(0)
+		})
+
+		it('removes an annotation left empty', () => {
+			expect(setAnnotation(new Map([['ci', { notes: 'Daily' }]]), 'ci', { notes: '' })).toEqual(
+				new Map()
+			)
+		})
+	})
+
+	describe('mergeAnnotations', () => {
+		it('joins notes, combines links and keeps the first owner and target date', () => {
+			expect(
+				mergeAnnotations([
+					{ notes: 'Unit', evidence: ['https://a.example.com'] },
+					{
+						notes: 'Integration',
+						evidence: ['https://a.example.com', 'https://b.example.com'],
+						owner: 'QA',
+						targetDate: '2026-01-31'
+					},
+					{ owner: 'Dev', targetDate: '2026-12-31' }
+				])
+			).toEqual({
+				notes: 'Unit\n\nIntegration',
+				evidence: ['https://a.example.com', 'https://b.example.com'],
+				owner: 'QA',
+				targetDate: '2026-01-31'
+			})
+		})
+	})
+
+	describe('annotationsToObject', () => {
+		it('sorts practices by ID', () => {
+			const object = annotationsToObject(
+				new Map([
+					['vc', { owner: 'A' }],
+					['ci', { owner: 'B' }]
+				])
+			)
+
+			expect(Object.keys(object)).toEqual(['ci', 'vc'])
+		})
+	})
+
+	describe('parseEvidenceInput', () => {
+		it('splits links typed one per line or by spaces and lists the rest', () => {
+			expect(
+				parseEvidenceInput(
+					'https://a.example.com\n\n https://b.example.com see wiki\nhttps://a.example.com'
+				)
+			).toEqual({
+				links: ['https://a.example.com', 'https://b.example.com'],
+				invalid: ['see', 'wiki']
+			})
+		})
+	})
+
+	describe('isOverdue', () => {
+		it('is true once the target date has passed', () => {
+			expect(isOverdue({ targetDate: '2026-01-31' }, '2026-02-01')).toBe(true)
+			expect(isOverdue({ targetDate: '2026-01-31' }, '2026-01-31')).toBe(false)
+			expect(isOverdue({ notes: 'x' }, '2026-02-01')).toBe(false)
+			expect(isOverdue(null, '2026-02-01')).toBe(false)
+		})
+	})
+
+	describe('notes', () => {
+		const annotations = new Map([
+			['ci', { notes: 'Old', owner: 'Ops' }],
+			['vc', { owner: 'Dev' }]
+		])
+
+		it('replaces notes while keeping the rest of each annotation', () => {
+			expect(
+				setAnnotationNotes(
+					annotations,
+					new Map([
+						['ci', 'New'],
+						['at', 'Added']
+					])
+				)
+			).toEqual(
+				new Map([
+					['ci', { notes: 'New', owner: 'Ops' }],
+					['vc', { owner: 'Dev' }],
+					['at', { notes: 'Added' }]
+				])
+			)
+		})
+
+		it('gets the notes of annotated practices that have some', () => {
+			expect(getAnnotationNotes(annotations)).toEqual(new Map([['ci', 'Old']]))
+		})
+	})
+})
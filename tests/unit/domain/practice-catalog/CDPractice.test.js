@@ -3,6 +3,7 @@ import { PracticeId } from '$domain/practice-catalog/value-objects/PracticeId.js
 import { PracticeCategory } from '$domain/practice-catalog/value-objects/PracticeCategory.js'
 import {
 	createCDPractice,
+	createCDPracticeFromRecord,
 	withRequirement,
 	withRequirements,
 	withBenefit,
@@ -73,6 +74,26 @@ describe('CDPractice (Functional)', () => {
 		})
 	})
 
+	describe('createCDPracticeFromRecord', () => {
+		it('builds a practice from a cd-practices.json record', () => {
+			const practice = createCDPracticeFromRecord({
+				id: 'continuous-integration',
+				name: 'Continuous Integration',
+				type: 'practice',
+				category: 'behavior',
+				description: 'Integrate work at least daily',
+				requirements: ['Daily integration'],
+				maturityLevel: 1
+			})
+
+			expect(practice.id.equals(validId)).toBe(true)
+			expect(practice.category.equals(validCategory)).toBe(true)
+			expect(practice.requirements).toEqual(['Daily integration'])
+			expect(practice.benefits).toEqual([])
+			expect(practice.maturityLevel).toBe(1)
+		})
+	})
+
 	describe('immutability', () => {
 		it('cannot modify practice after creation', () => {
 			const practice = createCDPractice(validId, 'Name', validCategory, 'Description')
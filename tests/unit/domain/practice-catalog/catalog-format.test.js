@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest'
+import {
+	describeCatalogError,
+	serializeCatalog,
+	sortCatalog,
+	toPracticeRecord
+} from '$lib/domain/practice-catalog/catalog-format.js'
+import data from '$lib/data/cd-practices.json'
+
+const catalog = {
+	practices: [
+		{
+			benefits: ['Faster feedback'],
+			category: 'core',
+			description: 'Root practice',
+			id: 'root',
+			name: 'Root',
+			requirements: ['Everything'],
+			type: 'root'
+		},
+		{
+			benefits: ['Traceability'],
+			category: 'automation',
+			description: 'Version everything',
+			id: 'version-control',
+			name: 'Version Control',
+			requirements: ['Use git'],
+			type: 'practice'
+		}
+	],
+	dependencies: [{ depends_on_id: 'version-control', practice_id: 'root' }],
+	metadata: { version: '1.0.0' }
+}
+
+describe('Catalog format', () => {
+	describe('toPracticeRecord', () => {
+		it('orders keys like cd-practices.json and drops empty optional fields', () => {
+			const record = toPracticeRecord({
+				type: 'practice',
+				id: 'x',
+				name: 'X',
+				maturityLevel: 0,
+				migrationGuideUrl: '  ',
+				antiPatterns: [],
+				requirements: undefined
+			})
+
+			expect(Object.keys(record)).toEqual([
+				'benefits',
+				'id',
+				'maturityLevel',
+				'name',
+				'requirements',
+				'type'
+			])
+			expect(record.requirements).toEqual([])
+		})
+
+		it('leaves existing catalog records unchanged', () => {
+			data.practices.forEach(practice => {
+				expect(JSON.stringify(toPracticeRecord(practice))).toBe(JSON.stringify(practice))
+			})
+		})
+	})
+
+	describe('serializeCatalog', () => {
+		it('round-trips the bundled catalog after sorting', () => {
+			expect(serializeCatalog(sortCatalog(data))).toBe(serializeCatalog(data))
+		})
+	})
+
+	describe('describeCatalogError', () => {
+		it('names the practice for schema errors', () => {
+			const message = describeCatalogError(
+				{
+					message: 'must NOT have fewer than 5 characters',
+					instancePath: '/practices/1/benefits/0'
+				},
+				catalog
+			)
+
+			expect(message).toBe(
+				'must NOT have fewer than 5 characters (practice version-control: /benefits/0)'
+			)
+		})
+
+		it('includes cycle and reason details', () => {
+			expect(
+				describeCatalogError({ message: 'Circular dependency detected', cycle: ['a', 'b', 'a'] })
+			).toBe('Circular dependency detected (a → b → a)')
+			expect(
+				describeCatalogError({
+					message: 'Invalid dependency reference',
+					reason: 'depends_on_id "x" does not exist'
+				})
+			).toBe('Invalid dependency reference (depends_on_id "x" does not exist)')
+		})
+	})
+})
@@ -0,0 +1,20 @@
+import { describe, it, expect } from 'vitest'
+import { formatMaturityLevel } from '$lib/domain/practice-catalog/maturity-levels.js'
+
+describe('formatMaturityLevel', () => {
+	it('names level 0 Repeatable, as MaturityBadge does', () => {
+		expect(formatMaturityLevel(0)).toBe('0 - Repeatable')
+	})
+
+	it('names every level by its own index', () => {
+		expect([1, 2, 3].map(formatMaturityLevel)).toEqual([
+			'1 - Consistent',
+			'2 - Quantitatively managed',
+			'3 - Optimizing'
+		])
+	})
+
+	it('marks levels outside the scale as unknown', () => {
+		expect(formatMaturityLevel(4)).toBe('4 - Unknown')
+	})
+})
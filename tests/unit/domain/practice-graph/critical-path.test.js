@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest'
+import {
+	assignTier,
+	calculateCriticalPath,
+	calculateFanIn,
+	calculateTransitiveFanIn,
+	DEFAULT_TIER_THRESHOLDS,
+	findCriticalPathDrift
+} from '$lib/domain/practice-graph/critical-path.js'
+import data from '$lib/data/cd-practices.json'
+
+// root -> a -> c, root -> b -> c, a -> d, c -> d
+const practices = [
+	{ id: 'root', name: 'Root' },
+	{ id: 'a', name: 'A' },
+	{ id: 'b', name: 'B' },
+	{ id: 'c', name: 'C' },
+	{ id: 'd', name: 'D' }
+]
+const dependencies = [
+	{ practice_id: 'root', depends_on_id: 'a' },
+	{ practice_id: 'root', depends_on_id: 'b' },
+	{ practice_id: 'a', depends_on_id: 'c' },
+	{ practice_id: 'b', depends_on_id: 'c' },
+	{ practice_id: 'a', depends_on_id: 'd' },
+	{ practice_id: 'c', depends_on_id: 'd' }
+]
+const ids = practices.map(p => p.id)
+
+describe('Critical Path', () => {
+	describe('calculateFanIn', () => {
+		it('counts direct dependents for every practice', () => {
+			const fanIn = calculateFanIn(ids, dependencies)
+
+			expect(Object.fromEntries(fanIn)).toEqual({ root: 0, a: 1, b: 1, c: 2, d: 2 })
+		})
+
+		it('counts a duplicated edge once', () => {
+			const fanIn = calculateFanIn(
+				['a', 'b'],
+				[
+					{ practice_id: 'a', depends_on_id: 'b' },
+					{ practice_id: 'a', depends_on_id: 'b' }
+				]
+			)
+
+			expect(fanIn.get('b')).toBe(1)
+		})
+	})
+
+	describe('calculateTransitiveFanIn', () => {
+		it('counts each direct or indirect dependent once', () => {
+			const fanIn = calculateTransitiveFanIn(ids, dependencies)
+
+			// d is needed by a and c directly, and by b and root through them
+			expect(Object.fromEntries(fanIn)).toEqual({ root: 0, a: 1, b: 1, c: 3, d: 4 })
+		})
+	})
+
+	describe('assignTier', () => {
+		it('uses the default thresholds', () => {
+			expect(assignTier(DEFAULT_TIER_THRESHOLDS.tier1)).toBe(1)
+			expect(assignTier(DEFAULT_TIER_THRESHOLDS.tier2)).toBe(2)
+			expect(assignTier(DEFAULT_TIER_THRESHOLDS.tier2 - 1)).toBeNull()
+		})
+
+		it('accepts custom thresholds', () => {
+			expect(assignTier(2, { tier1: 2, tier2: 1 })).toBe(1)
+			expect(assignTier(1, { tier1: 2, tier2: 1 })).toBe(2)
+		})
+	})
+
+	describe('calculateCriticalPath', () => {
+		it('orders practices by fan-in then transitive fan-in and assigns tiers', () => {
+			const result = calculateCriticalPath(practices, dependencies, { tier1: 2, tier2: 1 })
+
+			expect(result.practices.map(p => p.id)).toEqual(['d', 'c', 'a', 'b', 'root'])
+			expect(result.tier1.map(p => p.id)).toEqual(['d', 'c'])
+			expect(result.tier2.map(p => p.id)).toEqual(['a', 'b'])
+			expect(result.practices[0]).toEqual(
+				expect.objectContaining({ id: 'd', name: 'D', fanIn: 2, transitiveFanIn: 4, tier: 1 })
+			)
+			expect(result.thresholds).toEqual({ tier1: 2, tier2: 1 })
+		})
+	})
+
+	describe('findCriticalPathDrift', () => {
+		const metadata = {
+			description: 'Not a tier',
+			tier1: {
+				practices: [
+					{ id: 'c', dependents: 2 },
+					{ id: 'd', dependents: 5 }
+				]
+			},
+			tier2: { practices: [{ id: 'gone', dependents: 1 }] }
+		}
+
+		const thresholds = { tier1: 2, tier2: 1 }
+
+		it('reports stated counts that disagree with the dependencies', () => {
+			expect(findCriticalPathDrift(metadata, ids, dependencies, thresholds)).toEqual([
+				{ id: 'd', tier: 'tier1', stated: 5, actual: 2, expectedTier: 'tier1' },
+				{ id: 'gone', tier: 'tier2', stated: 1, actual: null, expectedTier: null },
+				{ id: 'a', tier: null, stated: null, actual: 1, expectedTier: 'tier2' },
+				{ id: 'b', tier: null, stated: null, actual: 1, expectedTier: 'tier2' }
+			])
+		})
+
+		it('reports practices listed in a tier their fan-in does not reach', () => {
+			const misplaced = { tier1: { practices: [{ id: 'a', dependents: 1 }] } }
+
+			expect(findCriticalPathDrift(misplaced, ids, dependencies, { tier1: 2, tier2: 2 })).toEqual([
+				{ id: 'a', tier: 'tier1', stated: 1, actual: 1, expectedTier: null },
+				{ id: 'c', tier: null, stated: null, actual: 2, expectedTier: 'tier1' },
+				{ id: 'd', tier: null, stated: null, actual: 2, expectedTier: 'tier1' }
+			])
+		})
+
+		it('returns nothing without critical path metadata', () => {
+			expect(findCriticalPathDrift(undefined, ids, dependencies)).toEqual([])
+		})
+
+		it('finds no drift in the bundled catalog', () => {
+			expect(
+				findCriticalPathDrift(
+					data.metadata.patterns.criticalPath,
+					data.practices.map(p => p.id),
+					data.dependencies
+				)
+			).toEqual([])
+		})
+	})
+})
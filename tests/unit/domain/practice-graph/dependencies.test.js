@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest'
+import {
+	buildDependentsMap,
+	collectDependents,
+	getDependencyIds,
+	toDependencyEdges
+} from '$lib/domain/practice-graph/dependencies.js'
+
+// cd -> ci -> vc, cd -> tbd -> vc
+const practiceMap = new Map(
+	[
+		{ id: 'cd', dependencies: [{ id: 'ci' }, { id: 'tbd' }] },
+		{ id: 'ci', dependencies: ['vc'] },
+		{ id: 'tbd', dependencies: ['vc'] },
+		{ id: 'vc' }
+	].map(practice => [practice.id, practice])
+)
+
+describe('getDependencyIds', () => {
+	it('reads dependencies given as IDs or practice objects', () => {
+		expect(getDependencyIds(practiceMap.get('cd'))).toEqual(['ci', 'tbd'])
+		expect(getDependencyIds(practiceMap.get('ci'))).toEqual(['vc'])
+	})
+
+	it('returns nothing for a missing practice', () => {
+		expect(getDependencyIds(undefined)).toEqual([])
+	})
+})
+
+describe('toDependencyEdges', () => {
+	it('lists every edge in catalog shape', () => {
+		expect(toDependencyEdges(practiceMap)).toEqual([
+			{ practice_id: 'cd', depends_on_id: 'ci' },
+			{ practice_id: 'cd', depends_on_id: 'tbd' },
+			{ practice_id: 'ci', depends_on_id: 'vc' },
+			{ practice_id: 'tbd', depends_on_id: 'vc' }
+		])
+	})
+})
+
+describe('collectDependents', () => {
+	const dependentsMap = buildDependentsMap(toDependencyEdges(practiceMap))
+
+	it('collects direct and indirect dependents', () => {
+		expect(dependentsMap.get('vc')).toEqual(['ci', 'tbd'])
+		expect(collectDependents('vc', dependentsMap)).toEqual(new Set(['ci', 'tbd', 'cd']))
+	})
+
+	it('never counts a practice as its own dependent in a cycle', () => {
+		const cyclic = buildDependentsMap([
+			{ practice_id: 'a', depends_on_id: 'b' },
+			{ practice_id: 'b', depends_on_id: 'a' }
+		])
+
+		expect(collectDependents('a', cyclic)).toEqual(new Set(['b']))
+	})
+})
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest'
+import { calculateAdoptionImpact } from '$lib/domain/practice-graph/impact.js'
+
+// root -> (ci, docs); ci -> (vc, tests); tests -> vc
+const buildPracticeMap = () =>
+	new Map(
+		[
+			{ id: 'root', name: 'Root', dependencies: [{ id: 'ci' }, { id: 'docs' }] },
+			{ id: 'ci', name: 'CI', dependencies: [{ id: 'vc' }, { id: 'tests' }] },
+			{ id: 'tests', name: 'Tests', dependencies: [{ id: 'vc' }] },
+			{ id: 'vc', name: 'Version Control', dependencies: [] },
+			{ id: 'docs', name: 'Docs', dependencies: [] }
+		].map(p => [p.id, p])
+	)
+
+describe('calculateAdoptionImpact', () => {
+	it('lists practices that become ready when the practice is adopted', () => {
+		const impact = calculateAdoptionImpact('vc', buildPracticeMap(), new Set())
+
+		// ci still needs tests, so only tests becomes ready
+		expect(impact.newlyUnblocked.map(p => p.id)).toEqual(['tests'])
+	})
+
+	it('counts a practice as unblocked once its last missing dependency is adopted', () => {
+		const impact = calculateAdoptionImpact('tests', buildPracticeMap(), new Set(['vc']))
+
+		expect(impact.newlyUnblocked.map(p => p.id)).toEqual(['ci'])
+	})
+
+	it('lists every practice it contributes to transitively', () => {
+		const impact = calculateAdoptionImpact('vc', buildPracticeMap(), new Set(['ci']))
+
+		expect(impact.contributesTo).toEqual([
+			{ id: 'ci', name: 'CI', isAdopted: true },
+			{ id: 'root', name: 'Root', isAdopted: false },
+			{ id: 'tests', name: 'Tests', isAdopted: false }
+		])
+	})
+
+	it('reports the change in overall adoption percentage', () => {
+		const impact = calculateAdoptionImpact('vc', buildPracticeMap(), new Set(['docs']))
+
+		expect(impact).toEqual(
+			expect.objectContaining({ percentageBefore: 20, percentageAfter: 40, percentageChange: 20 })
+		)
+	})
+
+	it('gives the same answer for an already adopted practice', () => {
+		const notAdopted = calculateAdoptionImpact('vc', buildPracticeMap(), new Set())
+		const adopted = calculateAdoptionImpact('vc', buildPracticeMap(), new Set(['vc']))
+
+		expect(adopted.isAdopted).toBe(true)
+		expect(adopted.newlyUnblocked).toEqual(notAdopted.newlyUnblocked)
+		expect(adopted.percentageChange).toBe(notAdopted.percentageChange)
+	})
+
+	it('does not list already adopted dependents as unblocked', () => {
+		const impact = calculateAdoptionImpact('vc', buildPracticeMap(), new Set(['tests']))
+
+		// tests is adopted already; ci becomes ready
+		expect(impact.newlyUnblocked.map(p => p.id)).toEqual(['ci'])
+	})
+
+	it('accepts dependency IDs as strings', () => {
+		const map = new Map([
+			['a', { id: 'a', name: 'A', dependencies: ['b'] }],
+			['b', { id: 'b', name: 'B', dependencies: [] }]
+		])
+
+		expect(calculateAdoptionImpact('b', map, new Set()).newlyUnblocked.map(p => p.id)).toEqual([
+			'a'
+		])
+	})
+
+	it('returns null for unknown practices', () => {
+		expect(calculateAdoptionImpact('missing', buildPracticeMap(), new Set())).toBeNull()
+	})
+})
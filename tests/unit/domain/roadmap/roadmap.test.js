@@ -0,0 +1,160 @@
+import { describe, it, expect } from 'vitest'
+import {
+	buildRoadmap,
+	calculatePhaseProgress,
+	parseWeeks,
+	scheduleRoadmap
+} from '$lib/domain/roadmap/roadmap.js'
+
+const practices = [
+	{ id: 'version-control', name: 'Version Control', category: 'behavior' },
+	{ id: 'ci', name: 'Continuous Integration', category: 'behavior' },
+	{ id: 'automated-testing', name: 'Automated Testing', category: 'automation' },
+	{ id: 'unscheduled', name: 'Unscheduled', category: 'automation' },
+	{ id: 'monitoring', name: 'Monitoring', category: 'automation' }
+]
+
+// ci -> automated-testing directly; monitoring -> unscheduled -> ci
+const dependencies = [
+	{ practice_id: 'ci', depends_on_id: 'version-control' },
+	{ practice_id: 'ci', depends_on_id: 'automated-testing' },
+	{ practice_id: 'monitoring', depends_on_id: 'unscheduled' },
+	{ practice_id: 'unscheduled', depends_on_id: 'automated-testing' }
+]
+
+const timeline = {
+	description: 'Test roadmap',
+	phases: [
+		{
+			number: 2,
+			name: 'Automation',
+			duration: '12 weeks',
+			practices: ['automated-testing'],
+			effort: { planning: '1 week', implementation: '8 weeks', stabilization: '3 weeks' }
+		},
+		{
+			number: 1,
+			name: 'Foundation',
+			duration: '8 weeks',
+			practices: ['version-control', 'ci', 'monitoring', 'renamed-practice'],
+			goals: ['Set up CI']
+		}
+	],
+	adaptationGuidance: { greenfield: 'Compress it' }
+}
+
+describe('Implementation Roadmap', () => {
+	describe('parseWeeks', () => {
+		it('parses singular and plural durations', () => {
+			expect(parseWeeks('8 weeks')).toBe(8)
+			expect(parseWeeks('1 week')).toBe(1)
+		})
+
+		it('returns 0 for durations it cannot parse', () => {
+			expect(parseWeeks('3 months')).toBe(0)
+			expect(parseWeeks(undefined)).toBe(0)
+		})
+	})
+
+	describe('buildRoadmap', () => {
+		const roadmap = buildRoadmap(timeline, practices, dependencies)
+
+		it('orders phases by number and resolves practices', () => {
+			expect(roadmap.phases.map(p => p.name)).toEqual(['Foundation', 'Automation'])
+			expect(roadmap.phases[0].practices.map(p => p.id)).toEqual([
+				'version-control',
+				'ci',
+				'monitoring'
+			])
+			expect(roadmap.phases[1].effort).toEqual({
+				planning: 1,
+				implementation: 8,
+				stabilization: 3
+			})
+		})
+
+		it('reports practice IDs missing from the catalog', () => {
+			expect(roadmap.phases[0].missingPracticeIds).toEqual(['renamed-practice'])
+		})
+
+		it('flags prerequisites scheduled in a later phase, through unscheduled practices', () => {
+			expect(roadmap.phases[0].forwardDependencies).toEqual([
+				{ practiceId: 'ci', prerequisiteId: 'automated-testing', prerequisitePhase: 2 },
+				{ practiceId: 'monitoring', prerequisiteId: 'automated-testing', prerequisitePhase: 2 }
+			])
+			expect(roadmap.phases[1].forwardDependencies).toEqual([])
+		})
+
+		it('passes through adaptation guidance', () => {
+			expect(roadmap.adaptationGuidance).toEqual({ greenfield: 'Compress it' })
+		})
+	})
+
+	describe('scheduleRoadmap', () => {
+		const { phases } = buildRoadmap(timeline, practices, dependencies)
+
+		it('schedules phases back to back at standard durations', () => {
+			const schedule = scheduleRoadmap(phases)
+
+			expect(schedule.totalWeeks).toBe(20)
+			expect(schedule.phases.map(p => [p.startWeek, p.endWeek])).toEqual([
+				[1, 8],
+				[9, 20]
+			])
+		})
+
+		it('rescales durations for an adaptation', () => {
+			const schedule = scheduleRoadmap(phases, 'brownfield')
+
+			expect(schedule.phases.map(p => p.durationWeeks)).toEqual([14, 21])
+			expect(schedule.phases[1].effort.planning).toBe(2)
+			expect(schedule.totalWeeks).toBe(35)
+		})
+
+		it('defers phases outside a small team focus', () => {
+			const schedule = scheduleRoadmap(
+				[...phases, { ...phases[1], number: 4, name: 'Advanced' }],
+				'smallTeam'
+			)
+
+			expect(schedule.phases[2]).toEqual(
+				expect.objectContaining({ deferred: true, startWeek: null, durationWeeks: 0 })
+			)
+			expect(schedule.totalWeeks).toBe(20)
+		})
+
+		it('schedules a large organisation as a pilot at standard durations, then a scale-out', () => {
+			const schedule = scheduleRoadmap(phases, 'largeOrg')
+
+			expect(schedule.phases.map(p => [p.durationWeeks, p.pilot])).toEqual([
+				[8, true],
+				[12, true]
+			])
+			expect(schedule.totalWeeks).toBe(20)
+			expect(schedule.scaleOut).toEqual({ startWeek: 21 })
+		})
+
+		it('has no scale-out outside a pilot adaptation', () => {
+			const schedule = scheduleRoadmap(phases)
+
+			expect(schedule.scaleOut).toBeNull()
+			expect(schedule.phases.every(p => p.pilot === false)).toBe(true)
+		})
+
+		it('falls back to the standard schedule for unknown adaptations', () => {
+			expect(scheduleRoadmap(phases, 'unknown').adaptation.key).toBe('standard')
+		})
+	})
+
+	describe('calculatePhaseProgress', () => {
+		it('counts adopted practices in the phase', () => {
+			const [foundation] = buildRoadmap(timeline, practices, dependencies).phases
+
+			expect(calculatePhaseProgress(foundation, new Set(['ci', 'automated-testing']))).toEqual({
+				adoptedCount: 1,
+				totalCount: 3,
+				percentage: 33
+			})
+		})
+	})
+})
@@ -0,0 +1,143 @@
+import { describe, it, expect } from 'vitest'
+import {
+	buildQuestionnaire,
+	getEvidencedRequirements,
+	isAssessmentAnswer,
+	normalizeAssessmentAnswers,
+	setAssessmentAnswer,
+	suggestAdoptionState,
+	summarizeAssessment
+} from '$lib/domain/self-assessment/assessment.js'
+
+const buildPractice = (overrides = {}) => ({
+	id: overrides.id || 'test-practice',
+	name: overrides.name || 'Test Practice',
+	category: 'behavior',
+	maturityLevel: overrides.maturityLevel ?? 0,
+	dependencies: overrides.dependencies || [],
+	requirements: overrides.requirements ?? ['Requirement'],
+	...overrides
+})
+
+const buildPracticeMap = practices => new Map(practices.map(practice => [practice.id, practice]))
+
+describe('self-assessment', () => {
+	describe('buildQuestionnaire', () => {
+		it('asks about every requirement, foundations first', () => {
+			const questionnaire = buildQuestionnaire(
+				buildPracticeMap([
+					buildPractice({
+						id: 'ci',
+						name: 'Continuous Integration',
+						maturityLevel: 1,
+						dependencies: ['vc'],
+						requirements: ['Daily merges', 'Fast builds']
+					}),
+					buildPractice({ id: 'tbd', maturityLevel: 0, dependencies: ['vc'] }),
+					buildPractice({ id: 'vc', name: 'Version Control', maturityLevel: 2 })
+				])
+			)
+
+			expect(questionnaire.map(practice => practice.practiceId)).toEqual(['vc', 'tbd', 'ci'])
+			expect(questionnaire[2]).toEqual({
+				practiceId: 'ci',
+				name: 'Continuous Integration',
+				category: 'behavior',
+				maturityLevel: 1,
+				questions: [
+					{
+						index: 0,
+						requirement: 'Daily merges',
+						text: 'Can you show evidence of "Daily merges"?'
+					},
+					{ index: 1, requirement: 'Fast builds', text: 'Can you show evidence of "Fast builds"?' }
+				]
+			})
+		})
+
+		it('leaves out practices without requirements', () => {
+			const questionnaire = buildQuestionnaire(
+				buildPracticeMap([
+					buildPractice({ id: 'root', requirements: [] }),
+					buildPractice({ id: 'vc' })
+				])
+			)
+
+			expect(questionnaire.map(practice => practice.practiceId)).toEqual(['vc'])
+		})
+	})
+
+	describe('suggestAdoptionState', () => {
+		it('waits until every question is answered', () => {
+			expect(suggestAdoptionState(['yes', null], 2)).toBeNull()
+			expect(suggestAdoptionState(['yes'], 2)).toBeNull()
+			expect(suggestAdoptionState([], 0)).toBeNull()
+		})
+
+		it('derives the state from the answers', () => {
+			expect(suggestAdoptionState(['yes', 'yes'], 2)).toBe('adopted')
+			expect(suggestAdoptionState(['yes', 'no'], 2)).toBe('in-progress')
+			expect(suggestAdoptionState(['partly', 'no'], 2)).toBe('exploring')
+			expect(suggestAdoptionState(['no', 'no'], 2)).toBe('not-started')
+		})
+	})
+
+	it('ticks off the requirements answered with yes', () => {
+		expect(getEvidencedRequirements(['yes', 'partly', null, 'yes'])).toEqual(new Set([0, 3]))
+	})
+
+	it('recognises answers', () => {
+		expect(isAssessmentAnswer('partly')).toBe(true)
+		expect(isAssessmentAnswer('maybe')).toBe(false)
+	})
+
+	describe('normalizeAssessmentAnswers', () => {
+		it('keeps answers, clearing anything else and trailing unanswered questions', () => {
+			expect(
+				normalizeAssessmentAnswers(
+					{
+						ci: ['yes', 'maybe', 'no', null],
+						vc: [null],
+						tbd: 'yes',
+						gone: ['yes']
+					},
+					new Set(['ci', 'vc', 'tbd'])
+				)
+			).toEqual(new Map([['ci', ['yes', null, 'no']]]))
+		})
+
+		it('returns no answers for anything but an object', () => {
+			expect(normalizeAssessmentAnswers(null).size).toBe(0)
+			expect(normalizeAssessmentAnswers(['yes']).size).toBe(0)
+		})
+	})
+
+	describe('setAssessmentAnswer', () => {
+		it('answers and clears questions without changing the given answers', () => {
+			const answers = new Map([['ci', ['yes']]])
+
+			const answered = setAssessmentAnswer(answers, 'ci', 2, 'no')
+
+			expect(answered).toEqual(new Map([['ci', ['yes', null, 'no']]]))
+			expect(answers).toEqual(new Map([['ci', ['yes']]]))
+			expect(setAssessmentAnswer(answered, 'ci', 2, null)).toEqual(new Map([['ci', ['yes']]]))
+			expect(setAssessmentAnswer(answers, 'ci', 0, null).size).toBe(0)
+		})
+	})
+
+	it('summarizes the questions answered and the practices assessed', () => {
+		const questionnaire = buildQuestionnaire(
+			buildPracticeMap([
+				buildPractice({ id: 'vc', requirements: ['A', 'B'] }),
+				buildPractice({ id: 'ci', requirements: ['C'] })
+			])
+		)
+
+		expect(summarizeAssessment(questionnaire, new Map([['vc', ['yes', 'no']]]))).toEqual({
+			questions: 3,
+			answered: 2,
+			practices: 2,
+			assessed: 1
+		})
+	})
+})
@@ -0,0 +1,146 @@
+import { describe, it, expect } from 'vitest'
+import {
+	DEFAULT_PROFILE_ID,
+	activateProfile,
+	addProfile,
+	createDefaultProfileIndex,
+	duplicateProfile,
+	generateProfileId,
+	normalizeProfileIndex,
+	removeProfile,
+	renameProfile,
+	uniqueProfileName
+} from '$lib/domain/team-profiles/profiles.js'
+
+const twoProfiles = () => ({
+	activeProfileId: DEFAULT_PROFILE_ID,
+	profiles: [
+		{ id: DEFAULT_PROFILE_ID, name: 'My team' },
+		{ id: 'platform', name: 'Platform' }
+	]
+})
+
+describe('Team Profiles', () => {
+	it('starts with a single active default profile', () => {
+		expect(createDefaultProfileIndex()).toEqual({
+			activeProfileId: 'default',
+			profiles: [{ id: 'default', name: 'My team' }]
+		})
+	})
+
+	describe('uniqueProfileName', () => {
+		it('keeps a name that is not taken', () => {
+			expect(uniqueProfileName('Payments', ['My team'])).toBe('Payments')
+		})
+
+		it('appends a number to a taken name, ignoring case', () => {
+			expect(uniqueProfileName('payments', ['Payments', 'payments (2)'])).toBe('payments (3)')
+		})
+	})
+
+	describe('generateProfileId', () => {
+		it('slugifies the name', () => {
+			expect(generateProfileId('Team Rocket!', [])).toBe('team-rocket')
+		})
+
+		it('avoids existing IDs and empty slugs', () => {
+			expect(generateProfileId('Platform', ['platform'])).toBe('platform-2')
+			expect(generateProfileId('***', [])).toBe('profile')
+		})
+	})
+
+	describe('normalizeProfileIndex', () => {
+		it('returns null for invalid data', () => {
+			expect(normalizeProfileIndex(null)).toBeNull()
+			expect(normalizeProfileIndex({ profiles: 'x' })).toBeNull()
+			expect(normalizeProfileIndex({ profiles: [{ name: 'No ID' }] })).toBeNull()
+		})
+
+		it('drops duplicates and falls back to the first profile when the active one is unknown', () => {
+			const index = normalizeProfileIndex({
+				activeProfileId: 'missing',
+				profiles: [{ id: 'a', name: ' Team  A ' }, { id: 'a', name: 'Again' }, { id: 'b' }]
+			})
+
+			expect(index).toEqual({
+				activeProfileId: 'a',
+				profiles: [
+					{ id: 'a', name: 'Team A' },
+					{ id: 'b', name: 'b' }
+				]
+			})
+		})
+	})
+
+	describe('addProfile', () => {
+		it('adds a profile without activating it', () => {
+			const { index, profile } = addProfile(createDefaultProfileIndex(), 'Payments')
+
+			expect(profile).toEqual({ id: 'payments', name: 'Payments' })
+			expect(index.profiles).toHaveLength(2)
+			expect(index.activeProfileId).toBe('default')
+		})
+
+		it('uses a default name when the name is empty', () => {
+			expect(addProfile(createDefaultProfileIndex(), '  ').profile.name).toBe('New team')
+		})
+	})
+
+	describe('renameProfile', () => {
+		it('renames a profile', () => {
+			const index = renameProfile(twoProfiles(), 'platform', 'Platform Ops')
+
+			expect(index.profiles[1]).toEqual({ id: 'platform', name: 'Platform Ops' })
+		})
+
+		it('ignores empty names and unknown profiles', () => {
+			const index = twoProfiles()
+
+			expect(renameProfile(index, 'platform', ' ')).toBe(index)
+			expect(renameProfile(index, 'missing', 'Name')).toBe(index)
+		})
+
+		it('keeps names unique', () => {
+			expect(renameProfile(twoProfiles(), 'platform', 'My Team').profiles[1].name).toBe(
+				'My Team (2)'
+			)
+		})
+	})
+
+	describe('duplicateProfile', () => {
+		it('adds a copy named after the source', () => {
+			const { profile } = duplicateProfile(twoProfiles(), 'platform')
+
+			expect(profile).toEqual({ id: 'platform-copy', name: 'Platform copy' })
+		})
+
+		it('returns null for an unknown profile', () => {
+			expect(duplicateProfile(twoProfiles(), 'missing')).toBeNull()
+		})
+	})
+
+	describe('removeProfile', () => {
+		it('removes a profile', () => {
+			expect(removeProfile(twoProfiles(), 'platform').profiles).toHaveLength(1)
+		})
+
+		it('activates the first remaining profile when the active one is removed', () => {
+			expect(removeProfile(twoProfiles(), DEFAULT_PROFILE_ID).activeProfileId).toBe('platform')
+		})
+
+		it('never removes the last profile', () => {
+			const index = createDefaultProfileIndex()
+
+			expect(removeProfile(index, DEFAULT_PROFILE_ID)).toBe(index)
+		})
+	})
+
+	describe('activateProfile', () => {
+		it('activates a known profile and ignores unknown ones', () => {
+			const index = twoProfiles()
+
+			expect(activateProfile(index, 'platform').activeProfileId).toBe('platform')
+			expect(activateProfile(index, 'missing')).toBe(index)
+		})
+	})
+})
@@ -1,6 +1,8 @@
 import { describe, it, expect } from 'vitest'
 import { createFilePracticeRepository } from '$infrastructure/persistence/FilePracticeRepository.js'
+import { createInMemoryCatalogStore } from '$infrastructure/persistence/InMemoryCatalogStore.js'
 import { PracticeId } from '$domain/practice-catalog/value-objects/PracticeId.js'
+import data from '$lib/data/cd-practices.json'
 
 describe('FilePracticeRepository', () => {
 	describe('getPracticeTree', () => {
@@ -147,4 +149,24 @@ describe('FilePracticeRepository', () => {
 			// This test documents that behavior
 		})
 	})
+	describe('getAliases', () => {
+		it('returns the practice aliases of the catalog metadata', async () => {
+			const store = createInMemoryCatalogStore({
+				...data,
+				metadata: { ...data.metadata, aliases: { 'old-ci': 'continuous-integration' } }
+			})
+			const repository = createFilePracticeRepository({ store })
+
+			expect(await repository.getAliases()).toEqual({ 'old-ci': 'continuous-integration' })
+		})
+
+		it('returns an empty object when the catalog has no aliases', async () => {
+			const store = createInMemoryCatalogStore({
+				...data,
+				metadata: { ...data.metadata, aliases: undefined }
+			})
+
+			expect(await createFilePracticeRepository({ store }).getAliases()).toEqual({})
+		})
+	})
 })
@@ -0,0 +1,55 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { mkdtemp, readFile, readdir, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { createJsonFileCatalogStore } from '$infrastructure/persistence/JsonFileCatalogStore.js'
+import { serializeCatalog } from '$lib/domain/practice-catalog/catalog-format.js'
+import { createFilePracticeRepository } from '$infrastructure/persistence/FilePracticeRepository.js'
+import { PracticeId } from '$domain/practice-catalog/value-objects/PracticeId.js'
+import data from '$lib/data/cd-practices.json'
+
+describe('JsonFileCatalogStore', () => {
+	let dir
+	let filePath
+
+	beforeEach(async () => {
+		dir = await mkdtemp(join(tmpdir(), 'cd-catalog-'))
+		filePath = join(dir, 'cd-practices.json')
+		await writeFile(filePath, serializeCatalog(data), 'utf-8')
+	})
+
+	afterEach(async () => {
+		await rm(dir, { recursive: true, force: true })
+	})
+
+	it('serializes the catalog exactly like the checked-in file', async () => {
+		const original = await readFile('src/lib/data/cd-practices.json', 'utf-8')
+		expect(serializeCatalog(JSON.parse(original))).toBe(original)
+	})
+
+	it('requires a file path', () => {
+		expect(() => createJsonFileCatalogStore()).toThrow('Catalog file path is required')
+	})
+
+	it('writes atomically without leaving temporary files', async () => {
+		const store = createJsonFileCatalogStore(filePath)
+		const catalog = await store.read()
+
+		await store.write({ ...catalog, dependencies: catalog.dependencies.slice(1) })
+
+		const files = await readdir(dir)
+		expect(files).toEqual(['cd-practices.json'])
+
+		const written = await store.read()
+		expect(written.dependencies).toHaveLength(data.dependencies.length - 1)
+	})
+
+	it('round-trips a repository save without changing unrelated content', async () => {
+		const repository = createFilePracticeRepository({ store: createJsonFileCatalogStore(filePath) })
+		const practice = await repository.findById(PracticeId.from('version-control'))
+
+		await repository.save(practice)
+
+		expect(await readFile(filePath, 'utf-8')).toBe(serializeCatalog(data))
+	})
+})
@@ -0,0 +1,314 @@
+import { readFileSync } from 'node:fs'
+import { resolve } from 'node:path'
+import { newDb } from 'pg-mem'
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { createCDPractice } from '$domain/practice-catalog/entities/CDPractice.js'
+import { PracticeCategory } from '$domain/practice-catalog/value-objects/PracticeCategory.js'
+import { PracticeId } from '$domain/practice-catalog/value-objects/PracticeId.js'
+import {
+	createConfiguredPracticeRepository,
+	isCatalogWritable,
+	resolveRepositoryType
+} from '$infrastructure/persistence/createConfiguredPracticeRepository.js'
+import { createFilePracticeRepository } from '$infrastructure/persistence/FilePracticeRepository.js'
+import { createPostgresPracticeRepository } from '$infrastructure/persistence/PostgresPracticeRepository.js'
+import { seedPostgresCatalog } from '$infrastructure/persistence/seedPostgresCatalog.js'
+import data from '$lib/data/cd-practices.json'
+
+const schemaSql = readFileSync(resolve('db/schema.sql'), 'utf-8')
+
+const createSeededPool = async () => {
+	const db = newDb()
+	const { Pool } = db.adapters.createPg()
+	const pool = new Pool()
+	await pool.query(schemaSql)
+	await seedPostgresCatalog(pool, data)
+	return pool
+}
+
+const toPlain = practice => ({
+	id: practice.id.toString(),
+	name: practice.name,
+	category: practice.category.toString(),
+	description: practice.description,
+	requirements: [...practice.requirements],
+	benefits: [...practice.benefits],
+	quickStartGuide: practice.quickStartGuide,
+	maturityLevel: practice.maturityLevel
+})
+
+describe('PostgresPracticeRepository', () => {
+	let pool
+	let repository
+	const fileRepository = createFilePracticeRepository()
+
+	beforeEach(async () => {
+		pool = await createSeededPool()
+		repository = createPostgresPracticeRepository(pool)
+	})
+
+	it('requires a client with a query method', () => {
+		expect(() => createPostgresPracticeRepository()).toThrow('query()')
+		expect(() => createPostgresPracticeRepository({})).toThrow('query()')
+	})
+
+	describe('findById', () => {
+		it('returns the same practice as the file repository', async () => {
+			const id = PracticeId.from('version-control')
+
+			const fromDb = await repository.findById(id)
+			const fromFile = await fileRepository.findById(id)
+
+			expect(toPlain(fromDb)).toEqual(toPlain(fromFile))
+		})
+
+		it('returns null for unknown practices', async () => {
+			expect(await repository.findById(PracticeId.from('does-not-exist'))).toBeNull()
+		})
+	})
+
+	describe('findAll', () => {
+		it('returns every practice', async () => {
+			const practices = await repository.findAll()
+
+			expect(practices).toHaveLength(data.practices.length)
+			expect(practices.map(p => p.id.toString())).toEqual(data.practices.map(p => p.id).sort())
+		})
+	})
+
+	describe('findByCategory', () => {
+		it('returns only practices in the category', async () => {
+			const practices = await repository.findByCategory(PracticeCategory.AUTOMATION)
+			const expected = data.practices.filter(p => p.category === 'automation')
+
+			expect(practices).toHaveLength(expected.length)
+			practices.forEach(p => expect(p.category.toString()).toBe('automation'))
+		})
+	})
+
+	describe('findPracticePrerequisites', () => {
+		it('returns the direct dependencies', async () => {
+			const id = PracticeId.from('continuous-integration')
+			const prerequisites = await repository.findPracticePrerequisites(id)
+			const expected = data.dependencies
+				.filter(d => d.practice_id === 'continuous-integration')
+				.map(d => d.depends_on_id)
+				.sort()
+
+			expect(prerequisites.map(p => p.practice.id.toString())).toEqual(expected)
+			prerequisites.forEach(p => expect(p.rationale).toBe(''))
+		})
+	})
+
+	it('returns no capability prerequisites', async () => {
+		expect(
+			await repository.findCapabilityPrerequisites(PracticeId.from('continuous-delivery'))
+		).toEqual([])
+	})
+
+	describe('getPracticeTree', () => {
+		it('builds the same tree as the file repository', async () => {
+			const rootId = PracticeId.from('continuous-delivery')
+
+			const fromDb = await repository.getPracticeTree(rootId)
+			const fromFile = await fileRepository.getPracticeTree(rootId)
+
+			const sortTree = node => ({
+				...node,
+				dependencies: node.dependencies.map(sortTree).sort((a, b) => a.id.localeCompare(b.id))
+			})
+
+			expect(sortTree(fromDb)).toEqual(sortTree(fromFile))
+		})
+
+		it('returns null for unknown roots', async () => {
+			expect(await repository.getPracticeTree(PracticeId.from('does-not-exist'))).toBeNull()
+		})
+	})
+
+	describe('getTransitiveCategories', () => {
+		it('matches the file repository', async () => {
+			const id = PracticeId.from('continuous-delivery')
+
+			expect(await repository.getTransitiveCategories(id)).toEqual(
+				await fileRepository.getTransitiveCategories(id)
+			)
+		})
+	})
+
+	describe('countTotalDependencies', () => {
+		it('matches the file repository', async () => {
+			for (const practiceId of [
+				'continuous-delivery',
+				'continuous-integration',
+				'version-control'
+			]) {
+				const id = PracticeId.from(practiceId)
+				expect(await repository.countTotalDependencies(id)).toBe(
+					await fileRepository.countTotalDependencies(id)
+				)
+			}
+		})
+	})
+
+	describe('save', () => {
+		it('inserts a new practice', async () => {
+			const practice = createCDPractice(
+				PracticeId.from('internal-platform-onboarding'),
+				'Internal Platform Onboarding',
+				PracticeCategory.BEHAVIOR,
+				'Teams onboard to the internal delivery platform',
+				{ requirements: ['Platform account'], benefits: ['Faster setup'], maturityLevel: 1 }
+			)
+
+			await repository.save(practice)
+			const saved = await repository.findById(practice.id)
+
+			expect(toPlain(saved)).toEqual(toPlain(practice))
+		})
+
+		it('updates an existing practice without touching its dependencies', async () => {
+			const id = PracticeId.from('continuous-integration')
+			const existing = await repository.findById(id)
+			const before = await repository.countTotalDependencies(id)
+
+			await repository.save(
+				createCDPractice(existing.id, 'Renamed CI', existing.category, existing.description, {
+					...existing
+				})
+			)
+
+			expect((await repository.findById(id)).name).toBe('Renamed CI')
+			expect(await repository.countTotalDependencies(id)).toBe(before)
+		})
+
+		it('writes the practice type, keeping the type of an existing practice', async () => {
+			const root = await repository.findById(PracticeId.from('continuous-delivery'))
+			await repository.save(root)
+			await repository.save(
+				createCDPractice(
+					PracticeId.from('internal-platform-onboarding'),
+					'Internal Platform Onboarding',
+					PracticeCategory.BEHAVIOR,
+					'Teams onboard to the internal delivery platform'
+				)
+			)
+
+			const { practices } = await repository.getCatalogSnapshot()
+			const typeOf = id => practices.find(practice => practice.id === id).type
+
+			expect(typeOf('continuous-delivery')).toBe('root')
+			expect(typeOf('internal-platform-onboarding')).toBe('practice')
+		})
+	})
+
+	it('returns the pattern metadata seeded from the catalog', async () => {
+		expect(await repository.getPatterns()).toEqual(data.metadata.patterns)
+	})
+
+	it('returns the practice aliases seeded from the catalog', async () => {
+		expect(await repository.getAliases()).toEqual(data.metadata.aliases)
+	})
+
+	describe('dependency edges', () => {
+		it('adds and removes an edge', async () => {
+			const id = PracticeId.from('version-control')
+			const dependsOn = PracticeId.from('trunk-based-development')
+
+			await repository.addDependency(id, dependsOn)
+			await repository.addDependency(id, dependsOn)
+			let snapshot = await repository.getCatalogSnapshot()
+			expect(snapshot.dependencies).toHaveLength(data.dependencies.length + 1)
+
+			await repository.removeDependency(id, dependsOn)
+			snapshot = await repository.getCatalogSnapshot()
+			expect(snapshot.dependencies).toHaveLength(data.dependencies.length)
+		})
+
+		it('deletes a practice with every edge that references it', async () => {
+			await repository.delete(PracticeId.from('version-control'))
+
+			const snapshot = await repository.getCatalogSnapshot()
+			expect(snapshot.practices.some(p => p.id === 'version-control')).toBe(false)
+			expect(
+				snapshot.dependencies.some(
+					d => d.practice_id === 'version-control' || d.depends_on_id === 'version-control'
+				)
+			).toBe(false)
+		})
+
+		it('deletes in one statement, leaving the edges to the foreign key cascade', async () => {
+			const statements = []
+			const recording = createPostgresPracticeRepository({
+				query: async (text, params) => {
+					statements.push(text)
+					return pool.query(text, params)
+				}
+			})
+
+			await recording.delete(PracticeId.from('version-control'))
+
+			expect(statements).toEqual(['DELETE FROM practices WHERE id = $1'])
+		})
+	})
+})
+
+describe('createConfiguredPracticeRepository', () => {
+	it('defaults to the file repository', () => {
+		expect(resolveRepositoryType({})).toBe('file')
+	})
+
+	it('accepts postgres case-insensitively', () => {
+		expect(resolveRepositoryType({ PRACTICE_REPOSITORY: ' Postgres ' })).toBe('postgres')
+	})
+
+	it('rejects unknown repository types', () => {
+		expect(() => resolveRepositoryType({ PRACTICE_REPOSITORY: 'mongo' })).toThrow(
+			'Invalid PRACTICE_REPOSITORY'
+		)
+	})
+
+	it('only treats a catalog file or postgres as writable', () => {
+		expect(isCatalogWritable({})).toBe(false)
+		expect(isCatalogWritable({ PRACTICE_CATALOG_OVERLAY: 'overlay.json' })).toBe(false)
+		expect(isCatalogWritable({ PRACTICE_CATALOG_FILE: 'cd-practices.json' })).toBe(true)
+		expect(isCatalogWritable({ PRACTICE_REPOSITORY: 'postgres' })).toBe(true)
+	})
+
+	it('requires DATABASE_URL for postgres', async () => {
+		await expect(
+			createConfiguredPracticeRepository({ PRACTICE_REPOSITORY: 'postgres' })
+		).rejects.toThrow('DATABASE_URL is required')
+	})
+
+	it('uses a provided database client for postgres', async () => {
+		const pool = await createSeededPool()
+		const repository = await createConfiguredPracticeRepository(
+			{ PRACTICE_REPOSITORY: 'postgres' },
+			{ dbClient: pool }
+		)
+
+		const practice = await repository.findById(PracticeId.from('version-control'))
+		expect(practice.name).toBe(data.practices.find(p => p.id === 'version-control').name)
+	})
+
+	it('returns the file repository by default', async () => {
+		const repository = await createConfiguredPracticeRepository({})
+		const practice = await repository.findById(PracticeId.from('version-control'))
+
+		expect(practice).not.toBeNull()
+	})
+
+	it('reads configuration only from the env it is given, not process.env', async () => {
+		vi.stubEnv('PRACTICE_REPOSITORY', 'postgres')
+
+		try {
+			const repository = await createConfiguredPracticeRepository()
+			const practice = await repository.findById(PracticeId.from('version-control'))
+
+			expect(practice).not.toBeNull()
+		} finally {
+			vi.unstubAllEnvs()
+		}
+	})
+})
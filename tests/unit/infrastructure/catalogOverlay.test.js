@@ -0,0 +1,196 @@
+import { readFileSync } from 'node:fs'
+import { mkdtemp, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join, resolve } from 'node:path'
+import { describe, it, expect } from 'vitest'
+import { applyCatalogOverlay } from '$infrastructure/persistence/catalogOverlay.js'
+import { createFilePracticeRepository } from '$infrastructure/persistence/FilePracticeRepository.js'
+import { createConfiguredPracticeRepository } from '$infrastructure/persistence/createConfiguredPracticeRepository.js'
+import { PracticeId } from '$domain/practice-catalog/value-objects/PracticeId.js'
+import data from '$lib/data/cd-practices.json'
+
+const examplePath = resolve('docs/examples/cd-practices.overlay.example.json')
+const exampleOverlay = JSON.parse(readFileSync(examplePath, 'utf-8'))
+
+const internalPractice = {
+	benefits: ['Services start with a working pipeline'],
+	category: 'behavior-enabled-automation',
+	description: 'Teams onboard services to the internal delivery platform.',
+	id: 'internal-platform-onboarding',
+	name: 'Internal Platform Onboarding',
+	requirements: ['Service registered in the platform catalog']
+}
+
+const hasEdge = (catalog, practiceId, dependsOnId) =>
+	catalog.dependencies.some(d => d.practice_id === practiceId && d.depends_on_id === dependsOnId)
+
+describe('applyCatalogOverlay', () => {
+	it('returns the catalog unchanged for an empty overlay', () => {
+		const result = applyCatalogOverlay(data, {})
+
+		expect(result.success).toBe(true)
+		expect(result.catalog).toEqual(data)
+	})
+
+	it('adds practices with the default type and new edges', () => {
+		const result = applyCatalogOverlay(data, {
+			practices: [internalPractice],
+			dependencies: {
+				add: [
+					{ practice_id: 'deployment-automation', depends_on_id: 'internal-platform-onboarding' }
+				]
+			}
+		})
+
+		expect(result.success).toBe(true)
+		expect(result.catalog.practices.find(p => p.id === internalPractice.id).type).toBe('practice')
+		expect(hasEdge(result.catalog, 'deployment-automation', 'internal-platform-onboarding')).toBe(
+			true
+		)
+		expect(data.practices.some(p => p.id === internalPractice.id)).toBe(false)
+	})
+
+	it('removes edges', () => {
+		const result = applyCatalogOverlay(data, {
+			dependencies: {
+				remove: [{ practice_id: 'deployment-automation', depends_on_id: 'telemetry-observability' }]
+			}
+		})
+
+		expect(result.success).toBe(true)
+		expect(hasEdge(result.catalog, 'deployment-automation', 'telemetry-observability')).toBe(false)
+	})
+
+	it('hides a practice and connects its dependents to its prerequisites', () => {
+		const result = applyCatalogOverlay(data, { hide: ['infrastructure-automation'] })
+
+		expect(result.success).toBe(true)
+		expect(result.catalog.practices.some(p => p.id === 'infrastructure-automation')).toBe(false)
+		expect(
+			result.catalog.dependencies.some(
+				d =>
+					d.practice_id === 'infrastructure-automation' ||
+					d.depends_on_id === 'infrastructure-automation'
+			)
+		).toBe(false)
+		expect(hasEdge(result.catalog, 'deployment-automation', 'version-control')).toBe(true)
+	})
+
+	it('rejects an edge that creates a cycle', () => {
+		const result = applyCatalogOverlay(data, {
+			dependencies: {
+				add: [{ practice_id: 'version-control', depends_on_id: 'continuous-delivery' }]
+			}
+		})
+
+		expect(result.success).toBe(false)
+		expect(result.catalog).toBeNull()
+		expect(result.errors.some(e => e.message === 'Circular dependency detected')).toBe(true)
+	})
+
+	it('rejects edges to unknown practices', () => {
+		const result = applyCatalogOverlay(data, {
+			dependencies: { add: [{ practice_id: 'version-control', depends_on_id: 'nope' }] }
+		})
+
+		expect(result.success).toBe(false)
+		expect(result.errors.some(e => e.message === 'Invalid dependency reference')).toBe(true)
+	})
+
+	it('reports conflicts and mistakes in the overlay', () => {
+		const result = applyCatalogOverlay(data, {
+			practices: [{ ...internalPractice, id: 'version-control' }],
+			dependencies: { remove: [{ practice_id: 'version-control', depends_on_id: 'atdd' }] },
+			hide: ['continuous-delivery', 'nope']
+		})
+
+		expect(result.errors.map(e => e.message)).toEqual([
+			'Overlay practice already exists in the catalog',
+			'Overlay removes a dependency that does not exist',
+			'Overlay cannot hide the root practice',
+			'Overlay hides an unknown practice'
+		])
+	})
+
+	it('rejects overlays with an unknown shape', () => {
+		const result = applyCatalogOverlay(data, { replace: [] })
+
+		expect(result.success).toBe(false)
+		expect(result.errors[0].keyword).toBe('additionalProperties')
+	})
+
+	it('rejects added practices that do not match the catalog schema', () => {
+		const result = applyCatalogOverlay(data, {
+			practices: [{ ...internalPractice, requirements: [] }]
+		})
+
+		expect(result.success).toBe(false)
+	})
+
+	it('accepts the documented example overlay', () => {
+		expect(applyCatalogOverlay(data, exampleOverlay).errors).toEqual([])
+	})
+})
+
+describe('FilePracticeRepository with an overlay', () => {
+	it('includes overlay practices in the practice tree', async () => {
+		const repository = createFilePracticeRepository({ overlay: exampleOverlay })
+		const prerequisites = await repository.findPracticePrerequisites(
+			PracticeId.from('deployment-automation')
+		)
+
+		expect(prerequisites.map(p => p.practice.id.toString())).toContain(
+			'internal-platform-onboarding'
+		)
+		expect(await repository.findById(PracticeId.from('usability-testing'))).toBeNull()
+	})
+
+	it('throws a readable error for an invalid overlay', () => {
+		expect(() => createFilePracticeRepository({ overlay: { hide: ['nope'] } })).toThrow(
+			'Invalid catalog overlay:\n  - Overlay hides an unknown practice (practice nope)'
+		)
+	})
+
+	it('cannot be combined with a writable store', () => {
+		expect(() =>
+			createFilePracticeRepository({ overlay: {}, store: { read: async () => data } })
+		).toThrow('cannot be combined')
+	})
+
+	it('is selected by PRACTICE_CATALOG_OVERLAY', async () => {
+		const repository = await createConfiguredPracticeRepository({
+			PRACTICE_CATALOG_OVERLAY: examplePath
+		})
+
+		expect(
+			await repository.findById(PracticeId.from('internal-platform-onboarding'))
+		).not.toBeNull()
+	})
+	it('merges the overlay once per path', async () => {
+		const env = { PRACTICE_CATALOG_OVERLAY: examplePath }
+
+		const first = await createConfiguredPracticeRepository(env)
+		const second = await createConfiguredPracticeRepository(env)
+
+		expect(second).toBe(first)
+	})
+
+	it('retries an overlay file that failed to load', async () => {
+		const dir = await mkdtemp(join(tmpdir(), 'overlay-'))
+		const overlayPath = join(dir, 'overlay.json')
+		const env = { PRACTICE_CATALOG_OVERLAY: overlayPath }
+
+		try {
+			await writeFile(overlayPath, '{ not json')
+			await expect(createConfiguredPracticeRepository(env)).rejects.toThrow()
+
+			await writeFile(overlayPath, JSON.stringify(exampleOverlay))
+			const repository = await createConfiguredPracticeRepository(env)
+			expect(
+				await repository.findById(PracticeId.from('internal-platform-onboarding'))
+			).not.toBeNull()
+		} finally {
+			await rm(dir, { recursive: true, force: true })
+		}
+	})
+})
@@ -0,0 +1,63 @@
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { afterEach, beforeEach, describe, expect, it } from 'vitest'
+import data from '$lib/data/cd-practices.json'
+import { runCatalogCommand } from '$lib/server/catalog-commands.js'
+
+const newPractice = {
+	id: 'internal-platform-onboarding',
+	name: 'Internal Platform Onboarding',
+	category: 'behavior',
+	description: 'Teams onboard to the internal delivery platform',
+	requirements: ['Platform account'],
+	benefits: ['Faster setup']
+}
+
+describe('runCatalogCommand', () => {
+	let dir
+	let env
+
+	beforeEach(async () => {
+		dir = await mkdtemp(join(tmpdir(), 'cd-catalog-api-'))
+		env = { PRACTICE_CATALOG_FILE: join(dir, 'cd-practices.json') }
+		await writeFile(env.PRACTICE_CATALOG_FILE, JSON.stringify(data))
+	})
+
+	afterEach(async () => {
+		await rm(dir, { recursive: true, force: true })
+	})
+
+	it('refuses writes when the catalog is read-only', async () => {
+		const response = await runCatalogCommand({}, service => service.deletePractice('x'))
+
+		expect(response.status).toBe(403)
+		expect((await response.json()).error).toBe('Catalog writes are disabled')
+	})
+
+	it('writes an accepted command to the catalog file', async () => {
+		const response = await runCatalogCommand(env, service => service.createPractice(newPractice), {
+			successStatus: 201
+		})
+
+		expect(response.status).toBe(201)
+		const stored = JSON.parse(await readFile(env.PRACTICE_CATALOG_FILE, 'utf-8'))
+		expect(stored.practices.map(practice => practice.id)).toContain(newPractice.id)
+	})
+
+	it('responds 400 with the validation errors of a rejected command', async () => {
+		const response = await runCatalogCommand(env, service =>
+			service.addDependency('version-control', 'continuous-delivery')
+		)
+
+		expect(response.status).toBe(400)
+		expect((await response.json()).error).toBe('Validation failed')
+	})
+
+	it('responds 400 to a body that is not JSON', async () => {
+		const response = await runCatalogCommand(env, async () => JSON.parse('{'))
+
+		expect(response.status).toBe(400)
+		expect((await response.json()).error).toBe('Invalid JSON body')
+	})
+})
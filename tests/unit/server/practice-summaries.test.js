@@ -0,0 +1,26 @@
+import { describe, expect, it } from 'vitest'
+import data from '$lib/data/cd-practices.json'
+import { loadPracticeSummaries } from '$lib/server/practice-summaries.js'
+
+describe('loadPracticeSummaries', () => {
+	it('loads every practice with its dependency IDs', async () => {
+		const practices = await loadPracticeSummaries({})
+		const ci = practices.find(practice => practice.id === 'continuous-integration')
+		const expectedDependencies = data.dependencies
+			.filter(dependency => dependency.practice_id === 'continuous-integration')
+			.map(dependency => dependency.depends_on_id)
+
+		expect(practices).toHaveLength(data.practices.length)
+		expect(Object.keys(ci)).toEqual(['id', 'name', 'category', 'maturityLevel', 'dependencies'])
+		expect(ci.dependencies).toEqual(expectedDependencies)
+	})
+
+	it('adds the extra fields a page asks for', async () => {
+		const practices = await loadPracticeSummaries(
+			{},
+			{ extraFields: practice => ({ description: practice.description }) }
+		)
+
+		expect(practices.every(practice => typeof practice.description === 'string')).toBe(true)
+	})
+})
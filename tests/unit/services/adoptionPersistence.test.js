@@ -1,8 +1,15 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
 import {
 	saveAdoptionState,
+	loadAdoption,
 	loadAdoptionState,
+	loadAdoptionStates,
 	clearAdoptionState,
+	getAdoptionStorageKey,
+	saveAdoptionAnnotations,
+	loadAdoptionAnnotations,
+	clearAdoptionAnnotations,
+	ANNOTATIONS_STORAGE_KEY,
 	STORAGE_KEY
 } from '$lib/services/adoptionPersistence.js'
 
@@ -287,9 +294,173 @@ describe('adoptionPersistence', () => {
 		})
 	})
 
+	describe('adoption states', () => {
+		it('saves partial states as id:state entries', () => {
+			saveAdoptionState(
+				new Map([
+					['version-control', 'adopted'],
+					['automated-testing', 'in-progress'],
+					['trunk-based-dev', 'not-started']
+				])
+			)
+
+			const savedData = JSON.parse(localStorage.setItem.mock.calls[0][1])
+			expect(savedData).toEqual(['automated-testing:in-progress', 'version-control'])
+		})
+
+		it('loads states saved as id:state entries', () => {
+			localStorage.setItem(
+				STORAGE_KEY,
+				JSON.stringify([
+					'automated-testing:exploring',
+					'version-control',
+					'feature-flags:regressed'
+				])
+			)
+
+			expect(loadAdoptionStates()).toEqual(
+				new Map([
+					['automated-testing', 'exploring'],
+					['version-control', 'adopted'],
+					['feature-flags', 'regressed']
+				])
+			)
+		})
+
+		it('loads a list of IDs saved before adoption states as adopted', () => {
+			localStorage.setItem(STORAGE_KEY, JSON.stringify(['version-control']))
+
+			expect(loadAdoptionStates()).toEqual(new Map([['version-control', 'adopted']]))
+		})
+
+		it('skips entries with unknown states', () => {
+			localStorage.setItem(STORAGE_KEY, JSON.stringify(['version-control:piloting', 'ci']))
+
+			expect(loadAdoptionStates()).toEqual(new Map([['ci', 'adopted']]))
+		})
+
+		it('returns only adopted IDs from loadAdoptionState', () => {
+			localStorage.setItem(STORAGE_KEY, JSON.stringify(['automated-testing:in-progress', 'ci']))
+
+			expect(loadAdoptionState()).toEqual(new Set(['ci']))
+		})
+
+		it('returns null when no data exists', () => {
+			expect(loadAdoptionStates()).toBeNull()
+		})
+	})
+
 	describe('STORAGE_KEY constant', () => {
 		it('is exported and has expected value', () => {
 			expect(STORAGE_KEY).toBe('cd-practices-adoption')
 		})
 	})
+
+	describe('requirement progress', () => {
+		it('saves completed requirements with the practice entry', () => {
+			saveAdoptionState(
+				new Map([['version-control', 'in-progress']]),
+				new Map([['version-control', new Set([2, 0])]])
+			)
+
+			const savedData = JSON.parse(localStorage.setItem.mock.calls[0][1])
+			expect(savedData).toEqual(['version-control:in-progress@0.2'])
+		})
+
+		it('loads states and requirements together', () => {
+			localStorage.setItem(STORAGE_KEY, JSON.stringify(['version-control@0.1', 'ci:exploring']))
+
+			expect(loadAdoption()).toEqual({
+				states: new Map([
+					['version-control', 'adopted'],
+					['ci', 'exploring']
+				]),
+				requirements: new Map([['version-control', new Set([0, 1])]])
+			})
+		})
+
+		it('returns null when no data exists', () => {
+			expect(loadAdoption()).toBeNull()
+		})
+	})
+
+	describe('team profiles', () => {
+		it('keeps the original key for the default profile', () => {
+			expect(getAdoptionStorageKey()).toBe(STORAGE_KEY)
+			expect(getAdoptionStorageKey('default')).toBe(STORAGE_KEY)
+			expect(getAdoptionStorageKey('platform')).toBe('cd-practices-adoption:platform')
+		})
+
+		it('loads data saved before profiles existed as the default profile', () => {
+			localStorage.setItem(STORAGE_KEY, JSON.stringify(['ci']))
+
+			expect(loadAdoptionState('default')).toEqual(new Set(['ci']))
+		})
+
+		it('keeps each profile separate', () => {
+			saveAdoptionState(new Set(['ci']))
+			saveAdoptionState(new Set(['version-control']), new Map(), 'platform')
+
+			expect(loadAdoptionState()).toEqual(new Set(['ci']))
+			expect(loadAdoptionState('platform')).toEqual(new Set(['version-control']))
+
+			clearAdoptionState('platform')
+
+			expect(loadAdoptionState('platform')).toBeNull()
+			expect(loadAdoptionState()).toEqual(new Set(['ci']))
+		})
+	})
+	describe('practice annotations', () => {
+		const annotations = new Map([
+			['version-control', { notes: 'Git everywhere', owner: 'Platform' }],
+			['ci', { evidence: ['https://ci.example.com'], targetDate: '2026-06-30' }]
+		])
+
+		it('round-trips annotations under their own key, next to the adoption entries', () => {
+			saveAdoptionState(new Set(['version-control']))
+			saveAdoptionAnnotations(annotations)
+
+			expect(JSON.parse(localStorage.getItem(STORAGE_KEY))).toEqual(['version-control'])
+			expect(Object.keys(JSON.parse(localStorage.getItem(ANNOTATIONS_STORAGE_KEY)))).toEqual([
+				'ci',
+				'version-control'
+			])
+			expect(loadAdoptionAnnotations()).toEqual(annotations)
+		})
+
+		it('keeps each profile separate and removes the key when there are none', () => {
+			saveAdoptionAnnotations(annotations, 'platform')
+
+			expect(localStorage.getItem(`${ANNOTATIONS_STORAGE_KEY}:platform`)).not.toBeNull()
+			expect(loadAdoptionAnnotations().size).toBe(0)
+
+			saveAdoptionAnnotations(new Map(), 'platform')
+
+			expect(localStorage.getItem(`${ANNOTATIONS_STORAGE_KEY}:platform`)).toBeNull()
+		})
+
+		it('drops invalid stored annotations', () => {
+			localStorage.setItem(
+				ANNOTATIONS_STORAGE_KEY,
+				JSON.stringify({ ci: { evidence: ['javascript:alert(1)'] }, cd: { owner: ' Ops ' } })
+			)
+
+			expect(loadAdoptionAnnotations()).toEqual(new Map([['cd', { owner: 'Ops' }]]))
+		})
+
+		it('returns no annotations for corrupted data', () => {
+			const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+			localStorage.setItem(ANNOTATIONS_STORAGE_KEY, '{not json')
+
+			expect(loadAdoptionAnnotations()).toEqual(new Map())
+			warn.mockRestore()
+		})
+
+		it('clears the annotations of a profile', () => {
+			saveAdoptionAnnotations(annotations)
+			clearAdoptionAnnotations()
+
+			expect(loadAdoptionAnnotations().size).toBe(0)
+		})
+	})
 })
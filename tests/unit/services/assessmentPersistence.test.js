@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import {
+	ASSESSMENT_STORAGE_KEY,
+	clearAssessmentAnswers,
+	getAssessmentStorageKey,
+	loadAssessmentAnswers,
+	saveAssessmentAnswers
+} from '$lib/services/assessmentPersistence.js'
+
+// Mock localStorage
+const mockLocalStorage = (() => {
+	let store = {}
+	return {
+		getItem: key => store[key] || null,
+		setItem: (key, value) => {
+			store[key] = value.toString()
+		},
+		removeItem: key => {
+			delete store[key]
+		},
+		clear: () => {
+			store = {}
+		}
+	}
+})()
+
+global.localStorage = mockLocalStorage
+
+const answers = new Map([
+	['version-control', ['yes', 'yes']],
+	['continuous-integration', ['partly', null, 'no']]
+])
+
+describe('assessmentPersistence', () => {
+	beforeEach(() => {
+		mockLocalStorage.clear()
+	})
+
+	it('uses one key per team profile', () => {
+		expect(getAssessmentStorageKey()).toBe(ASSESSMENT_STORAGE_KEY)
+		expect(getAssessmentStorageKey('payments')).toBe(`${ASSESSMENT_STORAGE_KEY}:payments`)
+	})
+
+	it('round-trips answers', () => {
+		saveAssessmentAnswers(answers, 'payments')
+
+		expect(loadAssessmentAnswers('payments')).toEqual(answers)
+		expect(loadAssessmentAnswers()).toEqual(new Map())
+	})
+
+	it('removes the answers when there are none', () => {
+		saveAssessmentAnswers(answers)
+		saveAssessmentAnswers(new Map())
+
+		expect(mockLocalStorage.getItem(ASSESSMENT_STORAGE_KEY)).toBeNull()
+	})
+
+	it('clears a profile answers', () => {
+		saveAssessmentAnswers(answers, 'payments')
+		clearAssessmentAnswers('payments')
+
+		expect(loadAssessmentAnswers('payments')).toEqual(new Map())
+	})
+
+	it('drops invalid stored answers', () => {
+		vi.spyOn(console, 'warn').mockImplementation(() => {})
+		mockLocalStorage.setItem(ASSESSMENT_STORAGE_KEY, 'not json')
+
+		expect(loadAssessmentAnswers()).toEqual(new Map())
+
+		mockLocalStorage.setItem(
+			ASSESSMENT_STORAGE_KEY,
+			JSON.stringify({ ci: ['maybe', 'yes'], cd: 'yes', vc: [null] })
+		)
+		expect(loadAssessmentAnswers()).toEqual(new Map([['ci', [null, 'yes']]]))
+	})
+})
@@ -0,0 +1,47 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import {
+	CASCADE_STORAGE_KEY,
+	loadCascadeMode,
+	saveCascadeMode
+} from '$lib/services/cascadePersistence.js'
+
+// Mock localStorage
+const mockLocalStorage = (() => {
+	let store = {}
+	return {
+		getItem: key => store[key] || null,
+		setItem: (key, value) => {
+			store[key] = value.toString()
+		},
+		removeItem: key => {
+			delete store[key]
+		},
+		clear: () => {
+			store = {}
+		}
+	}
+})()
+
+global.localStorage = mockLocalStorage
+
+describe('cascadePersistence', () => {
+	beforeEach(() => {
+		mockLocalStorage.clear()
+	})
+
+	it('is disabled by default', () => {
+		expect(loadCascadeMode()).toBe(false)
+	})
+
+	it('saves and removes the preference', () => {
+		saveCascadeMode(true)
+
+		expect(mockLocalStorage.getItem(CASCADE_STORAGE_KEY)).toBe('true')
+		expect(loadCascadeMode()).toBe(true)
+
+		saveCascadeMode(false)
+
+		expect(mockLocalStorage.getItem(CASCADE_STORAGE_KEY)).toBeNull()
+		expect(loadCascadeMode()).toBe(false)
+	})
+})
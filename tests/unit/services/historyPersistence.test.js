@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import {
+	HISTORY_STORAGE_KEY,
+	clearAdoptionHistory,
+	getHistoryStorageKey,
+	loadAdoptionHistory,
+	saveAdoptionHistory
+} from '$lib/services/historyPersistence.js'
+
+// Mock localStorage
+const mockLocalStorage = (() => {
+	let store = {}
+	return {
+		getItem: key => store[key] || null,
+		setItem: (key, value) => {
+			store[key] = value.toString()
+		},
+		removeItem: key => {
+			delete store[key]
+		},
+		clear: () => {
+			store = {}
+		}
+	}
+})()
+
+global.localStorage = mockLocalStorage
+
+const history = {
+	baseline: { at: '2025-10-01T09:00:00.000Z', states: {} },
+	events: [
+		{
+			at: '2025-10-01T09:00:00.000Z',
+			practiceId: 'version-control',
+			from: 'not-started',
+			to: 'adopted'
+		}
+	]
+}
+
+describe('historyPersistence', () => {
+	beforeEach(() => {
+		mockLocalStorage.clear()
+	})
+
+	it('uses one key per team profile', () => {
+		expect(getHistoryStorageKey()).toBe(HISTORY_STORAGE_KEY)
+		expect(getHistoryStorageKey('payments')).toBe(`${HISTORY_STORAGE_KEY}:payments`)
+	})
+
+	it('round-trips a history', () => {
+		saveAdoptionHistory(history, 'payments')
+
+		expect(loadAdoptionHistory('payments')).toEqual(history)
+		expect(loadAdoptionHistory()).toBeNull()
+	})
+
+	it('removes the history when saving null', () => {
+		saveAdoptionHistory(history)
+		saveAdoptionHistory(null)
+
+		expect(loadAdoptionHistory()).toBeNull()
+	})
+
+	it('clears a profile history', () => {
+		saveAdoptionHistory(history, 'payments')
+		clearAdoptionHistory('payments')
+
+		expect(loadAdoptionHistory('payments')).toBeNull()
+	})
+
+	it('returns null for invalid stored data', () => {
+		vi.spyOn(console, 'warn').mockImplementation(() => {})
+		mockLocalStorage.setItem(HISTORY_STORAGE_KEY, 'not json')
+
+		expect(loadAdoptionHistory()).toBeNull()
+
+		mockLocalStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify({ events: [] }))
+		expect(loadAdoptionHistory()).toBeNull()
+	})
+})
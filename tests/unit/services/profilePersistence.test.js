@@ -0,0 +1,65 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import {
+	PROFILES_STORAGE_KEY,
+	loadProfiles,
+	saveProfiles
+} from '$lib/services/profilePersistence.js'
+
+// Mock localStorage
+const mockLocalStorage = (() => {
+	let store = {}
+	return {
+		getItem: key => store[key] || null,
+		setItem: (key, value) => {
+			store[key] = value.toString()
+		},
+		removeItem: key => {
+			delete store[key]
+		},
+		clear: () => {
+			store = {}
+		}
+	}
+})()
+
+global.localStorage = mockLocalStorage
+
+describe('profilePersistence', () => {
+	beforeEach(() => {
+		mockLocalStorage.clear()
+	})
+
+	it('returns the default profile when nothing is stored', () => {
+		expect(loadProfiles()).toEqual({
+			activeProfileId: 'default',
+			profiles: [{ id: 'default', name: 'My team' }]
+		})
+	})
+
+	it('round-trips the profile index', () => {
+		const index = {
+			activeProfileId: 'platform',
+			profiles: [
+				{ id: 'default', name: 'My team' },
+				{ id: 'platform', name: 'Platform' }
+			]
+		}
+
+		saveProfiles(index)
+
+		expect(loadProfiles()).toEqual(index)
+	})
+
+	it('returns the default profile for corrupted data', () => {
+		vi.spyOn(console, 'warn').mockImplementation(() => {})
+		mockLocalStorage.setItem(PROFILES_STORAGE_KEY, '{not json')
+
+		expect(loadProfiles().activeProfileId).toBe('default')
+	})
+
+	it('returns the default profile when no stored profile is valid', () => {
+		mockLocalStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify({ profiles: [] }))
+
+		expect(loadProfiles().profiles).toHaveLength(1)
+	})
+})
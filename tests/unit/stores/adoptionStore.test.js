@@ -39,7 +39,16 @@ global.window = {
 }
 
 // Now import the store after mocks are set up
-import { adoptionStore, adoptionCount } from '$lib/stores/adoptionStore.js'
+import {
+	adoptionStore,
+	adoptionCount,
+	adoptionHistory,
+	adoptionStates,
+	assessmentAnswers,
+	lastCascade,
+	practiceAnnotations,
+	requirementProgress
+} from '$lib/stores/adoptionStore.js'
 
 describe('adoptionStore', () => {
 	beforeEach(() => {
@@ -519,4 +528,677 @@ describe('adoptionStore', () => {
 			unsubscribe()
 		})
 	})
+
+	describe('Adoption states', () => {
+		beforeEach(() => {
+			adoptionStore.initialize(new Set(['ci', 'vc', 'at']))
+		})
+
+		it('sets a partial state without adopting the practice', () => {
+			adoptionStore.setState('ci', 'in-progress')
+
+			expect(get(adoptionStates)).toEqual(new Map([['ci', 'in-progress']]))
+			expect(adoptionStore.getState('ci')).toBe('in-progress')
+			expect(adoptionStore.isAdopted('ci')).toBe(false)
+			expect(get(adoptionCount)).toBe(0)
+		})
+
+		it('returns not-started for practices without a state', () => {
+			expect(adoptionStore.getState('vc')).toBe('not-started')
+		})
+
+		it('removes the practice when set back to not-started', () => {
+			adoptionStore.setState('ci', 'exploring')
+			adoptionStore.setState('ci', 'not-started')
+
+			expect(get(adoptionStates).size).toBe(0)
+		})
+
+		it('ignores unknown states', () => {
+			adoptionStore.setState('ci', 'piloting')
+
+			expect(adoptionStore.getState('ci')).toBe('not-started')
+		})
+
+		it('sets several states as one change', () => {
+			adoptionStore.setState('at', 'exploring')
+			mockHistory.replaceState.mockClear()
+
+			adoptionStore.setStates(
+				new Map([
+					['ci', 'adopted'],
+					['vc', 'in-progress'],
+					['at', 'not-started'],
+					['cd', 'piloting']
+				])
+			)
+
+			expect(get(adoptionStates)).toEqual(
+				new Map([
+					['ci', 'adopted'],
+					['vc', 'in-progress']
+				])
+			)
+			expect(mockHistory.replaceState).toHaveBeenCalledTimes(1)
+		})
+
+		it('adopts a practice in a partial state when toggled', () => {
+			adoptionStore.setState('ci', 'regressed')
+			adoptionStore.toggle('ci')
+
+			expect(adoptionStore.getState('ci')).toBe('adopted')
+			expect(get(adoptionStore).has('ci')).toBe(true)
+		})
+
+		it('encodes partial states in the URL', () => {
+			mockHistory.replaceState.mockClear()
+
+			adoptionStore.setState('ci', 'exploring')
+
+			const callArgs = mockHistory.replaceState.mock.calls[0]
+			const encoded = new URLSearchParams(callArgs[2].split('?')[1]).get('adopted')
+			expect(atob(encoded)).toBe('ci:exploring')
+		})
+
+		it('initializes partial states from the URL', () => {
+			const encoded = btoa('ci:in-progress,vc')
+			mockLocation.search = `?adopted=${encoded}`
+			mockLocation.href = `http://localhost:5173/?adopted=${encoded}`
+
+			adoptionStore.initialize(new Set(['ci', 'vc', 'at']))
+
+			expect(get(adoptionStates)).toEqual(
+				new Map([
+					['ci', 'in-progress'],
+					['vc', 'adopted']
+				])
+			)
+			expect(get(adoptionStore)).toEqual(new Set(['vc']))
+		})
+
+		it('initializes partial states from localStorage', () => {
+			mockLocalStorage.setItem('cd-practices-adoption', JSON.stringify(['at:exploring']))
+
+			adoptionStore.initialize(new Set(['ci', 'vc', 'at']))
+
+			expect(adoptionStore.getState('at')).toBe('exploring')
+		})
+
+		it('imports a Map of states', () => {
+			adoptionStore.importPractices(
+				new Map([
+					['ci', 'adopted'],
+					['vc', 'in-progress']
+				])
+			)
+
+			expect(get(adoptionStore)).toEqual(new Set(['ci']))
+			expect(adoptionStore.getState('vc')).toBe('in-progress')
+		})
+
+		it('clears partial states with clearAll', () => {
+			adoptionStore.setState('ci', 'exploring')
+			adoptionStore.clearAll()
+
+			expect(get(adoptionStates).size).toBe(0)
+		})
+	})
+
+	describe('Requirement checklist', () => {
+		beforeEach(() => {
+			adoptionStore.initialize(new Set(['ci', 'vc', 'at']))
+		})
+
+		it('marks a practice in progress when some requirements are complete', () => {
+			adoptionStore.toggleRequirement('ci', 0, 3)
+
+			expect(get(requirementProgress)).toEqual(new Map([['ci', new Set([0])]]))
+			expect(adoptionStore.getState('ci')).toBe('in-progress')
+		})
+
+		it('adopts a practice when all requirements are complete', () => {
+			adoptionStore.toggleRequirement('ci', 0, 2)
+			adoptionStore.toggleRequirement('ci', 1, 2)
+
+			expect(adoptionStore.isAdopted('ci')).toBe(true)
+		})
+
+		it('returns to not started when every requirement is unticked', () => {
+			adoptionStore.toggleRequirement('ci', 1, 2)
+			adoptionStore.toggleRequirement('ci', 1, 2)
+
+			expect(adoptionStore.getState('ci')).toBe('not-started')
+			expect(get(requirementProgress).size).toBe(0)
+		})
+
+		it('ignores indexes outside the requirement list', () => {
+			adoptionStore.toggleRequirement('ci', 3, 3)
+
+			expect(get(requirementProgress).size).toBe(0)
+		})
+
+		it('clears requirements when a practice is set to not started', () => {
+			adoptionStore.toggleRequirement('ci', 0, 2)
+			adoptionStore.setState('ci', 'not-started')
+
+			expect(get(requirementProgress).size).toBe(0)
+		})
+
+		it('encodes requirements in the URL', () => {
+			mockHistory.replaceState.mockClear()
+
+			adoptionStore.toggleRequirement('ci', 1, 3)
+
+			const callArgs = mockHistory.replaceState.mock.calls[0]
+			const encoded = new URLSearchParams(callArgs[2].split('?')[1]).get('adopted')
+			expect(atob(encoded)).toBe('ci:in-progress@1')
+		})
+
+		it('initializes requirements from localStorage', () => {
+			mockLocalStorage.setItem('cd-practices-adoption', JSON.stringify(['at:in-progress@0.2']))
+
+			adoptionStore.initialize(new Set(['ci', 'vc', 'at']))
+
+			expect(get(requirementProgress)).toEqual(new Map([['at', new Set([0, 2])]]))
+		})
+
+		it('imports requirements with states', () => {
+			adoptionStore.importPractices(
+				new Map([['vc', 'in-progress']]),
+				new Map([
+					['vc', new Set([1])],
+					['ci', new Set([0])]
+				])
+			)
+
+			expect(get(requirementProgress)).toEqual(new Map([['vc', new Set([1])]]))
+		})
+	})
+
+	describe('team profiles', () => {
+		afterEach(() => {
+			adoptionStore.switchProfile('default')
+		})
+
+		it('initializes from the active profile in localStorage', () => {
+			mockLocalStorage.setItem(
+				'cd-practices-profiles',
+				JSON.stringify({
+					activeProfileId: 'platform',
+					profiles: [
+						{ id: 'default', name: 'My team' },
+						{ id: 'platform', name: 'Platform' }
+					]
+				})
+			)
+			mockLocalStorage.setItem('cd-practices-adoption', JSON.stringify(['ci']))
+			mockLocalStorage.setItem('cd-practices-adoption:platform', JSON.stringify(['vc']))
+
+			adoptionStore.initialize(new Set(['ci', 'vc', 'at']))
+
+			expect(adoptionStore.getProfileId()).toBe('platform')
+			expect(get(adoptionStore)).toEqual(new Set(['vc']))
+		})
+
+		it('saves the current state and loads the other profile when switching', () => {
+			adoptionStore.initialize(new Set(['ci', 'vc', 'at']))
+			adoptionStore.toggle('ci')
+
+			adoptionStore.switchProfile('platform')
+
+			expect(JSON.parse(mockLocalStorage.getItem('cd-practices-adoption'))).toEqual(['ci'])
+			expect(get(adoptionStore)).toEqual(new Set())
+
+			adoptionStore.toggle('vc')
+			adoptionStore.switchProfile('default')
+
+			expect(get(adoptionStore)).toEqual(new Set(['ci']))
+			expect(JSON.parse(mockLocalStorage.getItem('cd-practices-adoption:platform'))).toEqual(['vc'])
+		})
+
+		it('drops a pending save after switching profiles', () => {
+			vi.useFakeTimers()
+			adoptionStore.initialize(new Set(['ci', 'vc', 'at']))
+			adoptionStore.switchProfile('platform')
+			adoptionStore.toggle('at')
+			adoptionStore.switchProfile('default')
+			mockLocalStorage.removeItem('cd-practices-adoption:platform')
+
+			vi.advanceTimersByTime(500)
+			vi.useRealTimers()
+
+			expect(mockLocalStorage.getItem('cd-practices-adoption:platform')).toBeNull()
+		})
+	})
+
+	describe('adoption history', () => {
+		const validIds = new Set(['ci', 'vc', 'at'])
+
+		beforeEach(() => {
+			// clearAll in the outer beforeEach records and saves a change
+			mockLocalStorage.clear()
+		})
+
+		afterEach(() => {
+			vi.useRealTimers()
+		})
+
+		it('starts without history', () => {
+			adoptionStore.initialize(validIds)
+
+			expect(get(adoptionHistory)).toBeNull()
+		})
+
+		it('records each change with a timestamp', () => {
+			vi.useFakeTimers()
+			adoptionStore.initialize(validIds)
+
+			vi.setSystemTime(new Date('2025-10-01T09:00:00.000Z'))
+			adoptionStore.toggle('ci')
+			vi.setSystemTime(new Date('2025-10-02T09:00:00.000Z'))
+			adoptionStore.setState('vc', 'in-progress')
+
+			expect(get(adoptionHistory)).toEqual({
+				baseline: { at: '2025-10-01T09:00:00.000Z', states: {} },
+				events: [
+					{ at: '2025-10-01T09:00:00.000Z', practiceId: 'ci', from: 'not-started', to: 'adopted' },
+					{
+						at: '2025-10-02T09:00:00.000Z',
+						practiceId: 'vc',
+						from: 'not-started',
+						to: 'in-progress'
+					}
+				]
+			})
+		})
+
+		it('saves the history with the adoption state', () => {
+			vi.useFakeTimers()
+			adoptionStore.initialize(validIds)
+			adoptionStore.toggle('ci')
+
+			vi.advanceTimersByTime(500)
+
+			expect(JSON.parse(mockLocalStorage.getItem('cd-practices-history')).events).toHaveLength(1)
+		})
+
+		it('restores a snapshot and records the restore', () => {
+			vi.useFakeTimers()
+			adoptionStore.initialize(validIds)
+			vi.setSystemTime(new Date('2025-10-01T09:00:00.000Z'))
+			adoptionStore.toggle('ci')
+			vi.setSystemTime(new Date('2025-10-02T09:00:00.000Z'))
+			adoptionStore.toggle('vc')
+			adoptionStore.toggle('ci')
+
+			vi.setSystemTime(new Date('2025-10-03T09:00:00.000Z'))
+			adoptionStore.restoreSnapshot('2025-10-01T09:00:00.000Z')
+
+			expect(get(adoptionStore)).toEqual(new Set(['ci']))
+			expect(get(adoptionHistory).events.slice(-2)).toEqual([
+				{ at: '2025-10-03T09:00:00.000Z', practiceId: 'ci', from: 'not-started', to: 'adopted' },
+				{ at: '2025-10-03T09:00:00.000Z', practiceId: 'vc', from: 'adopted', to: 'not-started' }
+			])
+		})
+
+		it('replaces the history with an imported one', () => {
+			adoptionStore.initialize(validIds)
+			adoptionStore.toggle('at')
+			const imported = {
+				baseline: { at: '2025-09-01T09:00:00.000Z', states: {} },
+				events: [
+					{ at: '2025-09-01T09:00:00.000Z', practiceId: 'ci', from: 'not-started', to: 'adopted' }
+				]
+			}
+
+			adoptionStore.importPractices(new Set(['ci']), new Map(), imported)
+
+			expect(get(adoptionHistory)).toEqual(imported)
+		})
+
+		it('keeps a history per team profile', () => {
+			adoptionStore.initialize(validIds)
+			adoptionStore.toggle('ci')
+
+			adoptionStore.switchProfile('platform')
+			expect(get(adoptionHistory)).toBeNull()
+
+			adoptionStore.switchProfile('default')
+			expect(get(adoptionHistory).events).toHaveLength(1)
+		})
+	})
+	describe('practice aliases', () => {
+		const validIds = new Set(['ci', 'vc', 'at'])
+		const aliases = { 'old-ci': 'ci', 'unit-tests': 'at', 'it-tests': 'at', gates: null }
+
+		it('remaps former practice IDs in the URL and replaces them in the URL', () => {
+			const encoded = btoa('old-ci,gates,vc')
+			mockLocation.search = `?adopted=${encoded}`
+			mockLocation.href = `http://localhost:5173/?adopted=${encoded}`
+
+			adoptionStore.initialize(validIds, aliases)
+
+			expect(get(adoptionStore)).toEqual(new Set(['ci', 'vc']))
+			const callArgs = mockHistory.replaceState.mock.calls[0]
+			const updated = new URLSearchParams(callArgs[2].split('?')[1]).get('adopted')
+			expect(atob(updated).split(',').sort()).toEqual(['ci', 'vc'])
+		})
+
+		it('remaps former practice IDs in localStorage', () => {
+			mockLocalStorage.setItem(
+				'cd-practices-adoption',
+				JSON.stringify(['unit-tests', 'it-tests:exploring'])
+			)
+
+			adoptionStore.initialize(validIds, aliases)
+
+			expect(get(adoptionStates)).toEqual(new Map([['at', 'adopted']]))
+		})
+
+		it('remaps the stored history', () => {
+			mockLocalStorage.setItem('cd-practices-adoption', JSON.stringify(['ci']))
+			mockLocalStorage.setItem(
+				'cd-practices-history',
+				JSON.stringify({
+					baseline: { at: '2025-09-01T09:00:00.000Z', states: {} },
+					events: [
+						{
+							at: '2025-09-01T09:00:00.000Z',
+							practiceId: 'old-ci',
+							from: 'not-started',
+							to: 'adopted'
+						}
+					]
+				})
+			)
+
+			adoptionStore.initialize(validIds, aliases)
+
+			expect(get(adoptionHistory).events).toEqual([
+				{ at: '2025-09-01T09:00:00.000Z', practiceId: 'ci', from: 'not-started', to: 'adopted' }
+			])
+		})
+
+		it('leaves the URL alone when nothing was remapped', () => {
+			const encoded = btoa('ci')
+			mockLocation.search = `?adopted=${encoded}`
+			mockLocation.href = `http://localhost:5173/?adopted=${encoded}`
+
+			adoptionStore.initialize(validIds, aliases)
+
+			expect(mockHistory.replaceState).not.toHaveBeenCalled()
+		})
+	})
+	describe('cascading toggle', () => {
+		beforeEach(() => {
+			adoptionStore.initialize(new Set(['ci', 'vc', 'at']))
+		})
+
+		it('adopts the cascaded practices with the toggled one as one change', () => {
+			mockHistory.replaceState.mockClear()
+
+			adoptionStore.toggle('ci', { cascade: ['vc', 'at'] })
+
+			expect(get(adoptionStore)).toEqual(new Set(['ci', 'vc', 'at']))
+			expect(mockHistory.replaceState).toHaveBeenCalledTimes(1)
+			expect(get(lastCascade)).toEqual({
+				practiceId: 'ci',
+				state: 'adopted',
+				cascadeIds: ['vc', 'at']
+			})
+		})
+
+		it('unadopts the cascaded practices with the toggled one', () => {
+			adoptionStore.setStates(
+				new Map([
+					['ci', 'adopted'],
+					['vc', 'adopted'],
+					['at', 'adopted']
+				])
+			)
+
+			adoptionStore.toggle('vc', { cascade: ['ci'] })
+
+			expect(get(adoptionStore)).toEqual(new Set(['at']))
+			expect(get(lastCascade).state).toBe('not-started')
+		})
+
+		it('undoes the last cascading toggle, including dropped requirement progress', () => {
+			adoptionStore.toggleRequirement('ci', 0, 2)
+			adoptionStore.toggle('vc')
+			adoptionStore.toggle('vc', { cascade: ['ci'] })
+
+			adoptionStore.undoCascade()
+
+			expect(get(adoptionStates)).toEqual(
+				new Map([
+					['ci', 'in-progress'],
+					['vc', 'adopted']
+				])
+			)
+			expect(get(requirementProgress).get('ci')).toEqual(new Set([0]))
+			expect(get(lastCascade)).toBeNull()
+		})
+
+		it('cannot be undone after another change', () => {
+			adoptionStore.toggle('ci', { cascade: ['vc'] })
+			adoptionStore.toggle('at')
+
+			expect(get(lastCascade)).toBeNull()
+			adoptionStore.undoCascade()
+
+			expect(get(adoptionStore)).toEqual(new Set(['ci', 'vc', 'at']))
+		})
+
+		it('offers no undo for a plain toggle', () => {
+			adoptionStore.toggle('ci')
+
+			expect(get(lastCascade)).toBeNull()
+		})
+	})
+
+	describe('practice annotations', () => {
+		const validIds = new Set(['ci', 'vc', 'at'])
+
+		beforeEach(() => {
+			mockLocalStorage.clear()
+		})
+
+		afterEach(() => {
+			adoptionStore.switchProfile('default')
+		})
+
+		it('annotates a practice and saves the annotation right away', () => {
+			adoptionStore.initialize(validIds)
+
+			adoptionStore.annotate('ci', {
+				notes: ' Every commit ',
+				evidence: ['https://ci.example.com', 'not a link'],
+				owner: 'Platform',
+				targetDate: '2026-06-30'
+			})
+
+			const expected = {
+				notes: 'Every commit',
+				evidence: ['https://ci.example.com'],
+				owner: 'Platform',
+				targetDate: '2026-06-30'
+			}
+			expect(get(practiceAnnotations)).toEqual(new Map([['ci', expected]]))
+			expect(adoptionStore.getAnnotation('ci')).toEqual(expected)
+			expect(JSON.parse(mockLocalStorage.getItem('cd-practices-annotations'))).toEqual({
+				ci: expected
+			})
+		})
+
+		it('removes an annotation left without content and ignores unknown practices', () => {
+			adoptionStore.initialize(validIds)
+			adoptionStore.annotate('ci', { owner: 'Platform' })
+
+			adoptionStore.annotate('ci', { owner: '  ', notes: '' })
+			adoptionStore.annotate('unknown', { owner: 'Platform' })
+
+			expect(get(practiceAnnotations).size).toBe(0)
+			expect(adoptionStore.getAnnotation('ci')).toBeNull()
+			expect(mockLocalStorage.getItem('cd-practices-annotations')).toBeNull()
+		})
+
+		it('leaves the adoption state unchanged', () => {
+			adoptionStore.initialize(validIds)
+			adoptionStore.toggle('vc')
+
+			adoptionStore.annotate('vc', { notes: 'Git' })
+
+			expect(get(adoptionStates)).toEqual(new Map([['vc', 'adopted']]))
+		})
+
+		it('loads stored annotations, remapped through the aliases', () => {
+			mockLocalStorage.setItem(
+				'cd-practices-annotations',
+				JSON.stringify({ 'old-ci': { owner: 'Platform' }, gone: { notes: 'Removed' } })
+			)
+
+			adoptionStore.initialize(validIds, { 'old-ci': 'ci' })
+
+			expect(get(practiceAnnotations)).toEqual(new Map([['ci', { owner: 'Platform' }]]))
+		})
+
+		it('keeps annotations per team profile', () => {
+			adoptionStore.initialize(validIds)
+			adoptionStore.annotate('ci', { owner: 'Default team' })
+
+			adoptionStore.switchProfile('platform')
+
+			expect(get(practiceAnnotations).size).toBe(0)
+
+			adoptionStore.annotate('ci', { owner: 'Platform team' })
+			adoptionStore.switchProfile('default')
+
+			expect(adoptionStore.getAnnotation('ci')).toEqual({ owner: 'Default team' })
+			expect(JSON.parse(mockLocalStorage.getItem('cd-practices-annotations:platform'))).toEqual({
+				ci: { owner: 'Platform team' }
+			})
+		})
+
+		it('replaces annotations on import only when the import has them', () => {
+			adoptionStore.initialize(validIds)
+			adoptionStore.annotate('ci', { owner: 'Platform' })
+
+			adoptionStore.importPractices(new Set(['vc']))
+
+			expect(adoptionStore.getAnnotation('ci')).toEqual({ owner: 'Platform' })
+
+			adoptionStore.importPractices(
+				new Set(['vc']),
+				new Map(),
+				null,
+				new Map([
+					['vc', { notes: 'Git' }],
+					['unknown', { notes: 'Dropped' }]
+				])
+			)
+
+			expect(get(practiceAnnotations)).toEqual(new Map([['vc', { notes: 'Git' }]]))
+		})
+	})
+
+	describe('self-assessment', () => {
+		const validIds = new Set(['ci', 'vc', 'at'])
+
+		beforeEach(() => {
+			mockLocalStorage.clear()
+		})
+
+		afterEach(() => {
+			adoptionStore.switchProfile('default')
+		})
+
+		it('answers questions and saves the answers right away', () => {
+			adoptionStore.initialize(validIds)
+
+			adoptionStore.answer('ci', 1, 'partly')
+			adoptionStore.answer('ci', 0, 'yes')
+			adoptionStore.answer('unknown', 0, 'yes')
+
+			expect(get(assessmentAnswers)).toEqual(new Map([['ci', ['yes', 'partly']]]))
+			expect(JSON.parse(mockLocalStorage.getItem('cd-practices-assessment'))).toEqual({
+				ci: ['yes', 'partly']
+			})
+		})
+
+		it('leaves the adoption state unchanged until a suggestion is accepted', () => {
+			adoptionStore.initialize(validIds)
+			adoptionStore.answer('ci', 0, 'yes')
+			adoptionStore.answer('ci', 1, 'no')
+
+			expect(get(adoptionStates).size).toBe(0)
+
+			adoptionStore.acceptAssessment('ci', 2)
+
+			expect(get(adoptionStates)).toEqual(new Map([['ci', 'in-progress']]))
+			expect(get(requirementProgress)).toEqual(new Map([['ci', new Set([0])]]))
+			expect(get(adoptionHistory).events).toMatchObject([
+				{ practiceId: 'ci', from: 'not-started', to: 'in-progress' }
+			])
+		})
+
+		it('does not accept a suggestion before every question is answered', () => {
+			adoptionStore.initialize(validIds)
+			adoptionStore.answer('ci', 0, 'yes')
+
+			adoptionStore.acceptAssessment('ci', 2)
+
+			expect(get(adoptionStates).size).toBe(0)
+		})
+
+		it('drops requirement progress when the suggestion is not started', () => {
+			adoptionStore.initialize(validIds)
+			adoptionStore.toggleRequirement('ci', 0, 2)
+			adoptionStore.answer('ci', 0, 'no')
+			adoptionStore.answer('ci', 1, 'no')
+
+			adoptionStore.acceptAssessment('ci', 2)
+
+			expect(get(adoptionStates).size).toBe(0)
+			expect(get(requirementProgress).size).toBe(0)
+		})
+
+		it('keeps answers per team profile and loads them through the aliases', () => {
+			mockLocalStorage.setItem('cd-practices-assessment', JSON.stringify({ 'old-ci': ['yes'] }))
+			adoptionStore.initialize(validIds, { 'old-ci': 'ci' })
+
+			expect(get(assessmentAnswers)).toEqual(new Map([['ci', ['yes']]]))
+
+			adoptionStore.switchProfile('platform')
+
+			expect(get(assessmentAnswers).size).toBe(0)
+
+			adoptionStore.answer('vc', 0, 'no')
+			adoptionStore.switchProfile('default')
+
+			expect(get(assessmentAnswers)).toEqual(new Map([['ci', ['yes']]]))
+			expect(JSON.parse(mockLocalStorage.getItem('cd-practices-assessment:platform'))).toEqual({
+				vc: ['no']
+			})
+		})
+
+		it('replaces answers on import only when the import has them', () => {
+			adoptionStore.initialize(validIds)
+			adoptionStore.answer('ci', 0, 'yes')
+
+			adoptionStore.importPractices(new Set(['vc']))
+
+			expect(get(assessmentAnswers)).toEqual(new Map([['ci', ['yes']]]))
+
+			adoptionStore.importPractices(
+				new Set(['vc']),
+				new Map(),
+				null,
+				null,
+				new Map([['vc', ['yes', 'maybe']]])
+			)
+
+			expect(get(assessmentAnswers)).toEqual(new Map([['vc', ['yes']]]))
+		})
+	})
 })
@@ -0,0 +1,57 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { get } from 'svelte/store'
+
+// Mock localStorage before importing the store
+const mockLocalStorage = (() => {
+	let store = {}
+	return {
+		getItem: key => store[key] || null,
+		setItem: (key, value) => {
+			store[key] = value.toString()
+		},
+		removeItem: key => {
+			delete store[key]
+		},
+		clear: () => {
+			store = {}
+		}
+	}
+})()
+
+global.localStorage = mockLocalStorage
+
+import { cascadeMode } from '$lib/stores/cascadeMode.js'
+import { CASCADE_STORAGE_KEY } from '$lib/services/cascadePersistence.js'
+
+describe('cascadeMode Store', () => {
+	beforeEach(() => {
+		cascadeMode.disable()
+		mockLocalStorage.clear()
+	})
+
+	it('is disabled by default', () => {
+		cascadeMode.initialize()
+
+		expect(get(cascadeMode)).toBe(false)
+	})
+
+	it('can be toggled and saves the preference', () => {
+		cascadeMode.toggle()
+
+		expect(get(cascadeMode)).toBe(true)
+		expect(mockLocalStorage.getItem(CASCADE_STORAGE_KEY)).toBe('true')
+
+		cascadeMode.toggle()
+
+		expect(get(cascadeMode)).toBe(false)
+		expect(mockLocalStorage.getItem(CASCADE_STORAGE_KEY)).toBeNull()
+	})
+
+	it('initializes from the saved preference', () => {
+		mockLocalStorage.setItem(CASCADE_STORAGE_KEY, 'true')
+
+		cascadeMode.initialize()
+
+		expect(get(cascadeMode)).toBe(true)
+	})
+})
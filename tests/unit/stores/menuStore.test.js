@@ -237,6 +237,66 @@ describe('Menu Data Utils', () => {
 			expect(exportItem.label).toBe('Export')
 		})
 
+		it('includes team profiles menu item', async () => {
+			const { getMenuItems } = await import('$lib/stores/menuStore.js')
+			const items = getMenuItems()
+			const profilesItem = items.find(item => item.id === 'profiles')
+
+			expect(profilesItem).toBeDefined()
+			expect(profilesItem.label).toBe('Team Profiles')
+			expect(profilesItem.action).toBe('profiles')
+		})
+
+		it('includes self-assessment menu item', async () => {
+			const { getMenuItems } = await import('$lib/stores/menuStore.js')
+			const items = getMenuItems()
+			const assessmentItem = items.find(item => item.id === 'assessment')
+
+			expect(assessmentItem).toBeDefined()
+			expect(assessmentItem.label).toBe('Self-Assessment')
+			expect(assessmentItem.href).toBe('/assessment')
+		})
+
+		it('includes maturity dashboard menu item', async () => {
+			const { getMenuItems } = await import('$lib/stores/menuStore.js')
+			const items = getMenuItems()
+			const maturityItem = items.find(item => item.id === 'maturity')
+
+			expect(maturityItem).toBeDefined()
+			expect(maturityItem.label).toBe('Maturity')
+			expect(maturityItem.href).toBe('/maturity')
+		})
+
+		it('includes adoption report menu item', async () => {
+			const { getMenuItems } = await import('$lib/stores/menuStore.js')
+			const items = getMenuItems()
+			const reportItem = items.find(item => item.id === 'report')
+
+			expect(reportItem).toBeDefined()
+			expect(reportItem.label).toBe('Report')
+			expect(reportItem.href).toBe('/report')
+		})
+
+		it('includes adoption history menu item', async () => {
+			const { getMenuItems } = await import('$lib/stores/menuStore.js')
+			const items = getMenuItems()
+			const historyItem = items.find(item => item.id === 'history')
+
+			expect(historyItem).toBeDefined()
+			expect(historyItem.label).toBe('History')
+			expect(historyItem.href).toBe('/history')
+		})
+
+		it('includes organisation aggregate menu item', async () => {
+			const { getMenuItems } = await import('$lib/stores/menuStore.js')
+			const items = getMenuItems()
+			const aggregateItem = items.find(item => item.id === 'aggregate')
+
+			expect(aggregateItem).toBeDefined()
+			expect(aggregateItem.label).toBe('Organisation')
+			expect(aggregateItem.href).toBe('/aggregate')
+		})
+
 		it('includes import menu item', async () => {
 			const { getMenuItems } = await import('$lib/stores/menuStore.js')
 			const items = getMenuItems()
@@ -0,0 +1,142 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { get } from 'svelte/store'
+
+// Mock browser APIs before importing the stores
+const mockLocalStorage = (() => {
+	let store = {}
+	return {
+		getItem: key => store[key] || null,
+		setItem: (key, value) => {
+			store[key] = value.toString()
+		},
+		removeItem: key => {
+			delete store[key]
+		},
+		clear: () => {
+			store = {}
+		}
+	}
+})()
+
+const mockLocation = {
+	href: 'http://localhost:5173/',
+	search: '',
+	pathname: '/'
+}
+
+global.localStorage = mockLocalStorage
+global.history = { replaceState: vi.fn() }
+global.location = mockLocation
+global.window = {
+	location: mockLocation,
+	history: global.history,
+	localStorage: mockLocalStorage
+}
+
+import { adoptionStore } from '$lib/stores/adoptionStore.js'
+import { activeProfile, profileStore } from '$lib/stores/profileStore.js'
+
+const storedProfiles = () => JSON.parse(mockLocalStorage.getItem('cd-practices-profiles'))
+
+describe('profileStore', () => {
+	beforeEach(() => {
+		adoptionStore.switchProfile('default')
+		mockLocalStorage.clear()
+		mockLocation.search = ''
+		profileStore.initialize()
+		adoptionStore.initialize(new Set(['ci', 'vc', 'at']))
+	})
+
+	it('starts with the default profile, keeping existing adoption', () => {
+		mockLocalStorage.setItem('cd-practices-adoption', JSON.stringify(['ci']))
+		adoptionStore.initialize(new Set(['ci', 'vc', 'at']))
+
+		expect(get(activeProfile)).toEqual({ id: 'default', name: 'My team' })
+		expect(get(adoptionStore)).toEqual(new Set(['ci']))
+	})
+
+	it('creates a profile and switches to it', () => {
+		adoptionStore.toggle('ci')
+
+		const profile = profileStore.create('Platform')
+
+		expect(profile).toEqual({ id: 'platform', name: 'Platform' })
+		expect(get(activeProfile)).toEqual(profile)
+		expect(get(adoptionStore)).toEqual(new Set())
+		expect(storedProfiles().activeProfileId).toBe('platform')
+	})
+
+	it('switches back to a profile with its adoption', () => {
+		adoptionStore.toggle('ci')
+		profileStore.create('Platform')
+
+		profileStore.switchTo('default')
+
+		expect(get(adoptionStore)).toEqual(new Set(['ci']))
+	})
+
+	it('ignores unknown profiles', () => {
+		profileStore.switchTo('missing')
+
+		expect(get(profileStore).activeProfileId).toBe('default')
+	})
+
+	it('renames a profile', () => {
+		profileStore.rename('default', 'Payments')
+
+		expect(get(activeProfile).name).toBe('Payments')
+		expect(storedProfiles().profiles[0].name).toBe('Payments')
+	})
+
+	it('duplicates a profile with its adoption', () => {
+		adoptionStore.setState('vc', 'exploring')
+		adoptionStore.annotate('vc', { owner: 'Platform' })
+		adoptionStore.answer('vc', 0, 'partly')
+
+		const copy = profileStore.duplicate('default')
+
+		expect(copy).toEqual({ id: 'my-team-copy', name: 'My team copy' })
+		expect(profileStore.getProfileAdoption(copy.id).states).toEqual(new Map([['vc', 'exploring']]))
+		expect(profileStore.getProfileAdoption(copy.id).history.events).toEqual(
+			profileStore.getProfileAdoption('default').history.events
+		)
+		expect(profileStore.getProfileAdoption(copy.id).annotations).toEqual(
+			new Map([['vc', { owner: 'Platform' }]])
+		)
+		expect(profileStore.getProfileAdoption(copy.id).answers).toEqual(new Map([['vc', ['partly']]]))
+		expect(get(profileStore).activeProfileId).toBe('default')
+	})
+
+	it('deletes the active profile, switching to the first remaining one', () => {
+		profileStore.create('Platform')
+		adoptionStore.toggle('at')
+		adoptionStore.annotate('at', { notes: 'Unit tests only' })
+		adoptionStore.answer('at', 0, 'yes')
+
+		expect(profileStore.remove('platform')).toBe(true)
+
+		expect(get(profileStore).activeProfileId).toBe('default')
+		expect(mockLocalStorage.getItem('cd-practices-adoption:platform')).toBeNull()
+		expect(mockLocalStorage.getItem('cd-practices-history:platform')).toBeNull()
+		expect(mockLocalStorage.getItem('cd-practices-annotations:platform')).toBeNull()
+		expect(mockLocalStorage.getItem('cd-practices-assessment:platform')).toBeNull()
+	})
+
+	it('does not delete the last profile', () => {
+		expect(profileStore.remove('default')).toBe(false)
+		expect(get(profileStore).profiles).toHaveLength(1)
+	})
+
+	it('imports profiles without changing the active one', () => {
+		const created = profileStore.importProfiles([
+			{ name: 'My team', states: new Map([['ci', 'adopted']]), requirements: new Map() },
+			{ name: 'Platform', states: new Map([['vc', 'in-progress']]), requirements: new Map() }
+		])
+
+		expect(created.map(profile => profile.name)).toEqual(['My team (2)', 'Platform'])
+		expect(profileStore.getProfileAdoption(created[0].id).states).toEqual(
+			new Map([['ci', 'adopted']])
+		)
+		expect(get(profileStore).activeProfileId).toBe('default')
+	})
+})
@@ -1,8 +1,19 @@
 import { describe, it, expect } from 'vitest'
 import {
+	ADOPTION_STATES,
 	calculateAdoptedDependencies,
 	calculateAdoptionPercentage,
-	filterValidPracticeIds
+	deriveAdoptionState,
+	filterValidPracticeEntries,
+	filterValidPracticeIds,
+	formatAdoptionEntries,
+	formatAdoptionEntry,
+	getAdoptedIds,
+	getAdoptionWeight,
+	parseAdoptionEntries,
+	parseAdoptionEntry,
+	toAdoptionStates,
+	toRequirementProgress
 } from '$lib/utils/adoption.js'
 
 describe('adoption', () => {
@@ -523,4 +534,185 @@ describe('adoption', () => {
 			expect(result.adoptedCount).toBe(1)
 		})
 	})
+
+	describe('Adoption states', () => {
+		it('lists the five states in order', () => {
+			expect(ADOPTION_STATES.map(state => state.value)).toEqual([
+				'not-started',
+				'exploring',
+				'in-progress',
+				'adopted',
+				'regressed'
+			])
+		})
+
+		it('weights partial states between not started and adopted', () => {
+			expect(getAdoptionWeight('not-started')).toBe(0)
+			expect(getAdoptionWeight('exploring')).toBe(0.25)
+			expect(getAdoptionWeight('in-progress')).toBe(0.5)
+			expect(getAdoptionWeight('adopted')).toBe(1)
+			expect(getAdoptionWeight('regressed')).toBe(0.25)
+			expect(getAdoptionWeight('unknown')).toBe(0)
+			expect(getAdoptionWeight(undefined)).toBe(0)
+		})
+
+		it('treats a Set of IDs as adopted practices', () => {
+			expect(toAdoptionStates(new Set(['ci', 'vc']))).toEqual(
+				new Map([
+					['ci', 'adopted'],
+					['vc', 'adopted']
+				])
+			)
+		})
+
+		it('drops not started, unknown states and empty IDs', () => {
+			const states = new Map([
+				['ci', 'in-progress'],
+				['vc', 'not-started'],
+				['tbd', 'piloting'],
+				['', 'adopted']
+			])
+
+			expect(toAdoptionStates(states)).toEqual(new Map([['ci', 'in-progress']]))
+			expect(toAdoptionStates(null)).toEqual(new Map())
+		})
+
+		it('returns only fully adopted IDs', () => {
+			const states = new Map([
+				['ci', 'adopted'],
+				['vc', 'exploring'],
+				['tbd', 'regressed']
+			])
+
+			expect(getAdoptedIds(states)).toEqual(new Set(['ci']))
+		})
+
+		it('formats adopted entries as bare IDs and partial states with a suffix', () => {
+			expect(formatAdoptionEntry('ci', 'adopted')).toBe('ci')
+			expect(formatAdoptionEntry('ci', 'in-progress')).toBe('ci:in-progress')
+		})
+
+		it('parses entries written by formatAdoptionEntry', () => {
+			expect(parseAdoptionEntry('ci')).toEqual({ id: 'ci', state: 'adopted', requirements: [] })
+			expect(parseAdoptionEntry(' ci : exploring ')).toEqual({
+				id: 'ci',
+				state: 'exploring',
+				requirements: []
+			})
+			expect(parseAdoptionEntry('ci:piloting')).toBeNull()
+			expect(parseAdoptionEntry('')).toBeNull()
+			expect(parseAdoptionEntry(null)).toBeNull()
+		})
+
+		it('filters adoption states to valid practice IDs', () => {
+			const states = new Map([
+				['ci', 'adopted'],
+				['removed', 'exploring']
+			])
+
+			expect(filterValidPracticeEntries(states, new Set(['ci']))).toEqual(
+				new Map([['ci', 'adopted']])
+			)
+			expect(filterValidPracticeEntries(null, new Set(['ci']))).toEqual(new Map())
+		})
+	})
+
+	describe('Weighted adoption progress', () => {
+		const practiceMap = new Map([
+			['cd', { id: 'cd', dependencies: ['ci', 'at'] }],
+			['ci', { id: 'ci', dependencies: ['vc'] }],
+			['at', { id: 'at', dependencies: [] }],
+			['vc', { id: 'vc', dependencies: [] }]
+		])
+
+		it('weights transitive dependencies by adoption state', () => {
+			const states = new Map([
+				['ci', 'in-progress'],
+				['at', 'exploring'],
+				['vc', 'adopted']
+			])
+
+			const result = calculateAdoptedDependencies({ id: 'cd' }, states, practiceMap)
+
+			expect(result).toEqual({ adoptedCount: 1.75, totalCount: 3 })
+		})
+
+		it('counts a Map of adopted states like a Set of IDs', () => {
+			const ids = new Set(['ci', 'vc'])
+
+			expect(
+				calculateAdoptedDependencies({ id: 'cd' }, toAdoptionStates(ids), practiceMap)
+			).toEqual(calculateAdoptedDependencies({ id: 'cd' }, ids, practiceMap))
+		})
+
+		it('weights direct dependencies when no practice map is provided', () => {
+			const practice = { id: 'ci', dependencies: ['vc', 'at'] }
+			const states = new Map([
+				['vc', 'regressed'],
+				['at', 'adopted']
+			])
+
+			expect(calculateAdoptedDependencies(practice, states, new Map()).adoptedCount).toBe(1.25)
+		})
+	})
+
+	describe('Requirement progress', () => {
+		it('keeps completed requirement indexes per practice', () => {
+			expect(toRequirementProgress({ ci: [2, 0, 2], vc: [] })).toEqual(
+				new Map([['ci', new Set([2, 0])]])
+			)
+		})
+
+		it('drops invalid indexes', () => {
+			expect(toRequirementProgress(new Map([['ci', [-1, 1.5, '2', 3]]]))).toEqual(
+				new Map([['ci', new Set([3])]])
+			)
+			expect(toRequirementProgress(null)).toEqual(new Map())
+		})
+
+		it('derives the practice state from requirement completion', () => {
+			expect(deriveAdoptionState(0, 3)).toBe('not-started')
+			expect(deriveAdoptionState(1, 3)).toBe('in-progress')
+			expect(deriveAdoptionState(3, 3)).toBe('adopted')
+			expect(deriveAdoptionState(0, 0)).toBe('not-started')
+		})
+
+		it('appends completed requirements to the entry', () => {
+			expect(formatAdoptionEntry('ci', 'in-progress', new Set([2, 0]))).toBe('ci:in-progress@0.2')
+			expect(formatAdoptionEntry('ci', 'adopted', [0, 1])).toBe('ci@0.1')
+		})
+
+		it('parses completed requirements from the entry', () => {
+			expect(parseAdoptionEntry('ci:in-progress@0.2')).toEqual({
+				id: 'ci',
+				state: 'in-progress',
+				requirements: [0, 2]
+			})
+			expect(parseAdoptionEntry('ci@1.x')).toEqual({
+				id: 'ci',
+				state: 'adopted',
+				requirements: [1]
+			})
+		})
+
+		it('round-trips states and requirements through entries', () => {
+			const states = new Map([
+				['ci', 'in-progress'],
+				['vc', 'adopted']
+			])
+			const requirements = new Map([['ci', new Set([1])]])
+
+			const entries = formatAdoptionEntries(states, requirements)
+
+			expect(entries).toEqual(['ci:in-progress@1', 'vc'])
+			expect(parseAdoptionEntries(entries)).toEqual({ states, requirements })
+		})
+
+		it('drops requirements of practices without a state', () => {
+			const entries = formatAdoptionEntries(new Map(), new Map([['ci', new Set([0])]]))
+
+			expect(entries).toEqual([])
+			expect(parseAdoptionEntries(['ci:piloting@0']).requirements).toEqual(new Map())
+		})
+	})
 })
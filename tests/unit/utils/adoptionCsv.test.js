@@ -0,0 +1,194 @@
+import { describe, it, expect } from 'vitest'
+import {
+	ADOPTION_CSV_COLUMNS,
+	formatAdoptionCsv,
+	isCsvFile,
+	parseAdoptionCsv,
+	parseAdoptionStatus
+} from '$lib/utils/adoptionCsv.js'
+
+const practiceNames = new Map([
+	['version-control', 'Version Control'],
+	['continuous-integration', 'Continuous Integration'],
+	['trunk-based-development', 'Trunk-based Development']
+])
+
+describe('adoptionCsv', () => {
+	describe('parseAdoptionStatus', () => {
+		it('matches state values and labels in any case or spacing', () => {
+			expect(parseAdoptionStatus('adopted')).toBe('adopted')
+			expect(parseAdoptionStatus('In progress')).toBe('in-progress')
+			expect(parseAdoptionStatus('IN_PROGRESS')).toBe('in-progress')
+			expect(parseAdoptionStatus(' Not Started ')).toBe('not-started')
+		})
+
+		it('matches common spreadsheet synonyms', () => {
+			expect(parseAdoptionStatus('Yes')).toBe('adopted')
+			expect(parseAdoptionStatus('x')).toBe('adopted')
+			expect(parseAdoptionStatus('WIP')).toBe('in-progress')
+			expect(parseAdoptionStatus('no')).toBe('not-started')
+			expect(parseAdoptionStatus('')).toBe('not-started')
+		})
+
+		it('returns null for an unknown status', () => {
+			expect(parseAdoptionStatus('maybe')).toBeNull()
+		})
+	})
+
+	describe('formatAdoptionCsv', () => {
+		it('writes every practice sorted by name with its state label', () => {
+			const csv = formatAdoptionCsv(
+				practiceNames,
+				new Map([
+					['version-control', 'adopted'],
+					['continuous-integration', 'exploring']
+				])
+			)
+
+			expect(csv).toBe(
+				[
+					ADOPTION_CSV_COLUMNS.join(','),
+					'continuous-integration,Continuous Integration,Exploring,,',
+					'trunk-based-development,Trunk-based Development,Not started,,',
+					'version-control,Version Control,Adopted,,',
+					''
+				].join('\n')
+			)
+		})
+
+		it('writes notes and the day of the latest recorded change', () => {
+			const csv = formatAdoptionCsv(
+				new Map([['version-control', 'Version Control']]),
+				new Set(['version-control']),
+				{
+					notes: new Map([['version-control', 'Git, everywhere']]),
+					history: {
+						baseline: { at: '2025-01-01T00:00:00.000Z', states: {} },
+						events: [
+							{
+								at: '2025-02-01T10:00:00.000Z',
+								practiceId: 'version-control',
+								from: 'not-started',
+								to: 'exploring'
+							},
+							{
+								at: '2025-03-15T10:00:00.000Z',
+								practiceId: 'version-control',
+								from: 'exploring',
+								to: 'adopted'
+							}
+						]
+					}
+				}
+			)
+
+			expect(csv).toContain('version-control,Version Control,Adopted,"Git, everywhere",2025-03-15')
+		})
+	})
+
+	describe('parseAdoptionCsv', () => {
+		it('reads its own export', () => {
+			const states = new Map([
+				['version-control', 'adopted'],
+				['continuous-integration', 'in-progress']
+			])
+
+			const result = parseAdoptionCsv(formatAdoptionCsv(practiceNames, states), practiceNames)
+
+			expect(result.success).toBe(true)
+			expect(result.states).toEqual(
+				new Map([
+					['continuous-integration', 'in-progress'],
+					['trunk-based-development', 'not-started'],
+					['version-control', 'adopted']
+				])
+			)
+			expect(result.skippedRows).toEqual([])
+		})
+
+		it('finds columns by name in any order', () => {
+			const result = parseAdoptionCsv(
+				'Comments;Adoption State;Practice\nDaily builds;Adopted;continuous integration\n',
+				practiceNames
+			)
+
+			expect(result.states).toEqual(new Map([['continuous-integration', 'adopted']]))
+			expect(result.notes).toEqual(new Map([['continuous-integration', 'Daily builds']]))
+		})
+
+		it('reads a file without a header row in the export column order', () => {
+			const result = parseAdoptionCsv(
+				'version-control,,done,,03/15/2025\n,Trunk Based Development,exploring\n',
+				practiceNames
+			)
+
+			expect(result.states).toEqual(
+				new Map([
+					['version-control', 'adopted'],
+					['trunk-based-development', 'exploring']
+				])
+			)
+			expect(result.dates).toEqual(new Map([['version-control', '2025-03-15']]))
+		})
+
+		it('matches practices by name when the ID is unknown', () => {
+			const result = parseAdoptionCsv(
+				'id,name,status\nvcs,Version control,Adopted\n',
+				practiceNames
+			)
+
+			expect(result.states).toEqual(new Map([['version-control', 'adopted']]))
+		})
+
+		it('keeps former practice IDs to remap later', () => {
+			const result = parseAdoptionCsv('id,status\nci,Adopted\n', practiceNames, {
+				ci: 'continuous-integration'
+			})
+
+			expect(result.states).toEqual(new Map([['ci', 'adopted']]))
+		})
+
+		it('skips rows with an unknown practice or status, with their row number', () => {
+			const result = parseAdoptionCsv(
+				'name,status\nPair Programming,Adopted\nVersion Control,maybe\n,\n',
+				practiceNames
+			)
+
+			expect(result.states.size).toBe(0)
+			expect(result.unknown).toEqual(['Pair Programming'])
+			expect(result.skippedRows).toEqual([
+				{ row: 2, value: 'Pair Programming', reason: 'unknown practice' },
+				{ row: 3, value: 'maybe', reason: 'unknown status' }
+			])
+		})
+
+		it('ignores dates it cannot read', () => {
+			const result = parseAdoptionCsv(
+				'id,status,date\nversion-control,Adopted,last sprint\n',
+				practiceNames
+			)
+
+			expect(result.states.size).toBe(1)
+			expect(result.dates.size).toBe(0)
+		})
+
+		it('fails on an empty file or a header without a practice column', () => {
+			expect(parseAdoptionCsv('', practiceNames)).toMatchObject({
+				success: false,
+				error: 'The CSV file is empty.'
+			})
+			expect(parseAdoptionCsv('status,notes\nAdopted,\n', practiceNames)).toMatchObject({
+				success: false,
+				error: 'The CSV file needs a practice id or name column.'
+			})
+		})
+	})
+
+	describe('isCsvFile', () => {
+		it('recognises CSV files by extension or type', () => {
+			expect(isCsvFile({ name: 'assessment.CSV', type: '' })).toBe(true)
+			expect(isCsvFile({ name: 'export', type: 'text/csv' })).toBe(true)
+			expect(isCsvFile({ name: 'team.cdpa', type: '' })).toBe(false)
+		})
+	})
+})
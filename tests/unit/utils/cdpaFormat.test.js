@@ -0,0 +1,314 @@
+import { describe, it, expect } from 'vitest'
+import {
+	CDPA_FORMATS,
+	CDPA_SCHEMA_URL,
+	CURRENT_CDPA_VERSION,
+	validateCdpaData
+} from '$lib/utils/cdpaFormat.js'
+import { createExportData } from '$lib/utils/exportImport.js'
+import cdpaSchema from '$lib/schemas/cdpa-2.0.0.schema.json'
+
+describe('cdpaFormat', () => {
+	const exportedAt = '2025-10-25T14:30:00.000Z'
+
+	const history = {
+		baseline: { at: '2025-01-01T00:00:00.000Z', states: {} },
+		events: [
+			{
+				at: '2025-01-02T00:00:00.000Z',
+				practiceId: 'version-control',
+				from: 'not-started',
+				to: 'adopted'
+			}
+		]
+	}
+
+	describe('format registry', () => {
+		it('lists major versions oldest first, ending with the current version', () => {
+			expect(CDPA_FORMATS.map(format => format.major)).toEqual([1, 2])
+			expect(CURRENT_CDPA_VERSION).toBe('2.2.0')
+		})
+
+		it('can migrate every format except the current one', () => {
+			expect(CDPA_FORMATS.slice(0, -1).every(format => format.migrate)).toBe(true)
+			expect(CDPA_FORMATS[CDPA_FORMATS.length - 1].migrate).toBeUndefined()
+		})
+
+		it('publishes the current schema URL', () => {
+			expect(CDPA_SCHEMA_URL).toBe(cdpaSchema.$id)
+			expect(CDPA_SCHEMA_URL).toMatch(/\/schemas\/cdpa-2\.0\.0\.schema\.json$/)
+		})
+	})
+
+	describe('version checks', () => {
+		it('rejects anything but a JSON object', () => {
+			expect(validateCdpaData(null).errors).toEqual(['File must contain a JSON object'])
+			expect(validateCdpaData([]).errors).toEqual(['File must contain a JSON object'])
+		})
+
+		it('checks files without a version as 1.x', () => {
+			expect(validateCdpaData({ practices: {} }).errors).toEqual([
+				'Missing required field: version',
+				'Missing required field: exportedAt',
+				'Missing required field: adoptedPractices'
+			])
+		})
+
+		it('rejects a malformed version', () => {
+			const result = validateCdpaData({ version: 'two', exportedAt, practices: {} })
+
+			expect(result.valid).toBe(false)
+			expect(result.errors).toEqual(['Invalid file version: two (expected a version like "2.0.0")'])
+		})
+
+		it('rejects versions newer than the app reads', () => {
+			const result = validateCdpaData({ version: '3.0.0', exportedAt, practices: {} })
+
+			expect(result.valid).toBe(false)
+			expect(result.errors).toEqual([
+				'Incompatible file version: 3.0.0 (this app reads versions up to 2.2.0)'
+			])
+		})
+
+		it('reads later minor versions of the current format', () => {
+			const result = validateCdpaData({
+				version: '2.3.0',
+				exportedAt,
+				practices: { ci: { state: 'adopted', confidence: 'high' } },
+				futureField: true
+			})
+
+			expect(result.valid).toBe(true)
+			expect(result.migratedFrom).toBeNull()
+		})
+	})
+
+	describe('2.x validation', () => {
+		it('accepts a current export unchanged', () => {
+			const data = {
+				version: '2.0.0',
+				exportedAt,
+				practices: {
+					ci: { state: 'in-progress', requirements: [0, 2], notes: 'Nightly only' }
+				},
+				history
+			}
+
+			const result = validateCdpaData(data)
+
+			expect(result).toEqual({ valid: true, errors: [], data, migratedFrom: null })
+		})
+
+		it('accepts the 2.1 annotation fields and a 2.0 reader ignores them', () => {
+			const data = {
+				version: '2.1.0',
+				exportedAt,
+				practices: {
+					ci: {
+						state: 'adopted',
+						notes: 'Every commit',
+						evidence: ['https://ci.example.com/pipelines'],
+						owner: 'Platform team',
+						targetDate: '2026-06-30'
+					},
+					tdd: { state: 'not-started', owner: 'Payments' }
+				}
+			}
+
+			expect(validateCdpaData(data).valid).toBe(true)
+			expect(
+				validateCdpaData({
+					...data,
+					practices: { ci: { state: 'adopted', evidence: ['not a link'], targetDate: 'soon' } }
+				}).errors
+			).toEqual([
+				'practices.ci.evidence.0: must match format "uri"',
+				'practices.ci.targetDate: must match format "date"'
+			])
+		})
+
+		it('accepts the 2.2 self-assessment answers', () => {
+			const data = {
+				version: '2.2.0',
+				exportedAt,
+				practices: {
+					ci: { state: 'in-progress', requirements: [0], answers: ['yes', null, 'partly'] },
+					tdd: { state: 'not-started', answers: ['no'] }
+				}
+			}
+
+			expect(validateCdpaData(data).valid).toBe(true)
+			expect(
+				validateCdpaData({
+					...data,
+					practices: { ci: { state: 'adopted', answers: ['maybe'] } }
+				}).valid
+			).toBe(false)
+		})
+
+		it('reports the path of every invalid value', () => {
+			const result = validateCdpaData({
+				version: '2.0.0',
+				exportedAt,
+				practices: {
+					ci: { state: 'done' },
+					tdd: { state: 'adopted', requirements: [-1] },
+					trunk: {}
+				}
+			})
+
+			expect(result.valid).toBe(false)
+			expect(result.errors).toEqual([
+				'practices.ci.state: must be equal to one of the allowed values (not-started, exploring, in-progress, adopted, regressed)',
+				'practices.tdd.requirements.0: must be >= 0',
+				"practices.trunk: must have required property 'state'"
+			])
+		})
+
+		it('requires practices or profiles', () => {
+			expect(validateCdpaData({ version: '2.0.0', exportedAt }).errors).toEqual([
+				"must have required property 'practices'"
+			])
+		})
+
+		it('validates each profile of a bundle', () => {
+			const result = validateCdpaData({
+				version: '2.0.0',
+				exportedAt,
+				profiles: [
+					{ version: '2.0.0', exportedAt, practices: {} },
+					{ version: '2.0.0', exportedAt }
+				]
+			})
+
+			expect(result.errors).toEqual(["profiles.1: must have required property 'practices'"])
+		})
+
+		it('validates the history', () => {
+			const result = validateCdpaData({
+				version: '2.0.0',
+				exportedAt,
+				practices: {},
+				history: { baseline: { at: exportedAt, states: {} } }
+			})
+
+			expect(result.errors).toEqual(["history: must have required property 'events'"])
+		})
+	})
+
+	describe('1.x migration', () => {
+		it('upgrades adoptedPractices, practiceStates and requirementProgress to practice records', () => {
+			const result = validateCdpaData({
+				version: '1.0.0',
+				exportedAt,
+				profile: 'Platform',
+				metadata: { totalPractices: 10 },
+				adoptedPractices: ['version-control', '', 'ci'],
+				practiceStates: { ci: 'exploring', tdd: 'in-progress', trunk: 'unknown' },
+				requirementProgress: { tdd: [2, 0], trunk: 'bad' }
+			})
+
+			expect(result.valid).toBe(true)
+			expect(result.migratedFrom).toBe('1.0.0')
+			expect(result.data).toEqual({
+				$schema: CDPA_SCHEMA_URL,
+				version: '2.0.0',
+				exportedAt,
+				profile: 'Platform',
+				metadata: { totalPractices: 10 },
+				practices: {
+					ci: { state: 'adopted' },
+					tdd: { state: 'in-progress', requirements: [0, 2] },
+					'version-control': { state: 'adopted' }
+				}
+			})
+		})
+
+		it('keeps a valid 1.1 history and drops a malformed one', () => {
+			const withHistory = validateCdpaData({
+				version: '1.1.0',
+				exportedAt,
+				adoptedPractices: [],
+				history
+			})
+			const malformed = validateCdpaData({
+				version: '1.1.0',
+				exportedAt,
+				adoptedPractices: [],
+				history: { events: [] }
+			})
+
+			expect(withHistory.data.history).toEqual(history)
+			expect(malformed.valid).toBe(true)
+			expect(malformed.data).not.toHaveProperty('history')
+		})
+
+		it('upgrades every profile of a bundle', () => {
+			const result = validateCdpaData({
+				version: '1.1.0',
+				exportedAt,
+				profiles: [
+					{ version: '1.1.0', exportedAt, profile: 'Default', adoptedPractices: ['ci'] },
+					{ version: '1.1.0', exportedAt, profile: 'Ops', adoptedPractices: [] }
+				]
+			})
+
+			expect(result.migratedFrom).toBe('1.1.0')
+			expect(result.data.version).toBe('2.0.0')
+			expect(result.data.profiles).toEqual([
+				expect.objectContaining({
+					version: '2.0.0',
+					profile: 'Default',
+					practices: { ci: { state: 'adopted' } }
+				}),
+				expect.objectContaining({ version: '2.0.0', profile: 'Ops', practices: {} })
+			])
+		})
+
+		it('produces files that pass the current schema', () => {
+			const { data } = validateCdpaData({
+				version: '1.1.0',
+				exportedAt,
+				adoptedPractices: ['ci'],
+				practiceStates: { tdd: 'regressed' },
+				requirementProgress: { tdd: [1] },
+				history
+			})
+
+			expect(validateCdpaData(data)).toMatchObject({ valid: true, migratedFrom: null })
+		})
+
+		it('still reports 1.x errors before migrating', () => {
+			const result = validateCdpaData({
+				version: '1.0.0',
+				exportedAt,
+				adoptedPractices: 'ci',
+				practiceStates: []
+			})
+
+			expect(result).toMatchObject({ valid: false, data: null })
+			expect(result.errors).toEqual([
+				'adoptedPractices must be an array',
+				'practiceStates must be an object'
+			])
+		})
+	})
+
+	it('validates what the app exports', () => {
+		const data = createExportData(
+			new Map([
+				['ci', 'adopted'],
+				['tdd', 'exploring']
+			]),
+			10,
+			'1.0.0',
+			{
+				requirements: new Map([['tdd', new Set([1])]]),
+				profileName: 'Platform',
+				history
+			}
+		)
+
+		expect(validateCdpaData(data)).toEqual({ valid: true, errors: [], data, migratedFrom: null })
+	})
+})
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest'
+import { escapeCsvField, formatCsv, parseCsv } from '$lib/utils/csv.js'
+
+describe('csv', () => {
+	describe('escapeCsvField', () => {
+		it('leaves plain values unquoted', () => {
+			expect(escapeCsvField('plain')).toBe('plain')
+			expect(escapeCsvField(3)).toBe('3')
+		})
+
+		it('writes null and undefined as empty fields', () => {
+			expect(escapeCsvField(null)).toBe('')
+			expect(escapeCsvField(undefined)).toBe('')
+		})
+
+		it('quotes delimiters, quotes and line breaks', () => {
+			expect(escapeCsvField('a,b')).toBe('"a,b"')
+			expect(escapeCsvField('say "hi"')).toBe('"say ""hi"""')
+			expect(escapeCsvField('two\nlines')).toBe('"two\nlines"')
+		})
+	})
+
+	describe('formatCsv', () => {
+		it('joins rows with a trailing newline', () => {
+			expect(
+				formatCsv([
+					['id', 'name'],
+					['ci', 'CI, daily']
+				])
+			).toBe('id,name\nci,"CI, daily"\n')
+		})
+	})
+
+	describe('parseCsv', () => {
+		it('splits rows and fields', () => {
+			expect(parseCsv('id,name\nci,CI\n')).toEqual([
+				['id', 'name'],
+				['ci', 'CI']
+			])
+		})
+
+		it('reads quoted fields with delimiters, quotes and line breaks', () => {
+			expect(parseCsv('a,"b, c","say ""hi""","two\nlines"')).toEqual([
+				['a', 'b, c', 'say "hi"', 'two\nlines']
+			])
+		})
+
+		it('reads what formatCsv writes', () => {
+			const rows = [
+				['id', 'notes'],
+				['ci', 'Daily, "mostly"\nand more']
+			]
+			expect(parseCsv(formatCsv(rows))).toEqual(rows)
+		})
+
+		it('handles CRLF line endings, a byte order mark and empty lines', () => {
+			expect(parseCsv('\uFEFFid,name\r\n\r\nci,CI\r\n')).toEqual([
+				['id', 'name'],
+				['ci', 'CI']
+			])
+		})
+
+		it('detects semicolon and tab delimiters', () => {
+			expect(parseCsv('id;name\nci;CI, daily')).toEqual([
+				['id', 'name'],
+				['ci', 'CI, daily']
+			])
+			expect(parseCsv('id\tname\nci\tCI')).toEqual([
+				['id', 'name'],
+				['ci', 'CI']
+			])
+		})
+
+		it('keeps empty trailing fields', () => {
+			expect(parseCsv('a,,\n')).toEqual([['a', '', '']])
+		})
+	})
+})
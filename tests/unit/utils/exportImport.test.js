@@ -2,10 +2,14 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
 import {
 	generateExportFilename,
 	createExportData,
+	createProfilesExportData,
 	validateImportData,
 	parseImportFile,
-	importAdoptionState
+	importAdoptionState,
+	importAdoptionCsv,
+	EXPORT_FORMAT_VERSION
 } from '$lib/utils/exportImport.js'
+import { CDPA_SCHEMA_URL } from '$lib/utils/cdpaFormat.js'
 
 describe('exportImport', () => {
 	describe('generateExportFilename', () => {
@@ -36,6 +40,13 @@ describe('exportImport', () => {
 			vi.setSystemTime(new Date('2025-01-01T12:00:00Z'))
 			expect(generateExportFilename()).toBe('cd-practices-adoption-2025-01-01.cdpa')
 		})
+
+		it('uses the given extension', () => {
+			vi.setSystemTime(new Date('2025-10-25T14:30:00Z'))
+			expect(generateExportFilename('cd-practices-adoption', 'csv')).toBe(
+				'cd-practices-adoption-2025-10-25.csv'
+			)
+		})
 	})
 
 	describe('createExportData', () => {
@@ -52,18 +63,18 @@ describe('exportImport', () => {
 			const adopted = new Set(['continuous-integration', 'version-control', 'automated-testing'])
 			const data = createExportData(adopted, 54, '1.2.0')
 
-			expect(data.$schema).toBe('https://json-schema.org/draft-07/schema#')
-			expect(data.version).toBe('1.0.0')
+			expect(data.$schema).toBe(CDPA_SCHEMA_URL)
+			expect(data.version).toBe('2.2.0')
 			expect(data.exportedAt).toBe('2025-10-25T14:30:00.000Z')
 			expect(data.metadata.totalPractices).toBe(54)
 			expect(data.metadata.adoptedCount).toBe(3)
 			expect(data.metadata.adoptionPercentage).toBe(6) // 3/54 ~ 5.56% rounds to 6%
 			expect(data.metadata.appVersion).toBe('1.2.0')
-			expect(data.adoptedPractices).toEqual([
-				'automated-testing',
-				'continuous-integration',
-				'version-control'
-			]) // Sorted alphabetically
+			expect(data.practices).toEqual({
+				'automated-testing': { state: 'adopted' },
+				'continuous-integration': { state: 'adopted' },
+				'version-control': { state: 'adopted' }
+			})
 		})
 
 		it('handles empty adoption set', () => {
@@ -71,7 +82,7 @@ describe('exportImport', () => {
 
 			expect(data.metadata.adoptedCount).toBe(0)
 			expect(data.metadata.adoptionPercentage).toBe(0)
-			expect(data.adoptedPractices).toEqual([])
+			expect(data.practices).toEqual({})
 		})
 
 		it('calculates percentage correctly for various adoption counts', () => {
@@ -102,11 +113,11 @@ describe('exportImport', () => {
 			expect(data.metadata.appVersion).toBe('1.0.0')
 		})
 
-		it('sorts adoptedPractices alphabetically', () => {
+		it('sorts practices alphabetically', () => {
 			const adopted = new Set(['zebra', 'apple', 'banana', 'cherry'])
 			const data = createExportData(adopted, 10)
 
-			expect(data.adoptedPractices).toEqual(['apple', 'banana', 'cherry', 'zebra'])
+			expect(Object.keys(data.practices)).toEqual(['apple', 'banana', 'cherry', 'zebra'])
 		})
 
 		it('handles single practice adoption', () => {
@@ -114,7 +125,7 @@ describe('exportImport', () => {
 
 			expect(data.metadata.adoptedCount).toBe(1)
 			expect(data.metadata.adoptionPercentage).toBe(2) // 1/54 ~ 1.85% rounds to 2%
-			expect(data.adoptedPractices).toEqual(['version-control'])
+			expect(data.practices).toEqual({ 'version-control': { state: 'adopted' } })
 		})
 
 		it('exports ISO 8601 timestamp for exportedAt', () => {
@@ -214,9 +225,9 @@ describe('exportImport', () => {
 			expect(result.errors).toContain('adoptedPractices must be an array')
 		})
 
-		it('rejects incompatible version (2.x.x)', () => {
+		it('rejects incompatible version (3.x.x)', () => {
 			const data = {
-				version: '2.0.0',
+				version: '3.0.0',
 				exportedAt: '2025-10-25T14:30:00.000Z',
 				adoptedPractices: []
 			}
@@ -224,7 +235,9 @@ describe('exportImport', () => {
 			const result = validateImportData(data)
 
 			expect(result.valid).toBe(false)
-			expect(result.errors).toContain('Incompatible file version: 2.0.0')
+			expect(result.errors).toEqual([
+				'Incompatible file version: 3.0.0 (this app reads versions up to 2.2.0)'
+			])
 		})
 
 		it('accepts compatible version (1.x.x)', () => {
@@ -346,7 +359,7 @@ describe('exportImport', () => {
 
 		it('rejects file with incompatible version', async () => {
 			const fileContent = JSON.stringify({
-				version: '2.0.0',
+				version: '3.0.0',
 				exportedAt: '2025-10-25T14:30:00.000Z',
 				adoptedPractices: []
 			})
@@ -356,7 +369,7 @@ describe('exportImport', () => {
 			const result = await parseImportFile(file)
 
 			expect(result.success).toBe(false)
-			expect(result.error).toContain('Incompatible file version: 2.0.0')
+			expect(result.error).toContain('Incompatible file version: 3.0.0')
 		})
 
 		it('filters out empty strings from adoptedPractices', async () => {
@@ -512,7 +525,7 @@ describe('exportImport', () => {
 
 		it('returns error when file validation fails', async () => {
 			const fileContent = JSON.stringify({
-				version: '2.0.0', // Incompatible version
+				version: '3.0.0', // Incompatible version
 				exportedAt: '2025-10-25T14:30:00.000Z',
 				adoptedPractices: []
 			})
@@ -523,7 +536,7 @@ describe('exportImport', () => {
 			const result = await importAdoptionState(file, validIds)
 
 			expect(result.success).toBe(false)
-			expect(result.error).toContain('Incompatible file version: 2.0.0')
+			expect(result.error).toContain('Incompatible file version: 3.0.0')
 			expect(result.imported).toEqual(new Set())
 			expect(result.invalid).toEqual([])
 		})
@@ -545,4 +558,692 @@ describe('exportImport', () => {
 			expect(result.invalid).toEqual(['continuous-integration', 'version-control'])
 		})
 	})
+
+	describe('adoption states', () => {
+		const createMockFile = fileContent => ({
+			text: async () => fileContent
+		})
+
+		const states = new Map([
+			['version-control', 'adopted'],
+			['continuous-integration', 'in-progress'],
+			['automated-testing', 'exploring']
+		])
+
+		it('exports the state of every started practice', () => {
+			const data = createExportData(states, 54)
+
+			expect(data.practices).toEqual({
+				'automated-testing': { state: 'exploring' },
+				'continuous-integration': { state: 'in-progress' },
+				'version-control': { state: 'adopted' }
+			})
+			expect(data.metadata.adoptedCount).toBe(1)
+		})
+
+		it('no longer writes the 1.x adoption fields', () => {
+			const data = createExportData(states, 54)
+
+			expect(data).not.toHaveProperty('adoptedPractices')
+			expect(data).not.toHaveProperty('practiceStates')
+			expect(data).not.toHaveProperty('requirementProgress')
+		})
+
+		it('rejects non-object practiceStates', () => {
+			const result = validateImportData({
+				version: '1.0.0',
+				exportedAt: '2025-10-25T14:30:00.000Z',
+				adoptedPractices: [],
+				practiceStates: ['continuous-integration']
+			})
+
+			expect(result.valid).toBe(false)
+			expect(result.errors).toContain('practiceStates must be an object')
+		})
+
+		it('round-trips states through export and import', async () => {
+			const file = createMockFile(JSON.stringify(createExportData(states, 54)))
+
+			const result = await importAdoptionState(file, new Set(states.keys()))
+
+			expect(result.success).toBe(true)
+			expect(result.importedStates).toEqual(states)
+			expect(result.imported).toEqual(new Set(['version-control']))
+		})
+
+		it('ignores unknown states and never downgrades an adopted practice', async () => {
+			const file = createMockFile(
+				JSON.stringify({
+					version: '1.0.0',
+					exportedAt: '2025-10-25T14:30:00.000Z',
+					adoptedPractices: ['version-control'],
+					practiceStates: {
+						'version-control': 'exploring',
+						'continuous-integration': 'piloting',
+						'automated-testing': 'regressed'
+					}
+				})
+			)
+
+			const result = await parseImportFile(file)
+
+			expect(result.states).toEqual(
+				new Map([
+					['version-control', 'adopted'],
+					['automated-testing', 'regressed']
+				])
+			)
+		})
+
+		it('reports partial states for unknown practices as invalid', async () => {
+			const file = createMockFile(
+				JSON.stringify({
+					version: '1.0.0',
+					exportedAt: '2025-10-25T14:30:00.000Z',
+					adoptedPractices: [],
+					practiceStates: { 'removed-practice': 'in-progress' }
+				})
+			)
+
+			const result = await importAdoptionState(file, new Set(['version-control']))
+
+			expect(result.importedStates).toEqual(new Map())
+			expect(result.invalid).toEqual(['removed-practice'])
+		})
+	})
+
+	describe('requirement progress', () => {
+		const createMockFile = fileContent => ({
+			text: async () => fileContent
+		})
+
+		const states = new Map([
+			['version-control', 'adopted'],
+			['continuous-integration', 'in-progress']
+		])
+		const requirements = new Map([
+			['continuous-integration', new Set([2, 0])],
+			['automated-testing', new Set([1])]
+		])
+
+		it('exports completed requirements of practices with a state', () => {
+			const data = createExportData(states, 54, '1.0.0', { requirements })
+
+			expect(data.practices['continuous-integration']).toEqual({
+				state: 'in-progress',
+				requirements: [0, 2]
+			})
+		})
+
+		it('omits requirements when none are complete', () => {
+			expect(createExportData(states, 54).practices['continuous-integration']).toEqual({
+				state: 'in-progress'
+			})
+		})
+
+		it('rejects non-object requirementProgress', () => {
+			const result = validateImportData({
+				version: '1.0.0',
+				exportedAt: '2025-10-25T14:30:00.000Z',
+				adoptedPractices: [],
+				requirementProgress: [0, 1]
+			})
+
+			expect(result.errors).toContain('requirementProgress must be an object')
+		})
+
+		it('round-trips requirements through export and import', async () => {
+			const file = createMockFile(
+				JSON.stringify(createExportData(states, 54, '1.0.0', { requirements }))
+			)
+
+			const result = await importAdoptionState(file, new Set(states.keys()))
+
+			expect(result.importedRequirements).toEqual(
+				new Map([['continuous-integration', new Set([0, 2])]])
+			)
+		})
+
+		it('ignores malformed requirement entries', async () => {
+			const file = createMockFile(
+				JSON.stringify({
+					version: '1.0.0',
+					exportedAt: '2025-10-25T14:30:00.000Z',
+					adoptedPractices: ['version-control'],
+					requirementProgress: { 'version-control': 'all', ci: [0] }
+				})
+			)
+
+			const result = await parseImportFile(file)
+
+			expect(result.requirements).toEqual(new Map())
+		})
+	})
+
+	describe('team profiles', () => {
+		const createMockFile = fileContent => ({
+			text: async () => fileContent
+		})
+
+		const profiles = [
+			{ name: 'My team', states: new Map([['version-control', 'adopted']]) },
+			{
+				name: 'Platform',
+				states: new Map([
+					['continuous-integration', 'in-progress'],
+					['unknown-practice', 'adopted']
+				]),
+				requirements: new Map([['continuous-integration', new Set([1])]])
+			}
+		]
+
+		it('generates a filename with a custom prefix', () => {
+			expect(generateExportFilename('cd-practices-profiles')).toMatch(
+				/^cd-practices-profiles-\d{4}-\d{2}-\d{2}\.cdpa$/
+			)
+		})
+
+		it('adds the profile name to a single export', () => {
+			expect(
+				createExportData(new Set(['ci']), 10, '1.0.0', { profileName: 'Platform' }).profile
+			).toBe('Platform')
+			expect(createExportData(new Set(['ci']), 10)).not.toHaveProperty('profile')
+		})
+
+		it('exports every profile as a complete single-profile export', () => {
+			const data = createProfilesExportData(profiles, 10, '1.2.0')
+
+			expect(data.version).toBe('2.2.0')
+			expect(data.profiles).toHaveLength(2)
+			expect(data.profiles[1]).toMatchObject({
+				profile: 'Platform',
+				practices: {
+					'continuous-integration': { state: 'in-progress', requirements: [1] },
+					'unknown-practice': { state: 'adopted' }
+				},
+				metadata: { appVersion: '1.2.0' }
+			})
+		})
+
+		it('validates each profile entry', () => {
+			const result = validateImportData({
+				version: '1.0.0',
+				exportedAt: '2025-10-25T14:30:00.000Z',
+				profiles: [{ version: '1.0.0', exportedAt: 'x', adoptedPractices: [] }, 'bad', {}]
+			})
+
+			expect(result.errors).toEqual([
+				'profiles[1]: must be an object',
+				'profiles[2]: Missing required field: version',
+				'profiles[2]: Missing required field: exportedAt',
+				'profiles[2]: Missing required field: adoptedPractices'
+			])
+		})
+
+		it('rejects an empty profiles array', () => {
+			expect(
+				validateImportData({ version: '1.0.0', exportedAt: 'x', profiles: [] }).errors
+			).toContain('profiles must be a non-empty array')
+		})
+
+		it('imports every profile, filtering invalid practice IDs', async () => {
+			const file = createMockFile(JSON.stringify(createProfilesExportData(profiles, 10)))
+
+			const result = await importAdoptionState(
+				file,
+				new Set(['version-control', 'continuous-integration'])
+			)
+
+			expect(result.success).toBe(true)
+			expect(result.importedStates).toEqual(new Map())
+			expect(result.invalid).toEqual(['unknown-practice'])
+			expect(result.profiles.map(profile => profile.name)).toEqual(['My team', 'Platform'])
+			expect(result.profiles[1].importedStates).toEqual(
+				new Map([['continuous-integration', 'in-progress']])
+			)
+			expect(result.profiles[1].importedRequirements).toEqual(
+				new Map([['continuous-integration', new Set([1])]])
+			)
+		})
+
+		it('returns the profile name of a single-profile import', async () => {
+			const file = createMockFile(
+				JSON.stringify(
+					createExportData(new Set(['version-control']), 10, '1.0.0', { profileName: 'Ops' })
+				)
+			)
+
+			const result = await importAdoptionState(file, new Set(['version-control']))
+
+			expect(result.profile).toBe('Ops')
+			expect(result.profiles).toBeUndefined()
+		})
+	})
+
+	describe('adoption history', () => {
+		const createMockFile = fileContent => ({
+			text: async () => fileContent
+		})
+
+		const history = {
+			baseline: { at: '2025-10-01T09:00:00.000Z', states: {} },
+			events: [
+				{
+					at: '2025-10-01T09:00:00.000Z',
+					practiceId: 'version-control',
+					from: 'not-started',
+					to: 'adopted'
+				},
+				{
+					at: '2025-10-02T09:00:00.000Z',
+					practiceId: 'removed-practice',
+					from: 'not-started',
+					to: 'adopted'
+				}
+			]
+		}
+
+		it('writes the current format version', () => {
+			expect(createExportData(new Set(), 10).version).toBe(EXPORT_FORMAT_VERSION)
+			expect(EXPORT_FORMAT_VERSION).toBe('2.2.0')
+		})
+
+		it('adds the history when given', () => {
+			const data = createExportData(new Set(['version-control']), 10, '1.0.0', { history })
+
+			expect(data.history).toEqual(history)
+			expect(createExportData(new Set(), 10)).not.toHaveProperty('history')
+		})
+
+		it('rejects a history that is not an object', () => {
+			expect(
+				validateImportData({
+					version: '1.1.0',
+					exportedAt: 'x',
+					adoptedPractices: [],
+					history: []
+				}).errors
+			).toEqual(['history must be an object'])
+		})
+
+		it('imports the history, dropping unknown practices', async () => {
+			const file = createMockFile(
+				JSON.stringify(createExportData(new Set(['version-control']), 10, '1.0.0', { history }))
+			)
+
+			const result = await importAdoptionState(file, new Set(['version-control']))
+
+			expect(result.importedHistory).toEqual({
+				baseline: history.baseline,
+				events: [history.events[0]]
+			})
+		})
+
+		it('imports 1.0.0 files without history', async () => {
+			const file = createMockFile(
+				JSON.stringify({
+					version: '1.0.0',
+					exportedAt: '2025-10-25T14:30:00.000Z',
+					adoptedPractices: ['version-control']
+				})
+			)
+
+			const result = await importAdoptionState(file, new Set(['version-control']))
+
+			expect(result.success).toBe(true)
+			expect(result.importedHistory).toBeNull()
+		})
+
+		it('exports and imports each profile history', async () => {
+			const file = createMockFile(
+				JSON.stringify(
+					createProfilesExportData(
+						[{ name: 'Ops', states: new Map([['version-control', 'adopted']]), history }],
+						10
+					)
+				)
+			)
+
+			const result = await importAdoptionState(file, new Set(['version-control']))
+
+			expect(result.profiles[0].importedHistory.events).toEqual([history.events[0]])
+		})
+	})
+
+	describe('practice annotations', () => {
+		const createMockFile = fileContent => ({
+			text: async () => fileContent
+		})
+
+		const annotations = new Map([
+			[
+				'version-control',
+				{ notes: 'Git everywhere', evidence: ['https://git.example.com'], owner: 'Platform' }
+			],
+			['continuous-integration', { owner: 'Payments', targetDate: '2026-06-30' }]
+		])
+
+		const exportWith = (states, practiceAnnotations) =>
+			createExportData(states, 10, '1.0.0', { annotations: practiceAnnotations })
+
+		it('writes annotations into the practice records, including practices not started', () => {
+			const data = exportWith(new Set(['version-control']), annotations)
+
+			expect(data.practices).toEqual({
+				'continuous-integration': {
+					state: 'not-started',
+					owner: 'Payments',
+					targetDate: '2026-06-30'
+				},
+				'version-control': {
+					state: 'adopted',
+					notes: 'Git everywhere',
+					evidence: ['https://git.example.com'],
+					owner: 'Platform'
+				}
+			})
+			expect(validateImportData(data).valid).toBe(true)
+		})
+
+		it('round-trips annotations and drops those of unknown practices', async () => {
+			const file = createMockFile(
+				JSON.stringify(
+					exportWith(
+						new Set(['version-control']),
+						new Map([...annotations, ['removed-practice', { notes: 'Gone' }]])
+					)
+				)
+			)
+
+			const result = await importAdoptionState(
+				file,
+				new Set(['version-control', 'continuous-integration'])
+			)
+
+			expect(result.importedStates).toEqual(new Map([['version-control', 'adopted']]))
+			expect(result.importedAnnotations).toEqual(annotations)
+		})
+
+		it('drops evidence that is not a web link', async () => {
+			const data = exportWith(new Set(), new Map())
+			data.practices['version-control'] = {
+				state: 'adopted',
+				evidence: ['javascript:alert(1)', 'https://ok.example.com']
+			}
+
+			const result = await importAdoptionState(
+				createMockFile(JSON.stringify(data)),
+				new Set(['version-control'])
+			)
+
+			expect(result.importedAnnotations).toEqual(
+				new Map([['version-control', { evidence: ['https://ok.example.com'] }]])
+			)
+		})
+
+		it('exports and imports each profile annotations', async () => {
+			const file = createMockFile(
+				JSON.stringify(
+					createProfilesExportData(
+						[{ name: 'Ops', states: new Map([['version-control', 'adopted']]), annotations }],
+						10
+					)
+				)
+			)
+
+			const result = await importAdoptionState(file, new Set(['version-control']))
+
+			expect(result.profiles[0].importedAnnotations).toEqual(
+				new Map([['version-control', annotations.get('version-control')]])
+			)
+		})
+	})
+
+	describe('self-assessment answers', () => {
+		const createMockFile = fileContent => ({
+			text: async () => fileContent
+		})
+
+		const answers = new Map([
+			['version-control', ['yes', 'yes']],
+			['continuous-integration', ['partly', null, 'no']]
+		])
+
+		const exportWith = (states, assessmentAnswers) =>
+			createExportData(states, 10, '1.0.0', { answers: assessmentAnswers })
+
+		it('writes answers into the practice records, including practices not started', () => {
+			const data = exportWith(new Set(['version-control']), answers)
+
+			expect(data.practices).toEqual({
+				'continuous-integration': { state: 'not-started', answers: ['partly', null, 'no'] },
+				'version-control': { state: 'adopted', answers: ['yes', 'yes'] }
+			})
+			expect(validateImportData(data).valid).toBe(true)
+		})
+
+		it('round-trips answers and drops those of unknown practices', async () => {
+			const file = createMockFile(
+				JSON.stringify(
+					exportWith(
+						new Set(['version-control']),
+						new Map([...answers, ['removed-practice', ['yes']]])
+					)
+				)
+			)
+
+			const result = await importAdoptionState(
+				file,
+				new Set(['version-control', 'continuous-integration'])
+			)
+
+			expect(result.importedAnswers).toEqual(answers)
+		})
+
+		it('exports and imports each profile answers', async () => {
+			const file = createMockFile(
+				JSON.stringify(
+					createProfilesExportData(
+						[{ name: 'Ops', states: new Map([['version-control', 'adopted']]), answers }],
+						10
+					)
+				)
+			)
+
+			const result = await importAdoptionState(file, new Set(['version-control']))
+
+			expect(result.profiles[0].importedAnswers).toEqual(
+				new Map([['version-control', ['yes', 'yes']]])
+			)
+		})
+
+		it('imports no answers from a spreadsheet', async () => {
+			const result = await importAdoptionCsv(
+				createMockFile('id,status\nversion-control,Adopted\n'),
+				new Map([['version-control', 'Version Control']])
+			)
+
+			expect(result.success).toBe(true)
+			expect(result).not.toHaveProperty('importedAnswers')
+		})
+	})
+
+	describe('practice aliases', () => {
+		const createMockFile = fileContent => ({
+			text: async () => fileContent
+		})
+
+		const validIds = new Set(['continuous-integration', 'automated-testing', 'version-control'])
+		const aliases = {
+			ci: 'continuous-integration',
+			'unit-tests': 'automated-testing',
+			'integration-tests': 'automated-testing',
+			'manual-gates': null
+		}
+
+		it('remaps, merges and drops former practice IDs', async () => {
+			const file = createMockFile(
+				JSON.stringify({
+					version: '1.0.0',
+					exportedAt: '2025-10-25T14:30:00.000Z',
+					adoptedPractices: ['ci', 'unit-tests', 'manual-gates', 'unknown'],
+					practiceStates: { 'integration-tests': 'exploring' },
+					requirementProgress: { ci: [1] }
+				})
+			)
+
+			const result = await importAdoptionState(file, validIds, aliases)
+
+			expect(result.importedStates).toEqual(
+				new Map([
+					['continuous-integration', 'adopted'],
+					['automated-testing', 'adopted']
+				])
+			)
+			expect(result.importedRequirements).toEqual(
+				new Map([['continuous-integration', new Set([1])]])
+			)
+			expect(result.remapped).toEqual([{ from: 'ci', to: 'continuous-integration' }])
+			expect(result.merged).toEqual([
+				{ to: 'automated-testing', from: ['integration-tests', 'unit-tests'] }
+			])
+			expect(result.dropped).toEqual(['manual-gates'])
+			expect(result.invalid).toEqual(['unknown'])
+		})
+
+		it('remaps the imported history', async () => {
+			const file = createMockFile(
+				JSON.stringify({
+					version: '2.0.0',
+					exportedAt: '2025-10-25T14:30:00.000Z',
+					practices: { ci: { state: 'adopted' } },
+					history: {
+						baseline: { at: '2025-10-01T09:00:00.000Z', states: {} },
+						events: [
+							{
+								at: '2025-10-01T09:00:00.000Z',
+								practiceId: 'ci',
+								from: 'not-started',
+								to: 'adopted'
+							}
+						]
+					}
+				})
+			)
+
+			const result = await importAdoptionState(file, validIds, aliases)
+
+			expect(result.importedHistory.events[0].practiceId).toBe('continuous-integration')
+		})
+
+		it('combines the reports of every profile', async () => {
+			const file = createMockFile(
+				JSON.stringify(
+					createProfilesExportData(
+						[
+							{ name: 'A', states: new Map([['ci', 'adopted']]) },
+							{
+								name: 'B',
+								states: new Map([
+									['ci', 'exploring'],
+									['manual-gates', 'adopted']
+								])
+							}
+						],
+						10
+					)
+				)
+			)
+
+			const result = await importAdoptionState(file, validIds, aliases)
+
+			expect(result.profiles[1].importedStates).toEqual(
+				new Map([['continuous-integration', 'exploring']])
+			)
+			expect(result.remapped).toEqual([{ from: 'ci', to: 'continuous-integration' }])
+			expect(result.dropped).toEqual(['manual-gates'])
+		})
+
+		it('reports nothing without aliases', async () => {
+			const file = createMockFile(JSON.stringify(createExportData(new Set(['ci']), 10)))
+
+			const result = await importAdoptionState(file, validIds)
+
+			expect(result).toMatchObject({ remapped: [], merged: [], dropped: [], invalid: ['ci'] })
+		})
+	})
+
+	describe('importAdoptionCsv', () => {
+		const createMockFile = fileContent => ({
+			text: async () => fileContent
+		})
+
+		const practiceNames = new Map([
+			['continuous-integration', 'Continuous Integration'],
+			['automated-testing', 'Automated Testing'],
+			['version-control', 'Version Control']
+		])
+
+		it('imports states and notes in the shape of a .cdpa import', async () => {
+			const file = createMockFile(
+				[
+					'id,name,status,notes,date',
+					'version-control,Version Control,Adopted,Git everywhere,2025-10-01',
+					',Continuous Integration,In progress,,',
+					'automated-testing,Automated Testing,Not started,,'
+				].join('\n')
+			)
+
+			const result = await importAdoptionCsv(file, practiceNames)
+
+			expect(result.success).toBe(true)
+			expect(result.importedStates).toEqual(
+				new Map([
+					['version-control', 'adopted'],
+					['continuous-integration', 'in-progress']
+				])
+			)
+			expect(result.imported).toEqual(new Set(['version-control']))
+			expect(result.importedNotes).toEqual(new Map([['version-control', 'Git everywhere']]))
+			expect(result.importedRequirements).toEqual(new Map())
+			expect(result.importedHistory).toBeNull()
+			expect(result.dates).toEqual(new Map([['version-control', '2025-10-01']]))
+			expect(result.skippedRows).toEqual([])
+		})
+
+		it('reports rows of unknown practices as invalid', async () => {
+			const file = createMockFile('name,status\nPair Programming,Adopted\nVersion Control,yes\n')
+
+			const result = await importAdoptionCsv(file, practiceNames)
+
+			expect(result.importedStates).toEqual(new Map([['version-control', 'adopted']]))
+			expect(result.invalid).toEqual(['Pair Programming'])
+			expect(result.skippedRows).toEqual([
+				{ row: 2, value: 'Pair Programming', reason: 'unknown practice' }
+			])
+		})
+
+		it('remaps former practice IDs through the aliases', async () => {
+			const file = createMockFile('id,status,date\nci,Adopted,2025-10-02\n')
+
+			const result = await importAdoptionCsv(file, practiceNames, {
+				ci: 'continuous-integration'
+			})
+
+			expect(result.importedStates).toEqual(new Map([['continuous-integration', 'adopted']]))
+			expect(result.remapped).toEqual([{ from: 'ci', to: 'continuous-integration' }])
+			expect(result.dates).toEqual(new Map([['continuous-integration', '2025-10-02']]))
+		})
+
+		it('fails on a file without a practice column', async () => {
+			const result = await importAdoptionCsv(
+				createMockFile('status,notes\nAdopted,\n'),
+				practiceNames
+			)
+
+			expect(result.success).toBe(false)
+			expect(result.error).toBe('The CSV file needs a practice id or name column.')
+			expect(result.importedStates).toEqual(new Map())
+		})
+	})
 })
@@ -1,8 +1,12 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
 import {
 	encodeAdoptionState,
+	decodeAdoption,
 	decodeAdoptionState,
+	decodeAdoptionStates,
+	getAdoptionFromURL,
 	getAdoptionStateFromURL,
+	getAdoptionStatesFromURL,
 	updateURLWithAdoptionState
 } from '$lib/utils/urlState.js'
 
@@ -351,4 +355,90 @@ describe('urlState', () => {
 			expect(retrieved).toEqual(practiceIds)
 		})
 	})
+
+	describe('adoption states', () => {
+		const states = new Map([
+			['version-control', 'adopted'],
+			['automated-testing', 'in-progress'],
+			['feature-flags', 'regressed']
+		])
+
+		it('encodes partial states as id:state entries', () => {
+			const decoded = atob(encodeAdoptionState(states))
+
+			expect(decoded).toBe('automated-testing:in-progress,feature-flags:regressed,version-control')
+		})
+
+		it('decodes states through encode/decode cycle', () => {
+			expect(decodeAdoptionStates(encodeAdoptionState(states))).toEqual(states)
+		})
+
+		it('decodes a link shared before adoption states as adopted practices', () => {
+			expect(decodeAdoptionStates(btoa('version-control,automated-testing'))).toEqual(
+				new Map([
+					['version-control', 'adopted'],
+					['automated-testing', 'adopted']
+				])
+			)
+		})
+
+		it('returns only adopted IDs from decodeAdoptionState', () => {
+			expect(decodeAdoptionState(encodeAdoptionState(states))).toEqual(new Set(['version-control']))
+		})
+
+		it('removes adopted parameter when every practice is not started', () => {
+			let capturedURL = null
+			window.location.search = '?adopted=abc'
+			window.history.replaceState = (state, title, url) => {
+				capturedURL = url
+			}
+
+			updateURLWithAdoptionState(new Map([['version-control', 'not-started']]))
+
+			expect(capturedURL).toBe('/')
+		})
+
+		it('maintains states through URL write/read cycle', () => {
+			window.history.replaceState = (state, title, url) => {
+				window.location.search = new URL(url, 'http://localhost:5173').search
+			}
+
+			updateURLWithAdoptionState(states)
+
+			expect(getAdoptionStatesFromURL()).toEqual(states)
+			expect(getAdoptionStateFromURL()).toEqual(new Set(['version-control']))
+		})
+	})
+
+	describe('requirement progress', () => {
+		it('encodes completed requirements in the adopted parameter', () => {
+			const encoded = encodeAdoptionState(
+				new Map([['version-control', 'in-progress']]),
+				new Map([['version-control', new Set([1, 3])]])
+			)
+
+			expect(atob(encoded)).toBe('version-control:in-progress@1.3')
+		})
+
+		it('decodes states and requirements together', () => {
+			expect(decodeAdoption(btoa('version-control@0.1,ci'))).toEqual({
+				states: new Map([
+					['version-control', 'adopted'],
+					['ci', 'adopted']
+				]),
+				requirements: new Map([['version-control', new Set([0, 1])]])
+			})
+		})
+
+		it('reads requirements back from the URL', () => {
+			window.history.replaceState = (state, title, url) => {
+				window.location.search = new URL(url, 'http://localhost:5173').search
+			}
+			const requirements = new Map([['version-control', new Set([0])]])
+
+			updateURLWithAdoptionState(new Map([['version-control', 'in-progress']]), requirements)
+
+			expect(getAdoptionFromURL().requirements).toEqual(requirements)
+		})
+	})
 })
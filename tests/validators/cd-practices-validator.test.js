@@ -12,6 +12,8 @@ import {
 	validateNoCycles,
 	validateNoSelfDependencies,
 	validateCategories,
+	validateAliasReferences,
+	validateCriticalPathCounts,
 	combineValidations,
 	formatValidationErrors,
 	validateCdPractices
@@ -268,6 +270,125 @@ describe('CD Practices Validator', () => {
 		})
 	})
 
+	describe('validateAliasReferences', () => {
+		const withAliases = aliases =>
+			buildValidData({ metadata: { ...buildValidData().metadata, aliases } })
+
+		it('returns valid result when aliases lead to existing practices or are removed', () => {
+			const result = validateAliasReferences(
+				withAliases({ 'old-a': 'practice-a', 'older-a': 'old-a', gone: null })
+			)
+
+			expect(result.isValid).toBe(true)
+			expect(result.errors).toHaveLength(0)
+		})
+
+		it('returns valid result when metadata has no aliases', () => {
+			expect(validateAliasReferences(buildValidData()).isValid).toBe(true)
+		})
+
+		it('rejects an alias that is a current practice ID', () => {
+			const result = validateAliasReferences(withAliases({ 'practice-a': 'practice-b' }))
+
+			expect(result.isValid).toBe(false)
+			expect(result.errors[0]).toMatchObject({
+				message: 'Invalid practice alias',
+				alias: 'practice-a',
+				reason: '"practice-a" is a current practice ID'
+			})
+		})
+
+		it('rejects an alias to an unknown practice', () => {
+			const result = validateAliasReferences(withAliases({ 'old-a': 'missing' }))
+
+			expect(result.errors[0].reason).toBe('practice "missing" does not exist')
+		})
+
+		it('rejects aliases forming a cycle', () => {
+			const result = validateAliasReferences(withAliases({ x: 'y', y: 'x' }))
+
+			expect(result.errors.map(error => error.reason)).toEqual([
+				'aliases form a cycle',
+				'aliases form a cycle'
+			])
+		})
+	})
+
+	describe('validateCriticalPathCounts', () => {
+		const withCriticalPath = practices =>
+			buildValidData({
+				metadata: {
+					...buildValidData().metadata,
+					patterns: { criticalPath: { tier1: { name: 'Tier 1', practices } } }
+				}
+			})
+
+		// practice-b has one dependent, so it belongs in tier 1 at these thresholds
+		const thresholds = { tier1: 1, tier2: 1 }
+
+		it('returns no warnings when the critical path matches the dependencies', () => {
+			const data = withCriticalPath([{ id: 'practice-b', dependents: 1 }])
+
+			expect(validateCriticalPathCounts(data, thresholds).warnings).toEqual([])
+		})
+
+		it('warns when a stated count is out of date', () => {
+			const data = withCriticalPath([{ id: 'practice-b', dependents: 4 }])
+
+			expect(validateCriticalPathCounts(data, thresholds).warnings).toEqual([
+				{
+					message: 'Critical path dependents count is out of date',
+					practice_id: 'practice-b',
+					tier: 'tier1',
+					stated: 4,
+					actual: 1,
+					expectedTier: 'tier1'
+				}
+			])
+		})
+
+		it('warns when a practice is listed below its tier threshold', () => {
+			const data = withCriticalPath([{ id: 'practice-b', dependents: 1 }])
+
+			expect(validateCriticalPathCounts(data).warnings).toEqual([
+				{
+					message: 'Critical path lists a practice in the wrong tier',
+					practice_id: 'practice-b',
+					tier: 'tier1',
+					stated: 1,
+					actual: 1,
+					expectedTier: null
+				}
+			])
+		})
+
+		it('warns when a practice meeting a threshold is not listed', () => {
+			const [warning] = validateCriticalPathCounts(withCriticalPath([]), thresholds).warnings
+
+			expect(warning).toEqual(
+				expect.objectContaining({
+					message: 'Critical path is missing a practice',
+					practice_id: 'practice-b',
+					tier: null,
+					expectedTier: 'tier1'
+				})
+			)
+		})
+
+		it('warns when the critical path lists an unknown practice', () => {
+			const data = withCriticalPath([{ id: 'missing', dependents: 2 }])
+
+			const [warning] = validateCriticalPathCounts(data).warnings
+
+			expect(warning.message).toBe('Critical path lists an unknown practice')
+			expect(warning.actual).toBeNull()
+		})
+
+		it('returns no warnings when metadata has no critical path', () => {
+			expect(validateCriticalPathCounts(buildValidData()).warnings).toEqual([])
+		})
+	})
+
 	describe('combineValidations', () => {
 		it('returns valid result when all validations pass', () => {
 			const validations = [
@@ -359,6 +480,22 @@ describe('CD Practices Validator', () => {
 			expect(result.success).toBe(true)
 		})
 
+		it('reports critical path drift as warnings without failing', () => {
+			const data = buildValidData({
+				metadata: {
+					...buildValidData().metadata,
+					patterns: {
+						criticalPath: { tier1: { practices: [{ id: 'practice-b', dependents: 9 }] } }
+					}
+				}
+			})
+
+			const result = validateCdPractices(schema)(data)
+
+			expect(result.success).toBe(true)
+			expect(result.warnings).toHaveLength(1)
+		})
+
 		it('detects multiple validation errors', () => {
 			const data = buildValidData({
 				practices: [